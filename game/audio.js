@@ -0,0 +1,234 @@
+// Sound: the engine note, tire squeal, surface rumble and impacts of the players' cars, synthesised with WebAudio
+// from sim/sound.js, with a master volume, a volume for each category and a mute switch
+const AUDIO_STORAGE_KEY = 'racecar.audio';
+const DEFAULT_AUDIO_SETTINGS = { master: 0.8, engine: 0.7, tires: 0.8, surface: 0.8, impacts: 1, muted: false };
+const AUDIO_SMOOTHING = 0.03;    // Seconds the sounds take to follow the cars, so they change without clicks
+const IMPACT_SOUND_LENGTH = 0.5; // Seconds a crash rings on for at its loudest
+const IMPACT_SOUND_GAP = 0.1;    // Seconds of session time between the impact sounds of one car
+
+let audioSettings = loadAudioSettings();
+let audioContext = null; // Made on the first key press or click, as browsers only let a page play sound after one
+let audioGraph = null;   // { master, categories, noise, voices }, see createAudioGraph
+let lastImpactSounds = {}; // Session time of each car's last impact sound, by car id
+
+function loadAudioSettings() {
+    const settings = Object.assign({}, DEFAULT_AUDIO_SETTINGS);
+    try {
+        const stored = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY));
+        if (stored) {
+            Object.keys(DEFAULT_AUDIO_SETTINGS).forEach(key => {
+                if (typeof stored[key] === typeof DEFAULT_AUDIO_SETTINGS[key]) settings[key] = stored[key];
+            });
+        }
+    } catch (error) {
+        console.warn('Ignoring stored sound settings: ' + error.message);
+    }
+    return settings;
+}
+
+function storeAudioSettings() {
+    try {
+        localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(audioSettings));
+    } catch (error) {
+        console.warn('Could not save sound settings: ' + error.message);
+    }
+}
+
+function setupAudio() {
+    // A slider for the master volume and each category
+    const volumes = document.getElementById('audioVolumes');
+    [{ id: 'master', name: 'Master' }].concat(SOUND_CATEGORIES).forEach(category => {
+        const row = document.createElement('label');
+        row.className = 'row';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = 1;
+        slider.step = 0.05;
+        slider.value = audioSettings[category.id];
+        slider.oninput = () => {
+            audioSettings[category.id] = Number(slider.value);
+            storeAudioSettings();
+            applyAudioSettings();
+        };
+        slider.onchange = () => slider.blur(); // Keep arrow keys for driving
+        row.append(category.name, slider);
+        volumes.appendChild(row);
+    });
+    
+    const mute = document.getElementById('audioMute');
+    mute.onchange = () => {
+        setAudioMuted(mute.checked);
+        mute.blur();
+    };
+    document.getElementById('audioSettingsOpen').onclick = () => {
+        document.getElementById('audioSettings').style.display = 'block';
+    };
+    document.getElementById('audioSettingsClose').onclick = () => {
+        document.getElementById('audioSettings').style.display = 'none';
+    };
+    
+    window.addEventListener('keydown', startAudio);
+    window.addEventListener('pointerdown', startAudio);
+    applyAudioSettings();
+}
+
+// Browsers hold sound back until the player has pressed something, so the context starts with the first press
+function startAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!audioContext) {
+        audioContext = new AudioContextClass();
+        audioGraph = createAudioGraph();
+        applyAudioSettings();
+    }
+    if (audioContext.state === 'suspended') audioContext.resume();
+}
+
+// Every voice feeds its category's gain, and the categories the master gain: { master, categories, noise, voices }
+// with a voice for each player in split screen
+function createAudioGraph() {
+    const master = audioContext.createGain();
+    master.connect(audioContext.destination);
+    const categories = {};
+    SOUND_CATEGORIES.forEach(category => {
+        categories[category.id] = audioContext.createGain();
+        categories[category.id].connect(master);
+    });
+    
+    // A second of white noise, looped for the squeal and rumble and cut short for impacts
+    const noise = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+    
+    const graph = { master, categories, noise, voices: [] };
+    graph.voices = HUD_PLAYER_SUFFIXES.map(() => createAudioVoice(graph));
+    return graph;
+}
+
+// One car's engine, tires and surface, all silent until updateAudio turns them up
+function createAudioVoice(graph) {
+    const gainInto = destination => {
+        const gain = audioContext.createGain();
+        gain.gain.value = 0;
+        gain.connect(destination);
+        return gain;
+    };
+    const filterInto = (type, destination) => {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = type;
+        filter.connect(destination);
+        return filter;
+    };
+    const loopNoise = destination => {
+        const source = audioContext.createBufferSource();
+        source.buffer = graph.noise;
+        source.loop = true;
+        source.connect(destination);
+        source.start();
+    };
+    
+    // A sawtooth at the firing frequency over a square an octave down, for body
+    const engineGain = gainInto(graph.categories.engine);
+    const engineFilter = filterInto('lowpass', engineGain);
+    const engine = audioContext.createOscillator();
+    engine.type = 'sawtooth';
+    engine.connect(engineFilter);
+    const engineLow = audioContext.createOscillator();
+    engineLow.type = 'square';
+    const engineLowGain = audioContext.createGain();
+    engineLowGain.gain.value = 0.5;
+    engineLow.connect(engineLowGain);
+    engineLowGain.connect(engineFilter);
+    engine.start();
+    engineLow.start();
+    
+    // Narrow band noise squeals, low passed noise rumbles
+    const tireGain = gainInto(graph.categories.tires);
+    const tireFilter = filterInto('bandpass', tireGain);
+    tireFilter.Q.value = 12;
+    loopNoise(tireFilter);
+    const surfaceGain = gainInto(graph.categories.surface);
+    const surfaceFilter = filterInto('lowpass', surfaceGain);
+    loopNoise(surfaceFilter);
+    
+    return { engine, engineLow, engineGain, engineFilter, tireGain, tireFilter, surfaceGain, surfaceFilter };
+}
+
+function applyAudioSettings() {
+    document.getElementById('audioMute').checked = audioSettings.muted;
+    if (!audioGraph) return;
+    const now = audioContext.currentTime;
+    audioGraph.master.gain.setTargetAtTime(audioSettings.muted ? 0 : audioSettings.master, now, AUDIO_SMOOTHING);
+    SOUND_CATEGORIES.forEach(category => {
+        audioGraph.categories[category.id].gain.setTargetAtTime(audioSettings[category.id], now, AUDIO_SMOOTHING);
+    });
+}
+
+function setAudioMuted(muted) {
+    audioSettings.muted = muted;
+    storeAudioSettings();
+    applyAudioSettings();
+}
+
+// Called every frame: the voices follow the players' cars, and fall silent while nothing moves
+function updateAudio() {
+    if (!audioGraph) return;
+    const now = audioContext.currentTime;
+    const players = simulation && sessionRunning() && !editorActive ? localPlayers() : [];
+    audioGraph.voices.forEach((voice, i) => {
+        const set = (param, value) => param.setTargetAtTime(value, now, AUDIO_SMOOTHING);
+        const player = players[i];
+        if (!player) {
+            set(voice.engineGain.gain, 0);
+            set(voice.tireGain.gain, 0);
+            set(voice.surfaceGain.gain, 0);
+            return;
+        }
+        
+        const surface = player.contact.surface;
+        const engine = engineSound(player.state, player.controls.throttle);
+        set(voice.engine.frequency, engine.frequency);
+        set(voice.engineLow.frequency, engine.frequency / 2);
+        set(voice.engineFilter.frequency, engine.cutoff);
+        set(voice.engineGain.gain, engine.gain);
+        
+        const tires = tireSound(player.state, player.controls, surface);
+        set(voice.tireFilter.frequency, tires.frequency);
+        set(voice.tireGain.gain, tires.gain);
+        
+        const rumble = surfaceSound(player.state, surface);
+        set(voice.surfaceFilter.frequency, rumble.cutoff);
+        set(voice.surfaceGain.gain, rumble.gain);
+    });
+}
+
+// Called every simulation tick with the events from Simulation.step: a burst of noise for each of the players' hits,
+// louder and brighter the harder it was
+function playImpactSounds(events) {
+    if (!audioGraph) return;
+    const playerIds = localPlayers().map(player => player.id);
+    events.forEach(event => {
+        if (event.type !== 'impact' || !playerIds.includes(event.car)) return;
+        const loudness = impactLoudness(event.impactSpeed);
+        const last = lastImpactSounds[event.car];
+        // Session time starts again from 0 when the session restarts
+        if (loudness === 0 || (last <= event.time && event.time - last < IMPACT_SOUND_GAP)) return;
+        lastImpactSounds[event.car] = event.time;
+        
+        const now = audioContext.currentTime;
+        const length = IMPACT_SOUND_LENGTH * (0.3 + 0.7 * loudness);
+        const source = audioContext.createBufferSource();
+        source.buffer = audioGraph.noise;
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = (event.with === 'car' ? 1500 : 600) + 3000 * loudness; // Metal on metal rings higher
+        const gain = audioContext.createGain();
+        gain.gain.setValueAtTime(loudness, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + length);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(audioGraph.categories.impacts);
+        source.start(now, Math.random() * 0.5, length);
+    });
+}
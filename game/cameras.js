@@ -0,0 +1,184 @@
+// Cameras: each player's chase, cockpit, hood, bumper, orbit and top-down views, cycled with a key, and the trackside
+// cameras replays cut between, see sim/camera.js
+const CAMERA_STORAGE_KEY = 'racecar.camera';
+const REPLAY_CAMERA_MODES = [{ id: 'trackside', name: 'Trackside' }].concat(CAMERA_MODES);
+const CAMERA_LABEL_TIME = 1500; // Milliseconds the name of a new camera stays on screen
+const ORBIT_DRAG_RATE = 0.01;   // Radians per pixel dragged
+
+// One per player, see createPlayerCamera; the first player's Three.js camera is the global camera
+let playerCameras = [];
+let replayCameraMode = REPLAY_CAMERA_MODES[0].id;
+let orbitDrag = null;           // { x, y, player } the last pointer position while dragging an orbit camera round
+let tracksideCameras = [];
+let tracksideCamera = null;     // Index of the one on air
+let cameraLabelTimer = null;
+
+function loadCameraMode() {
+    try {
+        const stored = localStorage.getItem(CAMERA_STORAGE_KEY);
+        if (CAMERA_MODES.some(mode => mode.id === stored)) return stored;
+    } catch (error) {
+        console.warn('Ignoring stored camera: ' + error.message);
+    }
+    return CAMERA_MODES[0].id;
+}
+
+function storeCameraMode() {
+    try {
+        localStorage.setItem(CAMERA_STORAGE_KEY, playerCameras[0].mode);
+    } catch (error) {
+        console.warn('Could not save camera: ' + error.message);
+    }
+}
+
+// A player's view: the Three.js camera, the mode from CAMERA_MODES, the mode the first person toggle goes back to and
+// the chase and orbit cameras
+function createPlayerCamera(mode) {
+    return {
+        camera: new THREE.PerspectiveCamera(CHASE_CAMERA.fov, windowWidth / windowHeight, 0.1, 2000),
+        mode,
+        firstPersonReturn: null,
+        chase: createChaseCamera(),
+        orbit: { ...DEFAULT_ORBIT }
+    };
+}
+
+function setupCameras() {
+    playerCameras = [createPlayerCamera(loadCameraMode()), createPlayerCamera(CAMERA_MODES[0].id)];
+    camera = playerCameras[0].camera;
+    
+    // Drag to swing an orbit camera round its car and scroll to zoom; the editor has the mouse while it is open
+    const element = renderer.domElement;
+    const playerAt = event => (splitScreen && !replayViewer && event.clientY > windowHeight / 2 ? 1 : 0);
+    const orbiting = player => !editorActive && activeCameraMode(player) === 'orbit';
+    element.addEventListener('pointerdown', event => {
+        const player = playerAt(event);
+        if (!orbiting(player)) return;
+        orbitDrag = { x: event.clientX, y: event.clientY, player };
+        element.setPointerCapture(event.pointerId);
+    });
+    element.addEventListener('pointermove', event => {
+        if (!orbitDrag) return;
+        const view = playerCameras[orbitDrag.player];
+        view.orbit = moveOrbit(view.orbit, -(event.clientX - orbitDrag.x) * ORBIT_DRAG_RATE,
+            (event.clientY - orbitDrag.y) * ORBIT_DRAG_RATE);
+        orbitDrag.x = event.clientX;
+        orbitDrag.y = event.clientY;
+    });
+    element.addEventListener('pointerup', () => {
+        orbitDrag = null;
+    });
+    element.addEventListener('wheel', event => {
+        const player = playerAt(event);
+        if (!orbiting(player)) return;
+        event.preventDefault();
+        const view = playerCameras[player];
+        view.orbit = moveOrbit(view.orbit, 0, 0, Math.pow(1.001, event.deltaY));
+    }, { passive: false });
+}
+
+// Called whenever a session starts
+function initCameras() {
+    playerCameras.forEach(view => {
+        view.chase = createChaseCamera();
+    });
+    tracksideCameras = placeTracksideCameras(trackWaypoints, simulation.surface.runoffWidth);
+    tracksideCamera = null;
+}
+
+// The replay viewer has its own choice for the first player's camera, which starts on the trackside cameras
+function activeCameraMode(player = 0) {
+    return replayViewer && player === 0 ? replayCameraMode : playerCameras[player].mode;
+}
+
+function setCameraMode(mode, player = 0) {
+    if (replayViewer && player === 0) {
+        replayCameraMode = mode;
+    } else {
+        playerCameras[player].mode = mode;
+        if (player === 0) storeCameraMode();
+    }
+    
+    // Over the picture it belongs to
+    const label = document.getElementById('cameraLabel');
+    const name = REPLAY_CAMERA_MODES.find(candidate => candidate.id === mode).name;
+    label.textContent = player === 0 ? name : 'Player 2: ' + name;
+    label.classList.toggle('second', player !== 0);
+    label.style.display = 'block';
+    clearTimeout(cameraLabelTimer);
+    cameraLabelTimer = setTimeout(() => {
+        label.style.display = 'none';
+    }, CAMERA_LABEL_TIME);
+}
+
+function cycleCameraMode(player = 0) {
+    const modes = replayViewer && player === 0 ? REPLAY_CAMERA_MODES : CAMERA_MODES;
+    const index = modes.findIndex(mode => mode.id === activeCameraMode(player));
+    setCameraMode(modes[(index + 1) % modes.length].id, player);
+}
+
+// Into the cockpit, and back out to the camera before
+function toggleFirstPerson(player = 0) {
+    const view = playerCameras[player];
+    const mode = activeCameraMode(player);
+    if (mode !== 'cockpit') {
+        view.firstPersonReturn = mode;
+        setCameraMode('cockpit', player);
+    } else {
+        const previous = view.firstPersonReturn;
+        setCameraMode(previous && previous !== 'cockpit' ? previous : CAMERA_MODES[0].id, player);
+    }
+}
+
+// Point a player's camera at their car mesh over a frame of dt seconds; speed is the car's, for the chase camera
+function updateCamera(target, speed, dt, player = 0) {
+    const pose = { x: target.position.x, y: target.position.y, z: target.position.z, rotation: target.rotation.y };
+    const mode = activeCameraMode(player);
+    const playerCamera = playerCameras[player];
+    
+    let view;
+    if (mode === 'trackside') {
+        tracksideCamera = pickTracksideCamera(tracksideCameras, pose, tracksideCamera);
+        view = tracksideCameraView(tracksideCameras[tracksideCamera], pose);
+    } else if (mode === 'orbit') {
+        view = orbitCameraView(playerCamera.orbit, pose);
+    } else if (mode === 'topDown') {
+        view = topDownCameraView(pose);
+    } else if (MOUNTED_CAMERAS[mode]) {
+        view = mountedCameraView(mode, pose);
+    } else {
+        view = updateChaseCamera(playerCamera.chase, pose, speed, dt);
+    }
+    
+    const { camera } = playerCamera;
+    camera.position.set(view.position.x, view.position.y, view.position.z);
+    camera.up.set(view.up.x, view.up.y, view.up.z);
+    camera.lookAt(view.target.x, view.target.y, view.target.z);
+    if (camera.fov !== view.fov) {
+        camera.fov = view.fov;
+        camera.updateProjectionMatrix();
+    }
+}
+
+// Draw the scene from each player's camera, player 1 in the top half in split screen; the replay viewer has the
+// whole window
+function renderPlayerViews() {
+    const count = splitScreen && !replayViewer ? 2 : 1;
+    const height = Math.floor(windowHeight / count);
+    renderer.setScissorTest(count > 1);
+    for (let player = 0; player < count; player++) {
+        // The viewport counts up from the bottom of the window
+        const bottom = windowHeight - height * (player + 1);
+        renderer.setViewport(0, bottom, windowWidth, height);
+        renderer.setScissor(0, bottom, windowWidth, height);
+        
+        const { camera } = playerCameras[player];
+        if (camera.aspect !== windowWidth / height) {
+            camera.aspect = windowWidth / height;
+            camera.updateProjectionMatrix();
+        }
+        renderer.render(scene, camera);
+    }
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, windowWidth, windowHeight);
+}
@@ -0,0 +1,40 @@
+// Car damage: broken parts on the car models and the damage indicator, see sim/damage.js
+const DAMAGE_DETACHED = 1; // Wings at this much damage come off altogether
+
+// Tilt, droop or remove the damaged parts of a car mesh from createCarMesh
+function showCarDamage(mesh, damage) {
+    const parts = mesh.userData.parts;
+    
+    // Wings sag towards one end and drop off once broken
+    parts.frontWing.visible = damage.frontWing < DAMAGE_DETACHED;
+    parts.frontWing.rotation.set(damage.frontWing * 0.5, 0, damage.frontWing * 0.4);
+    parts.frontWing.position.y = 0.5 - damage.frontWing * 0.4;
+    parts.rearWing.visible = damage.rearWing < DAMAGE_DETACHED;
+    parts.rearWing.rotation.set(-damage.rearWing * 0.6, 0, -damage.rearWing * 0.3);
+    
+    // Bent wheels lean in at the top; the car's left is +x
+    ['wheelFL', 'wheelFR', 'wheelRL', 'wheelRR'].forEach(part => {
+        const wheel = parts[part];
+        wheel.rotation.z = Math.PI / 2 + Math.sign(wheel.position.x) * damage[part] * 0.4;
+    });
+}
+
+// Green through yellow to red for each part, and what the crew are doing
+function updateDamageDisplay() {
+    const player = simulation.player;
+    const damage = player.state.damage;
+    
+    document.querySelectorAll('#damage .part').forEach(element => {
+        const amount = damage[element.dataset.part];
+        element.style.background = 'hsl(' + Math.round(120 * (1 - amount)) + ', 80%, 45%)';
+        element.style.opacity = amount >= DAMAGE_DETACHED ? 0.3 : 1;
+    });
+    
+    let status = '';
+    if (player.pitStop) {
+        status = 'Repairing...';
+    } else if (totalDamage(damage) > 0) {
+        status = 'Stop in the pit box to repair';
+    }
+    document.getElementById('damageStatus').textContent = status;
+}
@@ -0,0 +1,268 @@
+// Race HUD: minimap, rev counter with the gear, lap and position counter and the timing tower, each of which can
+// be switched off, all scaled with the window
+const HUD_STORAGE_KEY = 'racecar.hud';
+const HUD_ELEMENTS = [
+    { id: 'minimap', name: 'Minimap' },
+    { id: 'tachometer', name: 'Rev counter and speed' },
+    { id: 'lapCounter', name: 'Lap and position' },
+    { id: 'raceTower', name: 'Timing tower' },
+    { id: 'timing', name: 'Lap times' }
+];
+const HUD_REFERENCE_SIZE = { width: 1600, height: 900 }; // Window size the HUD is laid out for at scale 1
+const HUD_SCALE_RANGE = [0.6, 1.5];
+const MINIMAP_SIZE = 200;    // CSS pixels at scale 1
+const MINIMAP_MARGIN = 12;
+const TACHOMETER_SIZE = { width: 220, height: 130 };
+const TACHOMETER_SWEEP = [Math.PI * 0.8, Math.PI * 2.2]; // Canvas angles of zero and maxRpm
+const PLAYER_MAP_COLOR = '#ff0000';
+const HUD_PLAYER_SUFFIXES = ['', 'Two']; // Of the ids of each player's rev counter, lap counter and warning elements
+const RECOVERY_WARNINGS = { stuck: 'STUCK', offCourse: 'OFF COURSE', wrongWay: 'WRONG WAY' };
+const RECOVERY_RESET_ACTIONS = ['resetCar', 'player2ResetCar']; // Each player's reset key
+
+let hudVisible = loadHudSettings();
+let hudScale = 1;
+let minimapTrack = null; // The track outline in minimap pixels, see initHud
+
+function loadHudSettings() {
+    const visible = {};
+    HUD_ELEMENTS.forEach(element => {
+        visible[element.id] = true;
+    });
+    try {
+        const stored = JSON.parse(localStorage.getItem(HUD_STORAGE_KEY));
+        if (stored) {
+            HUD_ELEMENTS.forEach(element => {
+                if (typeof stored[element.id] === 'boolean') visible[element.id] = stored[element.id];
+            });
+        }
+    } catch (error) {
+        console.warn('Ignoring stored HUD settings: ' + error.message);
+    }
+    return visible;
+}
+
+function storeHudSettings() {
+    try {
+        localStorage.setItem(HUD_STORAGE_KEY, JSON.stringify(hudVisible));
+    } catch (error) {
+        console.warn('Could not save HUD settings: ' + error.message);
+    }
+}
+
+function setupHud() {
+    const toggles = document.getElementById('hudToggles');
+    HUD_ELEMENTS.forEach(element => {
+        const row = document.createElement('label');
+        row.className = 'row';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = hudVisible[element.id];
+        checkbox.onchange = () => {
+            hudVisible[element.id] = checkbox.checked;
+            storeHudSettings();
+            applyHudVisibility();
+        };
+        row.append(element.name, checkbox);
+        toggles.appendChild(row);
+    });
+    
+    document.getElementById('hudSettingsOpen').onclick = () => {
+        document.getElementById('hudSettings').style.display = 'block';
+    };
+    document.getElementById('hudSettingsClose').onclick = () => {
+        document.getElementById('hudSettings').style.display = 'none';
+    };
+    
+    applyHudVisibility();
+    resizeHud();
+}
+
+// Hidden elements stay hidden whatever else shows them, e.g. the race tower at the start of a race
+function applyHudVisibility() {
+    HUD_ELEMENTS.forEach(element => {
+        document.body.classList.toggle('hud-hide-' + element.id, !hudVisible[element.id]);
+    });
+}
+
+// Called from windowResized; the canvases keep a sharp backing store at the new size
+function resizeHud() {
+    hudScale = Math.max(HUD_SCALE_RANGE[0], Math.min(HUD_SCALE_RANGE[1],
+        windowWidth / HUD_REFERENCE_SIZE.width, windowHeight / HUD_REFERENCE_SIZE.height));
+    document.documentElement.style.setProperty('--hud-scale', hudScale);
+    
+    sizeHudCanvas(document.getElementById('minimapCanvas'), MINIMAP_SIZE, MINIMAP_SIZE);
+    HUD_PLAYER_SUFFIXES.forEach(suffix => {
+        const tachometer = document.getElementById('tachometerCanvas' + suffix);
+        sizeHudCanvas(tachometer, TACHOMETER_SIZE.width, TACHOMETER_SIZE.height);
+    });
+    if (simulation) initHud();
+}
+
+function sizeHudCanvas(canvasElement, width, height) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvasElement.style.width = width * hudScale + 'px';
+    canvasElement.style.height = height * hudScale + 'px';
+    canvasElement.width = Math.round(width * hudScale * pixelRatio);
+    canvasElement.height = Math.round(height * hudScale * pixelRatio);
+}
+
+// Called whenever a session starts: fit the track into the minimap
+function initHud() {
+    const points = simulation.surface.points;
+    const xs = points.map(point => point.x);
+    const zs = points.map(point => point.z);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minZ = Math.min(...zs);
+    const maxZ = Math.max(...zs);
+    
+    // North up like the track editor: +x to the right, +z down
+    const size = document.getElementById('minimapCanvas').width;
+    const margin = MINIMAP_MARGIN * size / MINIMAP_SIZE;
+    const scale = (size - 2 * margin) / Math.max(maxX - minX, maxZ - minZ, 1);
+    const offsetX = (size - (maxX - minX) * scale) / 2;
+    const offsetY = (size - (maxZ - minZ) * scale) / 2;
+    const toMap = (x, z) => [offsetX + (x - minX) * scale, offsetY + (z - minZ) * scale];
+    
+    minimapTrack = {
+        toMap,
+        scale,
+        centre: points.map(point => toMap(point.x, point.z)),
+        width: points.reduce((sum, point) => sum + point.width, 0) / points.length,
+        pitLane: simulation.pitLane.path.map(point => toMap(point.x, point.z)),
+        start: toMap(trackWaypoints[0].x, trackWaypoints[0].z)
+    };
+}
+
+// Called every frame
+function updateHud() {
+    if (hudVisible.minimap) drawMinimap();
+    localPlayers().forEach((player, i) => {
+        if (hudVisible.tachometer) drawTachometer(HUD_PLAYER_SUFFIXES[i], player);
+        if (hudVisible.lapCounter) updateLapCounter(HUD_PLAYER_SUFFIXES[i], player);
+    });
+    HUD_PLAYER_SUFFIXES.forEach((suffix, i) => updateRecoveryWarning(suffix, localPlayers()[i], i));
+}
+
+function drawMinimap() {
+    const canvasElement = document.getElementById('minimapCanvas');
+    const context = canvasElement.getContext('2d');
+    context.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    if (!minimapTrack) return;
+    
+    const strokePath = (points, width, color) => {
+        context.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+        context.lineWidth = width;
+        context.strokeStyle = color;
+        context.lineJoin = 'round';
+        context.stroke();
+    };
+    const pixel = canvasElement.width / MINIMAP_SIZE;
+    strokePath(minimapTrack.centre, Math.max(3 * pixel, minimapTrack.width * minimapTrack.scale), '#666666');
+    strokePath(minimapTrack.pitLane, Math.max(pixel, simulation.pitLane.rules.width * minimapTrack.scale), '#444444');
+    
+    const [startX, startY] = minimapTrack.start;
+    context.fillStyle = '#ffffff';
+    context.fillRect(startX - 2 * pixel, startY - 2 * pixel, 4 * pixel, 4 * pixel);
+    
+    // The players last, on top of everyone else; online, the guests' cars on the host are players too, and a guest
+    // has everyone else's from the host's snapshots
+    const hex = color => '#' + color.toString(16).padStart(6, '0');
+    const mapColor = entry => {
+        if (entry === simulation.player) return PLAYER_MAP_COLOR;
+        if (network) return hex(networkCarColor(entry.id, entry.name));
+        const driver = OPPONENT_DRIVERS.find(profile => profile.name === entry.name);
+        return hex(driver ? driver.color : SECOND_PLAYER_COLOR);
+    };
+    const drawCar = (position, color, isPlayer) => {
+        const [x, y] = minimapTrack.toMap(position.x, position.z);
+        context.beginPath();
+        context.arc(x, y, (isPlayer ? 5 : 4) * pixel, 0, Math.PI * 2);
+        context.fillStyle = color;
+        context.fill();
+        if (isPlayer) {
+            context.lineWidth = 1.5 * pixel;
+            context.strokeStyle = '#ffffff';
+            context.stroke();
+        }
+    };
+    networkPoses.forEach(pose => drawCar(pose.position, hex(networkCarColor(pose.id, pose.name)), false));
+    simulation.opponents.concat(simulation.players.slice().reverse()).forEach(entry => {
+        drawCar(entry.state.position, mapColor(entry), !entry.driver);
+    });
+}
+
+// The rev counter with id suffix from HUD_PLAYER_SUFFIXES, for a player's car
+function drawTachometer(suffix, player) {
+    const canvasElement = document.getElementById('tachometerCanvas' + suffix);
+    const context = canvasElement.getContext('2d');
+    const pixel = canvasElement.width / TACHOMETER_SIZE.width;
+    const gearbox = player.state.gearbox;
+    context.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    
+    const centreX = canvasElement.width / 2;
+    const centreY = 100 * pixel;
+    const radius = 85 * pixel;
+    const [from, to] = TACHOMETER_SWEEP;
+    const angleOf = rpm => from + (to - from) * Math.min(1, rpm / GEARBOX.maxRpm);
+    const arc = (start, end, color) => {
+        context.beginPath();
+        context.arc(centreX, centreY, radius, start, end);
+        context.lineWidth = 10 * pixel;
+        context.strokeStyle = color;
+        context.stroke();
+    };
+    
+    // Dial, the revs so far and the red line from the change up
+    arc(from, to, 'rgba(255,255,255,0.15)');
+    arc(from, angleOf(gearbox.rpm), gearbox.rpm >= GEARBOX.shiftUpRpm ? '#ff2222' : '#00ccff');
+    arc(angleOf(GEARBOX.shiftUpRpm), to, 'rgba(255,34,34,0.5)');
+    
+    context.fillStyle = '#ffffff';
+    context.textAlign = 'center';
+    context.font = 'bold ' + Math.round(44 * pixel) + 'px Arial';
+    const gear = gearbox.gear === -1 ? 'R' : (gearbox.gear === 0 ? 'N' : String(gearbox.gear));
+    context.fillText(gear, centreX, centreY - 20 * pixel);
+    context.font = Math.round(12 * pixel) + 'px monospace';
+    context.fillText(Math.round(gearbox.rpm) + ' rpm', centreX, centreY + 2 * pixel);
+}
+
+// Lap of the session or race and, racing or qualifying, a player's place
+function updateLapCounter(suffix, player) {
+    let lap;
+    let position = '';
+    if (raceSession) {
+        const entrant = raceSession.entrants.find(candidate => candidate.id === player.id);
+        lap = Math.min(raceSession.laps, Math.max(1, entrant.crossings)) + '/' + raceSession.laps;
+        const place = raceSession.standings().indexOf(entrant) + 1;
+        position = 'P' + place + '/' + raceSession.entrants.length;
+    } else if (lapSession && lapSession.entrants.some(candidate => candidate.id === player.id)) {
+        // Timed laps: the lap of the run, and in qualifying where the player's best lap so far puts them
+        const results = lapSession.results();
+        const lapTimer = lapSession.entrants.find(candidate => candidate.id === player.id).lapTimer;
+        lap = (lapTimer.lap > 0 ? Math.min(lapSession.laps, lapTimer.lap) : '-') + '/' + lapSession.laps;
+        const entry = results.find(candidate => candidate.id === player.id);
+        if (lapSession.rankBy === 'best' && entry.bestLap !== null) {
+            position = 'P' + entry.position + '/' + results.length;
+        }
+    } else {
+        lap = player.lapTimer.lap > 0 ? String(player.lapTimer.lap) : '-';
+    }
+    document.getElementById('lapCounterLap' + suffix).textContent = 'LAP ' + lap;
+    document.getElementById('lapCounterPosition' + suffix).textContent = position;
+}
+
+// Whether a player is stuck, lost or going the wrong way, and how long until their car is put back for it
+function updateRecoveryWarning(suffix, player, index) {
+    const element = document.getElementById('recoveryWarning' + suffix);
+    const recovery = player ? player.recovery : null;
+    element.style.display = recovery && recovery.warning ? 'block' : 'none';
+    if (!recovery || !recovery.warning) return;
+    
+    const key = keyLabel(inputSettings.bindings[RECOVERY_RESET_ACTIONS[index]]);
+    document.getElementById('recoveryWarningTitle' + suffix).textContent = RECOVERY_WARNINGS[recovery.warning];
+    // Online, only the host can put a guest back
+    document.getElementById('recoveryWarningInfo' + suffix).textContent = 'Back on the track in ' +
+        Math.ceil(recovery.remaining) + 's' + (isNetworkGuest() ? '' : ', or press ' + key);
+}
@@ -0,0 +1,207 @@
+// Player input: keyboard, gamepad and touch read into one set of analog controls, and the key binding settings
+const INPUT_STORAGE_KEY = 'racecar.inputSettings';
+
+let inputSettings = loadInputSettings();
+let heldKeys = new Set();    // KeyboardEvent.code of every key down
+let keyboardSteer = [0, 0];  // Each player's ramped steering from the keys, see rampKeyboardSteer
+let touchControls = { throttle: 0, brake: 0, steer: 0 };
+let activeGamepad = null;    // Gamepad read on the last tick
+let gamepadFirstPersonDown = false;
+let rebindingAction = null;  // Action waiting for a key in the settings panel
+
+function loadInputSettings() {
+    try {
+        const stored = localStorage.getItem(INPUT_STORAGE_KEY);
+        return normalizeInputSettings(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+        console.warn('Ignoring stored input settings: ' + error.message);
+        return normalizeInputSettings(null);
+    }
+}
+
+function storeInputSettings() {
+    try {
+        localStorage.setItem(INPUT_STORAGE_KEY, JSON.stringify(inputSettings));
+    } catch (error) {
+        console.warn('Could not save input settings: ' + error.message);
+    }
+}
+
+function isActionHeld(actionId) {
+    return heldKeys.has(inputSettings.bindings[actionId]);
+}
+
+// The first connected pad, or the one after that with index 1; the browser only lists them once a button has been
+// pressed
+function findGamepad(index = 0) {
+    if (!navigator.getGamepads) return null;
+    return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected)[index] || null;
+}
+
+// Called every simulation tick for each player. Player 2 in split screen has their own keys and the second pad.
+function readInputControls(dt, player = 0) {
+    const actions = PLAYER_DRIVING_ACTIONS[player];
+    const steerTarget = (isActionHeld(actions.steerRight) ? 1 : 0) - (isActionHeld(actions.steerLeft) ? 1 : 0);
+    keyboardSteer[player] = rampKeyboardSteer(keyboardSteer[player], steerTarget, dt);
+    
+    const sources = [{
+        throttle: isActionHeld(actions.throttle) ? 1 : 0,
+        brake: isActionHeld(actions.brake) ? 1 : 0,
+        steer: keyboardSteer[player]
+    }];
+    
+    let gamepad;
+    if (player === 0) {
+        sources.push(touchControls);
+        gamepad = activeGamepad = findGamepad();
+    } else {
+        gamepad = findGamepad(1);
+    }
+    if (gamepad) sources.push(readGamepadControls(gamepad, inputSettings));
+    
+    return combineControls(sources);
+}
+
+// True on the tick the gamepad's first person button goes down; the key comes through keyPressed
+function readFirstPersonPress() {
+    const button = activeGamepad && activeGamepad.buttons[GAMEPAD_FIRST_PERSON_BUTTON];
+    const down = Boolean(button && button.pressed);
+    const pressed = down && !gamepadFirstPersonDown;
+    gamepadFirstPersonDown = down;
+    return pressed;
+}
+
+// Returns the action the key triggers, or null if it is unbound or taken by the settings panel
+function inputKeyDown(code) {
+    if (rebindingAction) {
+        if (code !== 'Escape') {
+            inputSettings.bindings = rebindKey(inputSettings.bindings, rebindingAction, code);
+            storeInputSettings();
+        }
+        rebindingAction = null;
+        updateInputSettingsPanel();
+        return null;
+    }
+    
+    heldKeys.add(code);
+    return findBoundAction(inputSettings.bindings, code);
+}
+
+function inputKeyUp(code) {
+    heldKeys.delete(code);
+}
+
+// Touch: a steering pad on the left, where the finger's distance from its centre is the lock, and two pedals
+function setupTouchControls() {
+    const panel = document.getElementById('touchControls');
+    const steerPad = document.getElementById('touchSteer');
+    let steerPointer = null;
+    
+    const updateSteer = event => {
+        const bounds = steerPad.getBoundingClientRect();
+        const offset = (event.clientX - bounds.left - bounds.width / 2) / (bounds.width / 2);
+        touchControls.steer = applyDeadzone(Math.max(-1, Math.min(1, offset)), 0.05);
+    };
+    steerPad.onpointerdown = event => {
+        steerPointer = event.pointerId;
+        steerPad.setPointerCapture(event.pointerId);
+        updateSteer(event);
+    };
+    steerPad.onpointermove = event => {
+        if (event.pointerId === steerPointer) updateSteer(event);
+    };
+    steerPad.onpointerup = steerPad.onpointercancel = event => {
+        if (event.pointerId !== steerPointer) return;
+        steerPointer = null;
+        touchControls.steer = 0;
+    };
+    
+    [['touchThrottle', 'throttle'], ['touchBrake', 'brake']].forEach(([id, pedal]) => {
+        const element = document.getElementById(id);
+        element.onpointerdown = event => {
+            element.setPointerCapture(event.pointerId);
+            touchControls[pedal] = 1;
+        };
+        element.onpointerup = element.onpointercancel = () => {
+            touchControls[pedal] = 0;
+        };
+    });
+    
+    // Only shown on touch screens, from the first touch if the browser did not say so up front
+    const showTouchControls = () => {
+        panel.style.display = 'block';
+    };
+    if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) showTouchControls();
+    window.addEventListener('touchstart', showTouchControls, { once: true });
+}
+
+function setupInputControls() {
+    setupTouchControls();
+    
+    // Keys held while the window loses focus never see their release
+    window.addEventListener('blur', () => {
+        heldKeys.clear();
+    });
+    
+    document.getElementById('inputSettingsOpen').onclick = () => {
+        document.getElementById('inputSettings').style.display = 'block';
+        updateInputSettingsPanel();
+    };
+    document.getElementById('inputSettingsClose').onclick = () => {
+        rebindingAction = null;
+        document.getElementById('inputSettings').style.display = 'none';
+    };
+    document.getElementById('inputSettingsReset').onclick = () => {
+        rebindingAction = null;
+        inputSettings = normalizeInputSettings(null);
+        storeInputSettings();
+        updateInputSettingsPanel();
+    };
+    
+    const deadzone = document.getElementById('stickDeadzone');
+    deadzone.oninput = () => {
+        inputSettings.stickDeadzone = Number(deadzone.value);
+        storeInputSettings();
+        updateInputSettingsPanel();
+    };
+    deadzone.onchange = () => deadzone.blur(); // Keep arrow keys for driving
+    window.addEventListener('gamepadconnected', updateInputSettingsPanel);
+    window.addEventListener('gamepaddisconnected', updateInputSettingsPanel);
+    
+    updateInputSettingsPanel();
+}
+
+// Rebuild the binding list, the deadzone slider and the on-screen controls help
+function updateInputSettingsPanel() {
+    const bindings = inputSettings.bindings;
+    
+    const list = document.getElementById('keyBindings');
+    list.innerHTML = '';
+    INPUT_ACTIONS.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'row';
+        const label = document.createElement('span');
+        label.textContent = action.label;
+        const button = document.createElement('button');
+        button.textContent = rebindingAction === action.id ? 'Press a key…' : keyLabel(bindings[action.id]);
+        button.onclick = () => {
+            rebindingAction = action.id;
+            button.blur(); // Space and Enter would press the button again
+            updateInputSettingsPanel();
+        };
+        row.append(label, button);
+        list.appendChild(row);
+    });
+    
+    document.getElementById('stickDeadzone').value = inputSettings.stickDeadzone;
+    document.getElementById('stickDeadzoneValue').textContent = Math.round(inputSettings.stickDeadzone * 100) + '%';
+    
+    const gamepad = findGamepad();
+    document.getElementById('gamepadStatus').textContent = gamepad ?
+        'Gamepad: ' + gamepad.id :
+        'Gamepad: none (press a button to connect)';
+    
+    const help = INPUT_ACTIONS.map(action => keyLabel(bindings[action.id]) + ' - ' + action.label);
+    document.getElementById('instructions').innerHTML = '<strong>Controls:</strong><br>' + help.join('<br>') +
+        '<br>Gamepad: RT/LT - Accelerate/Brake, left stick - Steer, Y - First person view';
+}
@@ -0,0 +1,359 @@
+// Online sessions: a lobby to make a room on the relay (server/relay.js) or join one by its code, and the netcode
+// that keeps everyone's cars and barriers together, see sim/netcode.js. The host runs the session with its AI cars
+// and everyone else's inputs; the guests drive their own car straight away and draw the others from the snapshots.
+// Online sessions are practice, one player to a screen.
+const NETWORK_STORAGE_KEY = 'racecar.network';
+const NETWORK_COLORS = [0x00cccc, 0xff33cc, 0xffffff, 0x99ff33, 0x3366ff, 0xff9999, 0x996633, 0x666666]; // Join order
+const NETWORK_LOCKED_CONTROLS = ['sessionMenuOpen', 'lapsSelect', 'playersSelect', 'editorOpen'];
+const NETWORK_HOST_CONTROLS = ['trackSelect', 'handlingSelect', 'opponentSelect']; // Locked for the guests
+const NETWORK_LOBBY_MESSAGES = ['joined', 'peerJoined', 'peerLeft', 'error']; // See server/relay.js
+
+// { socket, id, room, host, peers } once the relay has a socket open; id, room and host are null until it puts us in
+// a room. peers are [{ id, name }] in the order they joined, us included.
+let network = null;
+let networkSettings = loadNetworkSettings();
+let networkSession = 0;     // The host's count of its sessions, so inputs and snapshots from an earlier one are dropped
+let networkStart = null;    // Guest: the host's session message, see initNetwork
+let networkQueues = {};     // Host: InputQueue by guest id
+let networkHistory = new InputHistory();   // Guest: our inputs the host has not taken
+let networkBuffer = new SnapshotBuffer();  // Guest: everyone else's cars
+let networkSnapshot = null; // Guest: the newest snapshot, for the next step
+let networkPoses = [];      // Guest: everyone else's cars as last drawn, see SnapshotBuffer.sample
+let networkMeshes = {};     // Car meshes by id for the cars drawn here: the guests' on the host, the others' on a guest
+
+function loadNetworkSettings() {
+    const settings = { name: '', server: defaultRelayUrl() };
+    try {
+        const stored = JSON.parse(localStorage.getItem(NETWORK_STORAGE_KEY));
+        if (stored && typeof stored.name === 'string') settings.name = stored.name;
+        if (stored && typeof stored.server === 'string' && stored.server) settings.server = stored.server;
+    } catch (error) {
+        console.warn('Ignoring stored online settings: ' + error.message);
+    }
+    return settings;
+}
+
+function storeNetworkSettings() {
+    try {
+        localStorage.setItem(NETWORK_STORAGE_KEY, JSON.stringify(networkSettings));
+    } catch (error) {
+        console.warn('Could not save online settings: ' + error.message);
+    }
+}
+
+// The relay serves the game too, so a page it served talks back to where it came from
+function defaultRelayUrl() {
+    const location = window.location;
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+        return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host;
+    }
+    return 'ws://localhost:8080';
+}
+
+function isNetworkHost() {
+    return Boolean(network && network.room && network.host === network.id);
+}
+
+function isNetworkGuest() {
+    return Boolean(network && network.room && network.host !== network.id);
+}
+
+function setupNetwork() {
+    const nameInput = document.getElementById('networkName');
+    const serverInput = document.getElementById('networkServer');
+    const roomInput = document.getElementById('networkRoom');
+    nameInput.value = networkSettings.name;
+    serverInput.value = networkSettings.server;
+    const remember = () => {
+        networkSettings = { name: nameInput.value.trim(), server: serverInput.value.trim() || defaultRelayUrl() };
+        storeNetworkSettings();
+    };
+    
+    document.getElementById('networkOpen').onclick = () => {
+        document.getElementById('networkPanel').style.display = 'block';
+    };
+    document.getElementById('networkClose').onclick = () => {
+        document.getElementById('networkPanel').style.display = 'none';
+    };
+    document.getElementById('networkCreate').onclick = () => {
+        remember();
+        connectNetwork({ type: 'create', name: networkSettings.name });
+    };
+    document.getElementById('networkJoin').onclick = () => {
+        remember();
+        if (!roomInput.value.trim()) {
+            showNetworkStatus('Type in the code of the room to join');
+            return;
+        }
+        connectNetwork({ type: 'join', room: roomInput.value.trim(), name: networkSettings.name });
+    };
+    document.getElementById('networkLeave').onclick = () => leaveNetwork('Left the room');
+    showNetworkStatus('');
+}
+
+// Open a socket to the relay and send it a create or join message
+function connectNetwork(message) {
+    if (network) leaveNetwork('');
+    let socket;
+    try {
+        socket = new WebSocket(networkSettings.server);
+    } catch (error) {
+        showNetworkStatus('Could not connect: ' + error.message);
+        return;
+    }
+    network = { socket, id: null, room: null, host: null, peers: [] };
+    showNetworkStatus('Connecting to ' + networkSettings.server + '...');
+    
+    socket.onopen = () => socket.send(JSON.stringify(message));
+    socket.onmessage = event => {
+        if (!network || network.socket !== socket) return;
+        try {
+            handleNetworkMessage(JSON.parse(event.data));
+        } catch (error) {
+            console.warn('Ignoring online message: ' + error.message);
+        }
+    };
+    socket.onclose = () => {
+        if (network && network.socket === socket) leaveNetwork('Lost the connection to the relay');
+    };
+    socket.onerror = () => {
+        if (network && network.socket === socket && !network.room) {
+            leaveNetwork('Could not reach the relay at ' + networkSettings.server + ' - start it with npm run relay');
+        }
+    };
+}
+
+// Back to a session of our own
+function leaveNetwork(status) {
+    if (!network) return;
+    const socket = network.socket;
+    network = null;
+    networkStart = null;
+    socket.onclose = null;
+    if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) socket.close();
+    
+    applyNetworkControls();
+    showNetworkStatus(status);
+    if (currentTrack) resetSession();
+}
+
+function sendNetworkMessage(message) {
+    if (network && network.socket.readyState === WebSocket.OPEN) network.socket.send(JSON.stringify(message));
+}
+
+function handleNetworkMessage(message) {
+    // The relay marks what the other players send with who it is from, so they cannot pass for the relay
+    if (NETWORK_LOBBY_MESSAGES.includes(message.type) && message.from !== undefined) return;
+    switch (message.type) {
+        case 'joined':
+            network.id = message.id;
+            network.room = message.room;
+            network.host = message.host;
+            network.peers = message.peers;
+            applyNetworkControls();
+            if (isNetworkHost() && currentTrack) resetSession();
+            break;
+        case 'peerJoined':
+            network.peers.push({ id: message.id, name: message.name });
+            if (isNetworkHost() && currentTrack) resetSession(); // Everyone starts again, with the newcomer on the grid
+            break;
+        case 'peerLeft':
+            network.peers = network.peers.filter(peer => peer.id !== message.id);
+            if (message.host !== network.host) {
+                // The host left, and whoever has been in longest carries the session on
+                network.host = message.host;
+                networkStart = null;
+                applyNetworkControls();
+                if (isNetworkHost() && currentTrack) resetSession();
+            } else if (isNetworkHost() && currentTrack) {
+                simulation.removeCar(message.id);
+                delete networkQueues[message.id];
+                removeNetworkMesh(message.id);
+            }
+            break;
+        case 'session':
+            if (isNetworkGuest() && message.from === network.host) startNetworkSession(message);
+            break;
+        case 'input':
+            if (isNetworkHost() && message.session === networkSession && networkQueues[message.from]) {
+                networkQueues[message.from].push(message.inputs);
+            }
+            break;
+        case 'snapshot':
+            if (isNetworkGuest() && networkStart && message.from === network.host &&
+                message.session === networkStart.session) {
+                networkSnapshot = message;
+                networkBuffer.push(message, performance.now() / 1000);
+            }
+            break;
+        case 'error':
+            if (!network.room) {
+                leaveNetwork(message.message);
+            } else {
+                showNetworkStatus(message.message);
+            }
+            return;
+    }
+    showNetworkStatus('');
+}
+
+// Guests drive the host's track with its handling, from where it put them
+function startNetworkSession(message) {
+    networkStart = message;
+    CAR_SETUP.model = message.model;
+    document.getElementById('handlingSelect').value = message.model;
+    
+    if (!currentTrack || serializeTrackDefinition(currentTrack) !== message.track) {
+        document.getElementById('trackSelect').value = message.trackId;
+        loadTrack(parseTrackDefinition(JSON.parse(message.track), message.trackId));
+    } else {
+        resetSession();
+    }
+}
+
+// Called whenever a session starts, after the AI cars have been added: the host puts the guests on the grid and tells
+// them about the session; a guest takes its place from the host
+function initNetwork() {
+    Object.keys(networkMeshes).forEach(removeNetworkMesh);
+    networkQueues = {};
+    networkHistory = new InputHistory();
+    networkBuffer.clear();
+    networkSnapshot = null;
+    networkPoses = [];
+    if (!network || !network.room) return;
+    
+    const me = network.peers.find(peer => peer.id === network.id);
+    if (me) simulation.player.name = me.name;
+    
+    if (isNetworkHost()) {
+        networkSession++;
+        network.peers.filter(peer => peer.id !== network.id).forEach((peer, i) => {
+            simulation.addCar(peer.id, peer.name, simulation.gridStart(i));
+            networkQueues[peer.id] = new InputQueue();
+        });
+        sendNetworkMessage({
+            type: 'session',
+            session: networkSession,
+            track: serializeTrackDefinition(currentTrack),
+            trackId: currentTrack.id,
+            model: CAR_SETUP.model,
+            snapshot: createSnapshot(simulation, {}, network.id)
+        });
+    } else if (networkStart) {
+        const entry = networkStart.snapshot.cars.find(car => car.id === network.id);
+        if (entry) simulation.placeCar(simulation.player, entry.state);
+        applyBarrierSnapshot(simulation.barriers, networkStart.snapshot);
+    }
+}
+
+// The controls for Simulation.step: on the host, ours and then each guest's next input in the order they are in
+// the session
+function networkControls(controls) {
+    if (!isNetworkHost()) return controls;
+    return [controls].concat(simulation.players.slice(1).map(car => {
+        const queue = networkQueues[car.id];
+        return queue ? queue.next() : car.controls;
+    }));
+}
+
+// Before each step, a guest takes its car and the barriers from the host's newest snapshot
+function applyNetworkSnapshot() {
+    if (!isNetworkGuest() || !networkSnapshot) return;
+    const snapshot = networkSnapshot;
+    networkSnapshot = null;
+    
+    applyBarrierSnapshot(simulation.barriers, snapshot);
+    const entry = snapshot.cars.find(car => car.id === network.id);
+    if (entry) reconcileCar(simulation, simulation.player, entry.state, networkHistory.acknowledge(entry.ack));
+}
+
+// After each step, the host shares a snapshot every few and a guest sends the input it drove with
+function shareNetworkStep(controls) {
+    if (isNetworkHost()) {
+        if (simulation.tick % NETCODE.snapshotTicks !== 0) return;
+        const acks = {};
+        Object.keys(networkQueues).forEach(id => {
+            acks[id] = networkQueues[id].ack;
+        });
+        sendNetworkMessage(Object.assign({ type: 'snapshot', session: networkSession },
+            createSnapshot(simulation, acks, network.id)));
+    } else if (isNetworkGuest() && networkStart) {
+        networkHistory.record(simulation.tick, controls);
+        sendNetworkMessage({
+            type: 'input',
+            session: networkStart.session,
+            inputs: [{ tick: simulation.tick, controls }]
+        });
+    }
+}
+
+// The livery of a car drawn here: the AI cars' own, and the players' by the order they joined
+function networkCarColor(id, name) {
+    const driver = OPPONENT_DRIVERS.find(profile => profile.name === name);
+    if (driver) return driver.color;
+    const index = network ? network.peers.findIndex(peer => peer.id === id) : -1;
+    return NETWORK_COLORS[Math.max(0, index) % NETWORK_COLORS.length];
+}
+
+function networkMesh(id, name) {
+    if (!networkMeshes[id]) {
+        networkMeshes[id] = createCarMesh({ color: networkCarColor(id, name) });
+        scene.add(networkMeshes[id]);
+    }
+    return networkMeshes[id];
+}
+
+function removeNetworkMesh(id) {
+    if (!networkMeshes[id]) return;
+    scene.remove(networkMeshes[id]);
+    delete networkMeshes[id];
+}
+
+// The guests' cars on the host, between their last two steps; everyone else's on a guest, from the snapshots
+function renderNetworkCars(alpha) {
+    if (isNetworkHost()) {
+        simulation.players.slice(1).forEach(car => {
+            const mesh = networkMesh(car.id, car.name);
+            placeCarMesh(mesh, car.previousPose, car.state, alpha);
+            showCarDamage(mesh, car.state.damage);
+        });
+    } else if (isNetworkGuest()) {
+        networkPoses = networkBuffer.sample(performance.now() / 1000).filter(pose => pose.id !== network.id);
+        networkPoses.forEach(pose => {
+            const mesh = networkMesh(pose.id, pose.name);
+            mesh.position.set(pose.position.x, pose.position.y, pose.position.z);
+            orientCarMesh(mesh, pose.rotation, pose.normal);
+            showCarDamage(mesh, pose.damage);
+        });
+        // Players who have left
+        Object.keys(networkMeshes).forEach(id => {
+            if (!networkPoses.some(pose => pose.id === id)) removeNetworkMesh(id);
+        });
+    }
+}
+
+// Online sessions are practice with one player at each screen, and only the host picks the track, handling and AI
+function applyNetworkControls() {
+    if (network) {
+        if (splitScreen) setSplitScreen(false);
+        if (sessionFlow.stage !== 'practice' || sessionFlow.state !== 'running') beginSession('practice');
+    }
+    NETWORK_LOCKED_CONTROLS.forEach(id => {
+        document.getElementById(id).disabled = Boolean(network);
+    });
+    NETWORK_HOST_CONTROLS.forEach(id => {
+        document.getElementById(id).disabled = isNetworkGuest();
+    });
+}
+
+function showNetworkStatus(message) {
+    const online = Boolean(network && network.room);
+    let text = message;
+    if (online) {
+        const names = network.peers.map(peer => peer.name + (peer.id === network.host ? ' (host)' : '')).join(', ');
+        text = 'Room ' + network.room + ': ' + names + (message ? '\n' + message : '');
+    }
+    document.getElementById('networkStatus').textContent = text; // Names are whatever the players typed
+    document.getElementById('networkOpen').textContent = online ? 'Online: ' + network.room : 'Online';
+    document.getElementById('networkLeave').style.display = network ? 'inline-block' : 'none';
+}
@@ -0,0 +1,42 @@
+// AI opponents: cars driven by sim/aiDriver.js through the same physics as the player
+const OPPONENT_DRIVERS = [
+    { name: 'Blue', color: 0x2266dd, skill: 0.95, aggression: 0.7 },
+    { name: 'Green', color: 0x22aa44, skill: 0.85, aggression: 0.9 },
+    { name: 'Yellow', color: 0xffcc00, skill: 0.8, aggression: 0.4 },
+    { name: 'Purple', color: 0x8844cc, skill: 0.7, aggression: 0.6 },
+    { name: 'Orange', color: 0xff7722, skill: 0.6, aggression: 0.3 }
+];
+
+let opponentCount = 3;
+let opponentMeshes = []; // One per simulation.opponents entry
+
+// Called whenever a session starts, after the simulation has been reset
+function initOpponents() {
+    opponentMeshes.forEach(mesh => scene.remove(mesh));
+    opponentMeshes = [];
+    
+    // Outside a race the AI cars start spread evenly round the lap. Time trials are run alone, and online the guests
+    // see the host's.
+    const alone = isNetworkGuest() || sessionFlow.stage === 'timeTrial';
+    const count = alone ? 0 : Math.min(opponentCount, OPPONENT_DRIVERS.length);
+    for (let i = 0; i < count; i++) {
+        const profile = OPPONENT_DRIVERS[i];
+        simulation.addOpponent(profile, simulation.spacedStart(i, count));
+        
+        const mesh = createCarMesh({ color: profile.color });
+        scene.add(mesh);
+        opponentMeshes.push(mesh);
+    }
+}
+
+function setOpponentCount(count) {
+    opponentCount = count;
+    if (currentTrack) resetSession();
+}
+
+function renderOpponents(alpha) {
+    simulation.opponents.forEach((opponent, i) => {
+        placeCarMesh(opponentMeshes[i], opponent.previousPose, opponent.state, alpha);
+        showCarDamage(opponentMeshes[i], opponent.state.damage);
+    });
+}
@@ -0,0 +1,59 @@
+// Pit stops: the player's tires and fuel, what the crew do at the next stop and the limiter light,
+// see sim/pitLane.js
+const PIT_FUEL_CHOICES = [20, 40, FUEL_CAPACITY];
+
+let pitTires = DEFAULT_TIRE_COMPOUND; // Compound fitted at the next stop, or 'keep'
+let pitFuel = FUEL_CAPACITY;          // kg in the tank after the next stop
+
+// Carry the player's plan over to a new simulation; called whenever a session starts
+function initPitStop() {
+    simulation.player.pitPlan = { tires: pitTires === 'keep' ? null : pitTires, fuel: pitFuel };
+}
+
+function setupPitControls() {
+    const tiresSelect = document.getElementById('pitTires');
+    Object.keys(TIRE_COMPOUNDS).forEach(compound => {
+        const option = document.createElement('option');
+        option.value = compound;
+        option.textContent = TIRE_COMPOUNDS[compound].name;
+        tiresSelect.appendChild(option);
+    });
+    tiresSelect.value = pitTires;
+    tiresSelect.onchange = () => {
+        pitTires = tiresSelect.value;
+        if (simulation) initPitStop();
+        tiresSelect.blur(); // Keep arrow keys for driving
+    };
+    
+    const fuelSelect = document.getElementById('pitFuel');
+    PIT_FUEL_CHOICES.forEach(fuel => {
+        const option = document.createElement('option');
+        option.value = fuel;
+        option.textContent = fuel + ' kg';
+        fuelSelect.appendChild(option);
+    });
+    fuelSelect.value = pitFuel;
+    fuelSelect.onchange = () => {
+        pitFuel = Number(fuelSelect.value);
+        if (simulation) initPitStop();
+        fuelSelect.blur();
+    };
+}
+
+function updatePitDisplay() {
+    const player = simulation.player;
+    const state = player.state;
+    
+    document.getElementById('pitTireValue').textContent =
+        TIRE_COMPOUNDS[state.tires.compound].name + ' ' + Math.round((1 - state.tires.wear) * 100) + '%';
+    document.getElementById('pitFuelValue').textContent = state.fuel.toFixed(1) + ' kg';
+    document.getElementById('pitLimiter').style.display = player.inPitLane ? 'block' : 'none';
+    
+    let status = '';
+    if (player.pitStop) {
+        status = 'Pit stop ' + Math.max(0, player.pitStop.duration - player.pitStop.elapsed).toFixed(1) + 's';
+    } else if (state.fuel <= 0) {
+        status = 'Out of fuel';
+    }
+    document.getElementById('pitStatus').textContent = status;
+}
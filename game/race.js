@@ -0,0 +1,116 @@
+// Races: starting grid, lights-out countdown, live positions and the classification screen
+let raceSession = null; // RaceSession while racing, see sim/raceSession.js
+
+// Called whenever a session starts, after the cars have been placed
+function initRace() {
+    raceSession = null;
+    document.getElementById('raceResults').style.display = 'none';
+    
+    if (sessionFlow.stage !== 'race') {
+        document.getElementById('raceLights').style.display = 'none';
+        document.getElementById('raceTower').style.display = 'none';
+        return;
+    }
+    
+    // In the order they qualified, or else the AI cars in order with the players at the back
+    const lineUp = simulation.opponents.concat(simulation.players);
+    if (qualifyingGrid) {
+        const place = car => qualifyingGrid.includes(car.id) ? qualifyingGrid.indexOf(car.id) : qualifyingGrid.length;
+        lineUp.sort((a, b) => place(a) - place(b));
+    }
+    lineUp.forEach((car, i) => simulation.placeCar(car, simulation.gridStart(i)));
+    
+    const entrants = simulation.cars.map(entry => ({ id: entry.id, name: entry.name }));
+    raceSession = new RaceSession(trackWaypoints, entrants, {
+        laps: sessionLaps,
+        trackQuery: simulation.trackQuery,
+        holdTime: simulation.random.range(0.2, 1.5) // Nobody can time the lights
+    });
+    
+    document.getElementById('raceLights').style.display = 'block';
+    document.getElementById('raceTower').style.display = 'block';
+}
+
+// Cars wait on the grid until the lights go out
+function raceCarsHeld() {
+    return raceSession !== null && !raceSession.started;
+}
+
+// Called every simulation tick after the cars have moved, with the events from Simulation.step
+function updateRace(dt, simulationEvents) {
+    if (!raceSession) return;
+    
+    // Track limits penalties count towards the race time
+    simulationEvents.filter(event => event.seconds).forEach(event => raceSession.addPenalty(event.car, event.seconds));
+    
+    const positions = simulation.cars.map(entry => entry.state.position);
+    raceSession.update(dt, positions).forEach(event => {
+        // Show the classification once the players have all taken the flag, or the race is over without them
+        const playersFinished = simulation.players.every(player =>
+            raceSession.entrants.find(entrant => entrant.id === player.id).finished);
+        if ((event.type === 'finish' && playersFinished) || event.type === 'end') {
+            document.getElementById('raceResults').style.display = 'block';
+            sessionFlow.finish();
+        }
+    });
+}
+
+function updateRaceDisplay() {
+    if (!raceSession) return;
+    
+    // Lights come on one by one and all go out together at the start
+    const lights = document.querySelectorAll('#raceLights .light');
+    lights.forEach((light, i) => {
+        light.className = i < raceSession.lightsOn ? 'light on' : 'light';
+    });
+    document.getElementById('raceLights').style.display = raceSession.started ? 'none' : 'block';
+    
+    const classification = raceSession.classification();
+    const player = raceSession.entrants[0];
+    const playerLap = Math.min(raceSession.laps, Math.max(1, player.crossings));
+    const playerPosition = classification.find(entry => entry.id === 'player').position;
+    const playerIds = simulation.players.map(player => player.id);
+    const rows = classification.map(entry => {
+        // The interval to the car in the place ahead, picked out for the cars either side of the player
+        const near = Math.abs(entry.position - playerPosition) === 1;
+        const interval = entry.interval === null ? '' : formatDelta(entry.interval);
+        let gap = '';
+        if (entry.lapsBehind > 0) {
+            gap = '+' + entry.lapsBehind + (entry.lapsBehind === 1 ? ' lap' : ' laps');
+        } else if (entry.gap !== null) {
+            gap = formatDelta(entry.gap);
+        } else if (entry.finished) {
+            gap = formatLapTime(entry.time);
+        }
+        const className = playerIds.includes(entry.id) ? ' player' : (near ? ' near' : '');
+        return '<div class="row' + className + '"><span>' + entry.position + ' ' + escapeHTML(entry.name) + '</span>' +
+            '<span class="interval">' + interval + '</span><span>' + gap + '</span></div>';
+    });
+    document.getElementById('raceTower').innerHTML =
+        '<div class="row"><strong>Race</strong><span>Lap ' + playerLap + '/' + raceSession.laps + '</span></div>' + rows.join('');
+    
+    if (document.getElementById('raceResults').style.display === 'block') {
+        updateRaceResults(classification);
+    }
+}
+
+function updateRaceResults(classification) {
+    const playerIds = simulation.players.map(player => player.id);
+    const rows = classification.map(entry => {
+        let result;
+        if (!entry.finished) {
+            result = raceSession.phase === 'finished' ? 'Not classified' : 'Running';
+        } else if (entry.position === 1) {
+            result = formatLapTime(entry.time);
+        } else if (entry.lapsBehind > 0) {
+            result = '+' + entry.lapsBehind + (entry.lapsBehind === 1 ? ' lap' : ' laps');
+        } else {
+            result = formatDelta(entry.gap);
+        }
+        return '<tr' + (playerIds.includes(entry.id) ? ' class="player"' : '') + '>' +
+            '<td>' + entry.position + '</td><td>' + escapeHTML(entry.name) + '</td><td>' + result + '</td>' +
+            '<td>Best ' + formatLapTime(entry.bestLap) + '</td>' +
+            '<td>' + (entry.penalty > 0 ? 'Incl. ' + entry.penalty + 's penalty' : '') + '</td></tr>';
+    });
+    document.getElementById('raceResultsTable').innerHTML = rows.join('');
+}
@@ -0,0 +1,205 @@
+// Ghost car and replay viewer for the best lap on each track
+const BEST_LAP_STORAGE_PREFIX = 'racecar.bestLap.';
+
+let replayRecorder = null;
+let bestLapReplay = null; // Replay the ghost races against
+let ghostPlayer = null;
+let ghostCar = null;
+let replayViewer = null;  // ReplayPlayer while the viewer is open
+
+// Called whenever a track loads
+function initReplays() {
+    replayRecorder = new ReplayRecorder(SIMULATION_STEP);
+    setBestLapReplay(loadStoredReplay(currentTrack.id));
+    
+    if (!ghostCar) {
+        ghostCar = createCarMesh({ color: 0x66ccff, opacity: 0.35 });
+        scene.add(ghostCar);
+    }
+    ghostCar.visible = false;
+    
+    closeReplayViewer();
+    updateReplayInfo();
+}
+
+function setBestLapReplay(replay) {
+    bestLapReplay = replay;
+    ghostPlayer = replay ? new ReplayPlayer(replay) : null;
+}
+
+function loadStoredReplay(trackId) {
+    try {
+        const stored = localStorage.getItem(BEST_LAP_STORAGE_PREFIX + trackId);
+        return stored ? parseReplay(stored) : null;
+    } catch (error) {
+        console.warn('Ignoring stored replay for ' + trackId + ': ' + error.message);
+        return null;
+    }
+}
+
+function storeReplay(replay) {
+    try {
+        localStorage.setItem(BEST_LAP_STORAGE_PREFIX + replay.trackId, serializeReplay(replay));
+    } catch (error) {
+        console.warn('Could not save replay: ' + error.message);
+    }
+}
+
+// Called every simulation tick after lap timing has been updated
+function recordReplayFrame(lapEvents) {
+    lapEvents.filter(event => event.type === 'lap' && event.car === simulation.player.id).forEach(event => {
+        const replay = replayRecorder.finishLap(currentTrack.id, currentTrack.name, event.time);
+        
+        // Keep the fastest valid lap as the ghost, across sessions
+        if (event.valid && (!bestLapReplay || event.time < bestLapReplay.lapTime)) {
+            setBestLapReplay(replay);
+            storeReplay(replay);
+            updateReplayInfo();
+        }
+        
+        replayRecorder.startLap();
+    });
+    
+    if (simulation.lapTimer.lap > 0) {
+        replayRecorder.record(simulation.player.state, simulation.player.controls);
+    }
+}
+
+// Position the ghost at the same point in its lap as the current lap timer
+function updateGhost(alpha) {
+    if (!ghostCar) return;
+    
+    const lapTimer = simulation.lapTimer;
+    const lapTime = lapTimer.currentTime - (1 - alpha) * SIMULATION_STEP;
+    
+    // No ghost in a race or split screen, where it would only get in the way
+    if (!ghostPlayer || raceSession || splitScreen || lapTimer.lap === 0 || lapTime < 0 || lapTime > ghostPlayer.duration) {
+        ghostCar.visible = false;
+        return;
+    }
+    
+    placeReplayCar(ghostPlayer.sample(lapTime));
+}
+
+function placeReplayCar(pose) {
+    ghostCar.visible = true;
+    const contact = simulation.contactAt({ position: pose });
+    ghostCar.position.set(pose.x, contact.height, pose.z);
+    orientCarMesh(ghostCar, pose.rotation, contact.normal);
+}
+
+function toggleReplayViewer() {
+    if (document.getElementById('replayPanel').style.display === 'block') {
+        closeReplayViewer();
+    } else {
+        openReplayViewer();
+    }
+}
+
+function openReplayViewer() {
+    document.getElementById('replayPanel').style.display = 'block';
+    
+    if (!bestLapReplay) {
+        document.getElementById('replayInfo').textContent = 'No lap recorded yet - import one';
+        return;
+    }
+    
+    replayViewer = new ReplayPlayer(bestLapReplay);
+    replayViewer.speed = Number(document.getElementById('replaySpeed').value);
+    replayViewer.play();
+    car.visible = false;
+    updateReplayInfo();
+}
+
+function closeReplayViewer() {
+    replayViewer = null;
+    document.getElementById('replayPanel').style.display = 'none';
+    if (car) car.visible = true;
+}
+
+// Advance the viewer by real frame time and show the replay car
+function updateReplayViewer(elapsed) {
+    replayViewer.update(elapsed);
+    const pose = replayViewer.sample();
+    placeReplayCar(pose);
+    
+    document.getElementById('replayPlay').textContent = replayViewer.playing ? 'Pause' : 'Play';
+    document.getElementById('replayScrub').value = Math.round(replayViewer.time / replayViewer.duration * 1000);
+    document.getElementById('replayTime').textContent =
+        formatLapTime(replayViewer.time) + ' / ' + formatLapTime(replayViewer.duration);
+    document.getElementById('replayInputs').textContent =
+        'Throttle ' + Math.round(pose.controls.throttle * 100) + '%  ' +
+        'Brake ' + Math.round(pose.controls.brake * 100) + '%  ' +
+        'Steer ' + pose.controls.steer.toFixed(2);
+}
+
+function updateReplayInfo() {
+    const info = document.getElementById('replayInfo');
+    info.textContent = bestLapReplay ?
+        bestLapReplay.trackName + ' ' + formatLapTime(bestLapReplay.lapTime) :
+        'No lap recorded yet';
+}
+
+function exportReplay() {
+    if (!bestLapReplay) return;
+    
+    const blob = new Blob([serializeReplay(bestLapReplay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = bestLapReplay.trackId.replace(/\.json$/, '') + '-best-lap.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function importReplay(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const replay = parseReplay(reader.result);
+            if (replay.trackId !== currentTrack.id) {
+                throw new Error('This replay is for ' + replay.trackName + ' - select that track first');
+            }
+            
+            // An imported lap becomes the ghost, and is kept if it beats the stored best
+            const storedBest = loadStoredReplay(replay.trackId);
+            if (!storedBest || replay.lapTime < storedBest.lapTime) {
+                storeReplay(replay);
+            }
+            setBestLapReplay(replay);
+            closeReplayViewer();
+            openReplayViewer();
+        } catch (error) {
+            document.getElementById('replayInfo').textContent = 'Import failed: ' + error.message;
+        }
+    };
+    reader.readAsText(file);
+}
+
+function setupReplayControls() {
+    document.getElementById('replayPlay').onclick = () => {
+        if (!replayViewer) return;
+        if (replayViewer.playing) {
+            replayViewer.pause();
+        } else {
+            replayViewer.play();
+        }
+    };
+    
+    document.getElementById('replayScrub').oninput = event => {
+        if (!replayViewer) return;
+        replayViewer.pause();
+        replayViewer.seek(event.target.value / 1000 * replayViewer.duration);
+    };
+    
+    document.getElementById('replaySpeed').onchange = event => {
+        if (replayViewer) replayViewer.speed = Number(event.target.value);
+        event.target.blur();
+    };
+    
+    document.getElementById('replayExport').onclick = exportReplay;
+    
+    document.getElementById('replayImport').onchange = event => {
+        if (event.target.files.length > 0) importReplay(event.target.files[0]);
+        event.target.value = '';
+    };
+}
@@ -0,0 +1,288 @@
+// Session modes: the main menu, and the start, pause and results screens of practice, time trials and race weekends,
+// see sim/sessionModes.js. Nothing moves on the menu or a start screen, or while paused; online sessions are practice
+// and never stop.
+const LEADERBOARD_STORAGE_PREFIX = 'racecar.leaderboard.';
+
+let sessionFlow = new SessionFlow();
+let sessionLaps = 3;         // Laps of a time trial or race
+let lapSession = null;       // LapSession timing a time trial or qualifying
+let qualifyingGrid = null;   // Car ids in grid order from the last qualifying, for the race after it
+let leaderboardPlaces = {};  // Where each player's run came on the leaderboard, by car id, once the time trial is over
+
+function setupSessions() {
+    document.getElementById('menuPractice').onclick = () => beginSession('practice');
+    document.getElementById('menuTimeTrial').onclick = () => beginSession('timeTrial');
+    document.getElementById('menuRaceWeekend').onclick = () => beginSession('raceWeekend');
+    
+    document.getElementById('sessionStartButton').onclick = startSession;
+    document.getElementById('sessionResume').onclick = togglePause;
+    document.getElementById('sessionEnd').onclick = endSession;
+    document.getElementById('sessionNext').onclick = nextSessionStage;
+    document.querySelectorAll('.session-restart').forEach(button => {
+        button.onclick = restartSession;
+    });
+    document.querySelectorAll('.session-menu').forEach(button => {
+        button.onclick = showMainMenu;
+    });
+    
+    const lapsSelect = document.getElementById('lapsSelect');
+    lapsSelect.value = sessionLaps;
+    lapsSelect.onchange = () => {
+        sessionLaps = Number(lapsSelect.value);
+        lapsSelect.blur(); // Keep arrow keys for driving
+        if (currentTrack && (sessionFlow.stage === 'timeTrial' || sessionFlow.stage === 'race')) restartSession();
+    };
+    
+    showSessionScreens();
+}
+
+// Whether the simulation steps this frame
+function sessionRunning() {
+    return Boolean(network) || sessionFlow.state === 'running' || sessionFlow.state === 'results';
+}
+
+// The first stage of a session type, from its start screen; online it starts straight away
+function beginSession(type) {
+    sessionFlow.begin(type);
+    qualifyingGrid = null;
+    if (network) sessionFlow.start();
+    if (currentTrack) resetSession();
+    showSessionScreens();
+}
+
+function startSession() {
+    if (sessionFlow.start()) showSessionScreens();
+}
+
+// The stage again from its start screen, with the cars, barriers and timing put back
+function restartSession() {
+    if (network || !sessionFlow.restart()) return;
+    if (currentTrack) resetSession();
+    showSessionScreens();
+}
+
+function togglePause() {
+    if (network) return;
+    if (sessionFlow.pause() || sessionFlow.resume()) showSessionScreens();
+}
+
+// Practice has no end of its own; the players end it from the pause screen
+function endSession() {
+    if (sessionFlow.finish()) showSessionScreens();
+}
+
+// From the qualifying results to the race, lined up in the order they qualified
+function nextSessionStage() {
+    const grid = lapSession ? lapSession.results().map(entry => entry.id) : null;
+    if (!sessionFlow.nextStage()) return;
+    qualifyingGrid = grid;
+    resetSession();
+    showSessionScreens();
+}
+
+function showMainMenu() {
+    if (network) return;
+    sessionFlow.quit();
+    lapSession = null;
+    qualifyingGrid = null;
+    if (currentTrack) resetSession();
+    showSessionScreens();
+}
+
+// Called whenever a session starts, after the players and AI cars have been added and before the race lines up
+function initSession() {
+    lapSession = null;
+    leaderboardPlaces = {};
+    const stage = sessionFlow.stage;
+    if (stage !== 'timeTrial' && stage !== 'qualifying') return;
+    
+    // The players roll up to the line from the grid; in qualifying the AI cars are out on their laps already
+    simulation.players.forEach((player, i) => simulation.placeCar(player, simulation.gridStart(i)));
+    const entrants = (stage === 'qualifying' ? simulation.cars : simulation.players).map(car => ({
+        id: car.id,
+        name: car.name
+    }));
+    lapSession = new LapSession(entrants, () => simulation.createLapTimer(), {
+        laps: stage === 'qualifying' ? QUALIFYING_LAPS : sessionLaps,
+        rankBy: stage === 'qualifying' ? 'best' : 'total'
+    });
+}
+
+// Called every simulation tick with the events from Simulation.step
+function updateSession(dt, events) {
+    if (!lapSession) return;
+    
+    lapSession.applyTrackLimits(events);
+    const positions = lapSession.entrants.map(entrant =>
+        simulation.cars.find(car => car.id === entrant.id).state.position);
+    const finishes = lapSession.update(dt, positions).filter(event => event.type === 'finish');
+    if (finishes.length === 0 || sessionFlow.state !== 'running') return;
+    
+    // Over once the players have done their laps; in qualifying the AI cars finish theirs behind the results
+    const playerIds = simulation.players.map(player => player.id);
+    const playersDone = lapSession.entrants.filter(entrant => playerIds.includes(entrant.id))
+        .every(entrant => entrant.finished);
+    if (!playersDone) return;
+    if (sessionFlow.stage === 'timeTrial') recordTimeTrial();
+    sessionFlow.finish();
+    showSessionScreens();
+}
+
+// Clean runs go on the track's leaderboard for the number of laps
+function recordTimeTrial() {
+    let board = loadLeaderboard();
+    lapSession.results().filter(entry => entry.valid).forEach(entry => {
+        const added = addLeaderboardEntry(board, {
+            name: entry.name,
+            time: entry.total,
+            bestLap: entry.bestLap,
+            date: new Date().toISOString().slice(0, 10)
+        });
+        board = added.board;
+        leaderboardPlaces[entry.id] = added.place;
+    });
+    storeLeaderboard(board);
+}
+
+function leaderboardKey() {
+    return LEADERBOARD_STORAGE_PREFIX + currentTrack.id + '.' + sessionLaps;
+}
+
+function loadLeaderboard() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(leaderboardKey()));
+        return Array.isArray(stored) ? stored.filter(entry => entry && typeof entry.time === 'number') : [];
+    } catch (error) {
+        console.warn('Ignoring stored leaderboard: ' + error.message);
+        return [];
+    }
+}
+
+function storeLeaderboard(board) {
+    try {
+        localStorage.setItem(leaderboardKey(), JSON.stringify(board));
+    } catch (error) {
+        console.warn('Could not save leaderboard: ' + error.message);
+    }
+}
+
+// What the start screen says about the stage
+function describeSessionStage() {
+    const laps = count => count + (count === 1 ? ' lap' : ' laps');
+    switch (sessionFlow.stage) {
+        case 'practice':
+            return 'Untimed running. ' + keyLabel(inputSettings.bindings.resetCar) + ' puts the car back on the track.';
+        case 'timeTrial':
+            return laps(sessionLaps) + ' against the clock, timed from the line. ' +
+                keyLabel(inputSettings.bindings.restartSession) + ' restarts the run.';
+        case 'qualifying':
+            return laps(QUALIFYING_LAPS) + ' each after the lap out. The best lap sets the grid.';
+        case 'race':
+            return laps(sessionLaps) + (qualifyingGrid ? ' from the grid set in qualifying.' : '.');
+    }
+    return '';
+}
+
+// Show the screen for where the session is and hide the others
+function showSessionScreens() {
+    const state = sessionFlow.state;
+    const stage = sessionFlow.stage;
+    const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? 'block' : 'none';
+    };
+    show('sessionMenu', state === 'menu');
+    show('sessionStart', state === 'start');
+    show('sessionPause', state === 'paused');
+    show('sessionResults', state === 'results' && stage !== 'race'); // The race has its classification
+    show('sessionEnd', stage === 'practice');
+    
+    if (state === 'start') {
+        const type = SESSION_TYPES[sessionFlow.type].name;
+        const name = SESSION_STAGE_NAMES[stage];
+        document.getElementById('sessionStartTitle').textContent = type === name ? name : type + ': ' + name;
+        document.getElementById('sessionStartInfo').textContent = describeSessionStage();
+    }
+    if (state === 'results') updateSessionResults();
+}
+
+// Called every frame: qualifying results fill in as the AI cars finish their laps
+function updateSessionDisplay() {
+    if (sessionFlow.state === 'results' && sessionFlow.stage === 'qualifying') updateSessionResults();
+}
+
+function updateSessionResults() {
+    const stage = sessionFlow.stage;
+    const playerIds = simulation.players.map(player => player.id);
+    const rowClass = id => playerIds.includes(id) ? ' class="player"' : '';
+    document.getElementById('sessionResultsTitle').textContent = SESSION_STAGE_NAMES[stage];
+    document.getElementById('sessionNext').style.display = sessionFlow.hasNextStage ? 'inline-block' : 'none';
+    
+    let rows;
+    if (stage === 'practice') {
+        rows = localPlayers().map(player => {
+            const laps = player.lapTimer.laps;
+            return '<tr' + rowClass(player.id) + '><td>' + escapeHTML(player.name) + '</td><td>' + laps.length +
+                (laps.length === 1 ? ' lap' : ' laps') + '</td><td>Best ' + formatLapTime(player.lapTimer.bestLapTime) +
+                '</td></tr>';
+        });
+    } else {
+        rows = lapSession.results().map(entry => {
+            let result;
+            if (stage === 'qualifying') {
+                result = entry.position === 1 || entry.gap === null ?
+                    formatLapTime(entry.bestLap) :
+                    formatDelta(entry.gap);
+            } else if (!entry.finished) {
+                result = 'Did not finish';
+            } else {
+                result = formatLapTime(entry.total) + (entry.valid ? '' : ' (track limits)');
+            }
+            const running = entry.finished ? '' : 'Running';
+            return '<tr' + rowClass(entry.id) + '><td>' + entry.position + '</td><td>' + escapeHTML(entry.name) +
+                '</td><td>' + result + '</td><td>' +
+                (stage === 'qualifying' ? running : 'Best ' + formatLapTime(entry.bestLap)) + '</td></tr>';
+        });
+    }
+    document.getElementById('sessionResultsTable').innerHTML = rows.join('');
+    
+    const leaderboard = document.getElementById('sessionLeaderboard');
+    leaderboard.style.display = stage === 'timeTrial' ? 'block' : 'none';
+    if (stage !== 'timeTrial') return;
+    const places = Object.values(leaderboardPlaces);
+    const entries = loadLeaderboard().map((entry, i) =>
+        '<tr' + (places.includes(i + 1) ? ' class="player"' : '') + '><td>' + (i + 1) + '</td><td>' +
+        escapeHTML(entry.name) + '</td><td>' + formatLapTime(entry.time) + '</td><td>' + escapeHTML(entry.date) +
+        '</td></tr>');
+    document.getElementById('sessionLeaderboardTitle').textContent =
+        'Leaderboard: ' + currentTrack.name + ', ' + sessionLaps + (sessionLaps === 1 ? ' lap' : ' laps');
+    document.getElementById('sessionLeaderboardTable').innerHTML = entries.join('');
+}
+
+// A local player's car back on the track at the next tick, while the session runs. Online, a guest's car is the
+// host's to put back.
+function requestCarReset(index) {
+    const player = localPlayers()[index];
+    if (player && sessionFlow.state === 'running' && !isNetworkGuest()) player.recovery.request();
+}
+
+// The session keys, from keyPressed; returns whether the key was one of them
+function handleSessionKey(action) {
+    switch (action) {
+        case 'startSession':
+            startSession();
+            return true;
+        case 'pause':
+            togglePause();
+            return true;
+        case 'restartSession':
+            restartSession();
+            return true;
+        case 'resetCar':
+            requestCarReset(0);
+            return true;
+        case 'player2ResetCar':
+            requestCarReset(1);
+            return true;
+    }
+    return false;
+}
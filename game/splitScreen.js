@@ -0,0 +1,69 @@
+// Split screen: a second player at the same keyboard, in their own car with their own camera and HUD, sharing the
+// session, its collisions and lap timing with the first
+const SECOND_PLAYER_ID = 'player2';
+const SECOND_PLAYER_COLOR = 0xff33cc;
+
+let splitScreen = false;
+let secondCar = null; // Player 2's car mesh
+let secondPlayerControls = { throttle: 0, brake: 0, steer: 0 };
+
+function setupSplitScreen() {
+    secondCar = createCar({ color: SECOND_PLAYER_COLOR });
+    secondCar.visible = false;
+    
+    const playersSelect = document.getElementById('playersSelect');
+    playersSelect.value = splitScreen ? '2' : '1';
+    playersSelect.onchange = () => {
+        setSplitScreen(playersSelect.value === '2');
+        playersSelect.blur(); // Keep arrow keys for driving
+    };
+}
+
+function setSplitScreen(enabled) {
+    splitScreen = enabled;
+    document.body.classList.toggle('split-screen', enabled);
+    if (currentTrack) resetSession();
+}
+
+// Called whenever a session starts, after the AI cars have been added: player 2 lines up beside the player
+function initSplitScreen() {
+    secondCar.visible = splitScreen;
+    secondPlayerControls = { throttle: 0, brake: 0, steer: 0 };
+    if (!splitScreen) return;
+    
+    simulation.player.name = 'Player 1';
+    simulation.addCar(SECOND_PLAYER_ID, 'Player 2', simulation.gridStart(0));
+}
+
+// Player 2's car, or null without split screen
+function secondPlayer() {
+    return splitScreen ? simulation.players[1] || null : null;
+}
+
+// The players at this screen; online, the other players are at their own
+function localPlayers() {
+    return simulation.players.slice(0, splitScreen ? 2 : 1);
+}
+
+function renderSecondCar(alpha) {
+    const player = secondPlayer();
+    if (!player) return;
+    placeCarMesh(secondCar, player.previousPose, player.state, alpha);
+    showCarDamage(secondCar, player.state.damage);
+}
+
+// Player 2's speed and lap times; the rev counter and lap counter are drawn with the first player's, see game/hud.js
+function updateSecondPlayerDisplay() {
+    const player = secondPlayer();
+    if (!player) return;
+    
+    const lapTimer = player.lapTimer;
+    document.getElementById('speedValueTwo').textContent = Math.round(Math.abs(player.state.speed * 10));
+    document.getElementById('lapNumberTwo').textContent = lapTimer.lap > 0 ? lapTimer.lap : '-';
+    document.getElementById('currentLapTimeTwo').textContent =
+        formatLapTime(lapTimer.lap > 0 ? lapTimer.currentTime : null);
+    const lastLap = document.getElementById('lastLapTimeTwo');
+    lastLap.textContent = formatLapTime(lapTimer.lastLapTime);
+    lastLap.className = lapTimer.lastLapValid ? '' : 'invalid';
+    document.getElementById('bestLapTimeTwo').textContent = formatLapTime(lapTimer.bestLapTime);
+}
@@ -0,0 +1,159 @@
+// Telemetry: the player's laps on the current track logged every tick, the analysis panel plotting the speed of two
+// laps over the distance round the track with the time between them, and CSV and JSON export
+const TELEMETRY_PLOT_SIZE = { width: 640, height: 360 }; // CSS pixels
+const TELEMETRY_SPEED_SHARE = 0.6; // Of the plot height, the speed traces above and the delta trace below
+const TELEMETRY_COLORS = ['#ff4444', '#44aaff']; // The reference lap and the one compared with it
+
+let telemetryRecorder = null;
+
+// Called whenever a session starts; the laps kept carry over to the next session on the same track
+function initTelemetry() {
+    if (!telemetryRecorder || telemetryRecorder.trackId !== currentTrack.id) {
+        telemetryRecorder = new TelemetryRecorder(SIMULATION_STEP, simulation.trackQuery.length);
+        telemetryRecorder.trackId = currentTrack.id;
+    }
+    telemetryRecorder.startLap();
+    updateTelemetryPanel();
+}
+
+// Called every simulation tick after lap timing has been updated, like recordReplayFrame
+function recordTelemetry(lapEvents) {
+    const player = simulation.player;
+    lapEvents.filter(event => event.type === 'lap' && event.car === player.id).forEach(event => {
+        telemetryRecorder.finishLap(event.lap, event.time, event.valid);
+        updateTelemetryPanel();
+    });
+    if (player.lapTimer.lap > 0) telemetryRecorder.record(player.state, player.controls, player.contact);
+}
+
+function setupTelemetryControls() {
+    document.getElementById('telemetryOpen').onclick = toggleTelemetryPanel;
+    document.getElementById('telemetryClose').onclick = toggleTelemetryPanel;
+    ['telemetryLapA', 'telemetryLapB'].forEach(id => {
+        const select = document.getElementById(id);
+        select.onchange = () => {
+            drawTelemetry();
+            select.blur(); // Keep arrow keys for driving
+        };
+    });
+    document.getElementById('telemetryCSV').onclick = () => exportTelemetry('csv');
+    document.getElementById('telemetryJSON').onclick = () => exportTelemetry('json');
+    
+    const canvasElement = document.getElementById('telemetryCanvas');
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvasElement.style.width = TELEMETRY_PLOT_SIZE.width + 'px';
+    canvasElement.style.height = TELEMETRY_PLOT_SIZE.height + 'px';
+    canvasElement.width = TELEMETRY_PLOT_SIZE.width * pixelRatio;
+    canvasElement.height = TELEMETRY_PLOT_SIZE.height * pixelRatio;
+}
+
+function toggleTelemetryPanel() {
+    const panel = document.getElementById('telemetryPanel');
+    panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+    updateTelemetryPanel();
+}
+
+function describeTelemetryLap(lap) {
+    return '#' + lap.id + ' Lap ' + lap.lap + ' ' + formatLapTime(lap.time) + (lap.valid ? '' : ' (invalid)');
+}
+
+// Refill the lap lists, keeping the laps chosen if they are still there. By default the fastest valid lap is the
+// reference and the latest is compared with it.
+function updateTelemetryPanel() {
+    if (document.getElementById('telemetryPanel').style.display !== 'block' || !telemetryRecorder) return;
+    const laps = telemetryRecorder.laps;
+    const fastest = laps.reduce((best, lap) => {
+        if (!best || (lap.valid && !best.valid) || (lap.valid === best.valid && lap.time < best.time)) return lap;
+        return best;
+    }, null);
+    const latest = laps[laps.length - 1];
+    const defaults = [fastest, latest];
+    
+    ['telemetryLapA', 'telemetryLapB'].forEach((id, i) => {
+        const select = document.getElementById(id);
+        const chosen = laps.find(lap => String(lap.id) === select.value) || defaults[i];
+        select.innerHTML = laps.map(lap =>
+            '<option value="' + lap.id + '">' + describeTelemetryLap(lap) + '</option>').join('');
+        if (chosen) select.value = chosen.id;
+    });
+    document.getElementById('telemetryInfo').textContent = laps.length === 0 ?
+        'No laps yet - telemetry is logged from the start line' :
+        laps.length + (laps.length === 1 ? ' lap' : ' laps') + ' on ' + currentTrack.name;
+    drawTelemetry();
+}
+
+// Speed over the distance for both laps, and beneath it how far the second is behind the first
+function drawTelemetry() {
+    const canvasElement = document.getElementById('telemetryCanvas');
+    const context = canvasElement.getContext('2d');
+    const pixel = canvasElement.width / TELEMETRY_PLOT_SIZE.width;
+    const width = canvasElement.width;
+    const height = canvasElement.height;
+    context.clearRect(0, 0, width, height);
+    
+    const lapById = id => telemetryRecorder.laps.find(lap => String(lap.id) === id);
+    const laps = [lapById(document.getElementById('telemetryLapA').value),
+        lapById(document.getElementById('telemetryLapB').value)].filter(Boolean);
+    if (laps.length === 0) return;
+    
+    const speedColumn = TELEMETRY_CHANNELS.indexOf('speed');
+    const length = telemetryRecorder.trackLength;
+    const topSpeed = Math.max(1, ...laps.map(lap => Math.max(...lap.samples.map(sample => sample[speedColumn]))));
+    const speedHeight = height * TELEMETRY_SPEED_SHARE;
+    const toX = distance => Math.max(0, Math.min(1, distance / length)) * width;
+    
+    const trace = (points, color) => {
+        context.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+        context.lineWidth = 1.5 * pixel;
+        context.strokeStyle = color;
+        context.stroke();
+    };
+    
+    // The sector lines, then the laps; the reference is drawn last, on top
+    context.fillStyle = 'rgba(255,255,255,0.3)';
+    simulation.sectorStarts.slice(1).forEach(start => {
+        const point = simulation.waypoints[start];
+        context.fillRect(toX(simulation.trackQuery.distanceAt(point.x, point.z)), 0, pixel, height);
+    });
+    laps.slice().reverse().forEach((lap, i) => {
+        const points = lap.samples.map(sample =>
+            [toX(sample[1]), speedHeight - sample[speedColumn] / topSpeed * (speedHeight - 10 * pixel)]);
+        trace(points, TELEMETRY_COLORS[laps.length - 1 - i]);
+    });
+    
+    context.fillStyle = '#ffffff';
+    context.font = Math.round(11 * pixel) + 'px monospace';
+    context.fillText('Speed', 4 * pixel, 12 * pixel);
+    context.fillStyle = 'rgba(255,255,255,0.3)';
+    context.fillRect(0, speedHeight, width, pixel);
+    if (laps.length < 2) return;
+    
+    // The delta about a line through the middle, slower going up
+    const delta = lapTimeDelta(laps[0], laps[1]);
+    const range = Math.max(0.1, ...delta.map(point => Math.abs(point.delta)));
+    const middle = speedHeight + (height - speedHeight) / 2;
+    const scale = (height - speedHeight) / 2 - 6 * pixel;
+    context.fillRect(0, middle, width, pixel);
+    trace(delta.map(point => [toX(point.distance), middle - point.delta / range * scale]), '#ffcc00');
+    
+    const final = delta[delta.length - 1].delta;
+    context.fillStyle = '#ffcc00';
+    context.fillText('Delta ' + formatDelta(final) + ' (scale ' + range.toFixed(2) + 's)', 4 * pixel,
+        speedHeight + 14 * pixel);
+}
+
+function exportTelemetry(format) {
+    if (!telemetryRecorder || telemetryRecorder.laps.length === 0) return;
+    
+    const laps = telemetryRecorder.laps;
+    const text = format === 'csv' ?
+        telemetryToCSV(laps) :
+        serializeTelemetry(laps, currentTrack.id, currentTrack.name, SIMULATION_STEP);
+    const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentTrack.id.replace(/\.json$/, '') + '-telemetry.' + format;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,432 @@
+// Track editor: a top-down view for placing, dragging and deleting control points, with the track rebuilt live
+const EDITOR_PICK_PIXELS = 12;     // How close a click must be to a control point to grab it
+const EDITOR_HANDLE_PIXELS = 7;    // Radius of the control point markers on screen
+const EDITOR_CAMERA_HEIGHT = 1000;
+
+let editorActive = false;
+// Track file data being edited: { name, description, width, samples, start, sectors, barriers, trackLimits, pitLane,
+// runoff, points }
+let editorTrack = null;
+let editorSelected = null; // Index of the selected control point
+let editorDrag = null;     // { point } while dragging a control point, { anchor } while panning
+let editorDirty = false;   // Rebuild the track on the next frame
+let editorIssues = [];     // From validateTrackLayout
+let editorCamera = null;
+let editorHandles = null;  // Markers for the control points and issues
+let editorHandlesStale = false;
+let editorSavedFog = null;
+
+function openTrackEditor() {
+    if (!currentTrack || editorActive) return;
+    
+    closeReplayViewer();
+    editorActive = true;
+    editorSelected = null;
+    editorTrack = JSON.parse(JSON.stringify({
+        name: currentTrack.name,
+        description: currentTrack.description,
+        width: currentTrack.width,
+        samples: currentTrack.samples,
+        start: currentTrack.start,
+        sectors: currentTrack.sectors,
+        barriers: currentTrack.barriers,
+        trackLimits: currentTrack.trackLimits,
+        pitLane: currentTrack.pitLane,
+        runoff: currentTrack.runoff,
+        points: currentTrack.points
+    }));
+    
+    // Fog would hide everything from up here
+    editorSavedFog = scene.fog;
+    scene.fog = null;
+    
+    fitEditorCamera();
+    document.body.classList.add('editing');
+    document.getElementById('editorPanel').style.display = 'block';
+    document.getElementById('editorName').value = editorTrack.name;
+    document.getElementById('editorWidth').value = editorTrack.width;
+    editorDirty = true;
+}
+
+// Back to driving on the edited track
+function closeTrackEditor() {
+    if (!editorActive) return;
+    
+    editorActive = false;
+    editorDrag = null;
+    scene.fog = editorSavedFog;
+    removeEditorHandles();
+    document.body.classList.remove('editing');
+    document.getElementById('editorPanel').style.display = 'none';
+}
+
+// Frame the whole track from above
+function fitEditorCamera() {
+    const xs = editorTrack.points.map(point => point.x);
+    const zs = editorTrack.points.map(point => point.z);
+    const centre = { x: (Math.min(...xs) + Math.max(...xs)) / 2, z: (Math.min(...zs) + Math.max(...zs)) / 2 };
+    const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...zs) - Math.min(...zs)) / 2 + editorTrack.width;
+    
+    editorCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 1, EDITOR_CAMERA_HEIGHT * 2);
+    editorCamera.up.set(0, 0, -1); // North up: +x to the right, +z down the screen
+    editorCamera.position.set(centre.x, EDITOR_CAMERA_HEIGHT, centre.z);
+    editorCamera.lookAt(centre.x, 0, centre.z);
+    editorCamera.userData.halfHeight = extent;
+    updateEditorProjection();
+}
+
+function updateEditorProjection() {
+    const halfHeight = editorCamera.userData.halfHeight;
+    const halfWidth = halfHeight * windowWidth / windowHeight;
+    editorCamera.left = -halfWidth;
+    editorCamera.right = halfWidth;
+    editorCamera.top = halfHeight;
+    editorCamera.bottom = -halfHeight;
+    editorCamera.updateProjectionMatrix();
+}
+
+// World units per screen pixel at the current zoom
+function editorUnitsPerPixel() {
+    return editorCamera.userData.halfHeight * 2 / windowHeight / editorCamera.zoom;
+}
+
+// Ground position under a mouse event
+function editorGroundPoint(event) {
+    const bounds = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        (event.clientX - bounds.left) / bounds.width * 2 - 1,
+        -(event.clientY - bounds.top) / bounds.height * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, editorCamera);
+    const hit = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+    return hit ? { x: hit.x, z: hit.z } : null;
+}
+
+// Control point within picking distance of a ground position, or null
+function findEditorPoint(position) {
+    const reach = EDITOR_PICK_PIXELS * editorUnitsPerPixel();
+    let best = null;
+    let bestDistance = reach;
+    editorTrack.points.forEach((point, i) => {
+        const distance = Math.hypot(point.x - position.x, point.z - position.z);
+        if (distance <= bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// New control point on the closest stretch between two existing ones
+function insertEditorPoint(position) {
+    const points = editorTrack.points;
+    let bestIndex = 0;
+    let bestDistance = Infinity;
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const t = Math.max(0, Math.min(1, ((position.x - a.x) * dx + (position.z - a.z) * dz) / (dx * dx + dz * dz || 1)));
+        const distance = Math.hypot(a.x + dx * t - position.x, a.z + dz * t - position.z);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestIndex = i + 1;
+        }
+    });
+    
+    const before = points[bestIndex - 1];
+    const after = points[bestIndex % points.length];
+    points.splice(bestIndex, 0, {
+        x: Math.round(position.x),
+        z: Math.round(position.z),
+        y: Math.round((before.y + after.y) / 2),
+        width: (before.width + after.width) / 2,
+        bank: Math.round((before.bank + after.bank) / 2),
+        runoff: before.runoff
+    });
+    
+    // Indices at or after the new point move up one
+    const shift = index => index >= bestIndex ? index + 1 : index;
+    editorTrack.start.point = shift(editorTrack.start.point);
+    editorTrack.sectors = editorTrack.sectors.map(shift);
+    selectEditorPoint(bestIndex);
+    editorDirty = true;
+}
+
+function deleteEditorPoint(index) {
+    if (editorTrack.points.length <= 3) return; // A track needs at least three
+    
+    editorTrack.points.splice(index, 1);
+    const count = editorTrack.points.length;
+    const shift = point => point > index ? point - 1 : point;
+    
+    // The start line moves on to the next point
+    editorTrack.start.point = editorTrack.start.point === index ? index % count : shift(editorTrack.start.point);
+    editorTrack.sectors = editorTrack.sectors
+        .filter(point => point !== index)
+        .map(shift)
+        .filter(point => point !== editorTrack.start.point);
+    selectEditorPoint(null);
+    editorDirty = true;
+}
+
+function selectEditorPoint(index) {
+    editorSelected = index;
+    editorHandlesStale = true;
+    updateEditorPanel();
+}
+
+// Move the start line to the selected point; a sector boundary there is no longer needed
+function setEditorStart() {
+    if (editorSelected === null) return;
+    editorTrack.start.point = editorSelected;
+    editorTrack.sectors = editorTrack.sectors.filter(point => point !== editorSelected);
+    editorDirty = true;
+}
+
+function toggleEditorSector() {
+    if (editorSelected === null || editorSelected === editorTrack.start.point) return;
+    const sectors = editorTrack.sectors;
+    editorTrack.sectors = sectors.includes(editorSelected) ?
+        sectors.filter(point => point !== editorSelected) :
+        sectors.concat(editorSelected);
+    editorDirty = true;
+}
+
+// Called every frame while the editor is open, in place of the simulation
+function updateTrackEditor() {
+    if (editorDirty) {
+        editorDirty = false;
+        rebuildEditorTrack();
+        editorHandlesStale = true;
+    }
+    if (editorHandlesStale) {
+        editorHandlesStale = false;
+        updateEditorHandles();
+    }
+}
+
+// Load the edited layout as the current track so the surface, markings and barriers follow every change
+function rebuildEditorTrack() {
+    let definition;
+    try {
+        definition = parseTrackDefinition(editorTrack, 'editor');
+    } catch (error) {
+        editorIssues = [{ type: 'invalid', x: 0, z: 0, message: error.message }];
+        updateEditorPanel();
+        return;
+    }
+    
+    loadTrack(definition);
+    editorIssues = validateTrackLayout(definition);
+    updateEditorPanel();
+}
+
+function removeEditorHandles() {
+    if (!editorHandles) return;
+    scene.remove(editorHandles);
+    editorHandles.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    editorHandles = null;
+}
+
+function updateEditorHandles() {
+    removeEditorHandles();
+    editorHandles = new THREE.Group();
+    
+    // Markers keep the same size on screen at any zoom, and show through hills and banking
+    const radius = EDITOR_HANDLE_PIXELS * editorUnitsPerPixel();
+    const addDisc = (x, z, size, color) => {
+        const disc = new THREE.Mesh(new THREE.CircleGeometry(size, 20), new THREE.MeshBasicMaterial({ color, depthTest: false }));
+        disc.rotation.x = -Math.PI / 2;
+        disc.position.set(x, 3, z);
+        disc.renderOrder = 2;
+        editorHandles.add(disc);
+    };
+    
+    // The control polygon, so the order of the points is visible
+    const outline = editorTrack.points.concat(editorTrack.points[0]).map(point => new THREE.Vector3(point.x, 2, point.z));
+    const polygon = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(outline),
+        new THREE.LineBasicMaterial({ color: 0x88aaff, depthTest: false })
+    );
+    polygon.renderOrder = 1;
+    editorHandles.add(polygon);
+    
+    editorTrack.points.forEach((point, i) => {
+        let color = 0xffffff;
+        if (i === editorTrack.start.point) color = 0x00ff66;
+        else if (editorTrack.sectors.includes(i)) color = 0xffcc00;
+        if (i === editorSelected) addDisc(point.x, point.z, radius * 1.6, 0x2266ff);
+        addDisc(point.x, point.z, radius, color);
+    });
+    
+    editorIssues.forEach(issue => addDisc(issue.x, issue.z, radius * 2.5, 0xff2222));
+    
+    scene.add(editorHandles);
+}
+
+function updateEditorPanel() {
+    if (!editorTrack) return;
+    
+    const selected = editorSelected === null ? null : editorTrack.points[editorSelected];
+    document.getElementById('editorSelection').textContent = selected ?
+        'Point ' + (editorSelected + 1) + ' of ' + editorTrack.points.length +
+            (editorSelected === editorTrack.start.point ? ' (start line)' : '') +
+            (editorTrack.sectors.includes(editorSelected) ? ' (sector boundary)' : '') :
+        editorTrack.points.length + ' points - click one to select it';
+    
+    // Per point width, height, banking and run-off
+    [['editorPointWidth', 'width'], ['editorPointHeight', 'y'], ['editorPointBank', 'bank'], ['editorPointRunoff', 'runoff']]
+        .forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            input.disabled = !selected;
+            input.value = selected ? selected[key] : '';
+        });
+    ['editorStart', 'editorSector', 'editorDelete'].forEach(id => {
+        document.getElementById(id).disabled = !selected;
+    });
+    
+    const issues = document.getElementById('editorIssues');
+    issues.innerHTML = '';
+    editorIssues.forEach(issue => {
+        const line = document.createElement('div');
+        line.textContent = issue.message;
+        issues.appendChild(line);
+    });
+    if (editorIssues.length === 0) issues.textContent = 'Layout OK';
+    issues.className = editorIssues.length === 0 ? 'ok' : '';
+    
+    // Only layouts that pass the checks can be saved as track files
+    document.getElementById('editorExport').disabled = editorIssues.length > 0;
+}
+
+function exportEditorTrack() {
+    const definition = parseTrackDefinition(editorTrack, 'editor');
+    const slug = definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'track';
+    
+    const blob = new Blob([serializeTrackDefinition(definition)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = slug + '.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Keys while the editor is open; returns true when the editor used the key
+function handleEditorKey(code) {
+    if (code === 'Delete' || code === 'Backspace') {
+        if (editorSelected !== null) deleteEditorPoint(editorSelected);
+        return true;
+    }
+    if (code === 'Escape') {
+        selectEditorPoint(null);
+        return true;
+    }
+    return false;
+}
+
+function setupTrackEditor() {
+    const element = renderer.domElement;
+    
+    element.addEventListener('pointerdown', event => {
+        if (!editorActive) return;
+        const position = editorGroundPoint(event);
+        if (!position) return;
+        
+        const point = findEditorPoint(position);
+        selectEditorPoint(point);
+        // Grab a control point, or the background to pan the view
+        editorDrag = point !== null ? { point } : { anchor: position };
+        element.setPointerCapture(event.pointerId);
+    });
+    
+    element.addEventListener('pointermove', event => {
+        if (!editorActive || !editorDrag) return;
+        const position = editorGroundPoint(event);
+        if (!position) return;
+        
+        if (editorDrag.point !== undefined) {
+            const point = editorTrack.points[editorDrag.point];
+            point.x = Math.round(position.x);
+            point.z = Math.round(position.z);
+            editorDirty = true;
+        } else {
+            // Keep the grabbed spot under the pointer
+            editorCamera.position.x += editorDrag.anchor.x - position.x;
+            editorCamera.position.z += editorDrag.anchor.z - position.z;
+            editorCamera.updateMatrixWorld();
+        }
+    });
+    
+    element.addEventListener('pointerup', () => {
+        editorDrag = null;
+    });
+    
+    element.addEventListener('dblclick', event => {
+        if (!editorActive) return;
+        const position = editorGroundPoint(event);
+        if (position && findEditorPoint(position) === null) insertEditorPoint(position);
+    });
+    
+    element.addEventListener('wheel', event => {
+        if (!editorActive) return;
+        event.preventDefault();
+        editorCamera.zoom = Math.max(0.2, Math.min(20, editorCamera.zoom * Math.pow(0.999, event.deltaY)));
+        editorCamera.updateProjectionMatrix();
+        editorHandlesStale = true;
+    }, { passive: false });
+    
+    document.getElementById('editorOpen').onclick = event => {
+        event.target.blur(); // Keep arrow keys for driving
+        openTrackEditor();
+    };
+    document.getElementById('editorClose').onclick = closeTrackEditor;
+    document.getElementById('editorExport').onclick = exportEditorTrack;
+    document.getElementById('editorStart').onclick = setEditorStart;
+    document.getElementById('editorSector').onclick = toggleEditorSector;
+    document.getElementById('editorDelete').onclick = () => {
+        if (editorSelected !== null) deleteEditorPoint(editorSelected);
+    };
+    
+    document.getElementById('editorName').oninput = event => {
+        editorTrack.name = event.target.value;
+        editorDirty = true;
+    };
+    document.getElementById('editorWidth').onchange = event => {
+        // Points at the old default width follow the new one
+        const width = Number(event.target.value);
+        if (!(width > 0)) return;
+        editorTrack.points.forEach(point => {
+            if (point.width === editorTrack.width) point.width = width;
+        });
+        editorTrack.width = width;
+        editorDirty = true;
+    };
+    document.getElementById('editorPointWidth').onchange = event => {
+        const width = Number(event.target.value);
+        if (editorSelected === null || !(width > 0)) return;
+        editorTrack.points[editorSelected].width = width;
+        editorDirty = true;
+    };
+    document.getElementById('editorPointHeight').onchange = event => {
+        const y = Number(event.target.value);
+        if (editorSelected === null || !isFinite(y)) return;
+        editorTrack.points[editorSelected].y = y;
+        editorDirty = true;
+    };
+    document.getElementById('editorPointBank').onchange = event => {
+        const bank = Number(event.target.value);
+        if (editorSelected === null || !(Math.abs(bank) < 45)) return;
+        editorTrack.points[editorSelected].bank = bank;
+        editorDirty = true;
+    };
+    document.getElementById('editorPointRunoff').onchange = event => {
+        if (editorSelected === null) return;
+        editorTrack.points[editorSelected].runoff = event.target.value;
+        editorDirty = true;
+    };
+}
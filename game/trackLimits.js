@@ -0,0 +1,80 @@
+// Track limits: the strictness setting and the event log of warnings, penalties, shortcuts and cars put back on the
+// track
+const TRACK_LIMITS_MODES = {
+    off: { enabled: false },
+    standard: {},
+    strict: { warnings: 0 }
+};
+const EVENT_LOG_SIZE = 5;      // Entries shown at once
+const EVENT_LOG_DURATION = 10; // Seconds of session time an entry stays up
+const RECOVERY_LOG_TEXT = {
+    manual: 'Reset to the track',
+    stuck: 'Stuck, put back on the track',
+    offCourse: 'Off course, put back on the track',
+    wrongWay: 'Wrong way, put back on the track'
+};
+
+let trackLimitsMode = 'standard';
+let eventLog = []; // { text, time, player }
+
+// Options for new Simulations, so the setting carries over to the next track
+function trackLimitsOptions() {
+    return TRACK_LIMITS_MODES[trackLimitsMode];
+}
+
+// Called whenever a session starts
+function initEventLog() {
+    eventLog = [];
+    updateEventLog();
+}
+
+// Called every simulation tick with the events from Simulation.step
+function logTrackLimitEvents(events) {
+    events.forEach(event => {
+        const text = describeTrackLimitEvent(event);
+        if (!text) return;
+        
+        const car = simulation.cars.find(entry => entry.id === event.car);
+        eventLog.push({ text: escapeHTML(car.name) + ': ' + text, time: event.time, player: !car.driver });
+    });
+}
+
+function describeTrackLimitEvent(event) {
+    // Only the players' laps are timed
+    const car = simulation.cars.find(entry => entry.id === event.car);
+    const timed = car && car.lapTimer && car.lapTimer.lap > 0;
+    const invalid = event.invalidatesLap && timed ? ', lap invalidated' : '';
+    switch (event.type) {
+        case 'warning':
+            return 'Track limits warning ' + event.count + '/' + simulation.trackLimitRules.warnings + invalid;
+        case 'penalty':
+            return 'Track limits, +' + event.seconds + 's penalty' + invalid;
+        case 'shortcut':
+            return 'Shortcut, +' + event.seconds + 's penalty' + invalid;
+        case 'recovered':
+            return RECOVERY_LOG_TEXT[event.reason] + invalid;
+        default:
+            return null;
+    }
+}
+
+function updateEventLog() {
+    const now = simulation ? simulation.tick * SIMULATION_STEP : 0;
+    eventLog = eventLog.filter(entry => now - entry.time < EVENT_LOG_DURATION).slice(-EVENT_LOG_SIZE);
+    
+    const element = document.getElementById('eventLog');
+    element.style.display = eventLog.length > 0 ? 'block' : 'none';
+    element.innerHTML = eventLog.map(entry =>
+        '<div class="row' + (entry.player ? ' player' : '') + '">' + entry.text + '</div>').join('');
+}
+
+function setupTrackLimitsControls() {
+    const select = document.getElementById('trackLimitsSelect');
+    select.value = trackLimitsMode;
+    select.onchange = () => {
+        trackLimitsMode = select.value;
+        // Infringements so far stand, the new rules apply from here on
+        if (simulation) simulation.setTrackLimitRules(trackLimitsOptions());
+        select.blur(); // Keep arrow keys for driving
+    };
+}
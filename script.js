@@ -1,177 +1,31 @@
-// Barrier class for better organization
-class Barrier {
-    constructor(position, rotation, length) {
-        this.height = 5;
-        this.width = 2;
-        this.length = length;
-        this.mass = 10;
-        this.friction = 0.8;
-        this.velocity = { x: 0, z: 0 };
-        
-        // Create the 3D mesh
-        this.geometry = new THREE.BoxGeometry(this.width, this.height, this.length);
-        this.material = new THREE.MeshLambertMaterial({ color: 0xff0000 });
-        this.mesh = new THREE.Mesh(this.geometry, this.material);
-        
-        // Set position and rotation
-        this.mesh.position.copy(position);
-        this.mesh.rotation.y = rotation;
-        this.mesh.castShadow = true;
-        
-        // Add physics properties
-        this.mesh.userData = {
-            isBarrier: true,
-            barrier: this // Reference back to this barrier instance
-        };
-    }
-    
-    // Add to scene
-    addToScene(parent) {
-        parent.add(this.mesh);
-    }
-    
-    // Update physics
-    updatePhysics() {
-        // Apply velocity to position
-        this.mesh.position.x += this.velocity.x;
-        this.mesh.position.z += this.velocity.z;
-        
-        // Apply friction to slow down
-        this.velocity.x *= this.friction;
-        this.velocity.z *= this.friction;
-        
-        // Stop very slow movement
-        if (Math.abs(this.velocity.x) < 0.01) this.velocity.x = 0;
-        if (Math.abs(this.velocity.z) < 0.01) this.velocity.z = 0;
-        
-        // Prevent sinking into ground
-        if (this.mesh.position.y < this.height / 2) {
-            this.mesh.position.y = this.height / 2;
-        }
-    }
-    
-    // Handle collision with car
-    handleCollision(carPosition, carSpeed, carRotation) {
-        // Calculate collision direction
-        const carCenter = new THREE.Vector3(carPosition.x, carPosition.y, carPosition.z);
-        const barrierCenter = this.mesh.position.clone();
-        
-        // Get collision direction (from barrier to car)
-        const collisionDirection = new THREE.Vector3()
-            .subVectors(carCenter, barrierCenter)
-            .normalize();
-        
-        // If direction is invalid (objects at same position), use a random direction
-        if (collisionDirection.length() === 0) {
-            collisionDirection.set(Math.random() - 0.5, 0, Math.random() - 0.5).normalize();
-        }
-        
-        // Calculate minimum separation distance (smaller collision boxes)
-        const carRadius = 6; // Reduced from 8 to 6
-        const barrierRadius = Math.max(this.width, this.length) / 2 * 0.8; // 80% of actual size
-        const minSeparation = carRadius + barrierRadius + 1; // Reduced buffer from 2 to 1
-        
-        // Current distance between objects
-        const currentDistance = carCenter.distanceTo(barrierCenter);
-        
-        // If objects are overlapping, separate them
-        if (currentDistance < minSeparation) {
-            const separationNeeded = minSeparation - currentDistance;
-            const separationVector = collisionDirection.clone().multiplyScalar(separationNeeded);
-            
-            // Move barrier away from car
-            this.mesh.position.x -= separationVector.x * 0.6; // Barrier moves 60%
-            this.mesh.position.z -= separationVector.z * 0.6;
-            
-            // Move car away from barrier (return this for car movement)
-            const carSeparation = separationVector.clone().multiplyScalar(0.4); // Car moves 40%
-            
-            // Car impact force based on speed
-            const impactForce = Math.abs(carSpeed) * 0.5;
-            
-            // Push barrier away with impact force
-            const pushForce = collisionDirection.clone().multiplyScalar(-impactForce * 0.4);
-            this.velocity.x += pushForce.x;
-            this.velocity.z += pushForce.z;
-            
-            // Add some rotation to the barrier for realism
-            this.mesh.rotation.y += (Math.random() - 0.5) * 0.3;
-            
-            // Return collision result with separation
-            return {
-                bounceForce: carSeparation,
-                speedReduction: 0.4, // Lose 60% of speed
-                separated: true
-            };
-        }
-        
-        // Normal collision without overlap
-        const impactForce = Math.abs(carSpeed) * 0.5;
-        
-        // Push barrier away
-        const pushForce = collisionDirection.clone().multiplyScalar(-impactForce * 0.3);
-        this.velocity.x += pushForce.x;
-        this.velocity.z += pushForce.z;
-        
-        // Add some rotation to the barrier for realism
-        this.mesh.rotation.y += (Math.random() - 0.5) * 0.2;
-        
-        // Return bounce force for the car
-        const bounceForce = collisionDirection.clone().multiplyScalar(impactForce * 0.1);
-        return {
-            bounceForce: bounceForce,
-            speedReduction: 0.3, // Lose 70% of speed
-            separated: false
-        };
-    }
-    
-    // Get bounding box for collision detection (smaller than visual)
-    getBoundingBox() {
-        const box = new THREE.Box3().setFromObject(this.mesh);
-        // Shrink the bounding box by 20% on all sides
-        const shrinkFactor = 0.8;
-        const center = box.getCenter(new THREE.Vector3());
-        const size = box.getSize(new THREE.Vector3()).multiplyScalar(shrinkFactor);
-        
-        box.setFromCenterAndSize(center, size);
-        return box;
-    }
-    
-    // Check if should be created at this radius
-    static shouldCreateAtRadius(currentRadius, radiusThreshold = 520) {
-        return currentRadius > radiusThreshold;
-    }
-}
-
 // Global variables
 let scene, camera, renderer, car, track;
-let carPosition = { x: 0, y: 0, z: 500 }; // Start on the larger track
-let carRotation = 0;
-let carSpeed = 0;
-let maxSpeed = 50;
-let acceleration = 0.8; // Increased for logarithmic feel
-let deceleration = 0.3;
-let turnSpeed = 0.05;
-let isFirstPerson = false;
-let thirdPersonCamera, firstPersonCamera;
+let playerControls = { throttle: 0, brake: 0, steer: 0 };
+
+// Cars, barriers and timing for the loaded track, see sim/simulation.js
+let simulation = null;
+
+// Fixed-timestep simulation, independent of the display refresh rate
+const SIMULATION_SEED = Number(new URLSearchParams(window.location.search).get('seed')) || DEFAULT_SIMULATION_SEED;
+let simulationLoop = new FixedStepLoop(SIMULATION_STEP);
 
 // Track waypoints for the racing line
+let currentTrack = null; // Parsed track file, see sim/trackLoader.js
+let trackManifest = [];
 let trackWaypoints = [];
-let trackRadius = 500; // Increased base radius
 let trackWidth = 120; // Increased track width from 80 to 120
 
-// Collision detection
-let barriers = []; // Store Barrier instances
-let carBoundingBox = new THREE.Box3();
+// Surface colours
+const TRACK_COLOR = 0x333333;
+const GRASS_COLOR = 0x228B22;
+const RUNOFF_COLORS = { tarmac: 0x555555, gravel: 0xc2a878, grass: GRASS_COLOR };
+const PIT_LANE_COLOR = 0x555555;
+const PIT_BOX_COLOR = 0xffcc00;
 
-// Input handling
-let keys = {
-    up: false,
-    down: false,
-    left: false,
-    right: false,
-    space: false
-};
+// Barrier meshes, drawn where the simulation's barriers are
+let barrierMeshes = [];
+let barrierDebugGroup = null;
+let showBarrierDebug = false;
 
 function setup() {
     createCanvas(windowWidth, windowHeight, WEBGL);
@@ -179,29 +33,123 @@ function setup() {
     // Initialize Three.js
     initThreeJS();
     createGround(); // Add grass ground
-    createCar();
+    car = createCar();
+    setupCameras();
+    
+    setupInputControls();
+    setupReplayControls();
+    setupTelemetryControls();
+    setupSessions();
+    setupTrackEditor();
+    setupTrackLimitsControls();
+    setupPitControls();
+    setupHud();
+    setupAudio();
+    setupSplitScreen();
+    setupNetwork();
+    
+    // Tracks load asynchronously from the tracks folder
+    loadTrackManifest();
+    
+    const handlingSelect = document.getElementById('handlingSelect');
+    handlingSelect.value = CAR_SETUP.model;
+    handlingSelect.onchange = () => {
+        setHandlingModel(handlingSelect.value);
+        handlingSelect.blur(); // Keep arrow keys for driving
+    };
+    
+    const opponentSelect = document.getElementById('opponentSelect');
+    opponentSelect.value = opponentCount;
+    opponentSelect.onchange = () => {
+        setOpponentCount(Number(opponentSelect.value));
+        opponentSelect.blur();
+    };
+}
+
+function loadTrackManifest() {
+    loadJSON('tracks/index.json', manifest => {
+        trackManifest = manifest.tracks;
+        populateTrackSelector();
+        if (trackManifest.length > 0) {
+            loadTrackFile(trackManifest[0].file);
+        }
+    }, () => showTrackError('Could not load tracks/index.json - serve this folder over HTTP'));
+}
+
+function loadTrackFile(file) {
+    loadJSON('tracks/' + file, data => {
+        try {
+            loadTrack(parseTrackDefinition(data, file));
+        } catch (error) {
+            showTrackError(error.message);
+        }
+    }, () => showTrackError('Could not load tracks/' + file));
+}
+
+function populateTrackSelector() {
+    const select = document.getElementById('trackSelect');
+    select.innerHTML = '';
+    
+    trackManifest.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.file;
+        option.textContent = entry.name;
+        select.appendChild(option);
+    });
     
-    // Generate track waypoints FIRST
-    generateTrackWaypoints();
+    select.onchange = () => {
+        loadTrackFile(select.value);
+        select.blur(); // Keep arrow keys for driving
+    };
+}
+
+function showTrackError(message) {
+    console.error(message);
+    document.getElementById('trackError').textContent = message;
+}
+
+function loadTrack(definition) {
+    // Remove the previous circuit and its barriers
+    if (track) {
+        scene.remove(track);
+        track.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+    }
+    
+    currentTrack = definition;
+    document.getElementById('trackError').textContent = '';
+    
+    // Generate track waypoints and barriers FIRST
+    simulation = new Simulation(definition, { seed: SIMULATION_SEED, trackLimits: trackLimitsOptions() });
+    trackWaypoints = simulation.waypoints;
+    trackWidth = definition.width;
     
     // Then create track using the waypoints
     createTrack();
-    setupCameras();
+    createSectorRows(simulation.lapTimer.sectorCount);
     
-    // Position car at first waypoint to ensure it starts on track
-    if (trackWaypoints.length > 0) {
-        const startWaypoint = trackWaypoints[0];
-        carPosition.x = startWaypoint.x;
-        carPosition.z = startWaypoint.z;
-        carPosition.y = 0;
-        
-        // Set car rotation to face along the track
-        carRotation = startWaypoint.angle;
-        
-        // Update car mesh position
-        car.position.set(carPosition.x, carPosition.y, carPosition.z);
-        car.rotation.y = carRotation;
-    }
+    resetSession();
+}
+
+// Put every car and barrier back and restart timing
+function resetSession() {
+    // Same seed and inputs give the same run
+    simulation.reset();
+    simulationLoop.reset();
+    
+    initOpponents();
+    initSplitScreen();
+    initNetwork();
+    initSession();
+    initRace();
+    initReplays();
+    initTelemetry();
+    initEventLog();
+    initPitStop();
+    initHud();
+    initCameras();
 }
 
 function initThreeJS() {
@@ -239,7 +187,7 @@ function initThreeJS() {
 function createGround() {
     // Create large grass ground
     const groundGeometry = new THREE.PlaneGeometry(2000, 2000);
-    const groundMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 }); // Forest green
+    const groundMaterial = new THREE.MeshLambertMaterial({ color: GRASS_COLOR }); // Forest green
     const ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = -Math.PI / 2;
     ground.position.y = -1;
@@ -247,175 +195,171 @@ function createGround() {
     scene.add(ground);
 }
 
-function createCar() {
-    car = new THREE.Group();
+// A car model in the scene; options as createCarMesh
+function createCar(options = {}) {
+    const mesh = createCarMesh(options);
     
-    // Main body (red)
+    // Position car at start
+    mesh.position.set(0, 0, 0);
+    scene.add(mesh);
+    return mesh;
+}
+
+// Build the car model; options.color sets the livery, options.opacity < 1 makes a ghost
+function createCarMesh(options = {}) {
+    const group = new THREE.Group();
+    group.rotation.order = 'YXZ'; // Heading, then the tilt of the surface, see orientCarMesh
+    const livery = options.color === undefined ? 0xff0000 : options.color;
+    const opacity = options.opacity === undefined ? 1 : options.opacity;
+    const isGhost = opacity < 1;
+    const createMaterial = color => new THREE.MeshLambertMaterial({
+        color,
+        transparent: isGhost,
+        opacity,
+        depthWrite: !isGhost
+    });
+    
+    // Main body (livery colour)
     const bodyGeometry = new THREE.BoxGeometry(8, 2, 16);
-    const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0xff0000 });
+    const bodyMaterial = createMaterial(livery);
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.position.y = 1;
-    body.castShadow = true;
-    car.add(body);
+    body.castShadow = !isGhost;
+    group.add(body);
     
     // Cockpit
     const cockpitGeometry = new THREE.BoxGeometry(4, 1.5, 6);
-    const cockpitMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
+    const cockpitMaterial = createMaterial(0x333333);
     const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
     cockpit.position.set(0, 2.5, -2);
-    cockpit.castShadow = true;
-    car.add(cockpit);
+    cockpit.castShadow = !isGhost;
+    group.add(cockpit);
+    
+    // Damaged parts are bent or removed by showCarDamage
+    const parts = {};
     
     // Front wing
     const frontWingGeometry = new THREE.BoxGeometry(12, 0.5, 2);
-    const frontWingMaterial = new THREE.MeshLambertMaterial({ color: 0xff0000 });
+    const frontWingMaterial = createMaterial(livery);
     const frontWing = new THREE.Mesh(frontWingGeometry, frontWingMaterial);
     frontWing.position.set(0, 0.5, 8);
-    frontWing.castShadow = true;
-    car.add(frontWing);
+    frontWing.castShadow = !isGhost;
+    group.add(frontWing);
+    parts.frontWing = frontWing;
     
     // Rear wing
     const rearWingGeometry = new THREE.BoxGeometry(8, 3, 1);
-    const rearWingMaterial = new THREE.MeshLambertMaterial({ color: 0xff0000 });
+    const rearWingMaterial = createMaterial(livery);
     const rearWing = new THREE.Mesh(rearWingGeometry, rearWingMaterial);
     rearWing.position.set(0, 3, -8);
-    rearWing.castShadow = true;
-    car.add(rearWing);
+    rearWing.castShadow = !isGhost;
+    group.add(rearWing);
+    parts.rearWing = rearWing;
     
-    // Wheels (black)
+    // Wheels (black), where the simulation has them touching the ground; the car's left is +x
     const wheelGeometry = new THREE.CylinderGeometry(2, 2, 1.5, 16);
-    const wheelMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
-    
-    // Front wheels
-    const frontLeftWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    frontLeftWheel.position.set(-5, 0, 5);
-    frontLeftWheel.rotation.z = Math.PI / 2;
-    frontLeftWheel.castShadow = true;
-    car.add(frontLeftWheel);
-    
-    const frontRightWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    frontRightWheel.position.set(5, 0, 5);
-    frontRightWheel.rotation.z = Math.PI / 2;
-    frontRightWheel.castShadow = true;
-    car.add(frontRightWheel);
-    
-    // Rear wheels
-    const rearLeftWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    rearLeftWheel.position.set(-5, 0, -5);
-    rearLeftWheel.rotation.z = Math.PI / 2;
-    rearLeftWheel.castShadow = true;
-    car.add(rearLeftWheel);
-    
-    const rearRightWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    rearRightWheel.position.set(5, 0, -5);
-    rearRightWheel.rotation.z = Math.PI / 2;
-    rearRightWheel.castShadow = true;
-    car.add(rearRightWheel);
+    const wheelMaterial = createMaterial(0x000000);
+    carWheelOffsets().forEach((offset, i) => {
+        const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+        wheel.position.set(offset.left, 0, offset.forward);
+        wheel.rotation.z = Math.PI / 2;
+        wheel.castShadow = !isGhost;
+        group.add(wheel);
+        parts[DAMAGE_PARTS[2 + i]] = wheel; // The wheels follow the wings, in the same order
+    });
     
-    // Position car at start
-    car.position.set(0, 0, 0);
-    scene.add(car);
+    group.userData.parts = parts;
+    return group;
 }
 
 function createTrack() {
     track = new THREE.Group();
     
-    // Use the existing trackWaypoints array instead of generating new points
-    const trackPoints = [];
-    const innerPoints = [];
-    const outerPoints = [];
-    
-    // Convert existing waypoints to track geometry
-    for (let i = 0; i < trackWaypoints.length; i++) {
-        const waypoint = trackWaypoints[i];
-        
-        trackPoints.push(new THREE.Vector3(waypoint.x, 0, waypoint.z));
-        
-        // Calculate perpendicular direction for track width
-        let perpAngle;
-        if (i < trackWaypoints.length - 1) {
-            // Use direction to next waypoint
-            const nextWaypoint = trackWaypoints[i + 1];
-            perpAngle = Math.atan2(nextWaypoint.z - waypoint.z, nextWaypoint.x - waypoint.x) + Math.PI / 2;
-        } else {
-            // For last waypoint, connect back to first waypoint for closed loop
-            const firstWaypoint = trackWaypoints[0];
-            perpAngle = Math.atan2(firstWaypoint.z - waypoint.z, firstWaypoint.x - waypoint.x) + Math.PI / 2;
-        }
-        
-        // Create inner and outer points based on track width
-        const halfWidth = trackWidth / 2;
-        const innerX = waypoint.x + Math.cos(perpAngle) * halfWidth;
-        const innerZ = waypoint.z + Math.sin(perpAngle) * halfWidth;
-        const outerX = waypoint.x - Math.cos(perpAngle) * halfWidth;
-        const outerZ = waypoint.z - Math.sin(perpAngle) * halfWidth;
-        
-        innerPoints.push(new THREE.Vector3(innerX, 0, innerZ));
-        outerPoints.push(new THREE.Vector3(outerX, 0, outerZ));
-    }
-    
-    // Store track boundaries for collision detection
-    window.trackInnerPoints = innerPoints;
-    window.trackOuterPoints = outerPoints;
-    
-    // Create track geometry
-    const trackGeometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const indices = [];
-    
-    // Create track surface vertices (close the loop)
-    for (let i = 0; i < trackPoints.length; i++) {
-        const nextIndex = (i + 1) % trackPoints.length; // Wrap around to close the loop
-        
-        const inner1 = innerPoints[i];
-        const outer1 = outerPoints[i];
-        const inner2 = innerPoints[nextIndex];
-        const outer2 = outerPoints[nextIndex];
-        
-        vertices.push(
-            inner1.x, inner1.y, inner1.z,
-            outer1.x, outer1.y, outer1.z,
-            inner2.x, inner2.y, inner2.z,
-            outer2.x, outer2.y, outer2.z
-        );
-        
-        const baseIndex = i * 4;
-        indices.push(
-            baseIndex, baseIndex + 1, baseIndex + 2,
-            baseIndex + 1, baseIndex + 3, baseIndex + 2
-        );
-    }
-    
-    trackGeometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    trackGeometry.setIndex(indices);
-    trackGeometry.computeVertexNormals();
-    
-    const trackMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0x333333,
-        side: THREE.DoubleSide
+    // Dense points along the spline, with heights and banking, see sim/trackSurface.js
+    const points = simulation.surface.points;
+    const runoffWidth = simulation.surface.runoffWidth;
+    const edgeHeight = (point, side) => trackSurfaceHeight(point, side * point.width / 2);
+    
+    // Banked asphalt between the edges
+    track.add(createSurfaceStrip(points, point => [
+        { lateral: -point.width / 2, height: edgeHeight(point, -1) },
+        { lateral: point.width / 2, height: edgeHeight(point, 1) }
+    ], () => TRACK_COLOR));
+    
+    [-1, 1].forEach(side => {
+        // Run-off level with the edge, then an embankment down to the ground
+        track.add(createSurfaceStrip(points, point => [
+            { lateral: side * point.width / 2, height: edgeHeight(point, side) },
+            { lateral: side * (point.width / 2 + runoffWidth), height: edgeHeight(point, side) }
+        ], point => RUNOFF_COLORS[point.runoff]));
+        track.add(createSurfaceStrip(points, point => {
+            const drop = Math.max(0, edgeHeight(point, side) + 1); // The ground plane is at -1
+            return [
+                { lateral: side * (point.width / 2 + runoffWidth), height: edgeHeight(point, side) },
+                { lateral: side * (point.width / 2 + runoffWidth + drop / EMBANKMENT_SLOPE), height: -1 }
+            ];
+        }, () => GRASS_COLOR));
+        
+        // Red and white curbs inside the edges through the corners
+        track.add(createSurfaceStrip(points, point => [
+            { lateral: side * (point.width / 2 - CURB_WIDTH), height: trackSurfaceHeight(point, side * (point.width / 2 - CURB_WIDTH)) + 0.05 },
+            { lateral: side * point.width / 2, height: edgeHeight(point, side) + 0.05 }
+        ], (point, i) => point.curb ? (Math.floor(i / 2) % 2 === 0 ? 0xdd0000 : 0xffffff) : null));
     });
     
-    const trackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
-    trackMesh.receiveShadow = true;
-    track.add(trackMesh);
-    
     // Add track markings
-    createTrackMarkings(trackPoints, trackWidth);
+    createTrackMarkings(points);
+    track.add(createPitLane());
+    track.add(createPitBox());
     
     // Add barriers
-    createBarriers(innerPoints, outerPoints);
+    createBarriers();
     
     scene.add(track);
 }
 
-function createTrackMarkings(centerPoints, width) {
+// A band along the track between two cross-section positions, [{ lateral, height }, { lateral, height }] with
+// lateral positive to the left, for each point. colorOf(point, i) colours the stretch to the next point;
+// null leaves it out.
+function createSurfaceStrip(points, crossSection, colorOf) {
+    const vertices = [];
+    const colors = [];
+    const color = new THREE.Color();
+    const corner = (point, position) => [
+        point.x + Math.cos(point.angle) * position.lateral,
+        position.height,
+        point.z - Math.sin(point.angle) * position.lateral
+    ];
+    
+    for (let i = 0; i < points.length - 1; i++) {
+        const stretchColor = colorOf(points[i], i);
+        if (stretchColor === null) continue;
+        
+        const [inner1, outer1] = crossSection(points[i]).map(position => corner(points[i], position));
+        const [inner2, outer2] = crossSection(points[i + 1]).map(position => corner(points[i + 1], position));
+        vertices.push(...inner1, ...outer1, ...inner2, ...outer1, ...outer2, ...inner2);
+        color.setHex(stretchColor);
+        for (let j = 0; j < 6; j++) colors.push(color.r, color.g, color.b);
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.computeVertexNormals();
+    
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide }));
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+function createTrackMarkings(points) {
     // Center line
     const centerLineGeometry = new THREE.BufferGeometry();
     const centerVertices = [];
     
-    for (let i = 0; i < centerPoints.length - 1; i++) {
-        const p1 = centerPoints[i];
-        const p2 = centerPoints[i + 1];
+    for (let i = 0; i < points.length - 1; i++) {
+        const p1 = points[i];
+        const p2 = points[i + 1];
         
         centerVertices.push(p1.x, p1.y + 0.1, p1.z);
         centerVertices.push(p2.x, p2.y + 0.1, p2.z);
@@ -426,306 +370,380 @@ function createTrackMarkings(centerPoints, width) {
     const centerLineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
     const centerLine = new THREE.LineSegments(centerLineGeometry, centerLineMaterial);
     track.add(centerLine);
+    
+    // Start/finish line across the track at the first waypoint
+    track.add(createCrossLine(trackWaypoints[0], 4, 0xffffff));
+    
+    // Thinner yellow lines where the later sectors begin
+    simulation.sectorStarts.slice(1).forEach(index => {
+        track.add(createCrossLine(trackWaypoints[index], 2, 0xffcc00));
+    });
 }
 
-function createBarriers(innerPoints, outerPoints) {
-    // Clear existing barriers array
-    barriers = [];
-    
-    // Only add outer barriers on curves with radius above threshold
-    for (let i = 0; i < outerPoints.length - 1; i++) {
-        const p1 = outerPoints[i];
-        const p2 = outerPoints[i + 1];
-        
-        // Calculate the radius at this point
-        const angle = (i / outerPoints.length) * Math.PI * 2;
-        const normalizedAngle = angle % (Math.PI * 2);
-        
-        let currentRadius = trackRadius;
-        
-        // Match the radius calculation from createTrack
-        if (normalizedAngle >= 0 && normalizedAngle < Math.PI * 0.3) {
-            const straightProgress = normalizedAngle / (Math.PI * 0.3);
-            currentRadius = trackRadius + (150 * straightProgress);
-        } else if (normalizedAngle >= Math.PI * 0.3 && normalizedAngle < Math.PI * 0.7) {
-            const curveAngle = (normalizedAngle - Math.PI * 0.3) / (Math.PI * 0.4);
-            const bendFactor = Math.sin(curveAngle * Math.PI * 3) * 80;
-            currentRadius = trackRadius + 150 + bendFactor;
-        } else if (normalizedAngle >= Math.PI * 0.7 && normalizedAngle < Math.PI * 1.3) {
-            const straightProgress = (normalizedAngle - Math.PI * 0.7) / (Math.PI * 0.6);
-            currentRadius = trackRadius + 150 - (150 * straightProgress);
-        } else {
-            const curveAngle = (normalizedAngle - Math.PI * 1.3) / (Math.PI * 0.7);
-            const bendFactor = Math.sin(curveAngle * Math.PI * 4) * 60;
-            currentRadius = trackRadius + bendFactor;
-        }
-        
-        // Only add barrier if radius is above threshold (outside of tight curves)
-        if (Barrier.shouldCreateAtRadius(currentRadius)) {
-            const distance = p1.distanceTo(p2);
-            const position = new THREE.Vector3(
-                (p1.x + p2.x) / 2,
-                2.5, // Height / 2
-                (p1.z + p2.z) / 2
-            );
-            
-            // Calculate angle between points and align barrier tangential to track
-            const barrierAngle = Math.atan2(p2.x - p1.x, p2.z - p1.z);
-            
-            // Create new barrier instance
-            const barrier = new Barrier(position, barrierAngle, distance);
-            barrier.addToScene(track);
-            barriers.push(barrier);
-        }
-    }
+// A painted line across the (banked) track at a waypoint
+function createCrossLine(waypoint, length, color) {
+    const forward = { x: Math.sin(waypoint.angle) * length / 2, z: Math.cos(waypoint.angle) * length / 2 };
+    const corner = (side, along) => {
+        const lateral = side * waypoint.width / 2;
+        return [
+            waypoint.x + Math.cos(waypoint.angle) * lateral + forward.x * along,
+            trackSurfaceHeight(waypoint, lateral) + 0.15,
+            waypoint.z - Math.sin(waypoint.angle) * lateral + forward.z * along
+        ];
+    };
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([
+        ...corner(-1, -1), ...corner(1, -1), ...corner(-1, 1),
+        ...corner(1, -1), ...corner(1, 1), ...corner(-1, 1)
+    ], 3));
+    return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide }));
 }
 
-function getCarBoundingBox() {
-    // Create a smaller bounding box for the car (80% of actual size)
-    const box = new THREE.Box3().setFromObject(car);
-    const shrinkFactor = 0.8;
-    const center = box.getCenter(new THREE.Vector3());
-    const size = box.getSize(new THREE.Vector3()).multiplyScalar(shrinkFactor);
-    
-    box.setFromCenterAndSize(center, size);
-    return box;
+// The pit lane surface from where it leaves the track to where it rejoins, just above the run-off
+function createPitLane() {
+    const half = simulation.pitLane.rules.width / 2;
+    return createSurfaceStrip(simulation.pitLane.path, point => [
+        { lateral: -half, height: point.y + 0.05 },
+        { lateral: half, height: point.y + 0.05 }
+    ], () => PIT_LANE_COLOR);
 }
 
-function checkCollisions() {
-    // Update car bounding box (smaller)
-    carBoundingBox = getCarBoundingBox();
-    
-    // Check collision with each barrier
-    for (let i = 0; i < barriers.length; i++) {
-        const barrier = barriers[i];
-        const barrierBox = barrier.getBoundingBox();
-        
-        if (carBoundingBox.intersectsBox(barrierBox)) {
-            const collisionResult = barrier.handleCollision(carPosition, carSpeed, carRotation);
-            
-            // Apply collision effects to car
-            carPosition.x += collisionResult.bounceForce.x;
-            carPosition.z += collisionResult.bounceForce.z;
-            carSpeed *= collisionResult.speedReduction;
-        }
-        
-        // Update barrier physics
-        barrier.updatePhysics();
-    }
+// The pit box painted in the lane, where the crew work on a car that stops
+function createPitBox() {
+    const corners = simulation.pitLane.corners().map(corner => [
+        corner.x,
+        simulation.trackQuery.query(corner.x, corner.z).height + 0.1,
+        corner.z
+    ]);
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([
+        ...corners[0], ...corners[1], ...corners[2], ...corners[0], ...corners[2], ...corners[3]
+    ], 3));
+    const material = new THREE.MeshBasicMaterial({ color: PIT_BOX_COLOR, transparent: true, opacity: 0.5, side: THREE.DoubleSide });
+    return new THREE.Mesh(geometry, material);
 }
 
-function setupCameras() {
-    // Third person camera
-    thirdPersonCamera = new THREE.PerspectiveCamera(75, windowWidth / windowHeight, 0.1, 2000);
-    
-    // First person camera
-    firstPersonCamera = new THREE.PerspectiveCamera(90, windowWidth / windowHeight, 0.1, 2000);
+function createBarriers() {
+    // One block per barrier placed from the curvature and edges of the generated waypoints
+    const material = new THREE.MeshLambertMaterial({ color: 0xff0000 });
+    barrierMeshes = simulation.barriers.map(barrier => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(barrier.width, barrier.height, barrier.length), material);
+        mesh.castShadow = true;
+        track.add(mesh);
+        return mesh;
+    });
+    syncBarrierMeshes();
     
-    camera = thirdPersonCamera;
+    createBarrierDebugOverlay(simulation.barrierRules);
+}
+
+function syncBarrierMeshes() {
+    simulation.barriers.forEach((barrier, i) => {
+        barrierMeshes[i].position.set(barrier.position.x, barrier.position.y, barrier.position.z);
+        barrierMeshes[i].rotation.y = barrier.rotation;
+    });
 }
 
-function generateTrackWaypoints() {
-    const segments = 200; // Match createTrack segments
-    const radius = 300;   // Match createTrack radius
+function createBarrierDebugOverlay(rules) {
+    barrierDebugGroup = new THREE.Group();
+    barrierDebugGroup.visible = showBarrierDebug;
+    
+    const roleColors = { outside: 0xff8800, inside: 0x00ccff };
+    
+    // Raised line along every placed barrier, coloured by which side of the corner it is on
+    simulation.barrierPlacements.forEach(placement => {
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(placement.start.x, 8, placement.start.z),
+            new THREE.Vector3(placement.end.x, 8, placement.end.z)
+        ]);
+        const material = new THREE.LineBasicMaterial({ color: roleColors[placement.role] });
+        barrierDebugGroup.add(new THREE.Line(geometry, material));
+    });
     
-    trackWaypoints = [];
+    // One label per run of consecutive barriers explaining the rule that placed them
+    getBarrierRuns(simulation.barrierPlacements).forEach(run => {
+        const middle = run[Math.floor(run.length / 2)];
+        const peak = run.reduce((best, placement) => placement.turnRate > best.turnRate ? placement : best);
+        const label = createDebugLabel(peak.reason, roleColors[peak.role]);
+        label.position.set(middle.start.x, 20, middle.start.z);
+        barrierDebugGroup.add(label);
+    });
     
-    // Continue with circular track generation
-    for (let i = 0; i <= segments; i++) {
-        const angle = (i / segments) * Math.PI * 2;
-        
-        // Use same bend calculation as createTrack
-        let currentRadius = radius;
-        const bendFactor = Math.sin(angle * 4.5) * 50; // Match createTrack exactly
-        currentRadius += bendFactor;
-        
-        const x = Math.cos(angle) * currentRadius;
-        const z = Math.sin(angle) * currentRadius;
-        
-        trackWaypoints.push({ x, z, angle });
-    }
+    track.add(barrierDebugGroup);
+    
+    // Summary of the active rules
+    const lines = rules.rules.map(rule => {
+        const count = simulation.barrierPlacements.filter(placement => placement.rule === rule).length;
+        const limits = [];
+        if (rule.minTurnRate !== undefined) limits.push('≥ ' + rule.minTurnRate + '°/s');
+        if (rule.maxTurnRate !== undefined) limits.push('≤ ' + rule.maxTurnRate + '°/s');
+        return rule.side + ' ' + limits.join(' ') + ': ' + count + ' barriers';
+    });
+    document.getElementById('barrierDebug').innerHTML =
+        '<strong>Barrier placement</strong> (at ' + rules.referenceSpeed + ' units/s)<br>' + lines.join('<br>');
 }
 
-function isOnTrack(x, z) {
-    // Check if car position is within track width of any waypoint
-    const carPosition = { x: x, z: z };
-    const trackWidthRadius = trackWidth / 2; // Half track width as radius
+// Group placements into consecutive runs along the same edge
+function getBarrierRuns(placements) {
+    const runs = [];
+    const count = trackWaypoints.length - 1;
+    
+    ['left', 'right'].forEach(side => {
+        const sidePlacements = placements.filter(placement => placement.side === side);
+        let run = [];
+        sidePlacements.forEach(placement => {
+            const previous = run[run.length - 1];
+            if (previous && (previous.index + 1) % count !== placement.index) {
+                runs.push(run);
+                run = [];
+            }
+            run.push(placement);
+        });
+        if (run.length > 0) runs.push(run);
+    });
     
-    // Check distance to each waypoint
-    for (let i = 0; i < trackWaypoints.length; i++) {
-        const waypoint = trackWaypoints[i];
-        const distance = Math.sqrt(
-            Math.pow(carPosition.x - waypoint.x, 2) + 
-            Math.pow(carPosition.z - waypoint.z, 2)
-        );
-        
-        // If car is within track width of any waypoint, it's on track
-        if (distance <= trackWidthRadius) {
-            return true;
-        }
+    return runs;
+}
+
+function createDebugLabel(text, color) {
+    const labelCanvas = document.createElement('canvas');
+    labelCanvas.width = 512;
+    labelCanvas.height = 64;
+    const context = labelCanvas.getContext('2d');
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(0, 0, labelCanvas.width, labelCanvas.height);
+    context.fillStyle = '#' + color.toString(16).padStart(6, '0');
+    context.font = '28px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, labelCanvas.width / 2, labelCanvas.height / 2);
+    
+    const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(labelCanvas), depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(80, 10, 1);
+    return sprite;
+}
+
+function toggleBarrierDebug() {
+    showBarrierDebug = !showBarrierDebug;
+    if (barrierDebugGroup) {
+        barrierDebugGroup.visible = showBarrierDebug;
     }
-    
-    // If not within radius of any waypoint, car is off track
-    return false;
+    document.getElementById('barrierDebug').style.display = showBarrierDebug ? 'block' : 'none';
 }
 
 function draw() {
-    // Handle input
-    handleInput();
+    // Nothing to simulate until a track has loaded
+    if (!currentTrack) {
+        renderer.render(scene, camera);
+        return;
+    }
     
-    // Update car physics
-    updateCar();
+    // The editor pauses the session and shows the track from above
+    if (editorActive) {
+        updateTrackEditor();
+        renderer.render(scene, editorCamera);
+        return;
+    }
     
-    // Check collisions with barriers
-    checkCollisions();
+    // The replay viewer pauses the session and follows the replay car
+    if (replayViewer) {
+        updateReplayViewer(deltaTime / 1000);
+        updateCamera(ghostCar, 0, deltaTime / 1000);
+        renderPlayerViews();
+        return;
+    }
     
-    // Update camera
-    updateCamera();
+    // Run the simulation in fixed steps for the time this frame covers; it stands still on the menu and start screens
+    // and while paused, see game/sessions.js
+    const alpha = simulationLoop.advance(sessionRunning() ? deltaTime / 1000 : 0, simulationStep);
     
-    // Update speed display
-    document.getElementById('speedValue').textContent = Math.round(Math.abs(carSpeed * 10));
+    // Draw the cars between their last two simulated poses
+    syncBarrierMeshes();
+    renderCar(alpha);
+    renderSecondCar(alpha);
+    renderOpponents(alpha);
+    renderNetworkCars(alpha);
+    updateGhost(alpha);
     
-    // Render Three.js scene
-    renderer.render(scene, camera);
+    // Update cameras
+    updateCamera(car, simulation.player.state.speed, deltaTime / 1000);
+    if (splitScreen) updateCamera(secondCar, secondPlayer().state.speed, deltaTime / 1000, 1);
+    
+    // Update speed display
+    document.getElementById('speedValue').textContent = Math.round(Math.abs(simulation.player.state.speed * 10));
+    updateTimingDisplay();
+    updateDamageDisplay();
+    updatePitDisplay();
+    updateHud();
+    updateAudio();
+    updateSecondPlayerDisplay();
+    updateRaceDisplay();
+    updateSessionDisplay();
+    updateEventLog();
+    
+    // Render Three.js scene, once for each player in split screen
+    renderPlayerViews();
 }
 
-function handleInput() {
-    // Check if car is on track
-    const onTrack = isOnTrack(carPosition.x, carPosition.z);
-    
-    // Adjust max speed based on surface
-    let currentMaxSpeed = maxSpeed;
-    if (!onTrack) {
-        // Reduce max speed on grass to 60% of normal speed
-        currentMaxSpeed = maxSpeed * 0.6;
-    }
-    
-    // Acceleration and braking
-    if (keys.up) {
-        carSpeed = Math.min(carSpeed + acceleration, currentMaxSpeed);
-    } else if (keys.down) {
-        carSpeed = Math.max(carSpeed - acceleration, -currentMaxSpeed * 0.5);
-    } else {
-        // Natural deceleration
-        if (carSpeed > 0) {
-            carSpeed = Math.max(carSpeed - deceleration, 0);
-        } else if (carSpeed < 0) {
-            carSpeed = Math.min(carSpeed + deceleration, 0);
-        }
-    }
+function simulationStep(dt) {
+    // Handle input
+    handleInput(dt);
+    
+    // Online, guests start from the host's last word on their car and the barriers, see game/network.js
+    applyNetworkSnapshot();
+    
+    // Move the cars and resolve collisions; in a race the cars wait for the lights
+    const controls = splitScreen ? [playerControls, secondPlayerControls] : networkControls(playerControls);
+    const events = simulation.step(dt, controls, { holdCars: raceCarsHeld() });
+    shareNetworkStep(playerControls);
+    
+    // Update the ghost recording, telemetry, the timed laps, race positions, the track limits log and the sound of hits
+    recordReplayFrame(events);
+    recordTelemetry(events);
+    updateSession(dt, events);
+    updateRace(dt, events);
+    logTrackLimitEvents(events);
+    playImpactSounds(events);
+}
+
+function renderCar(alpha) {
+    placeCarMesh(car, simulation.player.previousPose, simulation.player.state, alpha);
+    showCarDamage(car, simulation.player.state.damage);
+}
 
-    // If car exceeds max speed for current surface, slow it down
-    if (Math.abs(carSpeed) > currentMaxSpeed) {
-        carSpeed = carSpeed > 0 ? currentMaxSpeed : -currentMaxSpeed;
+// Place a car mesh between its previous pose and its current state
+function placeCarMesh(mesh, previousPose, state, alpha) {
+    const from = previousPose || { ...state.position, rotation: state.rotation };
+    const to = state;
+    
+    // Interpolate rotation the short way round
+    let rotationDelta = to.rotation - from.rotation;
+    rotationDelta = Math.atan2(Math.sin(rotationDelta), Math.cos(rotationDelta));
+    
+    mesh.position.set(
+        from.x + (to.position.x - from.x) * alpha,
+        from.y + (to.position.y - from.y) * alpha,
+        from.z + (to.position.z - from.z) * alpha
+    );
+    orientCarMesh(mesh, from.rotation + rotationDelta * alpha, state.normal);
+}
+
+// Turn a car mesh to its heading and tilt it to lie flat on a surface with the given normal
+function orientCarMesh(mesh, rotation, normal) {
+    const forward = normal.x * Math.sin(rotation) + normal.z * Math.cos(rotation);
+    const left = normal.x * Math.cos(rotation) - normal.z * Math.sin(rotation);
+    mesh.rotation.set(Math.asin(forward), rotation, -Math.asin(left));
+}
+
+// One split row per sector of the loaded track
+function createSectorRows(count) {
+    const rows = [];
+    for (let i = 1; i <= count; i++) {
+        rows.push('<div class="row"><span>S' + i + '</span><span id="sector' + i + '">-</span></div>');
     }
-    
-    // Steering - allow turning even at very low speeds
-    const minSpeedForTurning = 0.01; // Much lower threshold
-    if (Math.abs(carSpeed) > minSpeedForTurning) {
-        const speedFactor = Math.min(Math.abs(carSpeed) / maxSpeed, 1.0);
-        const currentTurnSpeed = turnSpeed * (0.5 + 0.5 * speedFactor); // Increased minimum to 50% turn speed
-        
-        if (keys.left) {
-            carRotation += currentTurnSpeed * 1.5; // Increased turn rate by 50%
-        }
-        if (keys.right) {
-            carRotation -= currentTurnSpeed * 1.5; // Increased turn rate by 50%
+    document.getElementById('sectorTimes').innerHTML = rows.join('');
+}
+
+function updateTimingDisplay() {
+    const lapTimer = simulation.lapTimer;
+    
+    document.getElementById('lapNumber').textContent = lapTimer.lap > 0 ? lapTimer.lap : '-';
+    document.getElementById('currentLapTime').textContent = formatLapTime(lapTimer.lap > 0 ? lapTimer.currentTime : null);
+    
+    const lastLap = document.getElementById('lastLapTime');
+    lastLap.textContent = formatLapTime(lapTimer.lastLapTime);
+    lastLap.className = lapTimer.lastLapValid ? '' : 'invalid';
+    document.getElementById('bestLapTime').textContent = formatLapTime(lapTimer.bestLapTime);
+    
+    // Show current lap splits, falling back to the previous lap's for sectors not yet reached
+    for (let i = 0; i < lapTimer.sectorCount; i++) {
+        const element = document.getElementById('sector' + (i + 1));
+        if (!element) continue;
+        
+        if (i < lapTimer.currentSectors.length) {
+            const delta = lapTimer.sectorDeltas[i];
+            element.textContent = formatLapTime(lapTimer.currentSectors[i]) + ' ' + formatDelta(delta);
+            element.className = delta === null || delta === undefined ? '' : (delta <= 0 ? 'faster' : 'slower');
+        } else {
+            element.textContent = formatLapTime(lapTimer.lastSectors[i]);
+            element.className = '';
         }
     }
+}
+
+// Text for markup. Names are whatever the players typed, and online they come from the other players' pages.
+function escapeHTML(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, character => entities[character]);
+}
+
+function handleInput(dt) {
+    // Keyboard, gamepad and touch merged into analog controls, see game/input.js
+    playerControls = readInputControls(dt);
+    if (splitScreen) secondPlayerControls = readInputControls(dt, 1);
     
-    // Camera switching
-    if (keys.space && !isFirstPerson) {
-        isFirstPerson = true;
-        camera = firstPersonCamera;
-    } else if (!keys.space && isFirstPerson) {
-        isFirstPerson = false;
-        camera = thirdPersonCamera;
-    }
+    // The gamepad's first person button; the key comes through keyPressed
+    if (readFirstPersonPress()) toggleFirstPerson();
 }
 
-function updateCar() {
-    // Update car position
-    const speedFactor = carSpeed * 0.1;
-    carPosition.x += Math.sin(carRotation) * speedFactor;
-    carPosition.z += Math.cos(carRotation) * speedFactor;
-    
-    // Update car mesh
-    car.position.set(carPosition.x, carPosition.y, carPosition.z);
-    car.rotation.y = carRotation;
-}
-
-function updateCamera() {
-    if (isFirstPerson) {
-        // First person view - inside the car
-        firstPersonCamera.position.set(
-            carPosition.x,
-            carPosition.y + 3,
-            carPosition.z
-        );
-        firstPersonCamera.rotation.y = carRotation;
-        firstPersonCamera.lookAt(
-            carPosition.x + Math.sin(carRotation) * 10,
-            carPosition.y + 3,
-            carPosition.z + Math.cos(carRotation) * 10
-        );
-    } else {
-        // Third person view - behind the car
-        const cameraDistance = 50;
-        const cameraHeight = 20;
-        
-        thirdPersonCamera.position.set(
-            carPosition.x - Math.sin(carRotation) * cameraDistance,
-            carPosition.y + cameraHeight,
-            carPosition.z - Math.cos(carRotation) * cameraDistance
-        );
-        
-        thirdPersonCamera.lookAt(carPosition.x, carPosition.y, carPosition.z);
-    }
+function setHandlingModel(model) {
+    CAR_SETUP.model = model;
+    
+    // The arcade model has no sideways motion to carry over
+    if (!simulation) return;
+    simulation.cars.forEach(({ state }) => {
+        state.lateralSpeed = 0;
+        state.yawRate = 0;
+    });
 }
 
-// Event listeners for keyboard input
-function keyPressed() {
-    switch (keyCode) {
-        case UP_ARROW:
-            keys.up = true;
+// Event listeners for keyboard input; keys are looked up in the player's bindings
+function keyPressed(event) {
+    // Let text and number fields have their keys
+    if (isTypingInField(event)) return true;
+    if (editorActive && handleEditorKey(event.code)) return false;
+    
+    const action = inputKeyDown(event.code);
+    if (handleSessionKey(action)) return false;
+    switch (action) {
+        case 'barrierDebug':
+            toggleBarrierDebug();
             break;
-        case DOWN_ARROW:
-            keys.down = true;
+        case 'replayViewer':
+            toggleReplayViewer();
             break;
-        case LEFT_ARROW:
-            keys.left = true;
+        case 'telemetry':
+            toggleTelemetryPanel();
             break;
-        case RIGHT_ARROW:
-            keys.right = true;
+        case 'mute':
+            setAudioMuted(!audioSettings.muted);
             break;
-        case 32: // Space bar
-            keys.space = true;
+        case 'firstPerson':
+            toggleFirstPerson();
             break;
-    }
-    return false; // Prevent default behavior
-}
-
-function keyReleased() {
-    switch (keyCode) {
-        case UP_ARROW:
-            keys.up = false;
-            break;
-        case DOWN_ARROW:
-            keys.down = false;
-            break;
-        case LEFT_ARROW:
-            keys.left = false;
+        case 'cameraMode':
+            cycleCameraMode();
             break;
-        case RIGHT_ARROW:
-            keys.right = false;
-            break;
-        case 32: // Space bar
-            keys.space = false;
+        case 'player2Camera':
+            if (splitScreen) cycleCameraMode(1);
             break;
     }
     return false; // Prevent default behavior
 }
 
+function keyReleased(event) {
+    inputKeyUp(event.code);
+    return isTypingInField(event); // Prevent default behavior outside fields
+}
+
+function isTypingInField(event) {
+    const target = event.target;
+    return Boolean(target && target.tagName === 'INPUT' && target.type !== 'range');
+}
+
 function windowResized() {
     resizeCanvas(windowWidth, windowHeight);
     if (camera) {
@@ -733,4 +751,6 @@ function windowResized() {
         camera.updateProjectionMatrix();
         renderer.setSize(windowWidth, windowHeight);
     }
+    if (editorCamera) updateEditorProjection();
+    resizeHud();
 } 
\ No newline at end of file
@@ -0,0 +1,290 @@
+// Relay for online sessions, see game/network.js. Players in a room pass their messages to each other through it;
+// rooms are made on request with a short code for the others to join by. The first player in is the host, and when
+// the host leaves the player who has been in longest takes over. It also serves the game, so two tabs on
+// http://localhost:8080 can race each other. Start it with npm run relay, or npm run relay -- <port>.
+// WebSockets are done here over plain HTTP upgrades, so the relay needs nothing beyond Node.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const RELAY_PORT = 8080;
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O to mistake for 1 or 0
+const ROOM_CODE_LENGTH = 4;
+const ROOM_SIZE = 8;
+const MAX_MESSAGE_SIZE = 1 << 20; // Bytes; a snapshot with a full grid is a few kilobytes
+const LOBBY_MESSAGE_TYPES = ['joined', 'peerJoined', 'peerLeft', 'error']; // Sent by the relay alone, never relayed
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+// The rooms and who is in them. A peer is { id, name, room, send(message) }; rooms are { code, peers } with the host
+// first. Mistakes by a peer, like a code that does not exist, throw an Error to send back to it.
+class Lobby {
+    constructor(random = Math.random) {
+        this.random = random;
+        this.rooms = new Map();
+        this.nextPeer = 1;
+    }
+    
+    // A peer for a connection; send is called with each message for it
+    connect(send) {
+        return { id: 'p' + this.nextPeer++, name: '', room: null, send };
+    }
+    
+    create(peer, name) {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_LETTERS[Math.floor(this.random() * ROOM_CODE_LETTERS.length)];
+            }
+        } while (this.rooms.has(code));
+        this.rooms.set(code, { code, peers: [] });
+        return this.join(peer, code, name);
+    }
+    
+    join(peer, code, name) {
+        const room = this.rooms.get(String(code || '').trim().toUpperCase());
+        if (!room) throw new Error('There is no room ' + code);
+        if (room.peers.length >= ROOM_SIZE) throw new Error('Room ' + room.code + ' is full');
+        if (peer.room) this.leave(peer);
+        
+        peer.name = String(name || '').trim().slice(0, 20) || 'Player ' + peer.id.slice(1);
+        peer.room = room;
+        room.peers.forEach(other => other.send({ type: 'peerJoined', id: peer.id, name: peer.name }));
+        room.peers.push(peer);
+        peer.send({
+            type: 'joined',
+            room: room.code,
+            id: peer.id,
+            host: room.peers[0].id,
+            peers: room.peers.map(other => ({ id: other.id, name: other.name }))
+        });
+        return room.code;
+    }
+    
+    // Out of the room, which closes when the last peer goes
+    leave(peer) {
+        const room = peer.room;
+        if (!room) return;
+        peer.room = null;
+        room.peers = room.peers.filter(other => other !== peer);
+        if (room.peers.length === 0) {
+            this.rooms.delete(room.code);
+            return;
+        }
+        room.peers.forEach(other => other.send({ type: 'peerLeft', id: peer.id, host: room.peers[0].id }));
+    }
+    
+    // Pass a message on to message.to, or everyone else in the room, marked with who it is from
+    relay(peer, message) {
+        if (!peer.room) throw new Error('Join a room first');
+        if (LOBBY_MESSAGE_TYPES.includes(message.type)) throw new Error('Only the relay sends ' + message.type);
+        const relayed = Object.assign({}, message, { from: peer.id });
+        peer.room.peers.forEach(other => {
+            if (other !== peer && (message.to === undefined || message.to === other.id)) other.send(relayed);
+        });
+    }
+    
+    // A message from a peer: { type: 'create', name }, { type: 'join', room, name }, { type: 'leave' } or anything
+    // else to relay
+    receive(peer, message) {
+        if (message.type === 'create') {
+            this.create(peer, message.name);
+        } else if (message.type === 'join') {
+            this.join(peer, message.room, message.name);
+        } else if (message.type === 'leave') {
+            this.leave(peer);
+        } else {
+            this.relay(peer, message);
+        }
+    }
+}
+
+// A WebSocket frame; what clients send is masked
+function encodeFrame(payload, opcode = OPCODES.text, masked = false) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    if (!masked) return Buffer.concat([header, data]);
+    
+    header[1] |= 0x80;
+    const mask = crypto.randomBytes(4);
+    const body = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) body[i] = data[i] ^ mask[i % 4];
+    return Buffer.concat([header, mask, body]);
+}
+
+// The whole frames at the front of buffer as { frames: [{ fin, opcode, payload }], rest }, rest being the bytes of a
+// frame still to arrive. Throws when a frame is larger than MAX_MESSAGE_SIZE.
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        if (length > MAX_MESSAGE_SIZE) throw new Error('Message of ' + length + ' bytes is too large');
+        
+        const mask = masked ? buffer.subarray(position, position + 4) : null;
+        if (masked) position += 4;
+        if (buffer.length < position + length) break;
+        
+        const payload = Buffer.from(buffer.subarray(position, position + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ fin, opcode, payload });
+        offset = position + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// Talk JSON messages to the lobby over an upgraded socket
+function acceptWebSocket(lobby, request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+    socket.setNoDelay(true);
+    
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        lobby.leave(peer);
+        socket.end(encodeFrame(Buffer.alloc(0), OPCODES.close));
+    };
+    const peer = lobby.connect(message => {
+        if (!closed) socket.write(encodeFrame(JSON.stringify(message)));
+    });
+    
+    let received = Buffer.alloc(0);
+    let fragments = [];  // The frames so far of a message sent in pieces
+    let fragmentSize = 0; // Their bytes, held to MAX_MESSAGE_SIZE like a whole message
+    socket.on('data', data => {
+        let decoded;
+        try {
+            decoded = decodeFrames(Buffer.concat([received, data]));
+        } catch (error) {
+            close();
+            return;
+        }
+        received = decoded.rest;
+        decoded.frames.forEach(frame => {
+            if (closed) return;
+            if (frame.opcode === OPCODES.close) {
+                close();
+            } else if (frame.opcode === OPCODES.ping) {
+                socket.write(encodeFrame(frame.payload, OPCODES.pong));
+            } else if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.continuation) {
+                // A message starts with a text frame and goes on with continuations, one message at a time
+                const started = fragments.length > 0;
+                fragmentSize += frame.payload.length;
+                if ((frame.opcode === OPCODES.text) === started || fragmentSize > MAX_MESSAGE_SIZE) {
+                    close();
+                    return;
+                }
+                fragments.push(frame.payload);
+                if (!frame.fin) return;
+                const text = Buffer.concat(fragments).toString('utf8');
+                fragments = [];
+                fragmentSize = 0;
+                try {
+                    lobby.receive(peer, JSON.parse(text));
+                } catch (error) {
+                    peer.send({ type: 'error', message: error.message });
+                }
+            }
+        });
+    });
+    socket.on('end', close); // HTTP servers leave sockets half open
+    socket.on('close', () => {
+        closed = true;
+        lobby.leave(peer);
+    });
+    socket.on('error', () => {
+        closed = true;
+        lobby.leave(peer);
+    });
+}
+
+// The game's files under root, for GET requests
+function serveFile(root, request, response) {
+    const pathname = new URL(request.url, 'http://localhost').pathname;
+    let file;
+    try {
+        file = path.normalize(path.join(root, decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+    } catch (error) {
+        file = root; // A malformed path, which is not found
+    }
+    const hidden = path.relative(root, file).split(path.sep).some(part => part.startsWith('.'));
+    if (request.method !== 'GET' || !file.startsWith(root + path.sep) || hidden) {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+// options.root is the folder to serve the game from, the repository by default; options.lobby the rooms
+function createRelayServer(options = {}) {
+    const root = path.resolve(options.root || path.join(__dirname, '..'));
+    const lobby = options.lobby || new Lobby();
+    const server = http.createServer((request, response) => serveFile(root, request, response));
+    server.on('upgrade', (request, socket) => acceptWebSocket(lobby, request, socket));
+    server.lobby = lobby;
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.PORT) || RELAY_PORT;
+    createRelayServer().listen(port, () => {
+        console.log('Relay and game on http://localhost:' + port);
+    });
+}
+
+module.exports = {
+    RELAY_PORT, ROOM_SIZE, MAX_MESSAGE_SIZE, LOBBY_MESSAGE_TYPES, Lobby, encodeFrame, decodeFrames, createRelayServer
+};
@@ -0,0 +1,286 @@
+// AI drivers: follow a racing line with a look-ahead target and brake for the corners ahead
+
+// Racing line through the waypoints: offset towards the inside of corners, wide on entry and exit
+function computeRacingLine(waypoints, options = {}) {
+    const smoothing = options.smoothing || 10;    // Waypoints either side used to smooth the line
+    const apexRadius = options.apexRadius || 150; // Corners this tight use the full width
+    const margin = options.margin || 12;          // Distance kept from the track edge
+    
+    const edges = computeTrackEdges(waypoints);
+    const centre = uniqueWaypoints(waypoints);
+    const count = edges.length;
+    const points = [];
+    
+    for (let i = 0; i < count; i++) {
+        let curvature = 0;
+        for (let j = -smoothing; j <= smoothing; j++) {
+            curvature += edges[(i + j + count) % count].curvature;
+        }
+        curvature /= smoothing * 2 + 1;
+        
+        // Positive curvature turns left, and the edge normal points left
+        const halfWidth = Math.max(0, centre[i].width / 2 - margin);
+        const offset = Math.max(-1, Math.min(1, curvature * apexRadius)) * halfWidth;
+        points.push({
+            x: edges[i].center.x + edges[i].normal.x * offset,
+            z: edges[i].center.z + edges[i].normal.z * offset
+        });
+    }
+    
+    const curvature = computeCurvature(points);
+    return points.map((point, i) => Object.assign(point, { curvature: curvature[i] }));
+}
+
+class AIDriver {
+    constructor(racingLine, options = {}) {
+        this.line = racingLine;
+        this.count = racingLine.length;
+        this.skill = options.skill === undefined ? 0.8 : options.skill;                // 0..1, how close to the grip limit it corners
+        this.aggression = options.aggression === undefined ? 0.5 : options.aggression; // 0..1, how late and hard it brakes
+        this.setup = options.setup || CAR_SETUP;
+        this.trackQuery = options.trackQuery || null; // For a racing line with a point per waypoint
+        
+        this.lookAheadBase = 25;  // World units
+        this.lookAheadTime = 0.3; // Seconds of travel added to the steering look-ahead
+        this.reactionTime = 0.3;  // Seconds ahead the target speed is read
+        this.yawDamping = 1;      // Steering added per rad/s of unwanted yaw rate
+        this.pedalRate = 3;       // Fastest pedal movement, full travel per second
+        this.followDistance = 40; // How far ahead other cars are watched, world units
+        this.followWidth = 12;    // Half width of the path they are watched in
+        this.stoppedSpeed = 20;   // Cars slower than this are driven round rather than followed
+        this.passingSpeed = 60;
+        this.controls = { throttle: 0, brake: 0, steer: 0 };
+        this.index = null;
+        this.pit = null; // { pitLane, index, served } while driving down the pit lane
+        
+        // Distance between consecutive racing line points
+        this.segmentLengths = racingLine.map((point, i) => {
+            const next = racingLine[(i + 1) % this.count];
+            return Math.hypot(next.x - point.x, next.z - point.z);
+        });
+        
+        this.targetSpeeds = this.computeTargetSpeeds();
+    }
+    
+    // Fastest speed (units/s) at which a curvature can be taken with the grip the driver trusts
+    cornerSpeed(curvature) {
+        const setup = this.setup;
+        const friction = setup.surfaces.track.friction * (0.6 + 0.3 * this.skill);
+        const downforceGrip = friction * setup.downforce / setup.mass;
+        const limit = Math.abs(curvature) - downforceGrip;
+        if (limit <= 0) return Infinity;
+        return Math.sqrt(friction * setup.gravity / limit);
+    }
+    
+    // Target speed at every racing line point: each corner's speed, reached by braking in time
+    computeTargetSpeeds() {
+        const count = this.count;
+        const deceleration = this.setup.surfaces.track.friction * this.setup.gravity * (0.4 + 0.3 * this.aggression);
+        const speeds = this.line.map((point, i) => {
+            // Tightest curvature nearby, so a single straighter point does not hide the corner
+            let curvature = 0;
+            for (let j = -2; j <= 2; j++) {
+                curvature = Math.max(curvature, Math.abs(this.line[(i + j + count) % count].curvature));
+            }
+            return this.cornerSpeed(curvature);
+        });
+        
+        // Walk backwards round the loop twice so braking zones carry across the start line
+        for (let pass = 0; pass < 2 * count; pass++) {
+            const i = count - 1 - pass % count;
+            const next = (i + 1) % count;
+            const brakingSpeed = Math.sqrt(speeds[next] * speeds[next] + 2 * deceleration * this.segmentLengths[i]);
+            speeds[i] = Math.min(speeds[i], brakingSpeed);
+        }
+        
+        return speeds;
+    }
+    
+    // Closest racing line point, searching near the last one
+    updateIndex(x, z) {
+        if (this.trackQuery) {
+            this.index = this.trackQuery.indexAt(this.trackQuery.distanceAt(x, z), this.count);
+            return this.index;
+        }
+        
+        const searchAll = this.index === null;
+        const start = searchAll ? 0 : this.index - 5;
+        const end = searchAll ? this.count : this.index + 15;
+        let bestDistance = Infinity;
+        let bestIndex = 0;
+        
+        for (let i = start; i < end; i++) {
+            const index = ((i % this.count) + this.count) % this.count;
+            const point = this.line[index];
+            const distance = (x - point.x) ** 2 + (z - point.z) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        }
+        
+        // Lost the line (spun off, pushed away): search everywhere next time
+        this.index = bestDistance > 200 * 200 ? null : bestIndex;
+        
+        return bestIndex;
+    }
+    
+    // Index of the racing line point a distance further on
+    pointAhead(index, distance) {
+        let travelled = 0;
+        while (travelled < distance) {
+            travelled += this.segmentLengths[index];
+            index = (index + 1) % this.count;
+        }
+        return index;
+    }
+    
+    // Head down the pit lane at the next chance and stop in the box
+    enterPitLane(pitLane) {
+        this.pit = { pitLane, index: 0, served: false };
+    }
+    
+    // The crew are done; carry on down the lane and back onto the track
+    leavePitBox() {
+        if (this.pit) this.pit.served = true;
+    }
+    
+    // Where to aim and how fast to go down the pit lane: { target, speed }, with speed 0 to stop in the box, or
+    // null once the car is back on the track
+    pitTarget(state, lookAhead) {
+        const pit = this.pit;
+        const path = pit.pitLane.path;
+        
+        // Nearest path point, searching forwards
+        let bestDistance = Infinity;
+        for (let i = pit.index; i < Math.min(path.length, pit.index + 20); i++) {
+            const distance = (state.position.x - path[i].x) ** 2 + (state.position.z - path[i].z) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                pit.index = i;
+            }
+        }
+        if (pit.index >= path.length - 1) {
+            this.pit = null;
+            return null;
+        }
+        
+        // Short of the entry aim for it, so as not to cut across the track into the lane
+        const reach = pit.index === 0 ? lookAhead - Math.sqrt(bestDistance) : lookAhead;
+        const target = path[Math.min(path.length - 1, pit.index + Math.max(0, Math.ceil(reach / PIT_PATH_SPACING)))];
+        const deceleration = this.setup.surfaces.track.friction * this.setup.gravity * 0.4;
+        const limit = pit.pitLane.rules.speedLimit * SPEED_SCALE * 0.95;
+        
+        // Brake for the limiter before the entry, then for the box
+        let speed = limit;
+        if (pit.index === 0) {
+            speed = Math.sqrt(limit * limit + 2 * deceleration * Math.sqrt(bestDistance));
+        }
+        if (!pit.served) {
+            const toBox = path[pit.pitLane.stopIndex].along - path[pit.index].along;
+            speed = toBox <= 2 ? 0 : Math.min(speed, Math.sqrt(2 * deceleration * toBox));
+        }
+        return { target, speed };
+    }
+    
+    // Nearest car close ahead in this car's path: distances along and across our heading, and its speed along it
+    findBlocker(state, traffic) {
+        const sin = Math.sin(state.rotation);
+        const cos = Math.cos(state.rotation);
+        let blocker = null;
+        
+        traffic.forEach(other => {
+            const dx = other.position.x - state.position.x;
+            const dz = other.position.z - state.position.z;
+            const ahead = dx * sin + dz * cos;
+            const across = dx * cos - dz * sin;
+            if (ahead <= 0 || ahead > this.followDistance || Math.abs(across) > this.followWidth) return;
+            if (blocker && blocker.ahead < ahead) return;
+            
+            const speed = other.speed * SPEED_SCALE * Math.cos(other.rotation - state.rotation);
+            blocker = { ahead, across, speed };
+        });
+        
+        return blocker;
+    }
+    
+    // Throttle, brake and steering for the car state, dt seconds after the last call.
+    // traffic holds the other cars' states so the driver does not run into the back of them.
+    getControls(state, dt, traffic = []) {
+        const index = this.updateIndex(state.position.x, state.position.z);
+        const speed = state.speed * SPEED_SCALE;
+        const forwardSpeed = Math.max(0, speed);
+        
+        // Steer towards a point further along the line the faster the car goes, or down the pit lane
+        const lookAhead = this.lookAheadBase + forwardSpeed * this.lookAheadTime;
+        const pitTarget = this.pit ? this.pitTarget(state, lookAhead) : null;
+        const target = Object.assign({}, pitTarget ? pitTarget.target : this.line[this.pointAhead(index, lookAhead)]);
+        const lineSpeed = pitTarget ?
+            pitTarget.speed :
+            this.targetSpeeds[this.pointAhead(index, forwardSpeed * this.reactionTime)];
+        
+        // Follow a slower car, or drive round one that has stopped
+        const blocker = this.findBlocker(state, traffic);
+        let trafficSpeed = Infinity;
+        if (blocker && blocker.speed < this.stoppedSpeed) {
+            const side = blocker.across > 0 ? -1 : 1; // Pass on the side away from it; left is (cos, -sin)
+            target.x += Math.cos(state.rotation) * side * this.followWidth * 2;
+            target.z -= Math.sin(state.rotation) * side * this.followWidth * 2;
+            trafficSpeed = this.passingSpeed;
+        } else if (blocker) {
+            trafficSpeed = blocker.speed;
+        }
+        const desiredHeading = Math.atan2(target.x - state.position.x, target.z - state.position.z);
+        
+        // Steer the direction of travel onto the target, measuring the wheel angle from it too,
+        // so a sliding car gets opposite lock
+        const slipAngle = speed > 10 ? Math.atan2(state.lateralSpeed, state.speed) : 0;
+        let headingError = desiredHeading - state.rotation - slipAngle;
+        headingError = Math.atan2(Math.sin(headingError), Math.cos(headingError));
+        
+        // Pure pursuit: the wheel angle whose arc passes through the target, as a fraction of the
+        // steering available at this speed. Heading error is positive to the left; positive steer turns right.
+        const wheelbase = this.setup.frontAxle + this.setup.rearAxle;
+        const wheelAngle = slipAngle + Math.atan(2 * wheelbase * Math.sin(headingError) / lookAhead);
+        const availableAngle = this.setup.maxSteerAngle / (1 + forwardSpeed / this.setup.steerSpeedFalloff);
+        
+        // Catch a car rotating faster than the arc asks for before it becomes a spin
+        const arcYawRate = forwardSpeed * 2 * Math.sin(headingError) / lookAhead;
+        const yawCorrection = (state.yawRate - arcYawRate) * this.yawDamping;
+        const steer = Math.max(-1, Math.min(1, -wheelAngle / availableAngle + yawCorrection));
+        
+        // Brake for the corners ahead, otherwise keep some throttle on to settle the car
+        const targetSpeed = Math.min(lineSpeed, trafficSpeed);
+        const speedError = targetSpeed - speed;
+        let throttle = 0;
+        let brake = 0;
+        if (targetSpeed === 0) {
+            // Stopping in the pit box: brake to a standstill but not on into reverse
+            brake = speed > 1 ? 1 : 0;
+        } else if (speedError < -5) {
+            // Brake less while cornering hard; the rear steps out when braking at the grip limit
+            const lateralGrip = Math.abs(state.lateralAccel) / (this.setup.surfaces.track.friction * this.setup.gravity);
+            brake = Math.min(1, -speedError / 20) * Math.max(0.2, 1 - lateralGrip);
+        } else {
+            // Ease off while sliding
+            const grip = Math.max(0.3, 1 - Math.abs(slipAngle) * 8);
+            throttle = Math.max(0.3, Math.min(1, 0.3 + speedError / 10) * grip);
+        }
+        
+        // Squeeze the pedals rather than stabbing them; a sudden lift mid-corner spins the car
+        const pedalStep = this.pedalRate * dt;
+        const previous = this.controls;
+        this.controls = {
+            throttle: previous.throttle + Math.max(-pedalStep, Math.min(pedalStep, throttle - previous.throttle)),
+            brake: previous.brake + Math.max(-pedalStep, Math.min(pedalStep, brake - previous.brake)),
+            steer
+        };
+        
+        return this.controls;
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { computeRacingLine, AIDriver };
+}
@@ -0,0 +1,221 @@
+// Track barriers: rigid blocks the cars can shove about and knock into each other, with the push, bounce and spin
+// of each hit worked out from the masses and where the boxes touch
+const BARRIER_CAR_BOX = { halfWidth: 4.8, halfLength: 7 }; // 80% of the car body, checked against barriers
+const BARRIER_BOUNDS_SCALE = 0.8; // Barriers also collide with 80% of their size
+const BARRIER_CAR_RADIUS = 6;     // The car as a circle, for the room it needs round the barriers
+const BARRIER_PHYSICS = {
+    massPerLength: 40,    // kg per unit of length; a 20 unit (5 m) run of tyres is 800 kg
+    restitution: 0.2,     // Share of the closing speed returned as bounce
+    contactFriction: 0.4, // Scrub between a barrier and whatever hits it
+    groundFriction: 40,   // Units/s² a barrier dragged along the ground slows by, about 1 g
+    sleepSpeed: 0.5,      // Units/s; slower than this, at the centre and at the ends, a barrier comes to rest
+    correction: 0.5       // Share of the overlap of two barriers pushed out each step, so stacks settle gently
+};
+
+class Barrier {
+    // position { x, y, z } of the centre; rotation is the heading of its length
+    constructor(position, rotation, length, rules = BARRIER_PHYSICS) {
+        this.height = 5;
+        this.width = 2;
+        this.length = length;
+        this.mass = rules.massPerLength * length;
+        this.inertia = this.mass * (this.width * this.width + length * length) / 12; // About the vertical axis
+        
+        this.groundHeight = position.y - this.height / 2;
+        this.initialPosition = Object.assign({}, position);
+        this.initialRotation = rotation;
+        this.reset();
+    }
+    
+    // A barrier along a run from sim/barrierPlacement.js, standing on ground at groundHeight
+    static fromPlacement(placement, groundHeight = 0) {
+        const p1 = placement.start;
+        const p2 = placement.end;
+        const position = { x: (p1.x + p2.x) / 2, y: groundHeight + 2.5, z: (p1.z + p2.z) / 2 }; // Height / 2
+        return new Barrier(position, Math.atan2(p2.x - p1.x, p2.z - p1.z), Math.hypot(p2.x - p1.x, p2.z - p1.z));
+    }
+    
+    // Put the barrier back where it was placed, at rest
+    reset() {
+        this.position = Object.assign({}, this.initialPosition);
+        this.rotation = this.initialRotation;
+        this.velocity = { x: 0, z: 0 }; // Units/s
+        this.angularVelocity = 0;        // Radians/s, positive turning the heading up like a car turning left
+    }
+    
+    get moving() {
+        return this.velocity.x !== 0 || this.velocity.z !== 0 || this.angularVelocity !== 0;
+    }
+    
+    // The box it collides with, for findBoxContact
+    contactBox() {
+        return {
+            halfWidth: this.width / 2 * BARRIER_BOUNDS_SCALE,
+            halfLength: this.length / 2 * BARRIER_BOUNDS_SCALE
+        };
+    }
+    
+    // World velocity (units/s) at a point, including the spin
+    pointVelocity(point) {
+        return {
+            x: this.velocity.x + this.angularVelocity * (point.z - this.position.z),
+            z: this.velocity.z - this.angularVelocity * (point.x - this.position.x)
+        };
+    }
+    
+    // An impulse (kg * units/s) at a point pushes the barrier and spins it about its centre
+    applyImpulse(impulse, point) {
+        const rx = point.x - this.position.x;
+        const rz = point.z - this.position.z;
+        this.velocity.x += impulse.x / this.mass;
+        this.velocity.z += impulse.z / this.mass;
+        this.angularVelocity += (rz * impulse.x - rx * impulse.z) / this.inertia;
+    }
+    
+    // Slide and spin for dt seconds, slowed by the ground until it comes to rest
+    updatePhysics(dt, rules = BARRIER_PHYSICS) {
+        const speed = Math.hypot(this.velocity.x, this.velocity.z);
+        const slowed = Math.max(0, speed - rules.groundFriction * dt);
+        if (slowed < rules.sleepSpeed) {
+            this.velocity = { x: 0, z: 0 };
+        } else {
+            this.velocity.x *= slowed / speed;
+            this.velocity.z *= slowed / speed;
+        }
+        
+        // Friction spread along a spinning block slows the spin by about 3 g mu / length
+        const reach = Math.max(this.length, this.width) / 2;
+        const spin = Math.max(0, Math.abs(this.angularVelocity) - rules.groundFriction * 3 / (2 * reach) * dt);
+        this.angularVelocity = spin * reach < rules.sleepSpeed ? 0 : Math.sign(this.angularVelocity) * spin;
+        
+        this.position.x += this.velocity.x * dt;
+        this.position.z += this.velocity.z * dt;
+        this.rotation += this.angularVelocity * dt;
+    }
+    
+    // Axis-aligned bounds for collision detection (smaller than the block itself)
+    getBounds() {
+        const sin = Math.abs(Math.sin(this.rotation));
+        const cos = Math.abs(Math.cos(this.rotation));
+        const box = this.contactBox();
+        return boundsAround(
+            this.position,
+            cos * box.halfWidth + sin * box.halfLength,
+            sin * box.halfWidth + cos * box.halfLength
+        );
+    }
+}
+
+function boundsAround(centre, halfX, halfZ) {
+    return { minX: centre.x - halfX, maxX: centre.x + halfX, minZ: centre.z - halfZ, maxZ: centre.z + halfZ };
+}
+
+function boundsOverlap(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minZ <= b.maxZ && a.maxZ >= b.minZ;
+}
+
+// Axis-aligned bounds of a car's rotated body
+function carBounds(state, box = BARRIER_CAR_BOX) {
+    const sin = Math.abs(Math.sin(state.rotation));
+    const cos = Math.abs(Math.cos(state.rotation));
+    return boundsAround(
+        state.position,
+        cos * box.halfWidth + sin * box.halfLength,
+        sin * box.halfWidth + cos * box.halfLength
+    );
+}
+
+// Push a car out of a barrier, splitting the overlap by mass, and trade momentum between them. Returns the contact,
+// with the closing speed as impactSpeed, or null when they do not touch.
+function resolveBarrierContact(barrier, state, setup = CAR_SETUP, rules = BARRIER_PHYSICS) {
+    const contact = findBoxContact(barrier, barrier.contactBox(), state, BARRIER_CAR_BOX);
+    if (!contact) return null;
+    
+    const { normal, point } = contact; // From the barrier to the car
+    const carShare = barrier.mass / (barrier.mass + setup.mass);
+    state.position.x += normal.x * contact.depth * carShare;
+    state.position.z += normal.z * contact.depth * carShare;
+    barrier.position.x -= normal.x * contact.depth * (1 - carShare);
+    barrier.position.z -= normal.z * contact.depth * (1 - carShare);
+    
+    const carVelocity = carPointVelocity(state, point);
+    const barrierVelocity = barrier.pointVelocity(point);
+    const relative = { x: carVelocity.x - barrierVelocity.x, z: carVelocity.z - barrierVelocity.z };
+    contact.impactSpeed = Math.max(0, -(relative.x * normal.x + relative.z * normal.z));
+    if (contact.impactSpeed === 0) return contact; // Already moving apart
+    
+    const carArm = { x: point.x - state.position.x, z: point.z - state.position.z };
+    const barrierArm = { x: point.x - barrier.position.x, z: point.z - barrier.position.z };
+    const inverseMass = direction => bodyGive(1 / setup.mass, 1 / setup.yawInertia, carArm, direction) +
+        bodyGive(1 / barrier.mass, 1 / barrier.inertia, barrierArm, direction);
+    const impulse = contactImpulse(relative, normal, inverseMass, rules);
+    applyCarImpulse(state, impulse, point, setup);
+    barrier.applyImpulse({ x: -impulse.x, z: -impulse.z }, point);
+    return contact;
+}
+
+// A barrier knocked into another: they are eased apart and trade momentum. Returns whether they touch.
+function resolveBarrierPair(a, b, rules = BARRIER_PHYSICS) {
+    const contact = findBoxContact(a, a.contactBox(), b, b.contactBox());
+    if (!contact) return false;
+    
+    const { normal, point } = contact;
+    const push = contact.depth * rules.correction;
+    const shareA = b.mass / (a.mass + b.mass);
+    a.position.x -= normal.x * push * shareA;
+    a.position.z -= normal.z * push * shareA;
+    b.position.x += normal.x * push * (1 - shareA);
+    b.position.z += normal.z * push * (1 - shareA);
+    
+    const velocityA = a.pointVelocity(point);
+    const velocityB = b.pointVelocity(point);
+    const relative = { x: velocityB.x - velocityA.x, z: velocityB.z - velocityA.z };
+    if (relative.x * normal.x + relative.z * normal.z >= 0) return true; // Already moving apart
+    
+    const armA = { x: point.x - a.position.x, z: point.z - a.position.z };
+    const armB = { x: point.x - b.position.x, z: point.z - b.position.z };
+    const inverseMass = direction => bodyGive(1 / a.mass, 1 / a.inertia, armA, direction) +
+        bodyGive(1 / b.mass, 1 / b.inertia, armB, direction);
+    const impulse = contactImpulse(relative, normal, inverseMass, rules);
+    a.applyImpulse({ x: -impulse.x, z: -impulse.z }, point);
+    b.applyImpulse(impulse, point);
+    return true;
+}
+
+// Check every car against every barrier and every moving barrier against the rest, then move the barriers on by dt
+// seconds. Barriers at rest are left be, so ones placed touching do not push each other about. Each hit has how fast
+// the car was closing on the barrier and the point where they touch, for damage.
+function resolveBarrierCollisions(barriers, states, dt, setup = CAR_SETUP, rules = BARRIER_PHYSICS) {
+    const boxes = states.map(state => carBounds(state));
+    const hits = [];
+    
+    barriers.forEach((barrier, i) => {
+        const barrierBounds = barrier.getBounds();
+        states.forEach((state, j) => {
+            if (!boundsOverlap(boxes[j], barrierBounds)) return;
+            const contact = resolveBarrierContact(barrier, state, setup, rules);
+            if (contact) hits.push({ barrier: i, car: j, impactSpeed: contact.impactSpeed, point: contact.point });
+        });
+    });
+    
+    barriers.forEach((barrier, i) => {
+        if (!barrier.moving) return;
+        const bounds = barrier.getBounds();
+        barriers.forEach((other, j) => {
+            // Each moving pair once
+            if (other === barrier || (other.moving && j < i)) return;
+            if (boundsOverlap(bounds, other.getBounds())) resolveBarrierPair(barrier, other, rules);
+        });
+    });
+    
+    barriers.forEach(barrier => barrier.updatePhysics(dt, rules));
+    return hits;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        BARRIER_CAR_BOX, BARRIER_BOUNDS_SCALE, BARRIER_CAR_RADIUS, BARRIER_PHYSICS, Barrier, boundsAround,
+        boundsOverlap, carBounds, resolveBarrierContact, resolveBarrierPair, resolveBarrierCollisions
+    };
+}
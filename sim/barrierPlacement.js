@@ -0,0 +1,153 @@
+// Barrier placement from track geometry: curvature, edges and configurable rules
+const DEFAULT_BARRIER_RULES = {
+    referenceSpeed: 200, // Units per second used to turn curvature into a turn rate
+    smoothing: 3,        // Waypoints either side averaged into the curvature
+    offset: 3,           // Distance from the track edge to the barrier centre
+    rules: [
+        { side: 'outside', minTurnRate: 30 }, // Outside of corners above 30 degrees/second
+        { side: 'inside', minTurnRate: 100 }  // Apex of very tight corners
+    ]
+};
+
+// Signed curvature at each waypoint, positive when the track turns left
+function computeCurvature(points) {
+    const count = points.length;
+    const curvature = [];
+    
+    for (let i = 0; i < count; i++) {
+        const a = points[(i - 1 + count) % count];
+        const b = points[i];
+        const c = points[(i + 1) % count];
+        
+        // Menger curvature of the three points: 4 * area / product of sides
+        const cross = (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+        const ab = Math.hypot(b.x - a.x, b.z - a.z);
+        const bc = Math.hypot(c.x - b.x, c.z - b.z);
+        const ca = Math.hypot(a.x - c.x, a.z - c.z);
+        const product = ab * bc * ca;
+        
+        // Cross is negative when the track turns left (towards +x when heading along +z)
+        curvature.push(product > 0 ? -2 * cross / product : 0);
+    }
+    
+    return curvature;
+}
+
+// Left and right track edges plus curvature for every waypoint
+function computeTrackEdges(waypoints, smoothing = DEFAULT_BARRIER_RULES.smoothing) {
+    const points = uniqueWaypoints(waypoints);
+    const count = points.length;
+    const rawCurvature = computeCurvature(points);
+    const edges = [];
+    
+    for (let i = 0; i < count; i++) {
+        const previous = points[(i - 1 + count) % count];
+        const next = points[(i + 1) % count];
+        const point = points[i];
+        
+        // Tangent from the neighbours, so there is no seam where the loop closes
+        const dx = next.x - previous.x;
+        const dz = next.z - previous.z;
+        const length = Math.hypot(dx, dz) || 1;
+        const tangentX = dx / length;
+        const tangentZ = dz / length;
+        
+        // Left of the driving direction (heading sin/cos) is +90 degrees
+        const leftX = tangentZ;
+        const leftZ = -tangentX;
+        const halfWidth = point.width / 2;
+        
+        let curvature = 0;
+        for (let j = -smoothing; j <= smoothing; j++) {
+            curvature += rawCurvature[(i + j + count) % count];
+        }
+        curvature /= smoothing * 2 + 1;
+        
+        edges.push({
+            index: i,
+            center: { x: point.x, z: point.z },
+            left: { x: point.x + leftX * halfWidth, z: point.z + leftZ * halfWidth },
+            right: { x: point.x - leftX * halfWidth, z: point.z - leftZ * halfWidth },
+            normal: { x: leftX, z: leftZ },
+            curvature
+        });
+    }
+    
+    return edges;
+}
+
+// Turn rate in degrees/second for a curvature at the reference speed
+function curvatureToTurnRate(curvature, referenceSpeed) {
+    return Math.abs(curvature) * referenceSpeed * 180 / Math.PI;
+}
+
+// Decide which edge segments get a barrier, and record why
+function placeBarriers(waypoints, config = DEFAULT_BARRIER_RULES) {
+    const settings = Object.assign({}, DEFAULT_BARRIER_RULES, config);
+    const edges = computeTrackEdges(waypoints, settings.smoothing);
+    const count = edges.length;
+    const placements = [];
+    
+    for (let i = 0; i < count; i++) {
+        const edge = edges[i];
+        const nextEdge = edges[(i + 1) % count];
+        const curvature = (edge.curvature + nextEdge.curvature) / 2;
+        const turnRate = curvatureToTurnRate(curvature, settings.referenceSpeed);
+        
+        // Outside of a left-hander is the right edge and vice versa
+        const outsideSide = curvature >= 0 ? 'right' : 'left';
+        
+        for (const side of ['left', 'right']) {
+            const role = side === outsideSide ? 'outside' : 'inside';
+            const rule = settings.rules.find(candidate => ruleMatches(candidate, side, role, turnRate));
+            if (!rule) continue;
+            
+            // Push the barrier off the surface along the edge normal
+            const direction = side === 'left' ? 1 : -1;
+            const offset = rule.offset === undefined ? settings.offset : rule.offset;
+            const start = {
+                x: edge[side].x + edge.normal.x * direction * offset,
+                z: edge[side].z + edge.normal.z * direction * offset
+            };
+            const end = {
+                x: nextEdge[side].x + nextEdge.normal.x * direction * offset,
+                z: nextEdge[side].z + nextEdge.normal.z * direction * offset
+            };
+            
+            placements.push({
+                index: i,
+                side,
+                role,
+                start,
+                end,
+                turnRate,
+                rule,
+                reason: describeRule(rule, role, turnRate)
+            });
+        }
+    }
+    
+    return placements;
+}
+
+function ruleMatches(rule, side, role, turnRate) {
+    const sideMatches = rule.side === 'both' || rule.side === side || rule.side === role;
+    const aboveMin = rule.minTurnRate === undefined || turnRate >= rule.minTurnRate;
+    const belowMax = rule.maxTurnRate === undefined || turnRate <= rule.maxTurnRate;
+    return sideMatches && aboveMin && belowMax;
+}
+
+function describeRule(rule, role, turnRate) {
+    let text = role + ' of ' + Math.round(turnRate) + '°/s bend';
+    if (rule.minTurnRate !== undefined) text += ' (rule ≥ ' + rule.minTurnRate + '°/s)';
+    if (rule.maxTurnRate !== undefined) text += ' (rule ≤ ' + rule.maxTurnRate + '°/s)';
+    return text;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        DEFAULT_BARRIER_RULES, computeCurvature, computeTrackEdges, curvatureToTurnRate, placeBarriers,
+        ruleMatches, describeRule
+    };
+}
@@ -0,0 +1,183 @@
+// Cameras: the chase camera's lag, the cameras fixed to the car, the orbit and top-down views and the trackside
+// cameras replays cut between. Each gives a view { position, target, up, fov } in the world for the game to point
+// the Three.js camera with.
+const CAMERA_MODES = [
+    { id: 'chase', name: 'Chase' },
+    { id: 'cockpit', name: 'Cockpit' },
+    { id: 'hood', name: 'Hood' },
+    { id: 'bumper', name: 'Bumper' },
+    { id: 'orbit', name: 'Orbit' },
+    { id: 'topDown', name: 'Top down' }
+];
+const CHASE_CAMERA = {
+    distance: 50,   // Behind the car
+    height: 20,     // Above it
+    stiffness: 30,  // Spring pulling the camera to its place behind the car, per second squared
+    damping: 11,    // Per second; about critical, so the camera swings in behind without bouncing
+    snap: 200,      // Further than this from its place, e.g. when the car is put back on the track, it jumps there
+    fov: 75,        // Degrees at a standstill...
+    topFov: 95      // ...widening to this at setup.maxSpeed
+};
+// Cameras fixed to the car: forward of its centre, up off the ground and the degrees they see
+const MOUNTED_CAMERAS = {
+    cockpit: { forward: -2, up: 4, fov: 90 },
+    hood: { forward: 4, up: 3.5, fov: 80 },
+    bumper: { forward: 9.5, up: 1.2, fov: 85 }
+};
+const DEFAULT_ORBIT = { yaw: Math.PI, pitch: 0.35, distance: 60 }; // yaw from the car's heading, so behind it
+const ORBIT_LIMITS = { pitch: [0.05, 1.5], distance: [15, 300] };
+const TOP_DOWN_HEIGHT = 250;
+const TRACKSIDE_CAMERA = {
+    spacing: 250,     // Along the track between cameras
+    setback: 30,      // Beyond the run-off, on the outside of the bend
+    height: 15,
+    handoff: 0.7,     // Cut to a closer camera once the car is nearer it than this share of the distance to the current
+    framing: 40,      // Width of the picture at the car, for the zoom
+    fov: [10, 70]
+};
+const CAMERA_STEP = 1 / 120; // Longest step for the chase camera's spring, so long frames stay stable
+
+// The world position of a point forward, up and left of a car at pose { x, y, z, rotation }
+function carFramePoint(pose, forward, up, left = 0) {
+    const sin = Math.sin(pose.rotation);
+    const cos = Math.cos(pose.rotation);
+    return {
+        x: pose.x + sin * forward + cos * left,
+        y: pose.y + up,
+        z: pose.z + cos * forward - sin * left
+    };
+}
+
+// Chase camera state; the position is null until the first update puts it straight behind the car
+function createChaseCamera() {
+    return { position: null, velocity: { x: 0, y: 0, z: 0 } };
+}
+
+// Spring the chase camera towards its place behind the car over dt seconds and view the car from there
+function updateChaseCamera(chase, pose, speed, dt, setup = CAR_SETUP) {
+    const rules = CHASE_CAMERA;
+    const rest = carFramePoint(pose, -rules.distance, rules.height);
+    if (!chase.position || Math.hypot(rest.x - chase.position.x, rest.y - chase.position.y,
+        rest.z - chase.position.z) > rules.snap) {
+        chase.position = rest;
+        chase.velocity = { x: 0, y: 0, z: 0 };
+    }
+    
+    for (let remaining = Math.min(dt, 0.1); remaining > 0; remaining -= CAMERA_STEP) {
+        const step = Math.min(remaining, CAMERA_STEP);
+        ['x', 'y', 'z'].forEach(axis => {
+            const accel = rules.stiffness * (rest[axis] - chase.position[axis]) - rules.damping * chase.velocity[axis];
+            chase.velocity[axis] += accel * step;
+            chase.position[axis] += chase.velocity[axis] * step;
+        });
+    }
+    
+    const share = Math.min(1, Math.abs(speed) / setup.maxSpeed);
+    return {
+        position: { ...chase.position },
+        target: { x: pose.x, y: pose.y, z: pose.z },
+        up: { x: 0, y: 1, z: 0 },
+        fov: rules.fov + (rules.topFov - rules.fov) * share
+    };
+}
+
+// View from a camera fixed to the car, looking straight ahead
+function mountedCameraView(mode, pose) {
+    const mount = MOUNTED_CAMERAS[mode];
+    return {
+        position: carFramePoint(pose, mount.forward, mount.up),
+        target: carFramePoint(pose, mount.forward + 10, mount.up),
+        up: { x: 0, y: 1, z: 0 },
+        fov: mount.fov
+    };
+}
+
+// Orbit { yaw, pitch, distance } round the car, with yaw from its heading so the view turns with it
+function orbitCameraView(orbit, pose) {
+    const horizontal = Math.cos(orbit.pitch) * orbit.distance;
+    return {
+        position: {
+            x: pose.x + Math.sin(pose.rotation + orbit.yaw) * horizontal,
+            y: pose.y + Math.sin(orbit.pitch) * orbit.distance,
+            z: pose.z + Math.cos(pose.rotation + orbit.yaw) * horizontal
+        },
+        target: { x: pose.x, y: pose.y, z: pose.z },
+        up: { x: 0, y: 1, z: 0 },
+        fov: CHASE_CAMERA.fov
+    };
+}
+
+// A dragged or zoomed orbit, held inside ORBIT_LIMITS
+function moveOrbit(orbit, yaw, pitch, zoom = 1) {
+    return {
+        yaw: orbit.yaw + yaw,
+        pitch: Math.max(ORBIT_LIMITS.pitch[0], Math.min(ORBIT_LIMITS.pitch[1], orbit.pitch + pitch)),
+        distance: Math.max(ORBIT_LIMITS.distance[0], Math.min(ORBIT_LIMITS.distance[1], orbit.distance * zoom))
+    };
+}
+
+// Straight down on the car, with the way it is going at the top of the screen
+function topDownCameraView(pose) {
+    return {
+        position: { x: pose.x, y: pose.y + TOP_DOWN_HEIGHT, z: pose.z },
+        target: { x: pose.x, y: pose.y, z: pose.z },
+        up: { x: Math.sin(pose.rotation), y: 0, z: Math.cos(pose.rotation) },
+        fov: CHASE_CAMERA.fov
+    };
+}
+
+// Trackside camera positions { x, y, z } every rules.spacing along the waypoints (see buildTrackWaypoints), set back
+// from the run-off on the outside of the bend there, where they see the car coming and going
+function placeTracksideCameras(waypoints, runoffWidth = DEFAULT_RUNOFF.width, rules = TRACKSIDE_CAMERA) {
+    const count = waypoints.length - 1; // The last waypoint repeats the first
+    const cameras = [];
+    let travelled = rules.spacing; // A camera on the start line
+    for (let i = 0; i < count; i++) {
+        const point = waypoints[i];
+        if (travelled >= rules.spacing) {
+            travelled = 0;
+            // The heading increases through a left-hand bend, so the outside is to the right
+            const before = waypoints[(i - 1 + count) % count].angle;
+            const after = waypoints[(i + 1) % count].angle;
+            const turn = Math.atan2(Math.sin(after - before), Math.cos(after - before));
+            const left = (turn > 0 ? -1 : 1) * (point.width / 2 + runoffWidth + rules.setback);
+            cameras.push(carFramePoint({ ...point, rotation: point.angle }, 0, rules.height, left));
+        }
+        const next = waypoints[i + 1];
+        travelled += Math.hypot(next.x - point.x, next.z - point.z);
+    }
+    return cameras;
+}
+
+// Index of the trackside camera to show a car at position { x, z } with; current is the one on air, or null. The
+// cut waits until another camera is clearly closer, so the picture does not flick between two of them.
+function pickTracksideCamera(cameras, position, current = null, rules = TRACKSIDE_CAMERA) {
+    const distance = camera => Math.hypot(camera.x - position.x, camera.z - position.z);
+    let nearest = 0;
+    cameras.forEach((camera, i) => {
+        if (distance(camera) < distance(cameras[nearest])) nearest = i;
+    });
+    if (current === null || current >= cameras.length) return nearest;
+    return distance(cameras[nearest]) < distance(cameras[current]) * rules.handoff ? nearest : current;
+}
+
+// View of the car from a trackside camera, zoomed to keep it about the same size on screen
+function tracksideCameraView(camera, pose, rules = TRACKSIDE_CAMERA) {
+    const distance = Math.hypot(camera.x - pose.x, camera.y - pose.y, camera.z - pose.z);
+    const fov = 2 * Math.atan(rules.framing / 2 / Math.max(distance, 1)) * 180 / Math.PI;
+    return {
+        position: { x: camera.x, y: camera.y, z: camera.z },
+        target: { x: pose.x, y: pose.y, z: pose.z },
+        up: { x: 0, y: 1, z: 0 },
+        fov: Math.max(rules.fov[0], Math.min(rules.fov[1], fov))
+    };
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CAMERA_MODES, CHASE_CAMERA, MOUNTED_CAMERAS, DEFAULT_ORBIT, ORBIT_LIMITS, TOP_DOWN_HEIGHT, TRACKSIDE_CAMERA,
+        CAMERA_STEP, carFramePoint, createChaseCamera, updateChaseCamera, mountedCameraView, orbitCameraView, moveOrbit,
+        topDownCameraView, placeTracksideCameras, pickTracksideCamera, tracksideCameraView
+    };
+}
@@ -0,0 +1,181 @@
+// Car-to-car contacts: oriented boxes found by separating axes, resolved with momentum-conserving impulses. The box
+// test and the impulse are shared with the barriers, see sim/barrier.js.
+const CAR_COLLISION_BOX = { halfWidth: 5, halfLength: 8.5 }; // Body, wheels and wings, in world units
+const CAR_RESTITUTION = 0.3;       // Share of the closing speed returned as bounce
+const CAR_CONTACT_FRICTION = 0.3;  // Sideways scrub between the two bodies
+const CAR_CONTACT = { restitution: CAR_RESTITUTION, contactFriction: CAR_CONTACT_FRICTION }; // For contactImpulse
+
+// Heading axes of a car: forward is (sin, cos), left is (cos, -sin)
+function carAxes(state) {
+    const sin = Math.sin(state.rotation);
+    const cos = Math.cos(state.rotation);
+    return { forward: { x: sin, z: cos }, left: { x: cos, z: -sin } };
+}
+
+function carCorners(state, box) {
+    const { forward, left } = carAxes(state);
+    return [[1, 1], [1, -1], [-1, -1], [-1, 1]].map(([f, l]) => ({
+        x: state.position.x + forward.x * box.halfLength * f + left.x * box.halfWidth * l,
+        z: state.position.z + forward.z * box.halfLength * f + left.z * box.halfWidth * l
+    }));
+}
+
+function isPointInCar(state, point, box) {
+    const { forward, left } = carAxes(state);
+    const dx = point.x - state.position.x;
+    const dz = point.z - state.position.z;
+    const tolerance = 0.01;
+    return Math.abs(dx * forward.x + dz * forward.z) <= box.halfLength + tolerance &&
+        Math.abs(dx * left.x + dz * left.z) <= box.halfWidth + tolerance;
+}
+
+// Overlap of two oriented boxes { halfWidth, halfLength } round bodies with a position and heading rotation, like
+// car states and barriers: normal points from a to b, or null when they are apart
+function findBoxContact(a, boxA, b, boxB) {
+    const axesA = carAxes(a);
+    const axesB = carAxes(b);
+    const dx = b.position.x - a.position.x;
+    const dz = b.position.z - a.position.z;
+    const projectedRadius = (axes, box, axis) =>
+        box.halfLength * Math.abs(axes.forward.x * axis.x + axes.forward.z * axis.z) +
+        box.halfWidth * Math.abs(axes.left.x * axis.x + axes.left.z * axis.z);
+    
+    let contact = null;
+    for (const axis of [axesA.forward, axesA.left, axesB.forward, axesB.left]) {
+        const distance = dx * axis.x + dz * axis.z;
+        const depth = projectedRadius(axesA, boxA, axis) + projectedRadius(axesB, boxB, axis) - Math.abs(distance);
+        if (depth <= 0) return null; // A separating axis
+        if (!contact || depth < contact.depth) {
+            const sign = distance < 0 ? -1 : 1;
+            contact = { normal: { x: axis.x * sign, z: axis.z * sign }, depth };
+        }
+    }
+    
+    // The contact point is the middle of the corners inside the other box, so flat contacts do not spin
+    const inside = carCorners(a, boxA).filter(corner => isPointInCar(b, corner, boxB))
+        .concat(carCorners(b, boxB).filter(corner => isPointInCar(a, corner, boxA)));
+    if (inside.length > 0) {
+        contact.point = {
+            x: inside.reduce((sum, corner) => sum + corner.x, 0) / inside.length,
+            z: inside.reduce((sum, corner) => sum + corner.z, 0) / inside.length
+        };
+    } else {
+        // Edges crossing without a corner inside
+        contact.point = { x: a.position.x + dx / 2, z: a.position.z + dz / 2 };
+    }
+    
+    return contact;
+}
+
+// Overlap of two car boxes: normal points from a to b, or null when they are apart
+function findCarContact(a, b, box = CAR_COLLISION_BOX) {
+    return findBoxContact(a, box, b, box);
+}
+
+// World velocity (units/s) of the car at a point, including its rotation
+function carPointVelocity(state, point) {
+    const { forward, left } = carAxes(state);
+    const u = state.speed * SPEED_SCALE;
+    const v = state.lateralSpeed * SPEED_SCALE;
+    const rx = point.x - state.position.x;
+    const rz = point.z - state.position.z;
+    // Turning left rotates forward onto left, so an offset (x, z) moves along (z, -x)
+    return {
+        x: forward.x * u + left.x * v + state.yawRate * rz,
+        z: forward.z * u + left.z * v - state.yawRate * rx
+    };
+}
+
+// Apply an impulse (kg * units/s) to a car at a point
+function applyCarImpulse(state, impulse, point, setup) {
+    const { forward, left } = carAxes(state);
+    const rx = point.x - state.position.x;
+    const rz = point.z - state.position.z;
+    state.speed += (impulse.x * forward.x + impulse.z * forward.z) / setup.mass / SPEED_SCALE;
+    state.lateralSpeed += (impulse.x * left.x + impulse.z * left.z) / setup.mass / SPEED_SCALE;
+    state.yawRate += (rz * impulse.x - rx * impulse.z) / setup.yawInertia;
+}
+
+// The impulse (kg * units/s) that stops two bodies closing at a contact, bouncing them apart by the restitution, with
+// friction along it no more than the normal impulse allows. relative is b's velocity at the point less a's, normal
+// points from a to b, and inverseMass(direction) is how easily the pair gives along a direction.
+function contactImpulse(relative, normal, inverseMass, rules) {
+    const closingSpeed = relative.x * normal.x + relative.z * normal.z;
+    const normalImpulse = -(1 + rules.restitution) * closingSpeed / inverseMass(normal);
+    const tangent = { x: -normal.z, z: normal.x };
+    const slidingSpeed = relative.x * tangent.x + relative.z * tangent.z;
+    const limit = rules.contactFriction * normalImpulse;
+    const tangentImpulse = Math.max(-limit, Math.min(limit, -slidingSpeed / inverseMass(tangent)));
+    return {
+        x: normal.x * normalImpulse + tangent.x * tangentImpulse,
+        z: normal.z * normalImpulse + tangent.z * tangentImpulse
+    };
+}
+
+// How hard a body with inverse mass and inertia turns a push along direction at the end of arm into motion there
+function bodyGive(inverseMass, inverseInertia, arm, direction) {
+    const turn = arm.z * direction.x - arm.x * direction.z;
+    return inverseMass + turn * turn * inverseInertia;
+}
+
+// Push two touching cars apart and exchange momentum between them. Returns the contact or null.
+function resolveCarCollision(a, b, setup = CAR_SETUP, box = CAR_COLLISION_BOX) {
+    const contact = findCarContact(a, b, box);
+    if (!contact) return null;
+    
+    const { normal, point } = contact;
+    
+    // Equal masses share the separation equally
+    a.position.x -= normal.x * contact.depth / 2;
+    a.position.z -= normal.z * contact.depth / 2;
+    b.position.x += normal.x * contact.depth / 2;
+    b.position.z += normal.z * contact.depth / 2;
+    
+    const velocityA = carPointVelocity(a, point);
+    const velocityB = carPointVelocity(b, point);
+    const relative = { x: velocityB.x - velocityA.x, z: velocityB.z - velocityA.z };
+    const closingSpeed = relative.x * normal.x + relative.z * normal.z;
+    contact.closingSpeed = -closingSpeed;
+    if (closingSpeed >= 0) return contact; // Already moving apart
+    
+    // Effective mass along a direction, including how much each car would spin
+    const armA = { x: point.x - a.position.x, z: point.z - a.position.z };
+    const armB = { x: point.x - b.position.x, z: point.z - b.position.z };
+    const inverseMass = direction => bodyGive(1 / setup.mass, 1 / setup.yawInertia, armA, direction) +
+        bodyGive(1 / setup.mass, 1 / setup.yawInertia, armB, direction);
+    const impulse = contactImpulse(relative, normal, inverseMass, CAR_CONTACT);
+    applyCarImpulse(a, { x: -impulse.x, z: -impulse.z }, point, setup);
+    applyCarImpulse(b, impulse, point, setup);
+    
+    contact.impulse = Math.hypot(impulse.x, impulse.z);
+    return contact;
+}
+
+// Resolve every touching pair of cars once
+function resolveCarCollisions(states, setup = CAR_SETUP, box = CAR_COLLISION_BOX) {
+    const reach = 2 * Math.hypot(box.halfWidth, box.halfLength);
+    const contacts = [];
+    
+    for (let i = 0; i < states.length; i++) {
+        for (let j = i + 1; j < states.length; j++) {
+            const a = states[i];
+            const b = states[j];
+            // Cheap distance check before the box test
+            if (Math.abs(a.position.x - b.position.x) > reach || Math.abs(a.position.z - b.position.z) > reach) continue;
+            
+            const contact = resolveCarCollision(a, b, setup, box);
+            if (contact) contacts.push(Object.assign(contact, { a: i, b: j }));
+        }
+    }
+    
+    return contacts;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CAR_COLLISION_BOX, CAR_RESTITUTION, CAR_CONTACT_FRICTION, CAR_CONTACT, carAxes, carCorners, isPointInCar,
+        findBoxContact, findCarContact, carPointVelocity, applyCarImpulse, contactImpulse, bodyGive,
+        resolveCarCollision, resolveCarCollisions
+    };
+}
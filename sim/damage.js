@@ -0,0 +1,96 @@
+// Car damage: impact energy from barrier hits spread over the car's parts, and what it does to the handling
+const DAMAGE_PARTS = ['frontWing', 'rearWing', 'wheelFL', 'wheelFR', 'wheelRL', 'wheelRR'];
+const DAMAGE_MIN_IMPACT = 40;          // Impact speed (units/s) the car shrugs off
+const DAMAGE_PER_ENERGY = 1 / 15000;   // Damage per unit of impact energy, (units/s)^2 / 2, above the minimum
+const DAMAGE_SPREAD = 4;               // Parts this far (world units) from the impact take half as much as one on it
+const DAMAGE_REPAIR_RATE = 0.25;       // Damage repaired per second on each part in the pit box
+
+// Every part undamaged; each part runs from 0 to 1, where 1 is broken or hanging off
+function createCarDamage() {
+    const damage = {};
+    DAMAGE_PARTS.forEach(part => {
+        damage[part] = 0;
+    });
+    return damage;
+}
+
+// Where each part sits in the car's frame: forward along the heading and left across it
+function damagePartOffsets(setup = CAR_SETUP) {
+    const [wheelFL, wheelFR, wheelRL, wheelRR] = carWheelOffsets(setup);
+    return {
+        frontWing: { forward: setup.frontAxle + 3, left: 0 },
+        rearWing: { forward: -setup.rearAxle - 3, left: 0 },
+        wheelFL,
+        wheelFR,
+        wheelRL,
+        wheelRR
+    };
+}
+
+// Damage a car hit at point { x, z } with impactSpeed (units/s) towards it. The parts nearest the point take most.
+// Returns the damage added over all parts.
+function applyImpactDamage(state, point, impactSpeed, setup = CAR_SETUP) {
+    if (!state.damage || impactSpeed <= DAMAGE_MIN_IMPACT) return 0;
+    const energy = (impactSpeed * impactSpeed - DAMAGE_MIN_IMPACT * DAMAGE_MIN_IMPACT) / 2;
+    
+    // The point in the car's frame; forward is (sin, cos) and left is (cos, -sin)
+    const dx = point.x - state.position.x;
+    const dz = point.z - state.position.z;
+    const forward = dx * Math.sin(state.rotation) + dz * Math.cos(state.rotation);
+    const left = dx * Math.cos(state.rotation) - dz * Math.sin(state.rotation);
+    
+    const offsets = damagePartOffsets(setup);
+    const weights = DAMAGE_PARTS.map(part => {
+        const distanceSquared = (offsets[part].forward - forward) ** 2 + (offsets[part].left - left) ** 2;
+        return 1 / (1 + distanceSquared / (DAMAGE_SPREAD * DAMAGE_SPREAD));
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    
+    let added = 0;
+    DAMAGE_PARTS.forEach((part, i) => {
+        const before = state.damage[part];
+        state.damage[part] = Math.min(1, before + energy * DAMAGE_PER_ENERGY * weights[i] / totalWeight);
+        added += state.damage[part] - before;
+    });
+    return added;
+}
+
+// Mend every part by amount; returns true once the car is as good as new
+function repairDamage(damage, amount) {
+    DAMAGE_PARTS.forEach(part => {
+        damage[part] = Math.max(0, damage[part] - amount);
+    });
+    return totalDamage(damage) === 0;
+}
+
+function totalDamage(damage) {
+    return DAMAGE_PARTS.reduce((sum, part) => sum + damage[part], 0);
+}
+
+// The setup a damaged car drives with. Broken wings cost grip on their axle and add drag, bent wheels scrub off
+// speed and lose grip, and uneven wheel damage pulls the steering towards the worse side.
+function damagedSetup(setup, damage) {
+    if (!damage || totalDamage(damage) === 0) return setup;
+    
+    const leftWheels = (damage.wheelFL + damage.wheelRL) / 2;
+    const rightWheels = (damage.wheelFR + damage.wheelRR) / 2;
+    const wheels = (leftWheels + rightWheels) / 2;
+    const wings = (damage.frontWing + damage.rearWing) / 2;
+    
+    return Object.assign({}, setup, {
+        maxSpeed: setup.maxSpeed * (1 - 0.3 * wheels - 0.15 * wings),
+        drag: setup.drag * (1 + wheels + 0.5 * wings),
+        rollingResistance: setup.rollingResistance * (1 + 4 * wheels),
+        frontGripScale: setup.frontGripScale * (1 - 0.3 * damage.frontWing - 0.2 * (damage.wheelFL + damage.wheelFR) / 2),
+        rearGripScale: setup.rearGripScale * (1 - 0.3 * damage.rearWing - 0.2 * (damage.wheelRL + damage.wheelRR) / 2),
+        steerPull: setup.steerPull + 0.25 * (rightWheels - leftWheels) // Steer is right positive
+    });
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        DAMAGE_PARTS, DAMAGE_MIN_IMPACT, DAMAGE_PER_ENERGY, DAMAGE_SPREAD, DAMAGE_REPAIR_RATE, createCarDamage,
+        damagePartOffsets, applyImpactDamage, repairDamage, totalDamage, damagedSetup
+    };
+}
@@ -0,0 +1,44 @@
+// Fixed-timestep simulation loop: steps at a constant rate however fast frames are drawn
+class FixedStepLoop {
+    constructor(stepSeconds = 1 / 60, maxStepsPerFrame = 5) {
+        this.step = stepSeconds;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.reset();
+    }
+    
+    reset() {
+        this.accumulator = 0;
+        this.tick = 0;
+    }
+    
+    // Simulation time in seconds
+    get time() {
+        return this.tick * this.step;
+    }
+    
+    // Run as many fixed steps as the elapsed frame time allows.
+    // Returns how far (0..1) rendering is between the last two steps.
+    advance(frameSeconds, stepFunction) {
+        this.accumulator += Math.max(0, frameSeconds);
+        
+        let steps = 0;
+        while (this.accumulator >= this.step && steps < this.maxStepsPerFrame) {
+            stepFunction(this.step, this.tick);
+            this.accumulator -= this.step;
+            this.tick++;
+            steps++;
+        }
+        
+        // After a long stall (e.g. a background tab) drop the backlog instead of fast-forwarding
+        if (steps === this.maxStepsPerFrame && this.accumulator >= this.step) {
+            this.accumulator = this.accumulator % this.step;
+        }
+        
+        return this.accumulator / this.step;
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { FixedStepLoop };
+}
@@ -0,0 +1,27 @@
+// Fuel: burnt with the throttle and carried as extra mass, so a full tank makes a slower car
+const FUEL_CAPACITY = 60; // kg
+const FUEL_BURN = 0.8;    // kg per second at full throttle
+
+// Burn fuel for dt seconds at this much throttle; returns true while there is some left
+function burnFuel(state, throttle, dt) {
+    state.fuel = Math.max(0, state.fuel - FUEL_BURN * throttle * dt);
+    return state.fuel > 0;
+}
+
+// The setup a car drives with carrying this much fuel: heavier, slower to turn and, in the arcade model,
+// slower to pick up speed
+function fuelSetup(setup, fuel) {
+    if (!fuel) return setup;
+    
+    const mass = setup.mass + fuel;
+    return Object.assign({}, setup, {
+        mass,
+        yawInertia: setup.yawInertia * mass / setup.mass,
+        acceleration: setup.acceleration * setup.mass / mass
+    });
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { FUEL_CAPACITY, FUEL_BURN, burnFuel, fuelSetup };
+}
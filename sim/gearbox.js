@@ -0,0 +1,62 @@
+// Gearbox: an automatic sequential box that picks a gear for the road speed and gives the engine revs, for the rev
+// counter and the engine note. The handling models drive the wheels directly, so the gear does not change the pace.
+const GEARBOX = {
+    gears: [0.2, 0.32, 0.45, 0.59, 0.75, 1.02], // Share of setup.maxSpeed each gear reaches at the rev limit
+    idleRpm: 4000,
+    maxRpm: 15000,
+    shiftUpRpm: 14000,   // Change up past this...
+    shiftDownRpm: 8000,  // ...and down below this, when the gear beneath would not be over shiftUpRpm
+    shiftTime: 0.15,     // Seconds the revs take to settle after a change
+    freeRevRate: 30000   // Revs per second the engine picks up or drops with no gear engaged
+};
+const GEARBOX_MOVING_SPEED = 0.5; // Car speed units; slower than this, with no throttle, the box is in neutral
+
+// gear is 0 for neutral, -1 for reverse and 1 up for the forward gears
+function createGearbox() {
+    return { gear: 0, rpm: GEARBOX.idleRpm, shift: 0 };
+}
+
+// Revs in a gear at a speed in car speed units
+function gearRpm(gear, speed, setup = CAR_SETUP) {
+    const top = GEARBOX.gears[Math.abs(gear) - 1] * setup.maxSpeed;
+    return Math.max(GEARBOX.idleRpm, GEARBOX.maxRpm * Math.abs(speed) / top);
+}
+
+// Change gear for the car's speed and bring the revs round to the new gear over dt seconds
+function updateGearbox(gearbox, state, throttle, dt, setup = CAR_SETUP) {
+    const speed = state.speed;
+    const previousGear = gearbox.gear;
+    
+    if (speed < -GEARBOX_MOVING_SPEED) {
+        gearbox.gear = -1;
+    } else if (speed < GEARBOX_MOVING_SPEED && throttle === 0) {
+        gearbox.gear = 0;
+    } else if (gearbox.gear <= 0) {
+        gearbox.gear = 1;
+    } else if (gearbox.gear < GEARBOX.gears.length && gearRpm(gearbox.gear, speed, setup) > GEARBOX.shiftUpRpm) {
+        gearbox.gear++;
+    } else if (gearbox.gear > 1 && gearRpm(gearbox.gear, speed, setup) < GEARBOX.shiftDownRpm &&
+        gearRpm(gearbox.gear - 1, speed, setup) < GEARBOX.shiftUpRpm) {
+        gearbox.gear--;
+    }
+    if (gearbox.gear !== previousGear) gearbox.shift = GEARBOX.shiftTime;
+    gearbox.shift = Math.max(0, gearbox.shift - dt);
+    
+    // In neutral the revs follow the throttle; in gear they follow the wheels, easing across a change
+    let target;
+    if (gearbox.gear === 0) {
+        target = GEARBOX.idleRpm + (GEARBOX.maxRpm - GEARBOX.idleRpm) * throttle;
+        const step = GEARBOX.freeRevRate * dt;
+        gearbox.rpm += Math.max(-step, Math.min(step, target - gearbox.rpm));
+    } else {
+        target = Math.min(GEARBOX.maxRpm, gearRpm(gearbox.gear, speed, setup));
+        const settle = gearbox.shift > 0 ? dt / (gearbox.shift + dt) : 1;
+        gearbox.rpm += (target - gearbox.rpm) * settle;
+    }
+    return gearbox.gear !== previousGear;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { GEARBOX, GEARBOX_MOVING_SPEED, createGearbox, gearRpm, updateGearbox };
+}
@@ -0,0 +1,38 @@
+// Loads the simulation under Node. The modules are browser scripts that share globals, so they are
+// required in index.html order and their exports published on globalThis the way the page sees them.
+const MODULES = [
+    'random',
+    'fixedStepLoop',
+    'lapTimer',
+    'trackLoader',
+    'barrierPlacement',
+    'trackSurface',
+    'trackQuery',
+    'vehicle',
+    'damage',
+    'tires',
+    'fuel',
+    'gearbox',
+    'sound',
+    'camera',
+    'replay',
+    'telemetry',
+    'input',
+    'aiDriver',
+    'carCollision',
+    'barrier',
+    'trackLimits',
+    'recovery',
+    'pitLane',
+    'raceSession',
+    'sessionModes',
+    'trackValidation',
+    'simulation',
+    'netcode'
+];
+
+const sim = {};
+MODULES.forEach(name => Object.assign(sim, require('./' + name)));
+Object.assign(globalThis, sim);
+
+module.exports = sim;
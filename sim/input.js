@@ -0,0 +1,167 @@
+// Input mapping: key bindings, deadzones and merging every device into one set of analog controls
+const INPUT_ACTIONS = [
+    { id: 'throttle', label: 'Accelerate' },
+    { id: 'brake', label: 'Brake' },
+    { id: 'steerLeft', label: 'Steer left' },
+    { id: 'steerRight', label: 'Steer right' },
+    { id: 'firstPerson', label: 'First person view' },
+    { id: 'cameraMode', label: 'Next camera' },
+    { id: 'barrierDebug', label: 'Barrier placement overlay' },
+    { id: 'replayViewer', label: 'Replay viewer' },
+    { id: 'telemetry', label: 'Telemetry' },
+    { id: 'mute', label: 'Mute sound' },
+    { id: 'startSession', label: 'Start session' },
+    { id: 'pause', label: 'Pause' },
+    { id: 'restartSession', label: 'Restart session' },
+    { id: 'resetCar', label: 'Reset car to track' },
+    { id: 'player2Throttle', label: 'Player 2 accelerate' },
+    { id: 'player2Brake', label: 'Player 2 brake' },
+    { id: 'player2SteerLeft', label: 'Player 2 steer left' },
+    { id: 'player2SteerRight', label: 'Player 2 steer right' },
+    { id: 'player2Camera', label: 'Player 2 next camera' },
+    { id: 'player2ResetCar', label: 'Player 2 reset car to track' }
+];
+
+// KeyboardEvent.code values, so bindings stay on the same physical keys whatever the layout
+const DEFAULT_KEY_BINDINGS = {
+    throttle: 'ArrowUp',
+    brake: 'ArrowDown',
+    steerLeft: 'ArrowLeft',
+    steerRight: 'ArrowRight',
+    firstPerson: 'Space',
+    cameraMode: 'KeyC',
+    barrierDebug: 'KeyB',
+    replayViewer: 'KeyR',
+    telemetry: 'KeyL',
+    mute: 'KeyM',
+    startSession: 'Enter',
+    pause: 'Escape',
+    restartSession: 'KeyT',
+    resetCar: 'KeyF',
+    player2Throttle: 'KeyW',
+    player2Brake: 'KeyS',
+    player2SteerLeft: 'KeyA',
+    player2SteerRight: 'KeyD',
+    player2Camera: 'KeyE',
+    player2ResetCar: 'KeyQ'
+};
+
+// The driving actions of each player in split screen, the first player's being the usual ones
+const PLAYER_DRIVING_ACTIONS = [
+    { throttle: 'throttle', brake: 'brake', steerLeft: 'steerLeft', steerRight: 'steerRight' },
+    {
+        throttle: 'player2Throttle',
+        brake: 'player2Brake',
+        steerLeft: 'player2SteerLeft',
+        steerRight: 'player2SteerRight'
+    }
+];
+
+const DEFAULT_INPUT_SETTINGS = {
+    bindings: DEFAULT_KEY_BINDINGS,
+    stickDeadzone: 0.15,  // Share of stick travel ignored around the centre
+    triggerDeadzone: 0.05 // Share of trigger travel ignored at rest
+};
+
+// Standard gamepad mapping: left stick, left and right triggers, and the top face button
+const GAMEPAD_STEER_AXIS = 0;
+const GAMEPAD_BRAKE_BUTTON = 6;
+const GAMEPAD_THROTTLE_BUTTON = 7;
+const GAMEPAD_FIRST_PERSON_BUTTON = 3;
+
+const KEYBOARD_STEER_RATE = 4;  // Full lock per second while a steering key is held
+const KEYBOARD_CENTRE_RATE = 6; // Back to centre per second once it is released
+
+// Zero inside the deadzone, then rescaled so the rest of the travel still reaches full
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+// Keyboard steering winds on over a moment rather than jumping to full lock
+function rampKeyboardSteer(current, target, dt) {
+    const centring = target === 0 || target * current < 0;
+    const step = (centring ? KEYBOARD_CENTRE_RATE : KEYBOARD_STEER_RATE) * dt;
+    return current + Math.max(-step, Math.min(step, target - current));
+}
+
+// Controls from a Gamepad (or anything shaped like one) with the standard mapping
+function readGamepadControls(gamepad, settings = DEFAULT_INPUT_SETTINGS) {
+    const button = index => {
+        const pressed = gamepad.buttons[index];
+        if (!pressed) return 0;
+        return pressed.value || (pressed.pressed ? 1 : 0);
+    };
+    
+    return {
+        throttle: applyDeadzone(button(GAMEPAD_THROTTLE_BUTTON), settings.triggerDeadzone),
+        brake: applyDeadzone(button(GAMEPAD_BRAKE_BUTTON), settings.triggerDeadzone),
+        steer: applyDeadzone(gamepad.axes[GAMEPAD_STEER_AXIS] || 0, settings.stickDeadzone)
+    };
+}
+
+// Merge every device: the harder pedal press wins, and the steering furthest from centre
+function combineControls(sources) {
+    const combined = { throttle: 0, brake: 0, steer: 0 };
+    sources.forEach(source => {
+        combined.throttle = Math.max(combined.throttle, Math.min(1, source.throttle));
+        combined.brake = Math.max(combined.brake, Math.min(1, source.brake));
+        if (Math.abs(source.steer) > Math.abs(combined.steer)) {
+            combined.steer = Math.max(-1, Math.min(1, source.steer));
+        }
+    });
+    return combined;
+}
+
+// Action bound to a key, or null
+function findBoundAction(bindings, code) {
+    const action = INPUT_ACTIONS.find(candidate => bindings[candidate.id] === code);
+    return action ? action.id : null;
+}
+
+// New bindings with the key on an action; an action already on that key takes the old one instead
+function rebindKey(bindings, actionId, code) {
+    const updated = Object.assign({}, bindings);
+    const previous = findBoundAction(bindings, code);
+    if (previous && previous !== actionId) updated[previous] = bindings[actionId];
+    updated[actionId] = code;
+    return updated;
+}
+
+// Fill in anything missing or invalid from stored settings with the defaults
+function normalizeInputSettings(settings) {
+    const stored = settings && typeof settings === 'object' ? settings : {};
+    const bindings = Object.assign({}, DEFAULT_KEY_BINDINGS);
+    INPUT_ACTIONS.forEach(action => {
+        const code = stored.bindings && stored.bindings[action.id];
+        if (typeof code === 'string' && code !== '') bindings[action.id] = code;
+    });
+    
+    const deadzone = (value, fallback) =>
+        typeof value === 'number' && value >= 0 && value < 1 ? value : fallback;
+    
+    return {
+        bindings,
+        stickDeadzone: deadzone(stored.stickDeadzone, DEFAULT_INPUT_SETTINGS.stickDeadzone),
+        triggerDeadzone: deadzone(stored.triggerDeadzone, DEFAULT_INPUT_SETTINGS.triggerDeadzone)
+    };
+}
+
+// Short name for a key code to show on screen
+function keyLabel(code) {
+    const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Space: 'SPACE' };
+    if (names[code]) return names[code];
+    if (/^Key[A-Z]$/.test(code) || /^Digit[0-9]$/.test(code)) return code.slice(-1);
+    return code;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        INPUT_ACTIONS, DEFAULT_KEY_BINDINGS, PLAYER_DRIVING_ACTIONS, DEFAULT_INPUT_SETTINGS, GAMEPAD_STEER_AXIS,
+        GAMEPAD_BRAKE_BUTTON, GAMEPAD_THROTTLE_BUTTON, GAMEPAD_FIRST_PERSON_BUTTON, KEYBOARD_STEER_RATE,
+        KEYBOARD_CENTRE_RATE, applyDeadzone, rampKeyboardSteer, readGamepadControls, combineControls,
+        findBoundAction, rebindKey, normalizeInputSettings, keyLabel
+    };
+}
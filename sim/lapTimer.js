@@ -0,0 +1,236 @@
+// Lap timing: start/finish line detection, sector splits and lap history
+class LapTimer {
+    constructor(waypoints, options = {}) {
+        // The waypoint list may repeat the first point at the end to close the loop
+        this.waypoints = uniqueWaypoints(waypoints).slice();
+        this.count = this.waypoints.length;
+        
+        this.sectorCount = options.sectorCount || 3;
+        this.lineHalfWidth = options.lineHalfWidth || 60;
+        this.requiredProgress = options.requiredProgress || 0.9; // Fraction of the lap that must be driven
+        this.maxStep = options.maxStep || Math.max(2, Math.round(this.count * 0.05)); // Bigger jumps are shortcuts
+        this.trackQuery = options.trackQuery || null; // Finds the nearest waypoint without searching them all
+        
+        // Sector boundaries as waypoint indices, the first sector starts at the line
+        this.sectorStarts = options.sectorStarts ||
+            Array.from({ length: this.sectorCount }, (_, i) => Math.round(i * this.count / this.sectorCount));
+        
+        // Start/finish line sits at the first waypoint, perpendicular to the track
+        const first = this.waypoints[0];
+        const next = this.waypoints[1 % this.count];
+        const dx = next.x - first.x;
+        const dz = next.z - first.z;
+        const length = Math.sqrt(dx * dx + dz * dz) || 1;
+        this.line = { x: first.x, z: first.z, dirX: dx / length, dirZ: dz / length };
+        
+        this.reset();
+    }
+    
+    // Clear all timing state, e.g. when a session restarts
+    reset() {
+        this.lap = 0; // 0 until the car first crosses the line
+        this.lapStartTime = null;
+        this.currentTime = 0;
+        this.lastLapTime = null;
+        this.lastLapValid = true;
+        this.bestLapTime = null;
+        this.bestSectors = new Array(this.sectorCount).fill(null);
+        this.lastSectors = new Array(this.sectorCount).fill(null);
+        this.currentSectors = [];
+        this.sectorDeltas = [];
+        this.laps = [];
+        
+        this.lastIndex = null;
+        this.lastSide = null;
+        this.progress = 0; // Waypoints driven forward since the lap started
+        this.skipped = 0;  // Waypoints jumped over by cutting the track
+        this.invalidated = false; // By track limits, see invalidateLap
+        this.penalty = 0;         // Seconds added to the current lap
+    }
+    
+    // The current lap will not count, e.g. for exceeding track limits; before the first lap there is nothing to spoil
+    invalidateLap() {
+        if (this.lap > 0) this.invalidated = true;
+    }
+    
+    // Seconds added to the current lap's time
+    addPenalty(seconds) {
+        if (this.lap > 0) this.penalty += seconds;
+    }
+    
+    // Index of the closest waypoint, searching near the hint index first
+    findNearestIndex(x, z, hint = null) {
+        if (this.trackQuery) {
+            return this.trackQuery.indexAt(this.trackQuery.distanceAt(x, z), this.count);
+        }
+        
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+        
+        const searchAll = hint === null;
+        const start = searchAll ? 0 : hint - this.maxStep * 4;
+        const end = searchAll ? this.count : hint + this.maxStep * 4;
+        
+        for (let i = start; i < end; i++) {
+            const index = ((i % this.count) + this.count) % this.count;
+            const waypoint = this.waypoints[index];
+            const distance = (x - waypoint.x) ** 2 + (z - waypoint.z) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        }
+        
+        // Fall back to a full search when the car is far from the local window
+        if (!searchAll && bestDistance > (this.lineHalfWidth * 2) ** 2) {
+            return this.findNearestIndex(x, z);
+        }
+        
+        return bestIndex;
+    }
+    
+    // Signed distance of a point in front of the start/finish line
+    sideOfLine(x, z) {
+        return (x - this.line.x) * this.line.dirX + (z - this.line.z) * this.line.dirZ;
+    }
+    
+    // Distance of a point from the track centre along the line
+    offsetAlongLine(x, z) {
+        return Math.abs((x - this.line.x) * -this.line.dirZ + (z - this.line.z) * this.line.dirX);
+    }
+    
+    // Advance timing with the car position at the given time (seconds)
+    update(x, z, time) {
+        const events = [];
+        const index = this.findNearestIndex(x, z, this.lastIndex);
+        const side = this.sideOfLine(x, z);
+        
+        if (this.lastIndex !== null) {
+            // Shortest signed step between waypoint indices, allowing for wrap-around
+            let step = index - this.lastIndex;
+            if (step > this.count / 2) step -= this.count;
+            if (step < -this.count / 2) step += this.count;
+            
+            if (Math.abs(step) <= this.maxStep) {
+                this.progress += step;
+            } else if (step > 0) {
+                this.skipped += step;
+            }
+            
+            if (this.lap > 0) {
+                this.checkSectors(time, events);
+            }
+            
+            // Crossing the line forwards, close enough to the track to count
+            const crossedForward = this.lastSide <= 0 && side > 0 &&
+                this.offsetAlongLine(x, z) <= this.lineHalfWidth * 1.5;
+            if (crossedForward) {
+                this.handleLineCrossing(time, events);
+            }
+        }
+        
+        this.lastIndex = index;
+        this.lastSide = side;
+        if (this.lapStartTime !== null) {
+            this.currentTime = time - this.lapStartTime + this.penalty;
+        }
+        
+        return events;
+    }
+    
+    // Record a split whenever the car reaches the next sector boundary
+    checkSectors(time, events) {
+        const sector = this.currentSectors.length;
+        if (sector >= this.sectorCount - 1) return;
+        
+        const boundary = this.sectorStarts[sector + 1];
+        if (this.progress + this.skipped >= boundary) {
+            this.recordSector(sector, time, events);
+        }
+    }
+    
+    recordSector(sector, time, events) {
+        const elapsed = time - this.lapStartTime;
+        const previous = this.currentSectors.reduce((sum, t) => sum + t, 0);
+        const sectorTime = elapsed - previous;
+        const best = this.bestSectors[sector];
+        
+        this.currentSectors.push(sectorTime);
+        this.sectorDeltas[sector] = best === null ? null : sectorTime - best;
+        events.push({ type: 'sector', sector, time: sectorTime, delta: this.sectorDeltas[sector] });
+    }
+    
+    handleLineCrossing(time, events) {
+        // First crossing starts the first timed lap
+        if (this.lap === 0) {
+            this.startLap(time);
+            return;
+        }
+        
+        // Reversing over the line and back again is not a lap
+        const covered = this.progress + this.skipped;
+        if (covered < this.count * this.requiredProgress) return;
+        
+        // Driven distance must cover the lap, jumps across the infield do not count
+        const valid = this.progress >= this.count * this.requiredProgress &&
+            this.currentSectors.length === this.sectorCount - 1 && !this.invalidated;
+        
+        if (this.currentSectors.length === this.sectorCount - 1) {
+            this.recordSector(this.sectorCount - 1, time, events);
+        }
+        
+        const lapTime = time - this.lapStartTime + this.penalty;
+        const lap = { lap: this.lap, time: lapTime, sectors: this.currentSectors.slice(), valid, penalty: this.penalty };
+        this.laps.push(lap);
+        this.lastLapTime = lapTime;
+        this.lastLapValid = valid;
+        this.lastSectors = lap.sectors;
+        
+        let isBest = false;
+        if (valid) {
+            if (this.bestLapTime === null || lapTime < this.bestLapTime) {
+                this.bestLapTime = lapTime;
+                isBest = true;
+            }
+            lap.sectors.forEach((sectorTime, i) => {
+                if (this.bestSectors[i] === null || sectorTime < this.bestSectors[i]) {
+                    this.bestSectors[i] = sectorTime;
+                }
+            });
+        }
+        
+        events.push({ type: 'lap', lap: lap.lap, time: lapTime, valid, best: isBest, penalty: this.penalty });
+        this.startLap(time);
+    }
+    
+    startLap(time) {
+        this.lap++;
+        this.lapStartTime = time;
+        this.currentTime = 0;
+        this.currentSectors = [];
+        this.sectorDeltas = [];
+        this.progress = 0;
+        this.skipped = 0;
+        this.invalidated = false;
+        this.penalty = 0;
+    }
+}
+
+// Format seconds as m:ss.mmm
+function formatLapTime(seconds) {
+    if (seconds === null || seconds === undefined) return '--:--.---';
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds - minutes * 60;
+    return minutes + ':' + remainder.toFixed(3).padStart(6, '0');
+}
+
+// Format a split delta as +0.123 / -0.123
+function formatDelta(seconds) {
+    if (seconds === null || seconds === undefined) return '';
+    return (seconds >= 0 ? '+' : '-') + Math.abs(seconds).toFixed(3);
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { LapTimer, formatLapTime, formatDelta };
+}
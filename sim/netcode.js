@@ -0,0 +1,200 @@
+// Netcode for online sessions, see game/network.js and server/relay.js. The room's host runs the session: it steps
+// every car with the inputs the other players send it and shares snapshots of the cars and barriers. The others drive
+// their own car on their inputs straight away, put it back where the host had it when a snapshot comes in and replay
+// the inputs the host has not seen yet, and draw everyone else a little in the past, between the snapshots either side.
+const NETCODE = {
+    snapshotTicks: 3,        // The host shares a snapshot every this many simulation steps, 20 a second
+    interpolationDelay: 0.1, // Seconds behind the host's clock the other cars are drawn, two snapshots' worth
+    inputQueue: 8,           // Inputs the host holds for a player before dropping the oldest, which bounds their lag
+    clockSmoothing: 0.1,     // Share of each snapshot's clock offset taken into the estimate
+    bufferLength: 1          // Seconds of snapshots kept
+};
+
+// A copy of a car state to send; the states are plain numbers and strings all the way down
+function copyCarState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+// The session after the host's last step: { tick, time, cars, barriers }. Each car is { id, name, state, ack } with
+// ack the tick of the last input taken from its player, from acks by car id; the host's own car goes by localId.
+function createSnapshot(simulation, acks = {}, localId = simulation.player.id) {
+    return {
+        tick: simulation.tick,
+        time: simulation.tick * SIMULATION_STEP,
+        cars: simulation.cars.map(car => {
+            const id = car === simulation.player ? localId : car.id;
+            const ack = acks[id] === undefined ? null : acks[id];
+            return { id, name: car.name, state: copyCarState(car.state), ack };
+        }),
+        barriers: simulation.barriers.map(barrier => ({
+            position: { ...barrier.position },
+            rotation: barrier.rotation,
+            velocity: { ...barrier.velocity },
+            angularVelocity: barrier.angularVelocity
+        }))
+    };
+}
+
+// Move the barriers to where the host has them, so every player hits the same ones in the same places
+function applyBarrierSnapshot(barriers, snapshot) {
+    snapshot.barriers.forEach((entry, i) => {
+        const barrier = barriers[i];
+        if (!barrier) return;
+        barrier.position = { ...entry.position };
+        barrier.rotation = entry.rotation;
+        barrier.velocity = { ...entry.velocity };
+        barrier.angularVelocity = entry.angularVelocity;
+    });
+}
+
+// The local player's inputs { tick, controls } the host has not acknowledged yet; tick is the simulation tick the
+// step taking them ends on
+class InputHistory {
+    constructor() {
+        this.inputs = [];
+    }
+    
+    record(tick, controls) {
+        this.inputs.push({ tick, controls: { ...controls } });
+    }
+    
+    // Forget the inputs up to the host's ack and return the ones after it
+    acknowledge(ack) {
+        if (ack !== null) this.inputs = this.inputs.filter(input => input.tick > ack);
+        return this.inputs;
+    }
+}
+
+// Controls from another player's page held to what a keyboard or pad could give: throttle and brake 0 to 1, steer
+// -1 to 1, and 0 for anything that is not a number
+function clampControls(controls) {
+    const clamp = (value, min) => (Number.isFinite(value) ? Math.max(min, Math.min(1, value)) : 0);
+    return { throttle: clamp(controls.throttle, 0), brake: clamp(controls.brake, 0), steer: clamp(controls.steer, -1) };
+}
+
+// A remote player's inputs waiting on the host, taken one a step. When they run dry the car keeps the last controls.
+class InputQueue {
+    constructor(rules = NETCODE) {
+        this.rules = rules;
+        this.inputs = [];
+        this.controls = { throttle: 0, brake: 0, steer: 0 };
+        this.ack = null; // Tick of the last input taken
+    }
+    
+    // Inputs { tick, controls } as the player sent them; any the host already has, or that are not inputs at all, are
+    // ignored
+    push(inputs) {
+        if (!Array.isArray(inputs)) return;
+        inputs.forEach(input => {
+            if (!input || !Number.isFinite(input.tick) || !input.controls || typeof input.controls !== 'object') return;
+            const last = this.inputs.length > 0 ? this.inputs[this.inputs.length - 1].tick : this.ack;
+            if (last === null || input.tick > last) {
+                this.inputs.push({ tick: input.tick, controls: clampControls(input.controls) });
+            }
+        });
+        const excess = this.inputs.length - this.rules.inputQueue;
+        if (excess > 0) this.inputs.splice(0, excess);
+    }
+    
+    next() {
+        const input = this.inputs.shift();
+        if (input) {
+            this.controls = input.controls;
+            this.ack = input.tick;
+        }
+        return this.controls;
+    }
+}
+
+// Put the local car where the host had it after the input it acknowledged, then drive the inputs since over again
+// as the simulation would against the barriers, which should be where the host has them, see applyBarrierSnapshot.
+// The other cars are left to the host. The car's previous pose is kept, so it is drawn sliding from where it was
+// predicted to be. Returns the distance it moved.
+function reconcileCar(simulation, car, state, inputs, dt = SIMULATION_STEP) {
+    const predicted = { ...car.state.position };
+    car.state = state;
+    simulation.settleCar(car);
+    inputs.forEach(input => {
+        if (car.pitStop) return;
+        let controls = input.controls;
+        if (car.inPitLane && car.state.speed > simulation.pitLane.rules.speedLimit) {
+            controls = Object.assign({}, controls, { throttle: 0 });
+        }
+        updateVehicle(car.state, controls, car.contact.surface, dt);
+        resolveBarrierCollisions(simulation.barriers, [car.state], dt).forEach(hit => {
+            applyImpactDamage(car.state, hit.point, hit.impactSpeed);
+        });
+        simulation.settleCar(car);
+    });
+    return Math.hypot(car.state.position.x - predicted.x, car.state.position.z - predicted.z);
+}
+
+// The other cars' snapshots by the host's clock, sampled rules.interpolationDelay behind it. Local times are seconds
+// on the player's own clock; the offset between the two is smoothed over the snapshots so jitter does not jolt them.
+class SnapshotBuffer {
+    constructor(rules = NETCODE) {
+        this.rules = rules;
+        this.snapshots = [];
+        this.clockOffset = null;
+    }
+    
+    // A snapshot { time, cars } that arrived at local time receivedAt
+    push(snapshot, receivedAt) {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        if (latest && snapshot.time <= latest.time) return; // Out of date
+        
+        const offset = snapshot.time - receivedAt;
+        this.clockOffset = this.clockOffset === null ?
+            offset :
+            this.clockOffset + (offset - this.clockOffset) * this.rules.clockSmoothing;
+        this.snapshots.push(snapshot);
+        while (this.snapshots.length > 2 && this.snapshots[0].time < snapshot.time - this.rules.bufferLength) {
+            this.snapshots.shift();
+        }
+    }
+    
+    // Each car in the latest snapshot as { id, name, position, rotation, normal, speed, damage } at local time now,
+    // between the snapshots either side; past the latest, where the latest has them
+    sample(now) {
+        if (this.snapshots.length === 0) return [];
+        const time = now + this.clockOffset - this.rules.interpolationDelay;
+        let after = this.snapshots.findIndex(snapshot => snapshot.time >= time);
+        if (after === -1) after = this.snapshots.length - 1;
+        const to = this.snapshots[after];
+        const from = this.snapshots[Math.max(0, after - 1)];
+        const share = to.time > from.time ? Math.max(0, Math.min(1, (time - from.time) / (to.time - from.time))) : 1;
+        
+        return to.cars.map(entry => {
+            const before = from.cars.find(candidate => candidate.id === entry.id) || entry;
+            const a = before.state;
+            const b = entry.state;
+            const turn = Math.atan2(Math.sin(b.rotation - a.rotation), Math.cos(b.rotation - a.rotation));
+            return {
+                id: entry.id,
+                name: entry.name,
+                position: {
+                    x: a.position.x + (b.position.x - a.position.x) * share,
+                    y: a.position.y + (b.position.y - a.position.y) * share,
+                    z: a.position.z + (b.position.z - a.position.z) * share
+                },
+                rotation: a.rotation + turn * share,
+                normal: b.normal,
+                speed: a.speed + (b.speed - a.speed) * share,
+                damage: b.damage
+            };
+        });
+    }
+    
+    clear() {
+        this.snapshots = [];
+        this.clockOffset = null;
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        NETCODE, copyCarState, createSnapshot, applyBarrierSnapshot, InputHistory, clampControls, InputQueue,
+        reconcileCar, SnapshotBuffer
+    };
+}
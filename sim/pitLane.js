@@ -0,0 +1,146 @@
+// Pit lane: a lane through the run-off, by default just before the start line, that branches off the track and
+// rejoins it, with a speed limiter and a box where the crew change the tires, refuel and repair a car that stops in it
+const DEFAULT_PIT_LANE = {
+    side: 'right',  // Of the track, in the run-off
+    distance: -60,  // Centre of the box along the track from the start line; negative is before the line
+    length: 40,     // Of the box, along the track
+    width: 20,      // Of the lane and the box, across the run-off
+    entry: 250,     // Where the lane leaves the track, measured back from the box
+    exit: 200,      // Where it rejoins the track, measured on from the box
+    ramp: 80,       // Distance the lane takes to cross between the track and the run-off
+    speedLimit: 8   // Car speed units anywhere in the lane
+};
+const PIT_STOP_SPEED = 0.5;  // Car speed units; slower than this in the box counts as stopped
+const PIT_STOP_BASE = 2;     // Seconds to jack the car up and drop it again
+const PIT_TIRE_TIME = 4;     // Seconds to change all four tires
+const PIT_FUEL_RATE = 8;     // kg per second
+const PIT_PATH_SPACING = 5;  // Distance between the points of the path down the lane
+
+class PitLane {
+    // trackQuery is the track's TrackQuery; rules as DEFAULT_PIT_LANE
+    constructor(trackQuery, rules = DEFAULT_PIT_LANE) {
+        this.trackQuery = trackQuery;
+        this.rules = rules;
+        this.side = rules.side === 'left' ? 1 : -1; // Sign of the lateral offset, which is positive to the left
+        this.distance = ((rules.distance % trackQuery.length) + trackQuery.length) % trackQuery.length;
+        
+        // The line down the middle of the lane, from where it leaves the track to where it rejoins
+        this.path = [];
+        for (let along = -rules.entry; along <= rules.exit; along += PIT_PATH_SPACING) {
+            const point = trackQuery.pointAt(this.distance + along);
+            const lateral = this.laneOffset(along, point.width / 2);
+            // Left of the heading is (cos, -sin)
+            const x = point.x + Math.cos(point.angle) * lateral;
+            const z = point.z - Math.sin(point.angle) * lateral;
+            this.path.push({ x, z, y: trackQuery.query(x, z).height, angle: point.angle, along });
+        }
+        this.stopIndex = Math.round(rules.entry / PIT_PATH_SPACING); // The path point in the middle of the box
+        
+        // Bounds of the lane, to rule out most points without searching the path
+        const margin = rules.width / 2;
+        this.bounds = {
+            minX: Math.min(...this.path.map(point => point.x)) - margin,
+            maxX: Math.max(...this.path.map(point => point.x)) + margin,
+            minZ: Math.min(...this.path.map(point => point.z)) - margin,
+            maxZ: Math.max(...this.path.map(point => point.z)) + margin
+        };
+    }
+    
+    // Signed distance along the track from the middle of the box to a distance from the start line
+    alongFromBox(distance) {
+        const length = this.trackQuery.length;
+        let along = distance - this.distance;
+        if (along > length / 2) along -= length;
+        if (along < -length / 2) along += length;
+        return along;
+    }
+    
+    // Lateral offset of the middle of the lane from the centre line, along from the box where the track is
+    // halfWidth either side. Half way to the edge where the lane branches off, across the run-off by the box.
+    laneOffset(along, halfWidth) {
+        const rules = this.rules;
+        const full = halfWidth + this.trackQuery.surface.runoffWidth / 2;
+        const start = halfWidth / 2;
+        let t = 1;
+        if (along < -rules.entry + rules.ramp) {
+            t = (along + rules.entry) / rules.ramp;
+        } else if (along > rules.exit - rules.ramp) {
+            t = (rules.exit - along) / rules.ramp;
+        }
+        t = Math.max(0, Math.min(1, t));
+        return this.side * (start + (full - start) * t * t * (3 - 2 * t));
+    }
+    
+    // Where a point { x, z } is along the lane from the box, as for alongFromBox, or null if it is further than
+    // margin outside the lane. This goes by the path rather than by distance along the track, which is ambiguous
+    // where the lane runs round the inside of a tight bend.
+    locate(position, margin = 0) {
+        const bounds = this.bounds;
+        const { x, z } = position;
+        if (x < bounds.minX - margin || x > bounds.maxX + margin || z < bounds.minZ - margin || z > bounds.maxZ + margin) {
+            return null;
+        }
+        
+        let best = null;
+        for (let i = 0; i < this.path.length - 1; i++) {
+            const a = this.path[i];
+            const b = this.path[i + 1];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const t = Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / (dx * dx + dz * dz || 1)));
+            const offset = Math.hypot(x - a.x - dx * t, z - a.z - dz * t);
+            if (!best || offset < best.offset) best = { along: a.along + (b.along - a.along) * t, offset };
+        }
+        return best.offset <= this.rules.width / 2 + margin ? best.along : null;
+    }
+    
+    // Whether a point { x, z } with this contact from TrackQuery.query is in the lane, where the limiter holds cars
+    // back. Where the lane starts and ends on the track only the run-off beside it counts, so cars going past are free.
+    inLane(position, contact) {
+        return !contact.onTrack && this.locate(position) !== null;
+    }
+    
+    // Whether a point with this contact is in the box
+    contains(position, contact) {
+        const along = contact.onTrack ? null : this.locate(position);
+        return along !== null && Math.abs(along) <= this.rules.length / 2;
+    }
+    
+    // Whether a car is stopped in the box, so the crew can work on it
+    isStopped(state, contact) {
+        return this.contains(state.position, contact) && Math.abs(state.speed) < PIT_STOP_SPEED;
+    }
+    
+    // Seconds the crew need for a plan { tires, fuel }: fresh tires of that compound, or none if null, and
+    // fuel up to that many kg. Damage is always repaired. The jobs go on at the same time.
+    stopDuration(state, plan) {
+        const tireTime = plan.tires ? PIT_TIRE_TIME : 0;
+        const fuelTime = Math.max(0, plan.fuel - state.fuel) / PIT_FUEL_RATE;
+        const repairTime = Math.max(...DAMAGE_PARTS.map(part => state.damage[part])) / DAMAGE_REPAIR_RATE;
+        return PIT_STOP_BASE + Math.max(tireTime, fuelTime, repairTime);
+    }
+    
+    // Carry out a plan on a car at the end of its stop
+    service(state, plan) {
+        if (plan.tires) state.tires = createTires(plan.tires);
+        state.fuel = Math.max(state.fuel, Math.min(FUEL_CAPACITY, plan.fuel));
+        repairDamage(state.damage, 1);
+    }
+    
+    // The box's corners { x, z } in the world, in order round it, for drawing
+    corners() {
+        const half = this.rules.length / 2;
+        return [[-half, -1], [half, -1], [half, 1], [-half, 1]].map(([along, across]) => {
+            const point = this.trackQuery.pointAt(this.distance + along);
+            const offset = this.laneOffset(along, point.width / 2) + across * this.rules.width / 2;
+            return { x: point.x + Math.cos(point.angle) * offset, z: point.z - Math.sin(point.angle) * offset };
+        });
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        DEFAULT_PIT_LANE, PIT_STOP_SPEED, PIT_STOP_BASE, PIT_TIRE_TIME, PIT_FUEL_RATE, PIT_PATH_SPACING, PitLane
+    };
+}
@@ -0,0 +1,237 @@
+// Races: lights-out countdown, lap counting from waypoint progress, live positions and the classification
+const RACE_LIGHT_COUNT = 5;
+const RACE_LIGHT_INTERVAL = 1; // Seconds between each start light coming on
+const RACE_FINISH_TIMEOUT = 60; // Seconds after the winner before unfinished cars are classified as they are
+
+class RaceSession {
+    // entrants: [{ id, name }], in the order their positions are passed to update()
+    constructor(waypoints, entrants, options = {}) {
+        this.points = uniqueWaypoints(waypoints);
+        this.trackQuery = options.trackQuery || null; // See LapTimer
+        this.laps = options.laps || 3;
+        this.holdTime = options.holdTime === undefined ? 1 : options.holdTime; // After the last light, before lights out
+        this.startTime = RACE_LIGHT_COUNT * RACE_LIGHT_INTERVAL + this.holdTime;
+        this.phase = 'countdown'; // 'countdown', 'racing' or 'finished'
+        this.time = 0;            // Seconds since the countdown began
+        this.winnerTime = null;
+        this.finishOrder = 0;
+        
+        this.entrants = entrants.map(entrant => ({
+            id: entrant.id,
+            name: entrant.name,
+            index: null,    // Nearest waypoint
+            crossings: 0,   // Forward crossings of the start line, less any reverse ones
+            mostCrossings: 0,
+            progress: 0,    // Waypoints covered since the start of lap 1
+            furthest: null, // Most progress so far
+            passTimes: {},  // Race time each progress was first reached after lights out, for the intervals
+            laps: 0,        // Laps completed
+            lapStart: null,
+            lapTimes: [],
+            bestLap: null,
+            finished: false,
+            finishTime: null,
+            finishOrder: null,
+            penalty: 0      // Seconds added to the race time, e.g. for track limits
+        }));
+    }
+    
+    get lightsOn() {
+        if (this.phase !== 'countdown') return 0;
+        return Math.min(RACE_LIGHT_COUNT, Math.floor(this.time / RACE_LIGHT_INTERVAL));
+    }
+    
+    // Seconds since lights out
+    get raceTime() {
+        return Math.max(0, this.time - this.startTime);
+    }
+    
+    get started() {
+        return this.phase !== 'countdown';
+    }
+    
+    // Nearest waypoint, searching near the last one once it is known
+    findNearestIndex(x, z, hint) {
+        const count = this.points.length;
+        if (this.trackQuery) return this.trackQuery.indexAt(this.trackQuery.distanceAt(x, z), count);
+        
+        const searchAll = hint === null;
+        const start = searchAll ? 0 : hint - 10;
+        const end = searchAll ? count : hint + 10;
+        let bestDistance = Infinity;
+        let bestIndex = 0;
+        
+        for (let i = start; i <= end; i++) {
+            const index = ((i % count) + count) % count;
+            const point = this.points[index];
+            const distance = (x - point.x) ** 2 + (z - point.z) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        }
+        
+        return bestIndex;
+    }
+    
+    // Advance by dt seconds with each entrant's { x, z }. Returns events for the caller to show.
+    update(dt, positions) {
+        const events = [];
+        if (this.phase === 'finished') return events;
+        
+        const lightsBefore = this.lightsOn;
+        this.time += dt;
+        
+        if (this.phase === 'countdown') {
+            if (this.time >= this.startTime) {
+                this.phase = 'racing';
+                // Lap 1 is timed from lights out for anyone already over the line
+                this.entrants.forEach(entrant => {
+                    entrant.lapStart = entrant.crossings > 0 ? 0 : null;
+                });
+                events.push({ type: 'start' });
+            } else if (this.lightsOn > lightsBefore) {
+                events.push({ type: 'light', count: this.lightsOn });
+            }
+        }
+        
+        positions.forEach((position, i) => this.updateEntrant(this.entrants[i], position, events));
+        
+        // The race ends when everyone has taken the flag, or they have had long enough to
+        if (this.phase === 'racing' && this.winnerTime !== null &&
+            (this.entrants.every(entrant => entrant.finished) || this.raceTime > this.winnerTime + RACE_FINISH_TIMEOUT)) {
+            this.phase = 'finished';
+            events.push({ type: 'end' });
+        }
+        
+        return events;
+    }
+    
+    updateEntrant(entrant, position, events) {
+        const count = this.points.length;
+        const previousIndex = entrant.index;
+        const index = this.findNearestIndex(position.x, position.z, previousIndex);
+        entrant.index = index;
+        
+        if (previousIndex === null) {
+            // Cars on the grid behind the line have not started lap 1 yet
+            entrant.crossings = index > count / 2 ? 0 : 1;
+            entrant.mostCrossings = entrant.crossings;
+        } else if (previousIndex > count * 0.75 && index < count * 0.25) {
+            entrant.crossings++;
+            // Reversing back over the line and crossing again does not count twice
+            if (entrant.crossings > entrant.mostCrossings) {
+                entrant.mostCrossings = entrant.crossings;
+                if (this.started && !entrant.finished) this.completeLap(entrant, events);
+            }
+        } else if (previousIndex < count * 0.25 && index > count * 0.75) {
+            entrant.crossings--;
+        }
+        
+        entrant.progress = (entrant.crossings - 1) * count + index;
+        
+        // Like timing loops at every waypoint
+        if (entrant.furthest === null || !this.started) {
+            entrant.furthest = entrant.progress;
+        }
+        for (let progress = entrant.furthest + 1; progress <= entrant.progress; progress++) {
+            entrant.passTimes[progress] = this.raceTime;
+        }
+        entrant.furthest = Math.max(entrant.furthest, entrant.progress);
+    }
+    
+    // Seconds entrant is behind the car ahead of it on the road: how long ago the other car reached the furthest point
+    // the entrant has, so never negative even just after a pass; null if the other car has not been timed there
+    interval(entrant, ahead) {
+        if (entrant.finished && ahead.finished) {
+            if (entrant.laps !== ahead.laps) return null;
+            return entrant.finishTime + entrant.penalty - (ahead.finishTime + ahead.penalty);
+        }
+        const aheadTime = ahead.passTimes[entrant.furthest];
+        return aheadTime === undefined ? null : this.raceTime - aheadTime;
+    }
+    
+    // Time penalty for an entrant, added to their race time in the classification; it can still come after the flag
+    addPenalty(id, seconds) {
+        const entrant = this.entrants.find(candidate => candidate.id === id);
+        if (entrant) entrant.penalty += seconds;
+    }
+    
+    // A forward crossing of the start line during the race
+    completeLap(entrant, events) {
+        const time = this.raceTime;
+        const lap = entrant.crossings - 1; // The first crossing starts lap 1
+        entrant.laps = Math.max(entrant.laps, lap);
+        
+        if (entrant.lapStart !== null && lap > 0) {
+            const lapTime = time - entrant.lapStart;
+            entrant.lapTimes.push(lapTime);
+            if (entrant.bestLap === null || lapTime < entrant.bestLap) entrant.bestLap = lapTime;
+            events.push({ type: 'lap', id: entrant.id, lap, time: lapTime });
+        }
+        entrant.lapStart = time;
+        
+        // Once the winner has the flag, everyone finishes at their next crossing
+        if (lap >= this.laps || (this.winnerTime !== null && lap > 0)) {
+            entrant.finished = true;
+            entrant.finishTime = time;
+            entrant.finishOrder = this.finishOrder++;
+            if (this.winnerTime === null) this.winnerTime = time;
+            events.push({ type: 'finish', id: entrant.id, position: this.standings().indexOf(entrant) + 1, time });
+        }
+    }
+    
+    // Entrants in race order: finishers by laps and then race time with penalties, then everyone else by progress
+    standings() {
+        return this.entrants.slice().sort((a, b) => {
+            if (a.finished !== b.finished) return a.finished ? -1 : 1;
+            if (a.finished) {
+                if (a.laps !== b.laps) return b.laps - a.laps;
+                return a.finishTime + a.penalty - (b.finishTime + b.penalty) || a.finishOrder - b.finishOrder;
+            }
+            return b.progress - a.progress;
+        });
+    }
+    
+    // Final (or current) result with gaps to the winner, and intervals to the car in the place ahead
+    classification() {
+        const standings = this.standings();
+        const leader = standings[0];
+        const count = this.points.length;
+        
+        return standings.map((entrant, i) => {
+            let gap = null;
+            let interval = null;
+            let lapsBehind = 0;
+            if (i > 0) {
+                interval = this.interval(entrant, standings[i - 1]);
+                // The winner keeps driving after the flag, so compare completed laps once they have finished
+                lapsBehind = leader.finished ?
+                    leader.laps - entrant.laps :
+                    Math.floor((leader.progress - entrant.progress) / count);
+                if (entrant.finished && lapsBehind === 0) {
+                    gap = entrant.finishTime + entrant.penalty - (leader.finishTime + leader.penalty);
+                }
+            }
+            
+            return {
+                position: i + 1,
+                id: entrant.id,
+                name: entrant.name,
+                laps: entrant.laps,
+                finished: entrant.finished,
+                time: entrant.finished ? entrant.finishTime + entrant.penalty : null,
+                penalty: entrant.penalty,
+                gap,
+                interval,
+                lapsBehind,
+                bestLap: entrant.bestLap
+            };
+        });
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { RACE_LIGHT_COUNT, RACE_LIGHT_INTERVAL, RACE_FINISH_TIMEOUT, RaceSession };
+}
@@ -0,0 +1,32 @@
+// Seeded random numbers so that simulation runs can be reproduced exactly
+class SeededRandom {
+    constructor(seed = 1) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Next number in [0, 1), using the mulberry32 generator
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Number in [min, max)
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+    
+    // Start the sequence again from the original seed
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { SeededRandom };
+}
@@ -0,0 +1,99 @@
+// Recovery: cars wedged against the barriers, lost far out on the grass or driving the wrong way are warned about
+// and, if they stay that way, put back on the track
+const DEFAULT_RECOVERY = {
+    enabled: true,
+    minProgress: 20,       // World units along the track that count as getting somewhere
+    stuckWarning: 2,       // Seconds of driving without getting anywhere before the warning...
+    stuckReset: 6,         // ...and before the car is put back
+    offCourseDistance: 80, // World units past the edge of the track that count as lost
+    offCourseWarning: 1,
+    offCourseReset: 10,
+    wrongWayAngle: 2,      // Radians from the direction of the track, a little over 110 degrees
+    wrongWaySpeed: 2,      // Car speed units; slower than this the car is only turning round
+    wrongWayWarning: 0.5,
+    wrongWayReset: 10
+};
+const RECOVERY_REASONS = ['stuck', 'offCourse', 'wrongWay'];
+
+class CarRecovery {
+    // trackQuery is the track's TrackQuery; rules as DEFAULT_RECOVERY
+    constructor(trackQuery, rules = DEFAULT_RECOVERY) {
+        this.trackQuery = trackQuery;
+        this.rules = rules;
+        this.reset();
+    }
+    
+    // Start watching afresh, e.g. once the car has been put somewhere
+    reset() {
+        this.lastDistance = null;
+        this.progress = 0;     // World units along the track since watching started, less any driven backwards
+        this.mark = 0;         // Progress when the car last got somewhere
+        this.timers = { stuck: 0, offCourse: 0, wrongWay: 0 }; // Seconds each has gone on for
+        this.warning = null;   // The reason from RECOVERY_REASONS the driver is being warned about
+        this.remaining = null; // Seconds until the car is put back for it
+        this.requested = false;
+    }
+    
+    // The driver asks to be put back, on the next update
+    request() {
+        this.requested = true;
+    }
+    
+    // Watch a car for dt seconds after it has moved, with its contact from TrackQuery.query and the controls it was
+    // driven with. Returns the reason the car should be put back now, 'manual' if its driver asked, or null.
+    update(state, contact, controls, dt) {
+        if (this.requested) return 'manual';
+        if (!this.rules.enabled) return null;
+        
+        // Progress along the track, unwrapped over the start line
+        const length = this.trackQuery.length;
+        if (this.lastDistance !== null) {
+            let travelled = contact.distance - this.lastDistance;
+            if (travelled < -length / 2) travelled += length;
+            if (travelled > length / 2) travelled -= length;
+            this.progress += travelled;
+        }
+        this.lastDistance = contact.distance;
+        
+        // Backing away resets the mark, so the way out of a corner counts as getting somewhere
+        if (this.progress > this.mark + this.rules.minProgress || this.progress < this.mark) {
+            this.mark = this.progress;
+            this.timers.stuck = 0;
+        } else if (controls.throttle > 0 || controls.brake > 0) {
+            // A car left standing is parked, not stuck
+            this.timers.stuck += dt;
+        }
+        
+        const lost = Math.abs(contact.lateral) - contact.halfWidth > this.rules.offCourseDistance;
+        this.timers.offCourse = lost ? this.timers.offCourse + dt : 0;
+        
+        // Facing back down the track and moving, or stopped there, rather than spinning round
+        const facingBack = Math.abs(contact.headingError) > this.rules.wrongWayAngle;
+        if (!facingBack) {
+            this.timers.wrongWay = 0;
+        } else if (state.speed > this.rules.wrongWaySpeed || this.timers.wrongWay > this.rules.wrongWayWarning) {
+            this.timers.wrongWay += dt;
+        }
+        
+        this.warning = null;
+        this.remaining = null;
+        const due = RECOVERY_REASONS.find(reason => this.timers[reason] >= this.rules[reason + 'Reset']);
+        if (due) return due;
+        
+        // Warn about whichever will put the car back soonest
+        RECOVERY_REASONS.forEach(reason => {
+            if (this.timers[reason] < this.rules[reason + 'Warning']) return;
+            const remaining = this.rules[reason + 'Reset'] - this.timers[reason];
+            if (this.remaining === null || remaining < this.remaining) {
+                this.warning = reason;
+                this.remaining = remaining;
+            }
+        });
+        return null;
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { DEFAULT_RECOVERY, RECOVERY_REASONS, CarRecovery };
+}
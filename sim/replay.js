@@ -0,0 +1,127 @@
+// Lap replays: per-tick recording, playback with interpolation and JSON (de)serialisation
+const REPLAY_VERSION = 1;
+
+// Records one frame per simulation tick for the lap in progress
+class ReplayRecorder {
+    constructor(step) {
+        this.step = step;
+        this.frames = [];
+    }
+    
+    // Start a new lap recording, beginning with the frame that crossed the line
+    startLap() {
+        this.frames = [];
+    }
+    
+    record(state, controls) {
+        this.frames.push([
+            roundTo(state.position.x, 3),
+            roundTo(state.position.z, 3),
+            roundTo(state.rotation, 4),
+            roundTo(controls.throttle, 2),
+            roundTo(controls.brake, 2),
+            roundTo(controls.steer, 2)
+        ]);
+    }
+    
+    // Package the recorded frames as a finished lap replay
+    finishLap(trackId, trackName, lapTime) {
+        return {
+            version: REPLAY_VERSION,
+            trackId,
+            trackName,
+            lapTime,
+            step: this.step,
+            recordedAt: new Date().toISOString(),
+            frames: this.frames.slice()
+        };
+    }
+}
+
+// Plays a replay back at any time or speed
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+    }
+    
+    get duration() {
+        return (this.replay.frames.length - 1) * this.replay.step;
+    }
+    
+    play() {
+        if (this.time >= this.duration) this.time = 0;
+        this.playing = true;
+    }
+    
+    pause() {
+        this.playing = false;
+    }
+    
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+    }
+    
+    // Advance playback by real elapsed seconds
+    update(elapsed) {
+        if (!this.playing) return;
+        this.seek(this.time + elapsed * this.speed);
+        if (this.time >= this.duration) this.playing = false;
+    }
+    
+    // Interpolated pose and inputs at a time from the start of the lap
+    sample(time = this.time) {
+        const frames = this.replay.frames;
+        const position = Math.max(0, Math.min(frames.length - 1, time / this.replay.step));
+        const index = Math.min(Math.floor(position), frames.length - 2);
+        const t = frames.length > 1 ? position - index : 0;
+        const a = frames[Math.max(0, index)];
+        const b = frames[Math.max(0, index + 1)] || a;
+        
+        let rotationDelta = b[2] - a[2];
+        rotationDelta = Math.atan2(Math.sin(rotationDelta), Math.cos(rotationDelta));
+        
+        return {
+            x: a[0] + (b[0] - a[0]) * t,
+            z: a[1] + (b[1] - a[1]) * t,
+            rotation: a[2] + rotationDelta * t,
+            controls: { throttle: a[3], brake: a[4], steer: a[5] }
+        };
+    }
+}
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Parse and check a replay from localStorage or an imported file
+function parseReplay(text) {
+    const replay = typeof text === 'string' ? JSON.parse(text) : text;
+    
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+    if (!Array.isArray(replay.frames) || replay.frames.length < 2) {
+        throw new Error('Replay has no frames');
+    }
+    if (!(replay.step > 0) || !(replay.lapTime > 0)) {
+        throw new Error('Replay is missing its timing information');
+    }
+    if (replay.frames.some(frame => !Array.isArray(frame) || frame.length < 6 || frame.some(value => typeof value !== 'number'))) {
+        throw new Error('Replay frames are malformed');
+    }
+    
+    return replay;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { REPLAY_VERSION, ReplayRecorder, ReplayPlayer, roundTo, serializeReplay, parseReplay };
+}
@@ -0,0 +1,186 @@
+// Session modes: practice, time trials and race weekends, each stage going from its start screen to driving, with
+// pauses, and on to its results. Time trials and qualifying time a fixed number of laps for each car.
+const SESSION_TYPES = {
+    practice: { name: 'Practice', stages: ['practice'] },
+    timeTrial: { name: 'Time trial', stages: ['timeTrial'] },
+    raceWeekend: { name: 'Race weekend', stages: ['qualifying', 'race'] }
+};
+const SESSION_STAGE_NAMES = { practice: 'Practice', timeTrial: 'Time trial', qualifying: 'Qualifying', race: 'Race' };
+const QUALIFYING_LAPS = 2;  // Timed laps each car has to set its grid place, after the lap out to the line
+const LEADERBOARD_SIZE = 10; // Time trial runs kept for each track and lap count
+
+// Where the players are: 'menu', then through each stage of the session type 'start', 'running' (or 'paused') and
+// 'results'. Steps that do not apply from the current state are ignored and return false.
+class SessionFlow {
+    constructor() {
+        this.quit();
+    }
+    
+    // 'practice', 'timeTrial', 'qualifying' or 'race'; null in the menu
+    get stage() {
+        return this.type ? SESSION_TYPES[this.type].stages[this.stageIndex] : null;
+    }
+    
+    get hasNextStage() {
+        return this.type !== null && this.stageIndex < SESSION_TYPES[this.type].stages.length - 1;
+    }
+    
+    // The first stage of a session type, waiting to start
+    begin(type) {
+        if (!SESSION_TYPES[type]) throw new Error('Unknown session type ' + type);
+        this.type = type;
+        this.stageIndex = 0;
+        this.state = 'start';
+        return true;
+    }
+    
+    start() {
+        return this.change('start', 'running');
+    }
+    
+    pause() {
+        return this.change('running', 'paused');
+    }
+    
+    resume() {
+        return this.change('paused', 'running');
+    }
+    
+    // The stage from its start screen again; the caller puts the cars, barriers and timing back
+    restart() {
+        if (this.type === null) return false;
+        this.state = 'start';
+        return true;
+    }
+    
+    finish() {
+        return this.change('running', 'results') || this.change('paused', 'results');
+    }
+    
+    // From the results on to the start of the next stage, e.g. from qualifying to the race
+    nextStage() {
+        if (this.state !== 'results' || !this.hasNextStage) return false;
+        this.stageIndex++;
+        this.state = 'start';
+        return true;
+    }
+    
+    quit() {
+        this.type = null;
+        this.stageIndex = 0;
+        this.state = 'menu';
+        return true;
+    }
+    
+    change(from, to) {
+        if (this.state !== from) return false;
+        this.state = to;
+        return true;
+    }
+}
+
+// Timed laps for a time trial or qualifying: each car is timed from its first crossing of the start line until it
+// has done options.laps laps. Time trials rank by the total of the laps and qualifying by the best one; laps spoilt by
+// track limits count for neither.
+class LapSession {
+    // entrants: [{ id, name }], in the order their positions are passed to update(); createLapTimer() makes the
+    // LapTimer for each, see Simulation.createLapTimer
+    constructor(entrants, createLapTimer, options = {}) {
+        this.laps = options.laps || 3;
+        this.rankBy = options.rankBy || 'total'; // 'total' or 'best'
+        this.time = 0;
+        this.entrants = entrants.map(entrant => ({
+            id: entrant.id,
+            name: entrant.name,
+            lapTimer: createLapTimer(),
+            finished: false
+        }));
+    }
+    
+    get finished() {
+        return this.entrants.every(entrant => entrant.finished);
+    }
+    
+    // Advance by dt seconds with each entrant's { x, z }. Returns the lap timers' lap events, with the entrant's id,
+    // and { type: 'finish', id } as each finishes its laps.
+    update(dt, positions) {
+        this.time += dt;
+        const events = [];
+        positions.forEach((position, i) => {
+            const entrant = this.entrants[i];
+            if (entrant.finished) return;
+            entrant.lapTimer.update(position.x, position.z, this.time).forEach(event => {
+                if (event.type !== 'lap') return;
+                events.push(Object.assign({ id: entrant.id }, event));
+                if (entrant.lapTimer.laps.length >= this.laps) {
+                    entrant.finished = true;
+                    events.push({ type: 'finish', id: entrant.id });
+                }
+            });
+        });
+        return events;
+    }
+    
+    // The track limits events from Simulation.step spoil laps and add penalties like they do for the players
+    applyTrackLimits(events) {
+        events.forEach(event => {
+            const entrant = this.entrants.find(candidate => candidate.id === event.car);
+            if (!entrant || entrant.finished) return;
+            if (event.invalidatesLap) entrant.lapTimer.invalidateLap();
+            if (event.seconds) entrant.lapTimer.addPenalty(event.seconds);
+        });
+    }
+    
+    // Everyone in order, those with a time first: [{ position, id, name, laps, total, bestLap, valid, finished, gap }].
+    // total is the time for all the laps once they are done, and valid whether none of them was spoilt; gap is to
+    // the first place's total or best lap.
+    results() {
+        const entries = this.entrants.map(entrant => {
+            const laps = entrant.lapTimer.laps;
+            return {
+                id: entrant.id,
+                name: entrant.name,
+                laps: laps.length,
+                total: entrant.finished ? laps.reduce((sum, lap) => sum + lap.time, 0) : null,
+                bestLap: entrant.lapTimer.bestLapTime,
+                valid: laps.every(lap => lap.valid),
+                finished: entrant.finished
+            };
+        });
+        
+        // Spoilt time trials rank behind the clean ones
+        const mark = entry => {
+            if (this.rankBy === 'best') return entry.bestLap;
+            return entry.total !== null && entry.valid ? entry.total : null;
+        };
+        entries.sort((a, b) => {
+            const markA = mark(a);
+            const markB = mark(b);
+            if (markA !== null && markB !== null) return markA - markB;
+            if (markA !== null || markB !== null) return markA !== null ? -1 : 1;
+            return b.laps - a.laps;
+        });
+        
+        const first = entries.length > 0 ? mark(entries[0]) : null;
+        return entries.map((entry, i) => Object.assign(entry, {
+            position: i + 1,
+            gap: i > 0 && first !== null && mark(entry) !== null ? mark(entry) - first : null
+        }));
+    }
+}
+
+// A time trial leaderboard with entry { name, time, ... } added in order of time, kept to size entries; an earlier
+// entry with the same time stays ahead. Returns { board, place } with place counted from 1, or null if it missed out.
+function addLeaderboardEntry(board, entry, size = LEADERBOARD_SIZE) {
+    const entries = board.concat([entry]).sort((a, b) => a.time - b.time).slice(0, size);
+    const index = entries.indexOf(entry);
+    return { board: entries, place: index === -1 ? null : index + 1 };
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        SESSION_TYPES, SESSION_STAGE_NAMES, QUALIFYING_LAPS, LEADERBOARD_SIZE, SessionFlow, LapSession,
+        addLeaderboardEntry
+    };
+}
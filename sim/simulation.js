@@ -0,0 +1,374 @@
+// Headless simulation of a session on one track: the cars, barriers and lap timing, stepped without any rendering
+const SIMULATION_STEP = 1 / 60;
+const DEFAULT_SIMULATION_SEED = 20240601;
+const GRID_FIRST_SLOT = 20; // Distance of pole position behind the start line
+const GRID_SPACING = 30;    // Distance between grid slots along the track
+const PIT_CALL_DISTANCE = 150;  // AI cars decide whether to pit this far before the pit lane entry
+const PIT_FUEL_MARGIN = 1.25;   // AI cars pit when they have less than this many laps of fuel left...
+const PIT_TIRE_WEAR = 0.7;      // ...their tires are this worn...
+const PIT_DAMAGE = 1.5;         // ...or the damage over all their parts adds up to this
+const IMPACT_EVENT_SPEED = 10;  // Units/s; slower contacts, e.g. a car leaning on a barrier, are not reported
+
+class Simulation {
+    // track is a parsed track definition, see sim/trackLoader.js. options.trackLimits overrides the track's rules, and
+    // options.recovery the DEFAULT_RECOVERY rules for putting cars back on the track.
+    constructor(track, options = {}) {
+        this.track = track;
+        this.seed = options.seed === undefined ? DEFAULT_SIMULATION_SEED : options.seed;
+        this.random = new SeededRandom(this.seed);
+        this.waypoints = buildTrackWaypoints(track);
+        this.surface = buildTrackSurface(track);
+        this.trackQuery = new TrackQuery(this.surface);
+        this.racingLine = computeRacingLine(this.waypoints);
+        this.sectorStarts = trackSectorStarts(track);
+        this.trackLimitRules = Object.assign({}, DEFAULT_TRACK_LIMITS, track.trackLimits || {}, options.trackLimits || {});
+        this.recoveryRules = Object.assign({}, DEFAULT_RECOVERY, options.recovery || {});
+        this.pitLane = new PitLane(this.trackQuery, Object.assign({}, DEFAULT_PIT_LANE, track.pitLane || {}));
+        
+        // Barriers from the curvature and edges of the waypoints, standing on the ground beneath them, leaving
+        // room for the cars in the pit lane
+        this.barrierRules = Object.assign({}, DEFAULT_BARRIER_RULES, track.barriers || {});
+        const blocksPitLane = point => !this.trackQuery.query(point.x, point.z).onTrack &&
+            this.pitLane.locate(point, BARRIER_CAR_RADIUS) !== null;
+        this.barrierPlacements = placeBarriers(this.waypoints, this.barrierRules).filter(placement => {
+            const middle = { x: (placement.start.x + placement.end.x) / 2, z: (placement.start.z + placement.end.z) / 2 };
+            return ![placement.start, middle, placement.end].some(blocksPitLane);
+        });
+        this.barriers = this.barrierPlacements.map(placement => {
+            const middle = { x: (placement.start.x + placement.end.x) / 2, z: (placement.start.z + placement.end.z) / 2 };
+            return Barrier.fromPlacement(placement, this.trackQuery.query(middle.x, middle.z).height);
+        });
+        
+        this.reset();
+    }
+    
+    // Back to the start with only the player's car; same seed and inputs give the same run
+    reset() {
+        this.random.reset(this.seed);
+        this.barriers.forEach(barrier => barrier.reset());
+        this.tick = 0;
+        
+        const start = this.waypoints[0];
+        this.cars = [];
+        this.addCar('player', 'You', createCarState(start.x, start.z, start.angle));
+    }
+    
+    // { id, name, state, controls, driver, lapTimer, previousPose, contact, trackLimits, pitPlan, pitStop, inPitLane,
+    // pitServed, pitCall, recovery }. The driver is null for a player, whose laps the lapTimer times, and the lapTimer
+    // null for an AI car. contact is where the car is on the track and what it is standing on, see TrackQuery.query.
+    // pitPlan is what the crew do at the next stop, see PitLane.stopDuration, and pitStop { elapsed, duration, plan }
+    // the stop under way. pitServed is set from a stop until the car leaves the lane, and pitCall is what an AI car
+    // goes by when deciding whether to pit, see markPitCall. recovery watches for the car getting stuck, lost or turned
+    // round, see CarRecovery.
+    addCar(id, name, state, driver = null) {
+        const car = {
+            id,
+            name,
+            state,
+            controls: { throttle: 0, brake: 0, steer: 0 },
+            driver,
+            lapTimer: driver ? null : this.createLapTimer(),
+            previousPose: null,
+            contact: null,
+            trackLimits: new TrackLimits(this.trackQuery, this.trackLimitRules, this.pitLane),
+            pitPlan: { tires: state.tires.compound, fuel: FUEL_CAPACITY },
+            pitStop: null,
+            inPitLane: false,
+            pitServed: false,
+            pitCall: null,
+            recovery: new CarRecovery(this.trackQuery, this.recoveryRules)
+        };
+        this.settleCar(car);
+        this.markPitCall(car, false);
+        this.cars.push(car);
+        return car;
+    }
+    
+    // Take a car out of the session, e.g. when its player leaves an online room
+    removeCar(id) {
+        this.cars = this.cars.filter(car => car.id !== id || car === this.player);
+    }
+    
+    // profile: { name, skill, aggression }, see AIDriver
+    addOpponent(profile, state) {
+        const driver = new AIDriver(this.racingLine, {
+            skill: profile.skill,
+            aggression: profile.aggression,
+            trackQuery: this.trackQuery
+        });
+        return this.addCar(profile.name, profile.name, state, driver);
+    }
+    
+    // Lap timing starts when the car first crosses the start/finish line
+    createLapTimer() {
+        return new LapTimer(this.waypoints, {
+            lineHalfWidth: this.waypoints[0].width / 2,
+            sectorCount: this.sectorStarts.length,
+            sectorStarts: this.sectorStarts,
+            trackQuery: this.trackQuery
+        });
+    }
+    
+    get player() {
+        return this.cars[0];
+    }
+    
+    // The player's lap timer
+    get lapTimer() {
+        return this.player.lapTimer;
+    }
+    
+    // Cars with someone at the wheel, the player first, e.g. both cars in split screen
+    get players() {
+        return this.cars.filter(car => !car.driver);
+    }
+    
+    get opponents() {
+        return this.cars.filter(car => car.driver);
+    }
+    
+    // Move a car without it sliding there from its last pose
+    placeCar(car, state) {
+        car.state = state;
+        car.previousPose = null;
+        car.trackLimits.excursion = null;
+        car.pitStop = null;
+        car.recovery.reset();
+        if (car.driver) {
+            car.driver.pit = null;
+            car.driver.index = null; // Find its place on the racing line again
+        }
+        this.settleCar(car);
+        this.markPitCall(car, false);
+    }
+    
+    // Put a car back at rest on the centre line at the waypoint nearest it, facing the way the track goes. The
+    // damage, tires and fuel stay as they were.
+    resetCarToTrack(car) {
+        const points = uniqueWaypoints(this.waypoints);
+        const { x, z } = car.state.position;
+        const waypoint = points[this.trackQuery.indexAt(this.trackQuery.distanceAt(x, z), points.length)];
+        const { damage, tires, fuel } = car.state;
+        const state = Object.assign(createCarState(waypoint.x, waypoint.z, waypoint.angle), { damage, tires, fuel });
+        this.placeCar(car, state);
+    }
+    
+    // Put a car back on the track for a reason from RECOVERY_REASONS, or 'manual' when its driver asked. Coming back
+    // from off the track this way spoils the lap, as the way back could be a shortcut. Returns the 'recovered' event.
+    recoverCar(car, reason, time) {
+        const invalidatesLap = car.trackLimits.excursion !== null;
+        this.resetCarToTrack(car);
+        if (invalidatesLap && car.lapTimer) car.lapTimer.invalidateLap();
+        return { type: 'recovered', car: car.id, reason, invalidatesLap, time };
+    }
+    
+    // Change the track limits for every car; infringements so far stand
+    setTrackLimitRules(rules) {
+        this.trackLimitRules = Object.assign({}, DEFAULT_TRACK_LIMITS, this.track.trackLimits || {}, rules);
+        this.cars.forEach(car => {
+            car.trackLimits.rules = this.trackLimitRules;
+        });
+    }
+    
+    // Put a car down on the surface beneath it
+    settleCar(car) {
+        car.contact = this.contactAt(car.state);
+        car.state.position.y = car.contact.height;
+        car.state.normal = car.contact.normal;
+    }
+    
+    // One of count slots spread evenly round the lap on the racing line
+    spacedStart(slot, count) {
+        const index = Math.floor((slot + 1) * this.racingLine.length / (count + 1));
+        const point = this.racingLine[index];
+        return createCarState(point.x, point.z, this.waypoints[index].angle);
+    }
+    
+    // Grid slot behind the start line, alternating sides of the track; slot 0 is pole
+    gridStart(slot) {
+        const points = uniqueWaypoints(this.waypoints);
+        let index = 0;
+        let distance = 0;
+        while (distance < GRID_FIRST_SLOT + slot * GRID_SPACING) {
+            const previous = (index - 1 + points.length) % points.length;
+            distance += Math.hypot(points[index].x - points[previous].x, points[index].z - points[previous].z);
+            index = previous;
+        }
+        
+        const waypoint = points[index];
+        const side = slot % 2 === 0 ? -1 : 1;
+        const offset = side * waypoint.width / 4;
+        
+        // Left of the heading is (cos, -sin)
+        return createCarState(
+            waypoint.x + Math.cos(waypoint.angle) * offset,
+            waypoint.z - Math.sin(waypoint.angle) * offset,
+            waypoint.angle
+        );
+    }
+    
+    contactAt(state) {
+        const contact = this.trackQuery.query(state.position.x, state.position.z, state.rotation);
+        // The pit lane is surfaced like the track where it crosses the run-off
+        if (this.pitLane.inLane(state.position, contact)) contact.surface = 'track';
+        return contact;
+    }
+    
+    // Grip depends on the surface under the car
+    surfaceAt(state) {
+        return this.contactAt(state).surface;
+    }
+    
+    // Advance dt seconds with the player's controls, or an array of controls for each of the players in turn; the AI
+    // cars drive themselves. holdCars keeps everyone still, e.g. on the grid before the lights go out. Returns the
+    // players' lap timer events and every car's track limits, impact, damage, pit stop and recovery events, which all
+    // carry the car's id.
+    step(dt, playerControls, options = {}) {
+        this.cars.forEach(car => {
+            car.previousPose = { ...car.state.position, rotation: car.state.rotation };
+        });
+        const controls = [].concat(playerControls);
+        this.players.forEach((car, i) => {
+            if (controls[i]) car.controls = controls[i];
+        });
+        
+        if (!options.holdCars) {
+            this.cars.forEach(car => {
+                // The crew hold the car until they are done
+                if (car.pitStop) return;
+                
+                if (car.driver) {
+                    const traffic = this.cars.filter(other => other !== car).map(other => other.state);
+                    car.controls = car.driver.getControls(car.state, dt, traffic);
+                }
+                
+                // The limiter cuts the engine above the pit lane speed limit
+                let controls = car.controls;
+                if (car.inPitLane && car.state.speed > this.pitLane.rules.speedLimit) {
+                    controls = Object.assign({}, controls, { throttle: 0 });
+                }
+                updateVehicle(car.state, controls, car.contact.surface, dt);
+            });
+        }
+        
+        // Barriers first, then cars push each other apart, trading momentum
+        const states = this.cars.map(car => car.state);
+        const hits = resolveBarrierCollisions(this.barriers, states, dt);
+        const contacts = resolveCarCollisions(states);
+        this.cars.forEach(car => this.settleCar(car));
+        
+        this.tick++;
+        const time = this.tick * dt;
+        const events = [];
+        this.players.forEach(car => {
+            car.lapTimer.update(car.state.position.x, car.state.position.z, time).forEach(event => {
+                events.push(Object.assign({ car: car.id }, event));
+            });
+        });
+        
+        // Hits are reported, for the sound, and hard ones break parts of the car
+        hits.forEach(hit => {
+            const car = this.cars[hit.car];
+            if (hit.impactSpeed > IMPACT_EVENT_SPEED) {
+                events.push({ type: 'impact', car: car.id, impactSpeed: hit.impactSpeed, with: 'barrier', time });
+            }
+            const amount = applyImpactDamage(car.state, hit.point, hit.impactSpeed);
+            if (amount > 0) events.push({ type: 'damage', car: car.id, amount, time });
+        });
+        contacts.filter(contact => contact.closingSpeed > IMPACT_EVENT_SPEED).forEach(contact => {
+            [contact.a, contact.b].forEach(index => {
+                const car = this.cars[index];
+                events.push({ type: 'impact', car: car.id, impactSpeed: contact.closingSpeed, with: 'car', time });
+            });
+        });
+        
+        this.cars.forEach(car => {
+            this.updatePitStop(car, dt, time, events);
+            if (car.driver) this.callPitStop(car);
+        });
+        
+        // Track limits, after timing so a lap completed by the infringement is not the one it spoils
+        this.cars.forEach(car => {
+            car.trackLimits.update(car.state, car.contact, time).forEach(event => {
+                if (car.lapTimer) {
+                    if (event.invalidatesLap) car.lapTimer.invalidateLap();
+                    if (event.seconds) car.lapTimer.addPenalty(event.seconds);
+                }
+                events.push(Object.assign({ car: car.id }, event));
+            });
+        });
+        
+        // Cars stuck, lost or going the wrong way are put back on the track; held and pitting cars are left be
+        this.cars.forEach(car => {
+            if (options.holdCars || car.pitStop || car.inPitLane) {
+                car.recovery.reset();
+                return;
+            }
+            const reason = car.recovery.update(car.state, car.contact, car.controls, dt);
+            if (reason) events.push(this.recoverCar(car, reason, time));
+        });
+        
+        return events;
+    }
+    
+    // A car that stops in its box is held while the crew work on it, then let go with the plan carried out
+    updatePitStop(car, dt, time, events) {
+        car.inPitLane = this.pitLane.inLane(car.state.position, car.contact);
+        if (!car.inPitLane) car.pitServed = false;
+        
+        if (car.pitStop) {
+            car.state.speed = 0;
+            car.state.lateralSpeed = 0;
+            car.state.yawRate = 0;
+            car.pitStop.elapsed += dt;
+            if (car.pitStop.elapsed < car.pitStop.duration) return;
+            
+            const plan = car.pitStop.plan;
+            this.pitLane.service(car.state, plan);
+            this.markPitCall(car, false);
+            events.push({ type: 'pitStop', car: car.id, duration: car.pitStop.duration, tires: plan.tires, time });
+            car.pitStop = null;
+            if (car.driver) car.driver.leavePitBox();
+        } else if (!car.pitServed && this.pitLane.isStopped(car.state, car.contact)) {
+            const plan = Object.assign({}, car.pitPlan);
+            car.pitServed = true;
+            car.pitStop = { elapsed: 0, duration: this.pitLane.stopDuration(car.state, plan), plan };
+            events.push({ type: 'pitIn', car: car.id, duration: car.pitStop.duration, time });
+        }
+    }
+    
+    // Note a car's fuel and where it is, to judge its fuel use by later: { fuel, distance, lap, approaching }.
+    // lap is set when this is a decision on the approach to the pit lane, so the next is a lap on.
+    markPitCall(car, lap) {
+        car.pitCall = { fuel: car.state.fuel, distance: car.contact.distance, lap, approaching: lap };
+    }
+    
+    // AI cars decide on the approach to the pit lane whether to come in, judging the fuel for another lap from what
+    // they have used since the last decision, or since they started or refuelled
+    callPitStop(car) {
+        const beforeEntry = -this.pitLane.rules.entry - this.pitLane.alongFromBox(car.contact.distance);
+        const approaching = beforeEntry > 0 && beforeEntry <= PIT_CALL_DISTANCE;
+        if (!approaching || car.pitCall.approaching) {
+            car.pitCall.approaching = approaching;
+            return;
+        }
+        
+        const state = car.state;
+        const length = this.trackQuery.length;
+        const call = car.pitCall;
+        const travelled = call.lap ? length : ((car.contact.distance - call.distance) % length + length) % length;
+        const lapFuel = travelled > 0 ? (call.fuel - state.fuel) * length / travelled : 0;
+        this.markPitCall(car, true);
+        
+        const needed = state.fuel < lapFuel * PIT_FUEL_MARGIN || state.tires.wear > PIT_TIRE_WEAR ||
+            totalDamage(state.damage) > PIT_DAMAGE;
+        if (needed) car.driver.enterPitLane(this.pitLane);
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        SIMULATION_STEP, DEFAULT_SIMULATION_SEED, GRID_FIRST_SLOT, GRID_SPACING, IMPACT_EVENT_SPEED, Simulation
+    };
+}
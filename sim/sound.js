@@ -0,0 +1,77 @@
+// Sound: what the engine, tires, surface and impacts of a car should sound like from its state, for the WebAudio
+// synthesis in game/audio.js. Gains run from 0 to 1 before the volume settings.
+const SOUND_CATEGORIES = [
+    { id: 'engine', name: 'Engine' },
+    { id: 'tires', name: 'Tires' },
+    { id: 'surface', name: 'Surface' },
+    { id: 'impacts', name: 'Impacts' }
+];
+const ENGINE_SOUND = {
+    cylinders: 8,        // Firing pulses every two turns of the crank, the pitch of the note
+    idleGain: 0.3,       // Off the throttle...
+    throttleGain: 0.7,   // ...and added at full throttle
+    cutoff: [800, 5000]  // Hz the tone is filtered to off and on the throttle, brighter under load
+};
+const TIRE_SOUND = {
+    slip: [0.1, 0.35],      // Radians of slide at which the squeal starts and is at its loudest
+    steer: [0.6, 1],        // Share of steering lock at which it starts and peaks without sliding, on either model
+    speed: [10, 30],        // Car speed units it fades in over
+    frequency: [700, 1000], // Hz, higher the harder the slide
+    surfaces: ['track', 'curb', 'tarmac'] // Grass and gravel give way rather than squeal
+};
+// The rumble off the track: gain and the Hz it is filtered to, fading in with speed
+const SURFACE_SOUNDS = {
+    track: { gain: 0, cutoff: 200 },
+    curb: { gain: 0.7, cutoff: 400 },
+    tarmac: { gain: 0.15, cutoff: 300 },
+    gravel: { gain: 1, cutoff: 2500 },
+    grass: { gain: 0.6, cutoff: 250 }
+};
+const SURFACE_SOUND_SPEED = [2, 25];  // Car speed units
+const IMPACT_SOUND_SPEED = [10, 150]; // Impact speeds (units/s) from the quietest knock to the loudest crash
+
+// 0 below from, 1 above to and in proportion between
+function soundRamp(value, [from, to]) {
+    return Math.max(0, Math.min(1, (value - from) / (to - from)));
+}
+
+// The engine note from the gearbox revs and the throttle: { frequency, gain, cutoff }
+function engineSound(state, throttle, rules = ENGINE_SOUND) {
+    const [closed, open] = rules.cutoff;
+    return {
+        frequency: state.gearbox.rpm / 60 * rules.cylinders / 2,
+        gain: rules.idleGain + rules.throttleGain * throttle,
+        cutoff: closed + (open - closed) * throttle
+    };
+}
+
+// Tires squealing as the car slides, or is steered hard, at speed: { gain, frequency }
+function tireSound(state, controls, surface, rules = TIRE_SOUND) {
+    const speed = Math.abs(state.speed);
+    const slide = soundRamp(Math.atan2(Math.abs(state.lateralSpeed), Math.max(speed, 1)), rules.slip);
+    const squeal = Math.max(slide, soundRamp(Math.abs(controls.steer), rules.steer)) * soundRamp(speed, rules.speed);
+    const [low, high] = rules.frequency;
+    return {
+        gain: rules.surfaces.includes(surface) ? squeal : 0,
+        frequency: low + (high - low) * slide
+    };
+}
+
+// The rumble of the curbs and the run-off: { gain, cutoff }
+function surfaceSound(state, surface) {
+    const sound = SURFACE_SOUNDS[surface] || SURFACE_SOUNDS.track;
+    return { gain: sound.gain * soundRamp(Math.abs(state.speed), SURFACE_SOUND_SPEED), cutoff: sound.cutoff };
+}
+
+// How loud a hit at impactSpeed (units/s) is, 0 for one too slight to hear
+function impactLoudness(impactSpeed) {
+    return soundRamp(impactSpeed, IMPACT_SOUND_SPEED);
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        SOUND_CATEGORIES, ENGINE_SOUND, TIRE_SOUND, SURFACE_SOUNDS, SURFACE_SOUND_SPEED, IMPACT_SOUND_SPEED,
+        engineSound, tireSound, surfaceSound, impactLoudness
+    };
+}
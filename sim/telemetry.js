@@ -0,0 +1,107 @@
+// Telemetry: the player's laps logged every tick for tuning the car, exported as CSV or JSON, and two laps compared
+// over the distance round the track
+const TELEMETRY_VERSION = 1;
+// Samples are arrays in this order. time is seconds into the lap, distance world units from the start line, speed in
+// car speed units like CAR_SETUP.maxSpeed, and lateral the offset left of the centre line in world units.
+const TELEMETRY_CHANNELS = ['time', 'distance', 'speed', 'throttle', 'brake', 'steer', 'lateral', 'gear', 'rpm'];
+const TELEMETRY_LAPS = 20; // Laps kept, the oldest dropped first
+
+// Logs the lap in progress and keeps the last few finished ones
+class TelemetryRecorder {
+    constructor(step, trackLength, maxLaps = TELEMETRY_LAPS) {
+        this.step = step;
+        this.trackLength = trackLength;
+        this.maxLaps = maxLaps;
+        this.laps = [];
+        this.nextId = 1;
+        this.startLap();
+    }
+    
+    startLap() {
+        this.samples = [];
+    }
+    
+    // One tick of the lap, with the car's contact from TrackQuery.query
+    record(state, controls, contact) {
+        // Unwrapped, so the line is 0 at the start of the lap and the track length at the end of it
+        let distance = contact.distance;
+        const previous = this.samples[this.samples.length - 1];
+        const lapsDone = previous ? Math.round((previous[1] - distance) / this.trackLength) : 0;
+        distance += lapsDone * this.trackLength;
+        if (!previous && distance > this.trackLength / 2) distance -= this.trackLength; // Just short of the line
+        
+        this.samples.push([
+            roundTelemetry(this.samples.length * this.step, 3),
+            roundTelemetry(distance, 2),
+            roundTelemetry(state.speed, 3),
+            roundTelemetry(controls.throttle, 2),
+            roundTelemetry(controls.brake, 2),
+            roundTelemetry(controls.steer, 2),
+            roundTelemetry(contact.lateral, 2),
+            state.gearbox.gear,
+            Math.round(state.gearbox.rpm)
+        ]);
+    }
+    
+    // Keep the lap in progress as lap number lap of the session, timed at time: { id, lap, time, valid, samples }
+    finishLap(lap, time, valid) {
+        const finished = { id: this.nextId++, lap, time, valid, samples: this.samples };
+        this.laps.push(finished);
+        if (this.laps.length > this.maxLaps) this.laps.shift();
+        this.startLap();
+        return finished;
+    }
+}
+
+// Kept here rather than borrowing roundTo from sim/replay.js, so telemetry loads on its own
+function roundTelemetry(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// A channel of a lap where it first reached a distance, between the samples either side; past the end, the last
+function telemetryAt(lap, distance, channel) {
+    const column = TELEMETRY_CHANNELS.indexOf(channel);
+    const samples = lap.samples;
+    const after = samples.findIndex(sample => sample[1] >= distance);
+    if (after === -1) return samples[samples.length - 1][column];
+    if (after === 0) return samples[0][column];
+    
+    const a = samples[after - 1];
+    const b = samples[after];
+    const share = b[1] > a[1] ? (distance - a[1]) / (b[1] - a[1]) : 0;
+    return a[column] + (b[column] - a[column]) * share;
+}
+
+// How far lap is behind reference at points evenly spread over the distance both covered: [{ distance, delta }] with
+// delta in seconds, positive where lap has lost time
+function lapTimeDelta(reference, lap, points = 200) {
+    const end = Math.min(reference.samples[reference.samples.length - 1][1], lap.samples[lap.samples.length - 1][1]);
+    const trace = [];
+    for (let i = 0; i <= points; i++) {
+        const distance = end * i / points;
+        trace.push({ distance, delta: telemetryAt(lap, distance, 'time') - telemetryAt(reference, distance, 'time') });
+    }
+    return trace;
+}
+
+// Every lap's samples under one header, each row led by the lap's id and number
+function telemetryToCSV(laps) {
+    const rows = [['id', 'lap'].concat(TELEMETRY_CHANNELS).join(',')];
+    laps.forEach(lap => {
+        lap.samples.forEach(sample => rows.push([lap.id, lap.lap].concat(sample).join(',')));
+    });
+    return rows.join('\n') + '\n';
+}
+
+function serializeTelemetry(laps, trackId, trackName, step) {
+    return JSON.stringify({ version: TELEMETRY_VERSION, trackId, trackName, step, channels: TELEMETRY_CHANNELS, laps });
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        TELEMETRY_VERSION, TELEMETRY_CHANNELS, TELEMETRY_LAPS, TelemetryRecorder, telemetryAt, lapTimeDelta,
+        telemetryToCSV, serializeTelemetry
+    };
+}
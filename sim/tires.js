@@ -0,0 +1,46 @@
+// Tires: compounds that trade grip for how long they last, and wear from the load put through them
+const TIRE_COMPOUNDS = {
+    soft: { name: 'Soft', grip: 1.08, wear: 0.008 }, // Grip against a new medium, and wear per second at 1 g
+    medium: { name: 'Medium', grip: 1, wear: 0.005 },
+    hard: { name: 'Hard', grip: 0.94, wear: 0.003 }
+};
+const DEFAULT_TIRE_COMPOUND = 'medium';
+const TIRE_WORN_GRIP = 0.3;     // Grip lost by a fully worn tire; the loss grows with the square of the wear
+const TIRE_ROLLING_WEAR = 0.2;  // Wear at full speed in a straight line, in g of load
+
+// A new set; wear runs from 0 to 1
+function createTires(compound = DEFAULT_TIRE_COMPOUND) {
+    return { compound, wear: 0 };
+}
+
+// Share of a new medium tire's grip the set has left
+function tireGrip(tires) {
+    return TIRE_COMPOUNDS[tires.compound].grip * (1 - TIRE_WORN_GRIP * tires.wear * tires.wear);
+}
+
+// Wear from dt seconds of driving: a little from rolling along, most from cornering, braking and accelerating
+function wearTires(tires, state, dt, setup = CAR_SETUP) {
+    const load = Math.hypot(state.longitudinalAccel, state.lateralAccel) / setup.gravity;
+    const rolling = Math.min(1, Math.abs(state.speed) / setup.maxSpeed) * TIRE_ROLLING_WEAR;
+    tires.wear = Math.min(1, tires.wear + TIRE_COMPOUNDS[tires.compound].wear * (rolling + load) * dt);
+}
+
+// The setup a car drives with on these tires
+function tireSetup(setup, tires) {
+    if (!tires) return setup;
+    
+    const grip = tireGrip(tires);
+    if (grip === 1) return setup;
+    return Object.assign({}, setup, {
+        frontGripScale: setup.frontGripScale * grip,
+        rearGripScale: setup.rearGripScale * grip
+    });
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        TIRE_COMPOUNDS, DEFAULT_TIRE_COMPOUND, TIRE_WORN_GRIP, TIRE_ROLLING_WEAR, createTires, tireGrip, wearTires,
+        tireSetup
+    };
+}
@@ -0,0 +1,93 @@
+// Track limits: all four wheels off the track, warnings, time penalties and shortcuts across the infield
+const DEFAULT_TRACK_LIMITS = {
+    enabled: true,
+    warnings: 3,         // Infringements let off with a warning before the penalties start
+    penalty: 5,          // Seconds for each infringement after the warnings
+    invalidateLap: true, // Every infringement and shortcut also invalidates the lap
+    shortcutRatio: 1.5,  // Gaining this much more track than was driven while off it is a shortcut...
+    shortcutMinGain: 40  // ...once the gain is over this many world units
+};
+
+class TrackLimits {
+    // trackQuery is the track's TrackQuery; rules as DEFAULT_TRACK_LIMITS. Wheels in the pitLane, if given, count as
+    // on the track.
+    constructor(trackQuery, rules = DEFAULT_TRACK_LIMITS, pitLane = null) {
+        this.trackQuery = trackQuery;
+        this.rules = rules;
+        this.pitLane = pitLane;
+        this.reset();
+    }
+    
+    reset() {
+        this.infringements = 0;
+        this.penaltyTime = 0;
+        this.excursion = null; // { startDistance, startTime, driven, lastPosition } while all four wheels are off
+    }
+    
+    // Check a car after it has moved, with its contact from TrackQuery.query and the session time in seconds.
+    // Returns events: { type: 'warning', count } or { type: 'penalty', seconds } when all four wheels leave the
+    // track, and { type: 'shortcut', gained, seconds } when the car rejoins further on than it could have driven;
+    // each has invalidatesLap and time.
+    update(state, contact, time) {
+        const events = [];
+        if (!this.rules.enabled) return events;
+        
+        const wheelsOff = carWheelPositions(state).every(wheel => {
+            const wheelContact = this.trackQuery.query(wheel.x, wheel.z);
+            return !wheelContact.onTrack && !(this.pitLane && this.pitLane.inLane(wheel, wheelContact));
+        });
+        const position = { x: state.position.x, z: state.position.z };
+        
+        if (!this.excursion && wheelsOff) {
+            this.excursion = { startDistance: contact.distance, startTime: time, driven: 0, lastPosition: position };
+            events.push(this.infringe(time));
+        } else if (this.excursion) {
+            const excursion = this.excursion;
+            excursion.driven += Math.hypot(position.x - excursion.lastPosition.x, position.z - excursion.lastPosition.z);
+            excursion.lastPosition = position;
+            
+            if (!wheelsOff) {
+                this.excursion = null;
+                const shortcut = this.checkShortcut(excursion, contact.distance, time);
+                if (shortcut) events.push(shortcut);
+            }
+        }
+        
+        return events;
+    }
+    
+    // Warnings first, then a time penalty for each infringement
+    infringe(time) {
+        this.infringements++;
+        const invalidatesLap = this.rules.invalidateLap;
+        if (this.infringements <= this.rules.warnings) {
+            return { type: 'warning', count: this.infringements, invalidatesLap, time };
+        }
+        
+        this.penaltyTime += this.rules.penalty;
+        return { type: 'penalty', seconds: this.rules.penalty, invalidatesLap, time };
+    }
+    
+    // Compare the track gained while off it with the distance actually driven. The penalty is at least the time
+    // the cut saved at the average speed off track.
+    checkShortcut(excursion, distance, time) {
+        const length = this.trackQuery.length;
+        let gained = distance - excursion.startDistance;
+        if (gained < -length / 2) gained += length; // Over the start line
+        if (gained > length / 2) gained -= length;
+        
+        if (gained < this.rules.shortcutMinGain || gained < excursion.driven * this.rules.shortcutRatio) return null;
+        
+        const elapsed = time - excursion.startTime;
+        const averageSpeed = excursion.driven / Math.max(elapsed, 1e-6);
+        const saved = averageSpeed > 0 ? (gained - excursion.driven) / averageSpeed : this.rules.penalty;
+        const seconds = Math.max(this.rules.penalty, Math.ceil(saved));
+        this.penaltyTime += seconds;
+        return { type: 'shortcut', gained, seconds, invalidatesLap: true, time };
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { DEFAULT_TRACK_LIMITS, TrackLimits };
+}
@@ -0,0 +1,276 @@
+// Track definitions: validation of track files and waypoint generation from control points
+const DEFAULT_TRACK_WIDTH = 120;
+const DEFAULT_TRACK_SAMPLES = 200;
+const RUNOFF_SURFACES = ['tarmac', 'gravel', 'grass'];
+const DEFAULT_RUNOFF = { surface: 'tarmac', width: 30 }; // Beside the track edges, see sim/trackSurface.js
+
+// Check a parsed track file and fill in defaults; id identifies the track, e.g. its file name
+function parseTrackDefinition(data, id) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Track file must contain a JSON object');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        throw new Error('Track file is missing a name');
+    }
+    if (!Array.isArray(data.points) || data.points.length < 3) {
+        throw new Error('Track "' + data.name + '" needs at least 3 control points');
+    }
+    
+    const width = data.width === undefined ? DEFAULT_TRACK_WIDTH : Number(data.width);
+    if (!(width > 0)) {
+        throw new Error('Track "' + data.name + '" has an invalid width');
+    }
+    
+    // Run-off beside the track, which control points can change from there to the next point
+    const runoff = Object.assign({}, DEFAULT_RUNOFF, data.runoff || {});
+    if (!RUNOFF_SURFACES.includes(runoff.surface) || !(Number(runoff.width) >= 0)) {
+        throw new Error('Track "' + data.name + '" run-off needs a surface of ' + RUNOFF_SURFACES.join(', ') + ' and a width');
+    }
+    runoff.width = Number(runoff.width);
+    
+    // y is the height of the centre line and bank the tilt across the track in degrees, positive raising the left edge
+    const points = data.points.map((point, i) => {
+        const x = Number(point.x);
+        const z = Number(point.z);
+        const y = point.y === undefined ? 0 : Number(point.y);
+        const pointWidth = point.width === undefined ? width : Number(point.width);
+        const bank = point.bank === undefined ? 0 : Number(point.bank);
+        const pointRunoff = point.runoff === undefined ? runoff.surface : point.runoff;
+        if (!isFinite(x) || !isFinite(z) || !isFinite(y)) {
+            throw new Error('Track "' + data.name + '" control point ' + i + ' needs numeric x and z, and y if given');
+        }
+        if (!(pointWidth > 0)) {
+            throw new Error('Track "' + data.name + '" control point ' + i + ' has an invalid width');
+        }
+        if (!(Math.abs(bank) < 45)) {
+            throw new Error('Track "' + data.name + '" control point ' + i + ' needs a bank between -45 and 45 degrees');
+        }
+        if (!RUNOFF_SURFACES.includes(pointRunoff)) {
+            throw new Error('Track "' + data.name + '" control point ' + i + ' has an unknown run-off surface');
+        }
+        return { x, y, z, width: pointWidth, bank, runoff: pointRunoff };
+    });
+    
+    const start = data.start || {};
+    const startPoint = start.point === undefined ? 0 : start.point;
+    if (!Number.isInteger(startPoint) || startPoint < 0 || startPoint >= points.length) {
+        throw new Error('Track "' + data.name + '" start point is out of range');
+    }
+    
+    // Control points where sectors 2, 3... begin; sector 1 begins at the start line
+    const sectors = data.sectors || [];
+    if (!Array.isArray(sectors)) {
+        throw new Error('Track "' + data.name + '" sectors must be a list of control point numbers');
+    }
+    sectors.forEach(point => {
+        if (!Number.isInteger(point) || point < 0 || point >= points.length || point === startPoint) {
+            throw new Error('Track "' + data.name + '" sector boundary ' + point + ' is not a control point after the start');
+        }
+    });
+    if (new Set(sectors).size !== sectors.length) {
+        throw new Error('Track "' + data.name + '" has the same sector boundary twice');
+    }
+    
+    return {
+        id: id || data.name,
+        name: data.name,
+        description: data.description || '',
+        width,
+        samples: data.samples || DEFAULT_TRACK_SAMPLES,
+        start: { point: startPoint },
+        sectors: sectors.slice(),
+        barriers: data.barriers || null, // Optional overrides for DEFAULT_BARRIER_RULES
+        trackLimits: data.trackLimits || null, // Optional overrides for DEFAULT_TRACK_LIMITS
+        pitLane: data.pitLane || null, // Optional overrides for DEFAULT_PIT_LANE
+        runoff,
+        points
+    };
+}
+
+// Centripetal Catmull-Rom position between p1 and p2 at t from 0 to 1. Knots spaced by the square root of the
+// distance between points keep unevenly spaced control points from looping or cusping.
+function centripetalCatmullRom(p0, p1, p2, p3, t) {
+    const knot = (a, b) => Math.max(Math.sqrt(Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z)), 1e-6);
+    const t01 = knot(p0, p1);
+    const t12 = knot(p1, p2);
+    const t23 = knot(p2, p3);
+    
+    // Hermite curve with tangents from the non-uniform knots
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const h00 = 2 * t3 - 3 * t2 + 1;
+    const h10 = t3 - 2 * t2 + t;
+    const h01 = -2 * t3 + 3 * t2;
+    const h11 = t3 - t2;
+    const coordinate = key => {
+        const m1 = ((p1[key] - p0[key]) / t01 - (p2[key] - p0[key]) / (t01 + t12) + (p2[key] - p1[key]) / t12) * t12;
+        const m2 = ((p2[key] - p1[key]) / t12 - (p3[key] - p1[key]) / (t12 + t23) + (p3[key] - p2[key]) / t23) * t12;
+        return h00 * p1[key] + h10 * m1 + h01 * p2[key] + h11 * m2;
+    };
+    
+    return { x: coordinate('x'), y: coordinate('y'), z: coordinate('z') };
+}
+
+// Dense samples along the closed spline through the control points, in driving order from the start point,
+// with the distance driven to each. Control point i after the start is sample i * stepsPerSegment.
+function sampleTrackSpline(definition) {
+    const count = definition.points.length;
+    const startPoint = definition.start.point;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push(definition.points[(startPoint + i) % count]);
+    }
+    
+    const stepsPerSegment = 20;
+    const dense = [];
+    for (let i = 0; i < count; i++) {
+        const p0 = points[(i - 1 + count) % count];
+        const p1 = points[i];
+        const p2 = points[(i + 1) % count];
+        const p3 = points[(i + 2) % count];
+        
+        for (let step = 0; step < stepsPerSegment; step++) {
+            const t = step / stepsPerSegment;
+            const position = centripetalCatmullRom(p0, p1, p2, p3, t);
+            // Banking eases in and out so the surface does not twist at the control points
+            const ease = t * t * (3 - 2 * t);
+            dense.push({
+                x: position.x,
+                y: position.y,
+                z: position.z,
+                width: p1.width + (p2.width - p1.width) * t,
+                bank: p1.bank + (p2.bank - p1.bank) * ease,
+                runoff: p1.runoff
+            });
+        }
+    }
+    dense.push(dense[0]);
+    
+    const distances = [0];
+    for (let i = 1; i < dense.length; i++) {
+        const dx = dense[i].x - dense[i - 1].x;
+        const dz = dense[i].z - dense[i - 1].z;
+        distances.push(distances[i - 1] + Math.sqrt(dx * dx + dz * dz));
+    }
+    
+    return { dense, distances, stepsPerSegment };
+}
+
+// Evenly spaced waypoints along a closed spline through the control points, each { x, y, z, width, bank, runoff, angle }
+// with bank in radians. The first waypoint sits on the start point and the list ends with a copy of it to close the loop.
+function buildTrackWaypoints(definition) {
+    // Densely sample the spline, then resample it by distance
+    const { dense, distances } = sampleTrackSpline(definition);
+    const totalLength = distances[distances.length - 1];
+    
+    const samples = definition.samples;
+    const waypoints = [];
+    let segment = 0;
+    for (let i = 0; i < samples; i++) {
+        const target = (i / samples) * totalLength;
+        while (distances[segment + 1] < target) segment++;
+        
+        const a = dense[segment];
+        const b = dense[segment + 1];
+        const span = distances[segment + 1] - distances[segment];
+        const t = span > 0 ? (target - distances[segment]) / span : 0;
+        
+        waypoints.push({
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t,
+            width: a.width + (b.width - a.width) * t,
+            bank: (a.bank + (b.bank - a.bank) * t) * Math.PI / 180,
+            runoff: a.runoff
+        });
+    }
+    
+    // Heading along the track, using the same convention as carRotation
+    for (let i = 0; i < samples; i++) {
+        const previous = waypoints[(i - 1 + samples) % samples];
+        const next = waypoints[(i + 1) % samples];
+        waypoints[i].angle = Math.atan2(next.x - previous.x, next.z - previous.z);
+    }
+    
+    waypoints.push(Object.assign({}, waypoints[0]));
+    return waypoints;
+}
+
+// Waypoint index where each sector begins, for LapTimer's sectorStarts. Tracks without
+// sector boundaries of their own are split into three equal thirds.
+function trackSectorStarts(definition) {
+    const samples = definition.samples;
+    if (!definition.sectors || definition.sectors.length === 0) {
+        return [0, 1, 2].map(i => Math.round(i * samples / 3));
+    }
+    
+    const { distances, stepsPerSegment } = sampleTrackSpline(definition);
+    const count = definition.points.length;
+    const totalLength = distances[distances.length - 1];
+    const starts = definition.sectors.map(point => {
+        const along = (point - definition.start.point + count) % count;
+        return Math.round(distances[along * stepsPerSegment] / totalLength * samples) % samples;
+    });
+    
+    return [0].concat(Array.from(new Set(starts)).filter(index => index > 0).sort((a, b) => a - b));
+}
+
+// Drop the closing copy of the first waypoint if present
+function uniqueWaypoints(waypoints) {
+    const first = waypoints[0];
+    const last = waypoints[waypoints.length - 1];
+    const closesLoop = waypoints.length > 1 &&
+        Math.abs(first.x - last.x) < 0.01 && Math.abs(first.z - last.z) < 0.01;
+    return closesLoop ? waypoints.slice(0, -1) : waypoints;
+}
+
+// Track file text for a definition, in the layout of the files in tracks/
+function serializeTrackDefinition(definition) {
+    const indent = (text, spaces) => text.split('\n').join('\n' + ' '.repeat(spaces));
+    const round = value => Math.round(value * 10) / 10;
+    const lines = [
+        '    "name": ' + JSON.stringify(definition.name),
+        '    "description": ' + JSON.stringify(definition.description || ''),
+        '    "width": ' + definition.width,
+        '    "samples": ' + definition.samples,
+        '    "start": {\n        "point": ' + definition.start.point + '\n    }'
+    ];
+    if (definition.sectors && definition.sectors.length > 0) {
+        lines.push('    "sectors": [' + definition.sectors.join(', ') + ']');
+    }
+    if (definition.runoff && (definition.runoff.surface !== DEFAULT_RUNOFF.surface || definition.runoff.width !== DEFAULT_RUNOFF.width)) {
+        lines.push('    "runoff": { "surface": ' + JSON.stringify(definition.runoff.surface) + ', "width": ' + definition.runoff.width + ' }');
+    }
+    if (definition.barriers) {
+        lines.push('    "barriers": ' + indent(JSON.stringify(definition.barriers, null, 4), 4));
+    }
+    if (definition.trackLimits) {
+        lines.push('    "trackLimits": ' + indent(JSON.stringify(definition.trackLimits, null, 4), 4));
+    }
+    if (definition.pitLane) {
+        lines.push('    "pitLane": ' + indent(JSON.stringify(definition.pitLane, null, 4), 4));
+    }
+    
+    // One control point per line, leaving out anything at the track's default
+    const trackRunoff = definition.runoff ? definition.runoff.surface : DEFAULT_RUNOFF.surface;
+    const points = definition.points.map(point => {
+        let line = '{ "x": ' + round(point.x) + ', "z": ' + round(point.z);
+        if (point.y) line += ', "y": ' + round(point.y);
+        if (point.width !== undefined && point.width !== definition.width) line += ', "width": ' + round(point.width);
+        if (point.bank) line += ', "bank": ' + round(point.bank);
+        if (point.runoff && point.runoff !== trackRunoff) line += ', "runoff": ' + JSON.stringify(point.runoff);
+        return '        ' + line + ' }';
+    });
+    lines.push('    "points": [\n' + points.join(',\n') + '\n    ]');
+    
+    return '{\n' + lines.join(',\n') + '\n}\n';
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        DEFAULT_TRACK_WIDTH, DEFAULT_TRACK_SAMPLES, RUNOFF_SURFACES, DEFAULT_RUNOFF, parseTrackDefinition,
+        centripetalCatmullRom, sampleTrackSpline,
+        buildTrackWaypoints, trackSectorStarts, serializeTrackDefinition, uniqueWaypoints
+    };
+}
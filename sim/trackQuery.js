@@ -0,0 +1,167 @@
+// Track queries: where a position is relative to the track, found through a grid over the centre line
+const TRACK_QUERY_CELL = 40; // World units per grid cell
+
+class TrackQuery {
+    // trackSurface from buildTrackSurface
+    constructor(trackSurface) {
+        this.surface = trackSurface;
+        this.points = trackSurface.points;
+        this.segmentCount = this.points.length - 1;
+        
+        // Distance along the track to every surface point; the last closes the lap
+        this.distances = [0];
+        for (let i = 1; i < this.points.length; i++) {
+            const a = this.points[i - 1];
+            const b = this.points[i];
+            this.distances.push(this.distances[i - 1] + Math.hypot(b.x - a.x, b.z - a.z));
+        }
+        this.length = this.distances[this.segmentCount];
+        
+        // Each centre line segment goes in the cells its bounding box touches
+        const xs = this.points.map(point => point.x);
+        const zs = this.points.map(point => point.z);
+        this.minX = Math.min(...xs);
+        this.minZ = Math.min(...zs);
+        this.columns = Math.floor((Math.max(...xs) - this.minX) / TRACK_QUERY_CELL) + 1;
+        this.rows = Math.floor((Math.max(...zs) - this.minZ) / TRACK_QUERY_CELL) + 1;
+        this.cells = Array.from({ length: this.columns * this.rows }, () => []);
+        
+        for (let i = 0; i < this.segmentCount; i++) {
+            const a = this.points[i];
+            const b = this.points[i + 1];
+            const [fromColumn, fromRow] = this.cellOf(Math.min(a.x, b.x), Math.min(a.z, b.z));
+            const [toColumn, toRow] = this.cellOf(Math.max(a.x, b.x), Math.max(a.z, b.z));
+            for (let column = fromColumn; column <= toColumn; column++) {
+                for (let row = fromRow; row <= toRow; row++) {
+                    this.cells[row * this.columns + column].push(i);
+                }
+            }
+        }
+    }
+    
+    cellOf(x, z) {
+        return [Math.floor((x - this.minX) / TRACK_QUERY_CELL), Math.floor((z - this.minZ) / TRACK_QUERY_CELL)];
+    }
+    
+    // Closest point of one segment to (x, z): { index, along, distanceSquared } with along from 0 to 1
+    projectOnSegment(index, x, z) {
+        const a = this.points[index];
+        const b = this.points[index + 1];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lengthSquared = dx * dx + dz * dz;
+        const along = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / lengthSquared)) : 0;
+        return { index, along, distanceSquared: (a.x + dx * along - x) ** 2 + (a.z + dz * along - z) ** 2 };
+    }
+    
+    // Closest point on the centre line. Cells are searched in rings outwards from the one holding the position
+    // until no unsearched cell could hold anything closer.
+    nearest(x, z) {
+        let best = { index: 0, along: 0, distanceSquared: Infinity };
+        const consider = index => {
+            const candidate = this.projectOnSegment(index, x, z);
+            if (candidate.distanceSquared < best.distanceSquared) best = candidate;
+        };
+        
+        const [column, row] = this.cellOf(x, z);
+        const outsideGrid = column < 0 || row < 0 || column >= this.columns || row >= this.rows;
+        if (outsideGrid) {
+            // Far from the track, so just check everything
+            for (let i = 0; i < this.segmentCount; i++) consider(i);
+            return best;
+        }
+        
+        const maxRing = Math.max(this.columns, this.rows);
+        for (let ring = 0; ring <= maxRing; ring++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                if (r < 0 || r >= this.rows) continue;
+                // Only the edge of the ring, the inside was searched already
+                const step = r === row - ring || r === row + ring ? 1 : 2 * ring;
+                for (let c = column - ring; c <= column + ring; c += step) {
+                    if (c < 0 || c >= this.columns) continue;
+                    this.cells[r * this.columns + c].forEach(consider);
+                }
+            }
+            
+            // Cells in the next ring are at least this far away
+            const reach = ring * TRACK_QUERY_CELL;
+            if (best.distanceSquared <= reach * reach) break;
+        }
+        
+        return best;
+    }
+    
+    // Where (x, z) is relative to the track: { index, along, distance, lateral, halfWidth, onTrack, surface, height,
+    // normal, trackHeading, headingError }. distance is measured along the centre line from the start line, lateral
+    // is the signed offset to the left of it, and headingError how far heading (if given) points left of the track.
+    query(x, z, heading) {
+        const { index, along } = this.nearest(x, z);
+        const a = this.points[index];
+        const b = this.points[index + 1];
+        
+        const trackHeading = Math.atan2(b.x - a.x, b.z - a.z);
+        
+        // Left of the driving direction is (cos, -sin)
+        const centreX = a.x + (b.x - a.x) * along;
+        const centreZ = a.z + (b.z - a.z) * along;
+        const lateral = (x - centreX) * Math.cos(trackHeading) - (z - centreZ) * Math.sin(trackHeading);
+        const contact = surfaceContact(this.surface, index, along, lateral);
+        
+        let headingError = null;
+        if (heading !== undefined) {
+            headingError = Math.atan2(Math.sin(heading - trackHeading), Math.cos(heading - trackHeading));
+        }
+        
+        return Object.assign(contact, {
+            index,
+            along,
+            distance: this.distances[index] + (this.distances[index + 1] - this.distances[index]) * along,
+            lateral,
+            onTrack: Math.abs(lateral) <= contact.halfWidth,
+            trackHeading,
+            headingError
+        });
+    }
+    
+    // Distance along the track from the start line to the nearest point on the centre line
+    distanceAt(x, z) {
+        const { index, along } = this.nearest(x, z);
+        return this.distances[index] + (this.distances[index + 1] - this.distances[index]) * along;
+    }
+    
+    // The centre line a distance along the track from the start line: { x, z, angle, width }
+    pointAt(distance) {
+        distance = ((distance % this.length) + this.length) % this.length;
+        let low = 0;
+        let high = this.segmentCount - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.distances[middle] <= distance) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        
+        const a = this.points[low];
+        const b = this.points[low + 1];
+        const along = (distance - this.distances[low]) / ((this.distances[low + 1] - this.distances[low]) || 1);
+        return {
+            x: a.x + (b.x - a.x) * along,
+            z: a.z + (b.z - a.z) * along,
+            angle: Math.atan2(b.x - a.x, b.z - a.z),
+            width: a.width + (b.width - a.width) * along
+        };
+    }
+    
+    // Which of count points spaced evenly round the lap from the start line, like the waypoints, is nearest a
+    // distance along the track
+    indexAt(distance, count) {
+        return Math.round(distance / this.length * count) % count;
+    }
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { TRACK_QUERY_CELL, TrackQuery };
+}
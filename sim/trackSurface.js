@@ -0,0 +1,89 @@
+// Track surface: height, banking, curbs and run-off around the centre line, and what a car is standing on
+const TRACK_SURFACE_DETAIL = 4; // Surface points per waypoint, so the mesh and the heights follow the spline closely
+const CURB_WIDTH = 8;           // Curbs run along the inside of both track edges...
+const CURB_MAX_RADIUS = 300;    // ...wherever the corner is tighter than this
+const EMBANKMENT_SLOPE = 0.5;   // Where the track is raised the ground falls away beyond the run-off at this gradient
+
+// Dense points along the track for the mesh and for contact queries: the waypoint fields plus grade, the rise per
+// unit along the track, and curb, whether the edges have curbs there. The list ends with a copy of the first point.
+function buildTrackSurface(definition) {
+    const points = buildTrackWaypoints(Object.assign({}, definition, {
+        samples: definition.samples * TRACK_SURFACE_DETAIL
+    }));
+    const unique = uniqueWaypoints(points);
+    const count = unique.length;
+    const edges = computeTrackEdges(points, 2 * TRACK_SURFACE_DETAIL);
+    
+    unique.forEach((point, i) => {
+        const previous = unique[(i - 1 + count) % count];
+        const next = unique[(i + 1) % count];
+        const run = Math.hypot(next.x - previous.x, next.z - previous.z) || 1;
+        point.grade = (next.y - previous.y) / run;
+        point.curb = Math.abs(edges[i].curvature) > 1 / CURB_MAX_RADIUS;
+    });
+    Object.assign(points[points.length - 1], unique[0]);
+    
+    return { points, runoffWidth: definition.runoff.width };
+}
+
+// Height of the surface at a lateral offset (positive to the left) from a surface point, within the track
+function trackSurfaceHeight(point, lateral) {
+    return point.y + lateral * Math.tan(point.bank);
+}
+
+// What is at lateral offset (positive to the left) from the centre line, a share along of the way from surface
+// point index to the next: { surface, height, normal, halfWidth }, where surface is 'track', 'curb', the run-off
+// surface or 'grass'. See TrackQuery for finding the place on the centre line nearest a position.
+function surfaceContact(trackSurface, index, along, lateral) {
+    const points = trackSurface.points;
+    const a = points[index];
+    const b = points[index + 1];
+    const mix = key => a[key] + (b[key] - a[key]) * along;
+    const centre = { y: mix('y'), bank: mix('bank') };
+    const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+    const forward = { x: (b.x - a.x) / length, z: (b.z - a.z) / length };
+    const halfWidth = mix('width') / 2;
+    const outside = Math.abs(lateral) - halfWidth;
+    const side = lateral < 0 ? -1 : 1;
+    
+    // Banked tarmac, then flat run-off level with the edge, then an embankment down to the ground
+    let surface;
+    let height;
+    let grade = mix('grade');
+    let lateralSlope;
+    if (outside <= 0) {
+        surface = a.curb && outside > -CURB_WIDTH ? 'curb' : 'track';
+        height = trackSurfaceHeight(centre, lateral);
+        lateralSlope = Math.tan(centre.bank);
+    } else {
+        const edgeHeight = trackSurfaceHeight(centre, side * halfWidth);
+        const beyond = outside - trackSurface.runoffWidth;
+        if (beyond <= 0) {
+            surface = a.runoff;
+            height = edgeHeight;
+            lateralSlope = 0;
+        } else {
+            const fall = Math.min(Math.abs(edgeHeight), beyond * EMBANKMENT_SLOPE);
+            surface = 'grass';
+            height = edgeHeight - Math.sign(edgeHeight) * fall;
+            grade = edgeHeight === 0 ? 0 : grade * height / edgeHeight;
+            lateralSlope = fall < Math.abs(edgeHeight) ? -Math.sign(edgeHeight) * side * EMBANKMENT_SLOPE : 0;
+        }
+    }
+    
+    // Normal from the slope along and across the track; left of forward is (forward.z, -forward.x)
+    const slopeX = forward.x * grade + forward.z * lateralSlope;
+    const slopeZ = forward.z * grade - forward.x * lateralSlope;
+    const normalLength = Math.hypot(slopeX, 1, slopeZ);
+    const normal = { x: -slopeX / normalLength, y: 1 / normalLength, z: -slopeZ / normalLength };
+    
+    return { surface, height, normal, halfWidth };
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        TRACK_SURFACE_DETAIL, CURB_WIDTH, CURB_MAX_RADIUS, EMBANKMENT_SLOPE, buildTrackSurface,
+        trackSurfaceHeight, surfaceContact
+    };
+}
@@ -0,0 +1,78 @@
+// Track layout checks for the editor: the centre line must not cross itself and corners must not be too tight
+const TRACK_MIN_CORNER_RADIUS = 40; // World units, whatever the width
+
+// Whether segments ab and cd cross, and where
+function segmentIntersection(a, b, c, d) {
+    const denominator = (b.x - a.x) * (d.z - c.z) - (b.z - a.z) * (d.x - c.x);
+    if (denominator === 0) return null; // Parallel
+    
+    const t = ((c.x - a.x) * (d.z - c.z) - (c.z - a.z) * (d.x - c.x)) / denominator;
+    const u = ((c.x - a.x) * (b.z - a.z) - (c.z - a.z) * (b.x - a.x)) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    
+    return { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t };
+}
+
+// Problems with a parsed track definition, each { type, x, z, message } with the world position to show it at.
+// Corners are too tight when their radius is under TRACK_MIN_CORNER_RADIUS or half the track width,
+// where the inside edge would fold over itself.
+function validateTrackLayout(definition) {
+    const waypoints = buildTrackWaypoints(definition);
+    const points = uniqueWaypoints(waypoints);
+    const count = points.length;
+    const issues = [];
+    
+    // Every pair of centre line segments that are not neighbours
+    for (let i = 0; i < count; i++) {
+        for (let j = i + 2; j < count; j++) {
+            if (i === 0 && j === count - 1) continue; // The loop closes here
+            
+            const crossing = segmentIntersection(points[i], points[(i + 1) % count], points[j], points[(j + 1) % count]);
+            if (crossing) {
+                issues.push({
+                    type: 'crossing',
+                    x: crossing.x,
+                    z: crossing.z,
+                    message: 'The track crosses itself at (' + Math.round(crossing.x) + ', ' + Math.round(crossing.z) + ')'
+                });
+            }
+        }
+    }
+    
+    // One issue per corner, at its tightest point
+    const edges = computeTrackEdges(waypoints, 1);
+    const radii = edges.map(edge => 1 / Math.abs(edge.curvature));
+    const minimums = points.map(point => Math.max(TRACK_MIN_CORNER_RADIUS, point.width / 2));
+    let tightest = null;
+    const reportCorner = () => {
+        if (tightest === null) return;
+        const point = points[tightest];
+        issues.push({
+            type: 'radius',
+            x: point.x,
+            z: point.z,
+            message: 'Corner at (' + Math.round(point.x) + ', ' + Math.round(point.z) + ') has a radius of ' +
+                Math.round(radii[tightest]) + '; it needs at least ' + Math.round(minimums[tightest])
+        });
+        tightest = null;
+    };
+    
+    // Start on a point that is fine, so a corner over the start line is only reported once
+    const first = Math.max(0, radii.findIndex((radius, i) => radius >= minimums[i]));
+    for (let k = 0; k < count; k++) {
+        const i = (first + k) % count;
+        if (radii[i] >= minimums[i]) {
+            reportCorner();
+        } else if (tightest === null || radii[i] / minimums[i] < radii[tightest] / minimums[tightest]) {
+            tightest = i;
+        }
+    }
+    reportCorner();
+    
+    return issues;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = { TRACK_MIN_CORNER_RADIUS, segmentIntersection, validateTrackLayout };
+}
@@ -0,0 +1,308 @@
+// Vehicle models: the original arcade handling and a tire-and-grip dynamics model
+const UNITS_PER_METER = 4;  // The car body is 16 units long
+const SPEED_SCALE = 6;      // Car speed units to world units per second (0.1 units per frame at 60 fps)
+
+// Every tunable vehicle parameter lives here
+const CAR_SETUP = {
+    model: 'grip', // 'grip' or 'arcade'
+    
+    // Arcade model, per 1/60 s frame in car speed units
+    maxSpeed: 50,
+    acceleration: 0.8,
+    deceleration: 0.3,
+    turnSpeed: 0.05,
+    
+    // Chassis, distances in world units measured from the centre of mass
+    mass: 700,
+    yawInertia: 17500,
+    frontAxle: 5,
+    rearAxle: 5,
+    trackWidth: 10,
+    cgHeight: 1.5,
+    gravity: 9.81 * UNITS_PER_METER,
+    downforce: 0.3, // Extra load per (units/s)^2
+    
+    // Engine and brakes, forces in kg * units/s^2
+    enginePower: 5400000,
+    maxDriveForce: 24500,
+    maxBrakeForce: 50000,
+    brakeBias: 0.6, // Share of braking on the front axle
+    reverseForce: 8000,
+    maxReverseSpeed: 60,
+    drag: 0.2,
+    rollingResistance: 30,
+    
+    // Steering
+    maxSteerAngle: 0.35,    // Radians at the wheels
+    steerSpeedFalloff: 250, // Steering angle halves at this speed (units/s)
+    kinematicSpeed: 8,      // Below this speed the car follows its wheels without slip
+    steerPull: 0,           // Added to the steering input, right positive; damage bends it, see sim/damage.js
+    
+    // Tires: simplified Pacejka curve sin(C * atan(B * slip))
+    tireStiffness: 10,
+    tireShape: 1.5,
+    loadSensitivity: 0.1, // Grip lost per extra nominal wheel load
+    frontGripScale: 1,    // Share of each axle's grip the car has, less when damaged
+    rearGripScale: 1,
+    
+    // Friction coefficient, extra drag per unit of speed and the arcade model's share of maxSpeed for each surface
+    surfaces: {
+        track: { friction: 1.8, drag: 0, arcadeSpeed: 1 },
+        curb: { friction: 1.5, drag: 2, arcadeSpeed: 1 },
+        tarmac: { friction: 1.6, drag: 2, arcadeSpeed: 0.9 },
+        gravel: { friction: 0.5, drag: 60, arcadeSpeed: 0.4 },
+        grass: { friction: 0.7, drag: 20, arcadeSpeed: 0.6 }
+    }
+};
+
+function createCarState(x = 0, z = 0, rotation = 0) {
+    return {
+        position: { x, y: 0, z },
+        normal: { x: 0, y: 1, z: 0 }, // Of the surface under the car, set by the simulation
+        rotation,
+        speed: 0,          // Forward speed in car speed units
+        lateralSpeed: 0,   // Sideways speed (positive to the left) in car speed units
+        yawRate: 0,        // Radians per second, positive turning left
+        longitudinalAccel: 0,
+        lateralAccel: 0,
+        damage: createCarDamage(), // See sim/damage.js
+        tires: createTires(),      // See sim/tires.js
+        fuel: FUEL_CAPACITY,       // kg, see sim/fuel.js
+        gearbox: createGearbox()   // See sim/gearbox.js
+    };
+}
+
+// Where the wheels touch the ground in the car's frame, from the axles and track width: forward along the heading
+// and left across it. Front left, front right, rear left, rear right.
+function carWheelOffsets(setup = CAR_SETUP) {
+    const half = setup.trackWidth / 2;
+    return [
+        { forward: setup.frontAxle, left: half },
+        { forward: setup.frontAxle, left: -half },
+        { forward: -setup.rearAxle, left: half },
+        { forward: -setup.rearAxle, left: -half }
+    ];
+}
+
+// The wheels' world positions { x, z } for a car state
+function carWheelPositions(state, setup = CAR_SETUP) {
+    const sin = Math.sin(state.rotation);
+    const cos = Math.cos(state.rotation);
+    // Forward is (sin, cos) and left is (cos, -sin)
+    return carWheelOffsets(setup).map(offset => ({
+        x: state.position.x + sin * offset.forward + cos * offset.left,
+        z: state.position.z + cos * offset.forward - sin * offset.left
+    }));
+}
+
+// Advance a car by dt seconds with controls { throttle: 0..1, brake: 0..1, steer: -1..1 (right positive) }.
+// Damage, tire wear and the fuel load in the state change the setup it drives with, and driving wears the tires,
+// burns the fuel and works the gearbox. With the tank empty the throttle does nothing.
+function updateVehicle(state, controls, surface, dt, setup = CAR_SETUP) {
+    const carSetup = fuelSetup(tireSetup(damagedSetup(setup, state.damage), state.tires), state.fuel);
+    const steer = Math.max(-1, Math.min(1, controls.steer + carSetup.steerPull));
+    const throttle = state.fuel === 0 ? 0 : controls.throttle;
+    if (steer !== controls.steer || throttle !== controls.throttle) {
+        controls = Object.assign({}, controls, { steer, throttle });
+    }
+    
+    if (carSetup.model === 'arcade') {
+        updateArcadeVehicle(state, controls, surface, dt, carSetup);
+    } else {
+        updateGripVehicle(state, controls, surface, dt, carSetup);
+    }
+    
+    if (state.tires) wearTires(state.tires, state, dt, carSetup);
+    if (state.fuel !== undefined) burnFuel(state, controls.throttle, dt);
+    if (state.gearbox) updateGearbox(state.gearbox, state, controls.throttle, dt, carSetup);
+}
+
+// Original handling: scalar speed, direct rotation and a speed cap on grass
+function updateArcadeVehicle(state, controls, surface, dt, setup) {
+    const frames = dt * 60;
+    
+    // Adjust max speed based on surface
+    const surfaceProperties = setup.surfaces[surface] || setup.surfaces.grass;
+    const currentMaxSpeed = setup.maxSpeed * surfaceProperties.arcadeSpeed;
+    
+    // Acceleration and braking
+    if (controls.throttle > 0) {
+        state.speed = Math.min(state.speed + setup.acceleration * controls.throttle * frames, currentMaxSpeed);
+    } else if (controls.brake > 0) {
+        state.speed = Math.max(state.speed - setup.acceleration * controls.brake * frames, -currentMaxSpeed * 0.5);
+    } else {
+        // Natural deceleration
+        if (state.speed > 0) {
+            state.speed = Math.max(state.speed - setup.deceleration * frames, 0);
+        } else if (state.speed < 0) {
+            state.speed = Math.min(state.speed + setup.deceleration * frames, 0);
+        }
+    }
+    
+    // Rolling down hills
+    state.speed += slopeAcceleration(state, setup).forward * dt / SPEED_SCALE;
+    
+    // If car exceeds max speed for current surface, slow it down
+    if (Math.abs(state.speed) > currentMaxSpeed) {
+        state.speed = state.speed > 0 ? currentMaxSpeed : -currentMaxSpeed;
+    }
+    
+    // Steering - allow turning even at very low speeds
+    const previousRotation = state.rotation;
+    if (Math.abs(state.speed) > 0.01) {
+        const speedFactor = Math.min(Math.abs(state.speed) / setup.maxSpeed, 1.0);
+        const grip = Math.min(setup.frontGripScale, setup.rearGripScale);
+        const currentTurnSpeed = setup.turnSpeed * (0.5 + 0.5 * speedFactor) * grip;
+        state.rotation -= controls.steer * currentTurnSpeed * 1.5 * frames;
+    }
+    
+    state.lateralSpeed = 0;
+    state.yawRate = dt > 0 ? (state.rotation - previousRotation) / dt : 0;
+    
+    const distance = state.speed * SPEED_SCALE * dt;
+    state.position.x += Math.sin(state.rotation) * distance;
+    state.position.z += Math.cos(state.rotation) * distance;
+}
+
+// Lateral grip of one axle, splitting its load across two wheels with lateral weight transfer
+function axleGrip(load, transfer, friction, setup) {
+    const nominalLoad = setup.mass * setup.gravity / 4;
+    let grip = 0;
+    
+    [load / 2 + transfer, load / 2 - transfer].forEach(wheelLoad => {
+        const clampedLoad = Math.max(0, wheelLoad);
+        // Heavily loaded tires give proportionally less grip, so transfer costs total grip
+        const sensitivity = Math.max(0.5, 1 - setup.loadSensitivity * (clampedLoad / nominalLoad - 1));
+        grip += clampedLoad * friction * sensitivity;
+    });
+    
+    return grip;
+}
+
+// Gravity along the surface under the car in the car's frame, in units/s^2: forward and to the left
+function slopeAcceleration(state, setup = CAR_SETUP) {
+    const normal = state.normal || { x: 0, y: 1, z: 0 };
+    const sin = Math.sin(state.rotation);
+    const cos = Math.cos(state.rotation);
+    
+    // The normal leans downhill; what is left of gravity in the surface points that way
+    const pull = setup.gravity * normal.y;
+    return {
+        forward: pull * (normal.x * sin + normal.z * cos),
+        left: pull * (normal.x * cos - normal.z * sin)
+    };
+}
+
+function tireCurve(slipAngle, setup) {
+    return Math.sin(setup.tireShape * Math.atan(setup.tireStiffness * slipAngle));
+}
+
+// Bicycle model with slip-angle tire forces, load transfer and per-surface friction
+function updateGripVehicle(state, controls, surface, dt, setup) {
+    const substeps = 4;
+    const h = dt / substeps;
+    const surfaceProperties = setup.surfaces[surface] || setup.surfaces.grass;
+    const a = setup.frontAxle;
+    const b = setup.rearAxle;
+    const wheelbase = a + b;
+    const m = setup.mass;
+    
+    let u = state.speed * SPEED_SCALE;
+    let v = state.lateralSpeed * SPEED_SCALE;
+    let r = state.yawRate;
+    
+    for (let step = 0; step < substeps; step++) {
+        // Steering angle, reduced at speed; positive steers left
+        const steerAngle = -controls.steer * setup.maxSteerAngle / (1 + Math.abs(u) / setup.steerSpeedFalloff);
+        
+        // Axle loads with downforce and longitudinal/lateral weight transfer; slopes take some of the weight
+        const slope = slopeAcceleration(state, setup);
+        const weight = m * setup.gravity * (state.normal ? state.normal.y : 1) + setup.downforce * u * u;
+        const pitchTransfer = m * state.longitudinalAccel * setup.cgHeight / wheelbase;
+        const frontLoad = Math.max(0, weight * b / wheelbase - pitchTransfer);
+        const rearLoad = Math.max(0, weight * a / wheelbase + pitchTransfer);
+        const rollTransfer = m * state.lateralAccel * setup.cgHeight / setup.trackWidth;
+        const frontGrip = axleGrip(frontLoad, rollTransfer * b / wheelbase, surfaceProperties.friction, setup) *
+            setup.frontGripScale;
+        const rearGrip = axleGrip(rearLoad, rollTransfer * a / wheelbase, surfaceProperties.friction, setup) *
+            setup.rearGripScale;
+        
+        // Longitudinal tire forces: rear-wheel drive, braking split by bias
+        let frontLongitudinal = 0;
+        let rearLongitudinal = 0;
+        if (controls.throttle > 0) {
+            rearLongitudinal = controls.throttle * Math.min(setup.maxDriveForce, setup.enginePower / Math.max(Math.abs(u), 1));
+        }
+        if (controls.brake > 0) {
+            if (u > 1) {
+                const brakeForce = controls.brake * setup.maxBrakeForce;
+                frontLongitudinal -= brakeForce * setup.brakeBias;
+                rearLongitudinal -= brakeForce * (1 - setup.brakeBias);
+            } else if (controls.throttle === 0 && u > -setup.maxReverseSpeed) {
+                rearLongitudinal -= controls.brake * setup.reverseForce;
+            }
+        }
+        frontLongitudinal = Math.max(-frontGrip, Math.min(frontGrip, frontLongitudinal));
+        rearLongitudinal = Math.max(-rearGrip, Math.min(rearGrip, rearLongitudinal));
+        
+        // Lateral tire forces from slip angles, limited by what grip is left (friction circle)
+        const slipSpeed = Math.max(Math.abs(u), setup.kinematicSpeed);
+        const frontSlip = Math.atan2(v + a * r, slipSpeed) - steerAngle;
+        const rearSlip = Math.atan2(v - b * r, slipSpeed);
+        const frontLateralLimit = Math.sqrt(Math.max(0, frontGrip * frontGrip - frontLongitudinal * frontLongitudinal));
+        const rearLateralLimit = Math.sqrt(Math.max(0, rearGrip * rearGrip - rearLongitudinal * rearLongitudinal));
+        // At parking speeds there is no meaningful slip, the car simply follows its front wheels
+        const rolling = u < setup.kinematicSpeed;
+        const frontLateral = rolling ? 0 : -frontLateralLimit * tireCurve(frontSlip, setup);
+        const rearLateral = rolling ? 0 : -rearLateralLimit * tireCurve(rearSlip, setup);
+        
+        // Aerodynamic drag and rolling resistance oppose motion
+        const resistance = setup.drag * u * Math.abs(u) + surfaceProperties.drag * u +
+            setup.rollingResistance * Math.max(-1, Math.min(1, u));
+        
+        const forceX = frontLongitudinal * Math.cos(steerAngle) - frontLateral * Math.sin(steerAngle) +
+            rearLongitudinal - resistance;
+        const forceY = frontLongitudinal * Math.sin(steerAngle) + frontLateral * Math.cos(steerAngle) + rearLateral;
+        const torque = a * (frontLateral * Math.cos(steerAngle) + frontLongitudinal * Math.sin(steerAngle)) - b * rearLateral;
+        
+        const previousU = u;
+        u += (forceX / m + slope.forward + v * r) * h;
+        v += (forceY / m + slope.left - u * r) * h;
+        r += (torque / setup.yawInertia) * h;
+        
+        // Brakes stop the car rather than pushing it backwards
+        if (controls.brake > 0 && previousU > 0 && u < 0) {
+            u = 0;
+        }
+        
+        if (rolling) {
+            r = u * Math.tan(steerAngle) / wheelbase;
+            v *= 0.5;
+            if (controls.throttle === 0 && controls.brake === 0 && Math.abs(u) < 1) {
+                u = 0;
+            }
+        }
+        
+        state.longitudinalAccel = forceX / m;
+        state.lateralAccel = forceY / m;
+        
+        // Move in world space: forward is (sin, cos), left is (cos, -sin)
+        state.rotation += r * h;
+        const sin = Math.sin(state.rotation);
+        const cos = Math.cos(state.rotation);
+        state.position.x += (u * sin + v * cos) * h;
+        state.position.z += (u * cos - v * sin) * h;
+    }
+    
+    state.speed = u / SPEED_SCALE;
+    state.lateralSpeed = v / SPEED_SCALE;
+    state.yawRate = r;
+}
+
+// Node loads the simulation without a browser, see sim/index.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        UNITS_PER_METER, SPEED_SCALE, CAR_SETUP, createCarState, carWheelOffsets, carWheelPositions, updateVehicle,
+        updateArcadeVehicle, axleGrip, slopeAcceleration, tireCurve, updateGripVehicle
+    };
+}
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const track = loadTrack('classic.json');
+
+test('the chase camera lags behind a turn and settles back behind the car', () => {
+    const chase = sim.createChaseCamera();
+    const pose = { x: 0, y: 0, z: 0, rotation: 0 };
+    const rest = sim.carFramePoint(pose, -sim.CHASE_CAMERA.distance, sim.CHASE_CAMERA.height);
+    assert.deepEqual(sim.updateChaseCamera(chase, pose, 0, 1 / 60).position, rest);
+    
+    // A quarter turn: the camera starts to swing round but is still well short of its new place
+    const turned = { ...pose, rotation: Math.PI / 2 };
+    const turnedRest = sim.carFramePoint(turned, -sim.CHASE_CAMERA.distance, sim.CHASE_CAMERA.height);
+    let view = sim.updateChaseCamera(chase, turned, 0, 1 / 60);
+    assert.ok(Math.hypot(view.position.x - turnedRest.x, view.position.z - turnedRest.z) > sim.CHASE_CAMERA.distance);
+    
+    for (let i = 0; i < 60 * 3; i++) view = sim.updateChaseCamera(chase, turned, 0, 1 / 60);
+    assert.ok(Math.hypot(view.position.x - turnedRest.x, view.position.z - turnedRest.z) < 0.5);
+    
+    // Wider at speed
+    assert.equal(view.fov, sim.CHASE_CAMERA.fov);
+    view = sim.updateChaseCamera(chase, turned, sim.CAR_SETUP.maxSpeed, 1 / 60);
+    assert.equal(view.fov, sim.CHASE_CAMERA.topFov);
+    
+    // Put back somewhere else on the track, it jumps straight there
+    const moved = { x: 1000, y: 0, z: 0, rotation: 0 };
+    view = sim.updateChaseCamera(chase, moved, 0, 1 / 60);
+    assert.deepEqual(view.position, sim.carFramePoint(moved, -sim.CHASE_CAMERA.distance, sim.CHASE_CAMERA.height));
+});
+
+test('cameras on the car look ahead from the cockpit, the hood and the bumper', () => {
+    const pose = { x: 10, y: 2, z: 0, rotation: Math.PI / 2 }; // Heading along +x
+    const cockpit = sim.mountedCameraView('cockpit', pose);
+    const hood = sim.mountedCameraView('hood', pose);
+    const bumper = sim.mountedCameraView('bumper', pose);
+    assert.ok(cockpit.position.x < hood.position.x && hood.position.x < bumper.position.x);
+    assert.ok(bumper.target.x > bumper.position.x);
+    assert.ok(Math.abs(bumper.target.z - bumper.position.z) < 1e-9);
+    
+    // The orbit stays above the ground and within its zoom
+    const orbit = sim.moveOrbit(sim.DEFAULT_ORBIT, 1, -5, 100);
+    assert.equal(orbit.pitch, sim.ORBIT_LIMITS.pitch[0]);
+    assert.equal(orbit.distance, sim.ORBIT_LIMITS.distance[1]);
+    assert.ok(sim.orbitCameraView(orbit, pose).position.y > pose.y);
+});
+
+test('replays cut between trackside cameras in order round the lap', () => {
+    const simulation = new sim.Simulation(track);
+    const waypoints = simulation.waypoints;
+    const cameras = sim.placeTracksideCameras(waypoints, simulation.surface.runoffWidth);
+    assert.ok(cameras.length > 4);
+    cameras.forEach(camera => {
+        assert.equal(simulation.trackQuery.query(camera.x, camera.z).onTrack, false);
+    });
+    
+    // Driving the lap, each cut is to the next camera along
+    const cuts = [];
+    let current = null;
+    waypoints.forEach(point => {
+        const next = sim.pickTracksideCamera(cameras, point, current);
+        if (next !== current) cuts.push(next);
+        current = next;
+    });
+    assert.equal(cuts[0], 0);
+    cuts.slice(1).forEach((camera, i) => {
+        assert.equal(camera, (cuts[i] + 1) % cameras.length);
+    });
+    
+    // Zoomed in on a car far away, out on one close by
+    const camera = cameras[0];
+    const near = sim.tracksideCameraView(camera, { x: camera.x + 20, y: camera.y, z: camera.z });
+    const far = sim.tracksideCameraView(camera, { x: camera.x + 200, y: camera.y, z: camera.z });
+    assert.ok(far.fov < near.fov);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim } = require('./helpers');
+
+const DT = sim.SIMULATION_STEP;
+
+test('a car driven into a barrier is pushed out and slowed, shoving the barrier away', () => {
+    const barrier = new sim.Barrier({ x: 0, y: 2.5, z: 0 }, 0, 20);
+    const car = sim.createCarState(4, 0, -Math.PI / 2); // Overlapping from the side, heading towards it
+    car.speed = 20;
+    
+    const hits = sim.resolveBarrierCollisions([barrier], [car], DT);
+    
+    assert.equal(hits.length, 1);
+    assert.ok(Math.abs(hits[0].impactSpeed - 20 * sim.SPEED_SCALE) < 1e-9);
+    assert.ok(car.position.x > 4, 'car moves away from the barrier');
+    assert.ok(barrier.position.x < 0, 'barrier moves away from the car');
+    assert.ok(car.speed > 0 && car.speed < 20 * 0.6);
+    assert.ok(barrier.velocity.x < 0);
+    assert.equal(barrier.angularVelocity, 0, 'a hit square on the middle does not spin it');
+});
+
+test('a car clear of a barrier is left alone', () => {
+    const barrier = new sim.Barrier({ x: 0, y: 2.5, z: 0 }, 0, 20);
+    const car = sim.createCarState(30, 0, 0);
+    car.speed = 20;
+    
+    assert.deepEqual(sim.resolveBarrierCollisions([barrier], [car], DT), []);
+    assert.equal(car.speed, 20);
+    assert.deepEqual(barrier.position, { x: 0, y: 2.5, z: 0 });
+});
+
+test('a barrier hit near one end spins, and a heavier one is pushed less', () => {
+    const hit = (length, z) => {
+        const barrier = new sim.Barrier({ x: 0, y: 2.5, z: 0 }, 0, length);
+        const car = sim.createCarState(4, z, -Math.PI / 2);
+        car.speed = 20;
+        sim.resolveBarrierContact(barrier, car);
+        return barrier;
+    };
+    
+    // Pushed to its right (-x) at the front end (+z), it turns right
+    const end = hit(20, 6);
+    assert.ok(end.angularVelocity < 0);
+    
+    const light = hit(20, 0);
+    const heavy = hit(40, 0);
+    assert.ok(heavy.mass > light.mass);
+    assert.ok(Math.abs(heavy.velocity.x) < Math.abs(light.velocity.x));
+});
+
+test('a barrier knocked into its neighbour moves it, and both settle and reset', () => {
+    const struck = new sim.Barrier({ x: 0, y: 2.5, z: 0 }, 0, 10);
+    const neighbour = new sim.Barrier({ x: -3, y: 2.5, z: 0 }, 0, 10);
+    const barriers = [struck, neighbour];
+    struck.velocity = { x: -20, z: 0 };
+    
+    for (let i = 0; i < 120; i++) sim.resolveBarrierCollisions(barriers, [], DT);
+    
+    assert.ok(neighbour.position.x < -3.5, 'the neighbour is pushed along');
+    assert.ok(!struck.moving && !neighbour.moving, 'the ground brings them to rest');
+    
+    barriers.forEach(barrier => barrier.reset());
+    assert.deepEqual(struck.position, { x: 0, y: 2.5, z: 0 });
+    assert.deepEqual(neighbour.position, { x: -3, y: 2.5, z: 0 });
+    assert.deepEqual(struck.velocity, { x: 0, z: 0 });
+});
+
+test('overlapping cars are separated until their boxes no longer touch', () => {
+    const a = sim.createCarState(0, 0, 0);
+    const b = sim.createCarState(3, 0, 0);
+    
+    const contact = sim.resolveCarCollision(a, b);
+    
+    assert.ok(contact);
+    assert.ok(contact.depth > 0);
+    assert.equal(sim.findCarContact(a, b), null);
+});
+
+test('a rear-end hit keeps the total momentum', () => {
+    const behind = sim.createCarState(0, 0, 0);
+    const ahead = sim.createCarState(0, 16.5, 0);
+    behind.speed = 20;
+    ahead.speed = 10;
+    
+    const contacts = sim.resolveCarCollisions([behind, ahead]);
+    
+    assert.equal(contacts.length, 1);
+    assert.ok(Math.abs(behind.speed + ahead.speed - 30) < 1e-9);
+    assert.ok(behind.speed < ahead.speed, 'the cars move apart after the hit');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+// A car driven nose first into a barrier along the z axis
+function headOn(speed) {
+    const barrier = new sim.Barrier({ x: 0, y: 2.5, z: 0 }, 0, 20);
+    const car = sim.createCarState(7.5, 0, -Math.PI / 2);
+    car.speed = speed;
+    const [hit] = sim.resolveBarrierCollisions([barrier], [car], sim.SIMULATION_STEP);
+    return { car, barrier, hit, added: sim.applyImpactDamage(car, hit.point, hit.impactSpeed) };
+}
+
+test('a hard hit breaks the parts nearest the impact, a nudge does nothing', () => {
+    const { car, barrier, hit, added } = headOn(30);
+    assert.ok(Math.abs(hit.impactSpeed - 30 * sim.SPEED_SCALE) < 20);
+    [barrier.position.x, barrier.position.z, barrier.velocity.x, barrier.velocity.z].forEach(value => {
+        assert.ok(Number.isFinite(value));
+    });
+    assert.ok(added > 0);
+    assert.ok(car.damage.frontWing > car.damage.wheelFL);
+    assert.ok(car.damage.wheelFL > car.damage.wheelRL);
+    assert.ok(car.damage.rearWing < 0.1);
+    
+    assert.equal(headOn(5).added, 0);
+});
+
+test('damage costs grip and top speed, and one-sided damage pulls the steering', () => {
+    assert.equal(sim.damagedSetup(sim.CAR_SETUP, sim.createCarDamage()), sim.CAR_SETUP);
+    
+    const damage = sim.createCarDamage();
+    damage.wheelFL = 1;
+    damage.wheelRL = 0.5;
+    const setup = sim.damagedSetup(sim.CAR_SETUP, damage);
+    assert.ok(setup.steerPull < 0, 'pulls left');
+    assert.ok(setup.frontGripScale < 1);
+    
+    // Flat out down a long straight, with the same damage on both sides so it runs straight
+    const topSpeed = state => {
+        for (let i = 0; i < 60 * 30; i++) sim.updateVehicle(state, { throttle: 1, brake: 0, steer: 0 }, 'track', 1 / 60);
+        return state.speed;
+    };
+    const damaged = sim.createCarState();
+    Object.assign(damaged.damage, { wheelFL: 0.5, wheelFR: 0.5, wheelRL: 0.5, wheelRR: 0.5 });
+    assert.ok(topSpeed(damaged) < topSpeed(sim.createCarState()) * 0.95);
+    
+    // Turning left raises the heading
+    const pulling = sim.createCarState();
+    pulling.damage = damage;
+    for (let i = 0; i < 60 * 2; i++) sim.updateVehicle(pulling, { throttle: 0.5, brake: 0, steer: 0 }, 'track', 1 / 60);
+    assert.ok(pulling.rotation > 0.05, 'drifts off to the left');
+});
+
+test('repairs bring every part back to new', () => {
+    const damage = sim.createCarDamage();
+    damage.frontWing = 0.5;
+    damage.wheelRR = 0.2;
+    assert.equal(sim.repairDamage(damage, 0.3), false);
+    assert.equal(damage.wheelRR, 0);
+    assert.equal(sim.repairDamage(damage, 0.3), true);
+    assert.equal(sim.totalDamage(damage), 0);
+});
+
+test('a damaged car stopped in the pit box is repaired', () => {
+    const simulation = new sim.Simulation(loadTrack('classic.json'));
+    const pitLane = simulation.pitLane;
+    const corners = pitLane.corners();
+    const centre = {
+        x: corners.reduce((sum, corner) => sum + corner.x, 0) / 4,
+        z: corners.reduce((sum, corner) => sum + corner.z, 0) / 4
+    };
+    assert.equal(pitLane.contains(centre, simulation.trackQuery.query(centre.x, centre.z)), true);
+    const start = simulation.waypoints[0];
+    assert.equal(pitLane.contains(start, simulation.trackQuery.query(start.x, start.z)), false);
+    
+    const player = simulation.player;
+    simulation.placeCar(player, sim.createCarState(centre.x, centre.z, start.angle));
+    player.state.damage.frontWing = 0.5;
+    const stopped = { throttle: 0, brake: 0, steer: 0 };
+    
+    // The crew hold the car for the whole stop and hand it back repaired
+    const events = [];
+    for (let i = 0; i < 60 * 10 && !events.some(event => event.type === 'pitStop'); i++) {
+        events.push(...simulation.step(sim.SIMULATION_STEP, stopped).filter(event => event.car === 'player'));
+        if (player.pitStop) assert.equal(player.state.damage.frontWing, 0.5);
+    }
+    const pitIn = events.find(event => event.type === 'pitIn');
+    const pitStop = events.find(event => event.type === 'pitStop');
+    assert.ok(pitIn && pitStop);
+    assert.ok(pitIn.duration >= sim.PIT_STOP_BASE + 0.5 / sim.DAMAGE_REPAIR_RATE);
+    assert.ok(pitStop.time - pitIn.time >= pitIn.duration - sim.SIMULATION_STEP);
+    assert.equal(sim.totalDamage(player.state.damage), 0);
+    assert.equal(player.pitStop, null);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim } = require('./helpers');
+
+test('the gearbox changes up through the gears under full throttle and back down braking', () => {
+    const state = sim.createCarState(0, 0, 0);
+    assert.equal(state.gearbox.gear, 0);
+    
+    const gears = [];
+    let changes = 0;
+    for (let i = 0; i < 60 * 30; i++) {
+        sim.updateVehicle(state, { throttle: 1, brake: 0, steer: 0 }, 'track', sim.SIMULATION_STEP);
+        if (gears[gears.length - 1] !== state.gearbox.gear) gears.push(state.gearbox.gear);
+        assert.ok(state.gearbox.rpm <= sim.GEARBOX.maxRpm);
+    }
+    assert.deepEqual(gears, [1, 2, 3, 4, 5, 6]);
+    
+    // No hunting between two gears on the way down
+    for (let i = 0; i < 60 * 30 && state.speed > 1; i++) {
+        const before = state.gearbox.gear;
+        sim.updateVehicle(state, { throttle: 0, brake: 0.5, steer: 0 }, 'track', sim.SIMULATION_STEP);
+        assert.ok(state.gearbox.gear <= before);
+        if (state.gearbox.gear !== before) changes++;
+    }
+    assert.equal(changes, 5);
+    assert.equal(state.gearbox.gear, 1);
+});
+
+test('revs follow the throttle in neutral and the wheels in gear', () => {
+    const gearbox = sim.createGearbox();
+    const state = sim.createCarState(0, 0, 0);
+    for (let i = 0; i < 60; i++) sim.updateGearbox(gearbox, state, 0, sim.SIMULATION_STEP);
+    assert.equal(gearbox.rpm, sim.GEARBOX.idleRpm);
+    
+    state.speed = -2;
+    sim.updateGearbox(gearbox, state, 0, sim.SIMULATION_STEP);
+    assert.equal(gearbox.gear, -1);
+    
+    state.speed = sim.GEARBOX.gears[0] * sim.CAR_SETUP.maxSpeed * 0.9;
+    for (let i = 0; i < 60; i++) sim.updateGearbox(gearbox, state, 1, sim.SIMULATION_STEP);
+    assert.equal(gearbox.gear, 1);
+    assert.ok(Math.abs(gearbox.rpm - sim.gearRpm(1, state.speed)) < 1);
+});
@@ -0,0 +1,11 @@
+// Shared setup for the tests: the simulation modules as globals and the bundled tracks
+const fs = require('fs');
+const path = require('path');
+const sim = require('../sim');
+
+function loadTrack(file) {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'tracks', file), 'utf8'));
+    return sim.parseTrackDefinition(data, file);
+}
+
+module.exports = { sim, loadTrack };
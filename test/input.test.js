@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim } = require('./helpers');
+
+test('deadzones ignore small movements and still reach full travel', () => {
+    assert.equal(sim.applyDeadzone(0.1, 0.15), 0);
+    assert.equal(sim.applyDeadzone(-1, 0.15), -1);
+    assert.ok(Math.abs(sim.applyDeadzone(0.575, 0.15) - 0.5) < 1e-9);
+});
+
+test('gamepad triggers and stick become throttle, brake and steering', () => {
+    const buttons = Array.from({ length: 16 }, () => ({ pressed: false, value: 0 }));
+    buttons[sim.GAMEPAD_THROTTLE_BUTTON] = { pressed: true, value: 1 };
+    buttons[sim.GAMEPAD_BRAKE_BUTTON] = { pressed: false, value: 0.02 };
+    
+    assert.deepEqual(sim.readGamepadControls({ axes: [-1, 0], buttons }), { throttle: 1, brake: 0, steer: -1 });
+});
+
+test('devices are merged by the strongest input', () => {
+    const controls = sim.combineControls([
+        { throttle: 1, brake: 0, steer: 0.2 },
+        { throttle: 0.3, brake: 0.5, steer: -0.6 }
+    ]);
+    assert.deepEqual(controls, { throttle: 1, brake: 0.5, steer: -0.6 });
+});
+
+test('keyboard steering winds on and returns to centre', () => {
+    let steer = 0;
+    for (let i = 0; i < 6; i++) steer = sim.rampKeyboardSteer(steer, 1, 1 / 60);
+    assert.ok(Math.abs(steer - 0.4) < 1e-9);
+    
+    for (let i = 0; i < 60; i++) steer = sim.rampKeyboardSteer(steer, 0, 1 / 60);
+    assert.equal(steer, 0);
+});
+
+test('binding a key already in use swaps it with the old key', () => {
+    const bindings = sim.rebindKey(sim.DEFAULT_KEY_BINDINGS, 'throttle', 'ArrowDown');
+    assert.equal(bindings.throttle, 'ArrowDown');
+    assert.equal(bindings.brake, 'ArrowUp');
+    assert.equal(sim.DEFAULT_KEY_BINDINGS.throttle, 'ArrowUp', 'defaults are left alone');
+});
+
+test('stored settings fall back to the defaults where they are invalid', () => {
+    const settings = sim.normalizeInputSettings({ bindings: { throttle: 'KeyW', brake: 7 }, stickDeadzone: 2 });
+    assert.equal(settings.bindings.throttle, 'KeyW');
+    assert.equal(settings.bindings.brake, 'ArrowDown');
+    assert.equal(settings.stickDeadzone, sim.DEFAULT_INPUT_SETTINGS.stickDeadzone);
+});
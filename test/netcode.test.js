@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const track = loadTrack('classic.json');
+const DT = sim.SIMULATION_STEP;
+
+test('a predicted car agrees with the host and is pulled back to it after a knock the guest did not see', () => {
+    // The host's own car parked out of the way, and the guest's car on the grid in both sessions
+    const host = new sim.Simulation(track);
+    host.placeCar(host.player, host.spacedStart(0, 2));
+    const start = host.gridStart(0);
+    const remote = host.addCar('p2', 'Guest', sim.copyCarState(start));
+    const queue = new sim.InputQueue();
+    
+    const guest = new sim.Simulation(track);
+    guest.placeCar(guest.player, sim.copyCarState(start));
+    const history = new sim.InputHistory();
+    
+    // Each way takes six steps
+    const LAG = 6;
+    const toHost = [];
+    const toGuest = [];
+    const corrections = [];
+    for (let tick = 1; tick <= 180; tick++) {
+        const controls = { throttle: 1, brake: 0, steer: tick > 60 ? 0.2 : 0 };
+        history.record(guest.tick + 1, controls);
+        guest.step(DT, controls);
+        toHost.push({ arrives: tick + LAG, inputs: [{ tick: guest.tick, controls }] });
+        
+        toHost.filter(message => message.arrives === tick).forEach(message => queue.push(message.inputs));
+        host.step(DT, [{ throttle: 0, brake: 0, steer: 0 }, queue.next()]);
+        if (tick === 100) remote.state.position.x += 5; // Knocked by something the guest does not know about
+        if (host.tick % sim.NETCODE.snapshotTicks === 0) {
+            const snapshot = JSON.parse(JSON.stringify(sim.createSnapshot(host, { p2: queue.ack }, 'p1')));
+            toGuest.push({ arrives: tick + LAG, snapshot });
+        }
+        
+        toGuest.filter(message => message.arrives === tick).forEach(({ snapshot }) => {
+            const entry = snapshot.cars.find(car => car.id === 'p2');
+            if (entry.ack === null) return;
+            sim.applyBarrierSnapshot(guest.barriers, snapshot);
+            corrections.push({ tick, distance: sim.reconcileCar(guest, guest.player, entry.state,
+                history.acknowledge(entry.ack)) });
+        });
+    }
+    
+    // The host took the guest's inputs in order and the guest's own driving came out the same
+    assert.ok(Math.hypot(remote.state.position.x - start.position.x, remote.state.position.z - start.position.z) > 50);
+    const beforeKnock = corrections.filter(correction => correction.tick <= 100 + LAG);
+    assert.ok(beforeKnock.length > 10);
+    beforeKnock.forEach(correction => assert.ok(correction.distance < 1e-6));
+    
+    // The knock comes through once and the guest carries on from the host's side of it
+    const knocked = corrections.filter(correction => correction.distance > 1);
+    assert.equal(knocked.length, 1);
+    assert.ok(knocked[0].distance < 6);
+    corrections.filter(correction => correction.tick > knocked[0].tick).forEach(correction => {
+        assert.ok(correction.distance < 1e-6);
+    });
+    assert.equal(history.inputs.length, LAG * 2); // A round trip of inputs waiting on the host
+});
+
+test('the host holds a guest to controls a keyboard or pad could give, and drops what are not inputs', () => {
+    const queue = new sim.InputQueue();
+    queue.push('nonsense');
+    queue.push({ tick: 1, controls: { throttle: 1 } });
+    queue.push([
+        null,
+        { tick: 'soon', controls: { throttle: 1, brake: 0, steer: 0 } },
+        { tick: NaN, controls: { throttle: 1, brake: 0, steer: 0 } },
+        { tick: 1, controls: 'full' },
+        { tick: 2, controls: { throttle: 50, brake: -3, steer: -9 } },
+        { tick: 3, controls: { throttle: NaN, brake: '1', steer: Infinity } },
+        { tick: 3, controls: { throttle: 1, brake: 0, steer: 0 } } // Already queued
+    ]);
+    assert.deepEqual(queue.inputs.map(input => input.tick), [2, 3]);
+    assert.deepEqual(queue.next(), { throttle: 1, brake: 0, steer: -1 });
+    assert.deepEqual(queue.next(), { throttle: 0, brake: 0, steer: 0 });
+    assert.equal(queue.ack, 3);
+    
+    // The car is driven on the clamped controls, so nothing that is not a number reaches the other players
+    const host = new sim.Simulation(track);
+    const remote = host.addCar('p2', 'Guest', host.gridStart(0));
+    queue.push([{ tick: 4, controls: { throttle: 1e9, brake: 0, steer: 0.5 } }]);
+    for (let tick = 0; tick < 60; tick++) host.step(DT, [{ throttle: 0, brake: 0, steer: 0 }, queue.next()]);
+    assert.ok(Number.isFinite(remote.state.speed) && remote.state.speed <= sim.CAR_SETUP.maxSpeed);
+    assert.deepEqual(sim.clampControls({ throttle: 0.5, brake: 0.25, steer: 0.75 }),
+        { throttle: 0.5, brake: 0.25, steer: 0.75 });
+});
+
+test('remote cars are drawn between snapshots a little behind the host, turning the short way round', () => {
+    const buffer = new sim.SnapshotBuffer();
+    const snapshot = (time, x, rotation) => ({
+        time,
+        cars: [{ id: 'p1', name: 'Host', state: Object.assign(sim.createCarState(x, 0, rotation), { speed: x }) }]
+    });
+    // Each arrives a second after the host sent it, by the local clock
+    buffer.push(snapshot(0, 0, 3), 1);
+    buffer.push(snapshot(0.05, 10, 3.1), 1.05);
+    buffer.push(snapshot(0.1, 20, -3.1), 1.1);
+    buffer.push(snapshot(0.05, 99, 0), 1.12); // Late, and out of date
+    
+    const delay = sim.NETCODE.interpolationDelay;
+    let [car] = buffer.sample(1.075 + delay);
+    assert.equal(car.id, 'p1');
+    assert.ok(Math.abs(car.position.x - 15) < 1e-6);
+    assert.ok(Math.abs(car.speed - 15) < 1e-6);
+    assert.ok(Math.abs(car.rotation - Math.PI) < 1e-3);
+    
+    // No further than the latest snapshot
+    [car] = buffer.sample(5);
+    assert.equal(car.position.x, 20);
+});
+
+test('guests put the barriers where the host has them', () => {
+    const host = new sim.Simulation(track);
+    const guest = new sim.Simulation(track);
+    host.barriers[0].position.x += 12;
+    host.barriers[0].rotation += 0.3;
+    host.barriers[0].velocity = { x: 1, z: -1 };
+    
+    sim.applyBarrierSnapshot(guest.barriers, JSON.parse(JSON.stringify(sim.createSnapshot(host))));
+    assert.deepEqual(guest.barriers[0].position, host.barriers[0].position);
+    assert.equal(guest.barriers[0].rotation, host.barriers[0].rotation);
+    assert.deepEqual(guest.barriers[0].velocity, host.barriers[0].velocity);
+    assert.deepEqual(guest.barriers[1].position, host.barriers[1].position);
+});
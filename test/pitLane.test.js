@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const track = loadTrack('classic.json');
+
+// A car on the pit lane path at point i, pointing down the lane
+function carInLane(simulation, i) {
+    const point = simulation.pitLane.path[i];
+    return sim.createCarState(point.x, point.z, point.angle);
+}
+
+test('the pit lane leaves the track, runs through the run-off past the box and rejoins', () => {
+    const simulation = new sim.Simulation(track);
+    const pitLane = simulation.pitLane;
+    const path = pitLane.path;
+    const contacts = path.map(point => simulation.trackQuery.query(point.x, point.z));
+    
+    assert.equal(contacts[0].onTrack, true);
+    assert.equal(contacts[path.length - 1].onTrack, true);
+    assert.equal(contacts[pitLane.stopIndex].onTrack, false);
+    assert.equal(pitLane.contains(path[pitLane.stopIndex], contacts[pitLane.stopIndex]), true);
+    assert.ok(path.every((point, i) => contacts[i].onTrack || pitLane.inLane(point, contacts[i])));
+    
+    // Cars going past on the track are not in it, and the barriers leave it open
+    const entry = simulation.trackQuery.pointAt(pitLane.distance - pitLane.rules.entry);
+    assert.equal(pitLane.inLane(entry, simulation.trackQuery.query(entry.x, entry.z)), false);
+    simulation.barriers.forEach(barrier => {
+        const contact = simulation.trackQuery.query(barrier.position.x, barrier.position.z);
+        assert.equal(pitLane.inLane(barrier.position, contact), false);
+    });
+});
+
+test('driving down the pit lane is not a track limits infringement', () => {
+    const simulation = new sim.Simulation(track);
+    const player = simulation.player;
+    const stand = { throttle: 0, brake: 1, steer: 0 };
+    
+    simulation.placeCar(player, carInLane(simulation, simulation.pitLane.stopIndex));
+    assert.equal(player.contact.onTrack, false);
+    assert.equal(player.contact.surface, 'track');
+    const events = simulation.step(sim.SIMULATION_STEP, stand);
+    assert.equal(events.some(event => event.type === 'warning'), false);
+    assert.equal(player.inPitLane, true);
+});
+
+test('the limiter holds the car to the pit lane speed limit', () => {
+    const simulation = new sim.Simulation(track);
+    const player = simulation.player;
+    const limit = simulation.pitLane.rules.speedLimit;
+    const state = carInLane(simulation, simulation.pitLane.stopIndex - 12);
+    state.speed = limit;
+    simulation.placeCar(player, state);
+    
+    for (let i = 0; i < 60; i++) {
+        simulation.step(sim.SIMULATION_STEP, { throttle: 1, brake: 0, steer: 0 });
+        assert.equal(player.inPitLane, true);
+        assert.ok(player.state.speed <= limit + 0.5);
+    }
+    assert.ok(player.state.speed > limit - 0.5);
+});
+
+test('tires lose grip as they wear, softs first', () => {
+    const wear = compound => {
+        const tires = sim.createTires(compound);
+        const state = sim.createCarState(0, 0, 0);
+        state.speed = sim.CAR_SETUP.maxSpeed;
+        state.lateralAccel = sim.CAR_SETUP.gravity;
+        for (let i = 0; i < 60 * 30; i++) sim.wearTires(tires, state, sim.SIMULATION_STEP);
+        return tires;
+    };
+    
+    const soft = wear('soft');
+    const hard = wear('hard');
+    assert.ok(soft.wear > hard.wear);
+    assert.ok(sim.tireGrip(sim.createTires('soft')) > sim.tireGrip(sim.createTires('hard')));
+    assert.ok(sim.tireGrip(soft) < sim.tireGrip(sim.createTires('soft')));
+    
+    const setup = sim.tireSetup(sim.CAR_SETUP, soft);
+    assert.ok(Math.abs(setup.frontGripScale - sim.tireGrip(soft)) < 1e-9);
+});
+
+test('fuel burns with the throttle and its weight slows the car', () => {
+    const state = sim.createCarState(0, 0, 0);
+    assert.equal(state.fuel, sim.FUEL_CAPACITY);
+    sim.burnFuel(state, 1, 10);
+    assert.ok(Math.abs(state.fuel - (sim.FUEL_CAPACITY - sim.FUEL_BURN * 10)) < 1e-9);
+    sim.burnFuel(state, 0, 10);
+    assert.ok(Math.abs(state.fuel - (sim.FUEL_CAPACITY - sim.FUEL_BURN * 10)) < 1e-9);
+    
+    // Full and nearly empty cars from a standstill
+    const speedAfter = fuel => {
+        const car = sim.createCarState(0, 0, 0);
+        car.fuel = fuel;
+        for (let i = 0; i < 60 * 2; i++) {
+            sim.updateVehicle(car, { throttle: 1, brake: 0, steer: 0 }, 'track', sim.SIMULATION_STEP);
+        }
+        return car.speed;
+    };
+    assert.ok(speedAfter(5) > speedAfter(sim.FUEL_CAPACITY));
+    
+    // Out of fuel the engine stops
+    assert.equal(speedAfter(0), 0);
+});
+
+test('a stop takes as long as its longest job and the car leaves with the plan carried out', () => {
+    const simulation = new sim.Simulation(track);
+    const pitLane = simulation.pitLane;
+    const state = sim.createCarState(0, 0, 0);
+    state.fuel = 20;
+    state.tires.wear = 0.6;
+    
+    const refuel = { tires: null, fuel: sim.FUEL_CAPACITY };
+    const tiresOnly = { tires: 'soft', fuel: 0 };
+    assert.equal(pitLane.stopDuration(state, refuel), sim.PIT_STOP_BASE + 40 / sim.PIT_FUEL_RATE);
+    assert.equal(pitLane.stopDuration(state, tiresOnly), sim.PIT_STOP_BASE + sim.PIT_TIRE_TIME);
+    
+    pitLane.service(state, tiresOnly);
+    assert.deepEqual(state.tires, { compound: 'soft', wear: 0 });
+    assert.equal(state.fuel, 20);
+    pitLane.service(state, refuel);
+    assert.equal(state.tires.compound, 'soft');
+    assert.equal(state.fuel, sim.FUEL_CAPACITY);
+});
+
+test('an AI car short of fuel comes in, stops in the box and rejoins with a full tank', () => {
+    const simulation = new sim.Simulation(track);
+    const state = simulation.spacedStart(0, 1);
+    state.fuel = 12; // Enough to reach the pit lane but not to come round again
+    const car = simulation.addOpponent({ name: 'A', skill: 0.9, aggression: 0.5 }, state);
+    
+    const events = [];
+    const idle = { throttle: 0, brake: 0, steer: 0 };
+    for (let i = 0; i < 60 * 120 && !events.some(event => event.type === 'pitStop'); i++) {
+        events.push(...simulation.step(sim.SIMULATION_STEP, idle).filter(event => event.car === car.id));
+    }
+    
+    const stop = events.find(event => event.type === 'pitStop');
+    assert.ok(stop);
+    assert.ok(events.some(event => event.type === 'pitIn'));
+    assert.ok(car.state.fuel > sim.FUEL_CAPACITY - 1);
+    
+    // Back out onto the track
+    for (let i = 0; i < 60 * 20 && car.inPitLane; i++) simulation.step(sim.SIMULATION_STEP, idle);
+    assert.equal(car.inPitLane, false);
+    assert.equal(car.contact.onTrack, true);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const waypoints = sim.buildTrackWaypoints(loadTrack('classic.json'));
+
+test('intervals are the time between cars reaching the same point on the road', () => {
+    const entrants = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }];
+    const race = new sim.RaceSession(waypoints, entrants, { laps: 3, holdTime: 0 });
+    const count = race.points.length;
+    const at = i => ({ x: race.points[i % count].x, z: race.points[i % count].z });
+    
+    // All on the line for the lights, then A leads B by five waypoints and C by twelve, a waypoint every 0.1 s
+    race.update(0.1, [at(0), at(0), at(0)]);
+    while (!race.started) race.update(0.5, [at(0), at(0), at(0)]);
+    for (let i = 1; i < 40; i++) race.update(0.1, [at(i + 12), at(i + 7), at(i)]);
+    
+    const [a, b, c] = race.classification();
+    assert.deepEqual([a.id, b.id, c.id], ['a', 'b', 'c']);
+    assert.equal(a.interval, null);
+    assert.ok(Math.abs(b.interval - 0.5) < 1e-6);
+    assert.ok(Math.abs(c.interval - 0.7) < 1e-6);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const STEP = sim.SIMULATION_STEP;
+const track = loadTrack('classic.json');
+const waypoints = sim.uniqueWaypoints(sim.buildTrackWaypoints(track));
+const trackQuery = new sim.TrackQuery(sim.buildTrackSurface(track));
+
+// Watch a car for seconds, moved by move(state, dt) each tick, and collect what it is warned about and the first
+// reason it is put back for
+function watch(state, controls, seconds, move = () => {}) {
+    const recovery = new sim.CarRecovery(trackQuery);
+    const warnings = new Set();
+    for (let tick = 1; tick <= Math.round(seconds / STEP); tick++) {
+        move(state, STEP);
+        const contact = trackQuery.query(state.position.x, state.position.z, state.rotation);
+        const reason = recovery.update(state, contact, controls, STEP);
+        if (reason) return { reason, time: tick * STEP, warnings };
+        if (recovery.warning) warnings.add(recovery.warning);
+    }
+    return { reason: null, warnings };
+}
+
+// Along the heading at the car's speed
+const drive = (state, dt) => {
+    state.position.x += Math.sin(state.rotation) * state.speed * sim.SPEED_SCALE * dt;
+    state.position.z += Math.cos(state.rotation) * state.speed * sim.SPEED_SCALE * dt;
+};
+
+test('a car driven without getting anywhere is warned and then put back, but not one left parked', () => {
+    const point = waypoints[30];
+    const rules = sim.DEFAULT_RECOVERY;
+    
+    const wedged = watch(sim.createCarState(point.x, point.z, point.angle), { throttle: 1, brake: 0, steer: 0 }, 10);
+    assert.equal(wedged.reason, 'stuck');
+    assert.ok(Math.abs(wedged.time - rules.stuckReset) < STEP * 1.5);
+    assert.deepEqual([...wedged.warnings], ['stuck']);
+    
+    const parked = watch(sim.createCarState(point.x, point.z, point.angle), { throttle: 0, brake: 0, steer: 0 }, 10);
+    assert.equal(parked.reason, null);
+    assert.equal(parked.warnings.size, 0);
+    
+    const state = sim.createCarState(point.x, point.z, point.angle);
+    state.speed = 5;
+    assert.equal(watch(state, { throttle: 1, brake: 0, steer: 0 }, 4, drive).reason, null);
+});
+
+test('a car lost far out on the grass is put back even while it keeps going along the track', () => {
+    const off = waypoints[30].width / 2 + sim.DEFAULT_RECOVERY.offCourseDistance + 40;
+    let distance = trackQuery.distanceAt(waypoints[30].x, waypoints[30].z);
+    // Alongside the track, left of it by off; left of the heading is (cos, -sin)
+    const alongside = (state, dt) => {
+        distance += 20 * dt;
+        const point = trackQuery.pointAt(distance);
+        state.position.x = point.x + Math.cos(point.angle) * off;
+        state.position.z = point.z - Math.sin(point.angle) * off;
+        state.rotation = point.angle;
+    };
+    
+    const lost = watch(sim.createCarState(), { throttle: 0.2, brake: 0, steer: 0 }, 12, alongside);
+    assert.equal(lost.reason, 'offCourse');
+    assert.ok(Math.abs(lost.time - sim.DEFAULT_RECOVERY.offCourseReset) < STEP * 1.5);
+    assert.deepEqual([...lost.warnings], ['offCourse']);
+});
+
+test('driving the wrong way is warned about, and spinning round is not', () => {
+    const point = waypoints[10];
+    const backwards = sim.createCarState(point.x, point.z, point.angle + Math.PI);
+    backwards.speed = 3;
+    const wrongWay = watch(backwards, { throttle: 0.3, brake: 0, steer: 0 }, 3, drive);
+    assert.equal(wrongWay.reason, null);
+    assert.deepEqual([...wrongWay.warnings], ['wrongWay']);
+    
+    // Stopped facing back down the track, on the way round
+    const turning = sim.createCarState(point.x, point.z, point.angle + Math.PI);
+    assert.equal(watch(turning, { throttle: 0, brake: 0, steer: 1 }, 3).warnings.size, 0);
+    
+    const rules = Object.assign({}, sim.DEFAULT_RECOVERY, { enabled: false });
+    const recovery = new sim.CarRecovery(trackQuery, rules);
+    const contact = trackQuery.query(backwards.position.x, backwards.position.z, backwards.rotation);
+    assert.equal(recovery.update(backwards, contact, { throttle: 1, brake: 0, steer: 0 }, 20), null);
+    recovery.request();
+    assert.equal(recovery.update(backwards, contact, { throttle: 1, brake: 0, steer: 0 }, STEP), 'manual');
+});
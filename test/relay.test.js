@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { MAX_MESSAGE_SIZE, Lobby, encodeFrame, decodeFrames, createRelayServer } = require('../server/relay');
+
+// A WebSocket to the relay that collects the messages it is sent
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+        });
+        request.on('upgrade', (response, socket) => {
+            const client = { socket, messages: [], waiting: [] };
+            let received = Buffer.alloc(0);
+            socket.on('data', data => {
+                const decoded = decodeFrames(Buffer.concat([received, data]));
+                received = decoded.rest;
+                decoded.frames.filter(frame => frame.opcode === 1).forEach(frame => {
+                    client.messages.push(JSON.parse(frame.payload.toString('utf8')));
+                });
+                client.waiting = client.waiting.filter(wait => !wait());
+            });
+            client.send = message => socket.write(encodeFrame(JSON.stringify(message), 1, true));
+            client.closed = new Promise(done => socket.on('close', done));
+            // The next message of a type, waiting for it if need be
+            client.next = type => new Promise(done => {
+                const wait = () => {
+                    const index = client.messages.findIndex(message => message.type === type);
+                    if (index === -1) return false;
+                    done(client.messages.splice(index, 1)[0]);
+                    return true;
+                };
+                if (!wait()) client.waiting.push(wait);
+            });
+            resolve(client);
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+test('players make and join rooms by code, the longest in taking over as host', () => {
+    // The second room first draws the first one's code, and has to draw again
+    const draws = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.05];
+    const lobby = new Lobby(() => draws.shift());
+    const inbox = { a: [], b: [], c: [] };
+    const a = lobby.connect(message => inbox.a.push(message));
+    const b = lobby.connect(message => inbox.b.push(message));
+    const c = lobby.connect(message => inbox.c.push(message));
+    
+    assert.equal(lobby.create(a, 'Ana'), 'AAAA');
+    assert.equal(lobby.create(c, 'Cy'), 'AAAB'); // Codes are never shared
+    assert.throws(() => lobby.join(b, 'ZZZZ', 'Bo'), /no room ZZZZ/);
+    lobby.join(b, 'aaaa', 'Bo');
+    assert.deepEqual(inbox.b[0], {
+        type: 'joined', room: 'AAAA', id: b.id, host: a.id,
+        peers: [{ id: a.id, name: 'Ana' }, { id: b.id, name: 'Bo' }]
+    });
+    assert.deepEqual(inbox.a.pop(), { type: 'peerJoined', id: b.id, name: 'Bo' });
+    
+    // Messages go to everyone else in the room, or to the one they name
+    lobby.relay(b, { type: 'input', tick: 1 });
+    assert.deepEqual(inbox.a.pop(), { type: 'input', tick: 1, from: b.id });
+    lobby.relay(a, { type: 'session', to: b.id });
+    assert.equal(inbox.b.pop().from, a.id);
+    assert.equal(inbox.c.filter(message => message.type !== 'joined').length, 0);
+    
+    lobby.leave(a);
+    assert.deepEqual(inbox.b.pop(), { type: 'peerLeft', id: a.id, host: b.id });
+    lobby.leave(b);
+    assert.equal(lobby.rooms.has('AAAA'), false);
+    assert.throws(() => lobby.relay(b, { type: 'input' }), /Join a room/);
+});
+
+test('players cannot pass for the relay to say who joined, left or is host', () => {
+    const lobby = new Lobby();
+    const inbox = { a: [], b: [] };
+    const a = lobby.connect(message => inbox.a.push(message));
+    const b = lobby.connect(message => inbox.b.push(message));
+    lobby.join(b, lobby.create(a, 'Ana'), 'Bo');
+    inbox.a.length = 0;
+    
+    assert.throws(() => lobby.receive(b, { type: 'peerLeft', id: a.id, host: b.id }), /Only the relay sends peerLeft/);
+    assert.throws(() => lobby.receive(b, { type: 'peerJoined', id: 'p9', name: 'Fake' }), /Only the relay/);
+    assert.throws(() => lobby.receive(b, { type: 'joined', to: a.id, host: b.id, peers: [] }), /Only the relay/);
+    assert.throws(() => lobby.receive(b, { type: 'error', message: 'Kicked' }), /Only the relay/);
+    assert.deepEqual(inbox.a, []);
+    
+    lobby.receive(b, { type: 'input', inputs: [] });
+    assert.equal(inbox.a.pop().from, b.id);
+});
+
+test('the relay passes messages between two WebSocket clients and serves the game', async () => {
+    const server = createRelayServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+    try {
+        const host = await connect(port);
+        host.send({ type: 'create', name: 'Host' });
+        const created = await host.next('joined');
+        assert.equal(created.host, created.id);
+        
+        const guest = await connect(port);
+        guest.send({ type: 'join', room: 'nope' });
+        assert.match((await guest.next('error')).message, /no room/);
+        guest.send({ type: 'join', room: created.room, name: 'Guest' });
+        const joined = await guest.next('joined');
+        assert.equal(joined.host, created.id);
+        assert.equal((await host.next('peerJoined')).name, 'Guest');
+        
+        // Big enough for a 16 bit length
+        const controls = { throttle: 1, brake: 0, steer: 0 };
+        const inputs = Array.from({ length: 200 }, (_, tick) => ({ tick, controls }));
+        guest.send({ type: 'input', inputs });
+        assert.deepEqual((await host.next('input')).inputs, inputs);
+        
+        guest.socket.end(encodeFrame(Buffer.alloc(0), 8, true));
+        assert.equal((await host.next('peerLeft')).id, joined.id);
+        host.socket.destroy();
+        
+        const page = await new Promise((resolve, reject) => {
+            http.get({ port, path: '/' }, response => {
+                let body = '';
+                response.on('data', chunk => (body += chunk));
+                response.on('end', () => resolve({ status: response.statusCode, body }));
+            }).on('error', reject);
+        });
+        assert.equal(page.status, 200);
+        assert.match(page.body, /sim\/netcode\.js/);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('the relay puts messages sent in pieces back together, and hangs up on pieces out of turn or too many', {
+    timeout: 10000 // Rather than wait on a socket the relay left open
+}, async () => {
+    const server = createRelayServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+    // A frame that is not the last of its message
+    const piece = (payload, opcode, fin = false) => {
+        const frame = encodeFrame(payload, opcode, true);
+        if (!fin) frame[0] &= 0x7f;
+        return frame;
+    };
+    try {
+        const host = await connect(port);
+        host.send({ type: 'create', name: 'Host' });
+        const created = await host.next('joined');
+        const guest = await connect(port);
+        guest.send({ type: 'join', room: created.room, name: 'Guest' });
+        const joined = await guest.next('joined');
+        
+        const text = JSON.stringify({ type: 'input', inputs: [] });
+        guest.socket.write(Buffer.concat([piece(text.slice(0, 10), 1), piece(text.slice(10), 0, true)]));
+        assert.equal((await host.next('input')).from, joined.id);
+        
+        // A continuation with no message started
+        guest.socket.write(piece('{}', 0, true));
+        await guest.closed;
+        
+        // A new message before the last one is finished
+        const second = await connect(port);
+        second.socket.write(Buffer.concat([piece('{"type":', 1), piece('{}', 1, true)]));
+        await second.closed;
+        
+        // Pieces that each fit, but not all together
+        const third = await connect(port);
+        const chunk = Buffer.alloc(MAX_MESSAGE_SIZE / 2, 0x20);
+        third.socket.write(Buffer.concat([piece(chunk, 1), piece(chunk, 0), piece(chunk, 0)]));
+        await third.closed;
+        host.socket.destroy();
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const waypoints = sim.buildTrackWaypoints(loadTrack('classic.json'));
+
+test('a race weekend goes from qualifying to the race, each stage starting, pausing and ending in turn', () => {
+    const flow = new sim.SessionFlow();
+    assert.equal(flow.state, 'menu');
+    assert.equal(flow.stage, null);
+    assert.throws(() => flow.begin('drag'), /Unknown session type/);
+    
+    flow.begin('raceWeekend');
+    assert.deepEqual([flow.stage, flow.state], ['qualifying', 'start']);
+    assert.equal(flow.pause(), false, 'nothing to pause before the start');
+    assert.equal(flow.start(), true);
+    assert.equal(flow.pause(), true);
+    assert.equal(flow.start(), false);
+    assert.equal(flow.resume(), true);
+    assert.equal(flow.nextStage(), false, 'not before the results');
+    
+    flow.finish();
+    assert.equal(flow.state, 'results');
+    assert.equal(flow.nextStage(), true);
+    assert.deepEqual([flow.stage, flow.state], ['race', 'start']);
+    assert.equal(flow.hasNextStage, false);
+    
+    flow.start();
+    flow.restart();
+    assert.deepEqual([flow.stage, flow.state], ['race', 'start']);
+    flow.quit();
+    assert.equal(flow.state, 'menu');
+    assert.equal(flow.restart(), false);
+});
+
+test('timed laps rank qualifying by the best lap and time trials by the clean total', () => {
+    const createLapTimer = () => new sim.LapTimer(waypoints, { lineHalfWidth: 60 });
+    const entrants = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+    const count = sim.uniqueWaypoints(waypoints).length;
+    const at = i => {
+        const point = sim.uniqueWaypoints(waypoints)[((i % count) + count) % count];
+        return { x: point.x, z: point.z };
+    };
+    
+    // From just behind the line, a waypoint every 0.1 s for A and every 0.125 s for B; A runs wide on its first lap
+    const drive = rankBy => {
+        const session = new sim.LapSession(entrants, createLapTimer, { laps: 2, rankBy });
+        const events = [];
+        for (let i = 0; !session.finished; i++) {
+            events.push(...session.update(0.1, [at(i - 3), at(Math.floor(i * 0.8) - 3)]));
+            if (i === 50) session.applyTrackLimits([{ car: 'a', invalidatesLap: true, seconds: 0 }]);
+        }
+        return { session, events };
+    };
+    
+    const qualifying = drive('best');
+    const finishes = qualifying.events.filter(event => event.type === 'finish').map(event => event.id);
+    assert.deepEqual(finishes, ['a', 'b']);
+    assert.equal(qualifying.events.filter(event => event.type === 'lap').length, 4);
+    
+    const [first, second] = qualifying.session.results();
+    assert.deepEqual([first.id, first.position, first.valid], ['a', 1, false]);
+    assert.ok(Math.abs(first.bestLap - count * 0.1) < 0.2);
+    assert.ok(Math.abs(second.gap - count * 0.025) < 0.3);
+    
+    // B's slower but clean run beats A's spoilt one
+    const [winner, spoilt] = drive('total').session.results();
+    assert.equal(winner.id, 'b');
+    assert.ok(Math.abs(winner.total - count * 0.25) < 0.3);
+    assert.equal(winner.gap, null);
+    assert.equal(spoilt.gap, null);
+});
+
+test('leaderboards keep the fastest runs, the earlier one first on a tie', () => {
+    let board = [];
+    [50, 40, 60, 40].forEach((time, i) => {
+        board = sim.addLeaderboardEntry(board, { name: 'Run ' + i, time }, 3).board;
+    });
+    assert.deepEqual(board.map(entry => entry.name), ['Run 1', 'Run 3', 'Run 0']);
+    
+    assert.equal(sim.addLeaderboardEntry(board, { name: 'Slow', time: 70 }, 3).place, null);
+    const { place } = sim.addLeaderboardEntry(board, { name: 'Quick', time: 45 }, 3);
+    assert.equal(place, 3);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const STEP = sim.SIMULATION_STEP;
+
+// Script the player's controls for one flying lap by letting an AI driver take the wheel
+function recordScript(track, ticks) {
+    const simulation = new sim.Simulation(track);
+    const driver = new sim.AIDriver(simulation.racingLine, { skill: 0.9, aggression: 0.5 });
+    const script = [];
+    for (let tick = 0; tick < ticks; tick++) {
+        const controls = Object.assign({}, driver.getControls(simulation.player.state, STEP));
+        script.push(controls);
+        simulation.step(STEP, controls);
+    }
+    return script;
+}
+
+// Play a control script into a fresh session and collect the lap timer's events
+function playScript(track, script, setup) {
+    const simulation = new sim.Simulation(track);
+    setup?.(simulation);
+    const events = [];
+    script.forEach(controls => events.push(...simulation.step(STEP, controls)));
+    return { simulation, events };
+}
+
+test('a scripted lap completes and replays identically', () => {
+    const track = loadTrack('classic.json');
+    const script = recordScript(track, 70 * 60); // Out to the line, then a flying lap
+    
+    const first = playScript(track, script);
+    const second = playScript(track, script);
+    
+    const laps = first.events.filter(event => event.type === 'lap');
+    assert.equal(laps.length, 1);
+    assert.ok(laps[0].valid);
+    assert.ok(laps[0].time > 25 && laps[0].time < 40, 'lap time ' + laps[0].time);
+    
+    assert.deepEqual(second.events, first.events);
+    assert.deepEqual(second.simulation.player.state, first.simulation.player.state);
+});
+
+test('a session with AI cars and barrier hits is reproducible after a reset', () => {
+    const track = loadTrack('classic.json');
+    const script = Array.from({ length: 600 }, (_, tick) => ({
+        throttle: tick < 400 ? 1 : 0,
+        brake: tick < 400 ? 0 : 1,
+        steer: tick >= 200 && tick < 260 ? -1 : 0 // Straight on into the outside barriers
+    }));
+    const addOpponents = simulation => {
+        simulation.addOpponent({ name: 'A', skill: 0.9, aggression: 0.5 }, simulation.spacedStart(0, 2));
+        simulation.addOpponent({ name: 'B', skill: 0.7, aggression: 0.5 }, simulation.spacedStart(1, 2));
+    };
+    
+    const { simulation } = playScript(track, script, addOpponents);
+    const snapshot = JSON.stringify({
+        cars: simulation.cars.map(car => car.state),
+        barriers: simulation.barriers.map(barrier => barrier.position)
+    });
+    assert.ok(simulation.barriers.some(barrier => barrier.position.x !== barrier.initialPosition.x), 'a barrier was hit');
+    
+    simulation.reset();
+    addOpponents(simulation);
+    script.forEach(controls => simulation.step(STEP, controls));
+    
+    assert.equal(JSON.stringify({
+        cars: simulation.cars.map(car => car.state),
+        barriers: simulation.barriers.map(barrier => barrier.position)
+    }), snapshot);
+});
+
+test('held cars stay on the grid', () => {
+    const simulation = new sim.Simulation(loadTrack('classic.json'));
+    simulation.addOpponent({ name: 'A', skill: 0.9, aggression: 0.5 }, simulation.gridStart(0));
+    simulation.placeCar(simulation.player, simulation.gridStart(1));
+    const grid = simulation.cars.map(car => ({ ...car.state.position }));
+    
+    for (let tick = 0; tick < 60; tick++) {
+        simulation.step(STEP, { throttle: 1, brake: 0, steer: 0 }, { holdCars: true });
+    }
+    
+    assert.deepEqual(simulation.cars.map(car => car.state.position), grid);
+});
+
+test('a second player drives their own car into the first, each with their own lap timer', () => {
+    const simulation = new sim.Simulation(loadTrack('classic.json'));
+    const start = simulation.waypoints[0];
+    const behind = 40; // On the centre line, behind the player on the start line
+    const second = simulation.addCar('player2', 'Player 2', sim.createCarState(
+        start.x - Math.sin(start.angle) * behind, start.z - Math.cos(start.angle) * behind, start.angle));
+    assert.deepEqual(simulation.players, [simulation.player, second]);
+    assert.deepEqual(simulation.opponents, []);
+    
+    const idle = { throttle: 0, brake: 0, steer: 0 };
+    const events = [];
+    for (let tick = 0; tick < 150; tick++) {
+        events.push(...simulation.step(STEP, [idle, { throttle: 1, brake: 0, steer: 0 }]));
+    }
+    
+    // Shunted over the line by the second car, which is on its own lap too
+    assert.ok(simulation.player.state.speed > 0);
+    assert.equal(simulation.player.lapTimer.lap, 1);
+    assert.equal(second.lapTimer.lap, 1);
+    assert.notEqual(second.lapTimer, simulation.lapTimer);
+    assert.ok(events.every(event => event.car === 'player' || event.car === 'player2'));
+});
+
+test('a car reset to the track sits still on the centre line facing along it, as damaged as it was', () => {
+    const simulation = new sim.Simulation(loadTrack('classic.json'));
+    const car = simulation.player;
+    const waypoint = sim.uniqueWaypoints(simulation.waypoints)[40];
+    // Off in the grass, going backwards
+    const state = sim.createCarState(waypoint.x + 90, waypoint.z - 30, waypoint.angle + Math.PI);
+    state.speed = -5;
+    state.damage.frontWing = 0.5;
+    simulation.placeCar(car, state);
+    
+    simulation.resetCarToTrack(car);
+    
+    const nearest = sim.uniqueWaypoints(simulation.waypoints).reduce((best, point) =>
+        Math.hypot(point.x - waypoint.x - 90, point.z - waypoint.z + 30) <
+        Math.hypot(best.x - waypoint.x - 90, best.z - waypoint.z + 30) ? point : best);
+    assert.deepEqual([car.state.position.x, car.state.position.z], [nearest.x, nearest.z]);
+    assert.equal(car.state.rotation, nearest.angle);
+    assert.equal(car.state.speed, 0);
+    assert.equal(car.state.damage.frontWing, 0.5);
+    assert.ok(car.contact.onTrack);
+});
+
+test('cars are put back on the track when stuck or when asked, spoiling the lap if they were off it', () => {
+    const simulation = new sim.Simulation(loadTrack('classic.json'));
+    const car = simulation.player;
+    const waypoint = sim.uniqueWaypoints(simulation.waypoints)[40];
+    const throttle = { throttle: 1, brake: 0, steer: 0 };
+    const recoveries = events => events.filter(event => event.type === 'recovered');
+    
+    // Held on the grid nothing is put back, however long the driver revs
+    for (let tick = 0; tick < 10 / STEP; tick++) simulation.step(STEP, throttle, { holdCars: true });
+    assert.equal(car.recovery.warning, null);
+    
+    // Asking from the grass while on a timed lap, started by crossing the line
+    const points = sim.uniqueWaypoints(simulation.waypoints);
+    [points[points.length - 3], points[1]].forEach(point => {
+        simulation.placeCar(car, sim.createCarState(point.x, point.z, point.angle));
+        simulation.step(STEP, { throttle: 0, brake: 1, steer: 0 });
+    });
+    assert.equal(car.lapTimer.lap, 1);
+    // Left of the heading is (cos, -sin)
+    const off = waypoint.width;
+    simulation.placeCar(car, sim.createCarState(waypoint.x + Math.cos(waypoint.angle) * off,
+        waypoint.z - Math.sin(waypoint.angle) * off, waypoint.angle));
+    car.recovery.request();
+    const events = simulation.step(STEP, { throttle: 0, brake: 0, steer: 0 });
+    assert.deepEqual(recoveries(events).map(({ reason, invalidatesLap }) => ({ reason, invalidatesLap })),
+        [{ reason: 'manual', invalidatesLap: true }]);
+    assert.equal(car.lapTimer.invalidated, true);
+    assert.ok(car.contact.onTrack);
+    assert.equal(car.state.speed, 0);
+    
+    // Pinned in place with the throttle down
+    let reason = null;
+    for (let tick = 0; tick < 8 / STEP && !reason; tick++) {
+        car.state.speed = 0;
+        car.state.position.x = waypoint.x;
+        car.state.position.z = waypoint.z;
+        const recovered = recoveries(simulation.step(STEP, throttle));
+        if (recovered.length > 0) reason = recovered[0].reason;
+    }
+    assert.equal(reason, 'stuck');
+});
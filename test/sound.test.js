@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const straight = { throttle: 1, brake: 0, steer: 0 };
+
+test('the engine note rises with the revs and opens up with the throttle', () => {
+    const state = sim.createCarState(0, 0, 0);
+    const idle = sim.engineSound(state, 0);
+    assert.equal(idle.frequency, sim.GEARBOX.idleRpm / 60 * sim.ENGINE_SOUND.cylinders / 2);
+    
+    for (let i = 0; i < 60 * 3; i++) sim.updateVehicle(state, straight, 'track', sim.SIMULATION_STEP);
+    const pulling = sim.engineSound(state, 1);
+    assert.ok(pulling.frequency > idle.frequency);
+    assert.ok(pulling.gain > idle.gain && pulling.cutoff > idle.cutoff);
+    assert.equal(pulling.gain, sim.ENGINE_SOUND.idleGain + sim.ENGINE_SOUND.throttleGain);
+});
+
+test('tires squeal sliding or steered hard at speed, and the run-off rumbles', () => {
+    const state = sim.createCarState(0, 0, 0);
+    state.speed = 40;
+    assert.equal(sim.tireSound(state, straight, 'track').gain, 0);
+    assert.equal(sim.tireSound(state, { throttle: 1, brake: 0, steer: 1 }, 'track').gain, 1);
+    
+    state.lateralSpeed = 20;
+    const sliding = sim.tireSound(state, straight, 'track');
+    assert.equal(sliding.gain, 1);
+    assert.equal(sliding.frequency, sim.TIRE_SOUND.frequency[1]);
+    assert.equal(sim.tireSound(state, straight, 'grass').gain, 0);
+    
+    // Slow, it only scrubs
+    state.speed = 2;
+    state.lateralSpeed = 2;
+    assert.equal(sim.tireSound(state, straight, 'track').gain, 0);
+    
+    state.speed = 40;
+    assert.equal(sim.surfaceSound(state, 'track').gain, 0);
+    assert.equal(sim.surfaceSound(state, 'gravel').gain, 1);
+    assert.ok(sim.surfaceSound(state, 'grass').cutoff < sim.surfaceSound(state, 'gravel').cutoff);
+    state.speed = 0;
+    assert.equal(sim.surfaceSound(state, 'gravel').gain, 0);
+});
+
+test('hits on barriers are reported with their speed, loud in proportion', () => {
+    const simulation = new sim.Simulation(loadTrack('classic.json'));
+    const barrier = simulation.barriers[0];
+    const car = simulation.player;
+    
+    // Square on at the middle of the barrier, from 20 units back
+    const across = barrier.rotation + Math.PI / 2;
+    const { x, z } = barrier.position;
+    const state = sim.createCarState(x - Math.sin(across) * 20, z - Math.cos(across) * 20, across);
+    state.speed = 15;
+    simulation.placeCar(car, state);
+    
+    let impact = null;
+    for (let tick = 0; tick < 60 && !impact; tick++) {
+        impact = simulation.step(sim.SIMULATION_STEP, straight).find(event => event.type === 'impact') || null;
+    }
+    assert.ok(impact);
+    assert.equal(impact.car, 'player');
+    assert.equal(impact.with, 'barrier');
+    assert.ok(impact.impactSpeed > sim.IMPACT_EVENT_SPEED);
+    
+    assert.equal(sim.impactLoudness(sim.IMPACT_SOUND_SPEED[0]), 0);
+    assert.ok(sim.impactLoudness(impact.impactSpeed) > 0);
+    assert.equal(sim.impactLoudness(1000), 1);
+});
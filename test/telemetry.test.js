@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const STEP = sim.SIMULATION_STEP;
+
+// Let an AI driver take the player's car and log its laps the way game/telemetry.js does
+function recordLaps(track, ticks) {
+    const simulation = new sim.Simulation(track);
+    const driver = new sim.AIDriver(simulation.racingLine, { skill: 0.9, aggression: 0.5 });
+    const recorder = new sim.TelemetryRecorder(STEP, simulation.trackQuery.length);
+    const player = simulation.player;
+    for (let tick = 0; tick < ticks; tick++) {
+        const controls = Object.assign({}, driver.getControls(player.state, STEP));
+        simulation.step(STEP, controls).forEach(event => {
+            if (event.type === 'lap' && event.car === player.id) recorder.finishLap(event.lap, event.time, event.valid);
+        });
+        if (player.lapTimer.lap > 0) recorder.record(player.state, player.controls, player.contact);
+    }
+    return { simulation, recorder };
+}
+
+test('a lap is logged every tick from the start line to the finish', () => {
+    const { simulation, recorder } = recordLaps(loadTrack('classic.json'), 70 * 60);
+    assert.equal(recorder.laps.length, 1);
+    
+    const lap = recorder.laps[0];
+    const column = channel => sim.TELEMETRY_CHANNELS.indexOf(channel);
+    assert.ok(lap.valid);
+    assert.ok(Math.abs(lap.samples.length * STEP - lap.time) < 2 * STEP, 'samples ' + lap.samples.length);
+    lap.samples.forEach(sample => assert.equal(sample.length, sim.TELEMETRY_CHANNELS.length));
+    
+    // The distance runs on over the lap rather than wrapping at the start line
+    const distances = lap.samples.map(sample => sample[column('distance')]);
+    const length = simulation.trackQuery.length;
+    assert.ok(Math.abs(distances[0]) < 10, 'first ' + distances[0]);
+    assert.ok(Math.abs(distances[distances.length - 1] - length) < 10, 'last ' + distances[distances.length - 1]);
+    distances.slice(1).forEach((distance, i) => assert.ok(distance > distances[i] - 1));
+    
+    const speeds = lap.samples.map(sample => sample[column('speed')]);
+    // The speeds logged cover about the track in the lap time, a little less as the racing line cuts the corners
+    const average = speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length * sim.SPEED_SCALE;
+    const covered = average * lap.time / length;
+    assert.ok(covered > 0.7 && covered < 1.05, 'covered ' + covered);
+    assert.ok(lap.samples.some(sample => sample[column('brake')] > 0));
+    assert.equal(sim.telemetryAt(lap, 0, 'time'), lap.samples.find(sample => sample[1] >= 0)[0]);
+    assert.equal(sim.telemetryAt(lap, length * 2, 'speed'), speeds[speeds.length - 1]);
+});
+
+test('the delta shows where a lap lost time to the reference', () => {
+    // Two made up laps of a 100 unit track: the second as quick to halfway, then half the speed
+    const lap = (id, pace) => ({
+        id, lap: id, time: 0, valid: true,
+        samples: Array.from({ length: 101 }, (_, d) => [pace(d), d, 0, 0, 0, 0, 0, 1, 0])
+    });
+    const reference = lap(1, d => d / 10);
+    const slower = lap(2, d => (d <= 50 ? d / 10 : 5 + (d - 50) / 5));
+    
+    assert.equal(sim.telemetryAt(reference, 25.5, 'time'), 2.55);
+    const delta = sim.lapTimeDelta(reference, slower, 10);
+    assert.equal(delta.length, 11);
+    assert.equal(delta[5].distance, 50);
+    delta.slice(0, 6).forEach(point => assert.ok(Math.abs(point.delta) < 1e-9));
+    assert.ok(Math.abs(delta[10].delta - 5) < 1e-9);
+    delta.slice(6).forEach(point => assert.ok(point.delta > 0));
+    assert.ok(sim.lapTimeDelta(slower, reference, 10)[10].delta < 0);
+});
+
+test('laps export as CSV rows and JSON, and only the last few are kept', () => {
+    const recorder = new sim.TelemetryRecorder(STEP, 100, 2);
+    const state = sim.createCarState(0, 0, 0);
+    const controls = { throttle: 1, brake: 0, steer: 0 };
+    for (let lap = 1; lap <= 3; lap++) {
+        for (let tick = 0; tick < 4; tick++) {
+            recorder.record(state, controls, { distance: (90 + tick * 5) % 100, lateral: 1 });
+        }
+        recorder.finishLap(lap, 4 * STEP, true);
+    }
+    assert.deepEqual(recorder.laps.map(lap => lap.id), [2, 3]);
+    
+    // Started just short of the line, so the distance begins below 0 and runs on past the track length
+    assert.deepEqual(recorder.laps[0].samples.map(sample => sample[1]), [-10, -5, 0, 5]);
+    
+    const rows = sim.telemetryToCSV(recorder.laps).trim().split('\n');
+    assert.equal(rows[0], 'id,lap,' + sim.TELEMETRY_CHANNELS.join(','));
+    assert.equal(rows.length, 1 + 2 * 4);
+    assert.equal(rows[1].split(',').length, 2 + sim.TELEMETRY_CHANNELS.length);
+    assert.ok(rows[8].startsWith('3,3,'));
+    
+    const data = JSON.parse(sim.serializeTelemetry(recorder.laps, 'classic.json', 'Classic', STEP));
+    assert.equal(data.version, sim.TELEMETRY_VERSION);
+    assert.deepEqual(data.channels, sim.TELEMETRY_CHANNELS);
+    assert.deepEqual(data.laps, recorder.laps);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+test('waypoints close the loop on the start point', () => {
+    const waypoints = sim.buildTrackWaypoints(loadTrack('classic.json'));
+    const first = waypoints[0];
+    const last = waypoints[waypoints.length - 1];
+    
+    assert.equal(waypoints.length, 201);
+    assert.deepEqual({ x: last.x, z: last.z }, { x: first.x, z: first.z });
+    assert.equal(sim.uniqueWaypoints(waypoints).length, 200);
+});
+
+test('points within half the width of the centre line are on track', () => {
+    const track = loadTrack('classic.json');
+    const waypoints = sim.buildTrackWaypoints(track);
+    const query = new sim.TrackQuery(sim.buildTrackSurface(track));
+    const point = waypoints[50];
+    const halfWidth = point.width / 2;
+    // Left of the heading is (cos, -sin)
+    const across = (offset) => [point.x + Math.cos(point.angle) * offset, point.z - Math.sin(point.angle) * offset];
+    const onTrack = (x, z) => query.query(x, z).onTrack;
+    
+    assert.equal(onTrack(point.x, point.z), true);
+    assert.equal(onTrack(...across(halfWidth - 1)), true);
+    assert.equal(onTrack(...across(-(halfWidth - 1))), true);
+    assert.equal(onTrack(...across(halfWidth + 10)), false);
+    assert.equal(onTrack(0, 0), false); // Infield of the oval
+});
+
+test('every bundled track starts on track', () => {
+    ['classic.json', 'harbour.json', 'kidney.json', 'valley.json'].forEach(file => {
+        const simulation = new sim.Simulation(loadTrack(file));
+        assert.equal(simulation.surfaceAt(simulation.player.state), 'track', file);
+    });
+});
+
+test('track files are checked when they are parsed', () => {
+    assert.throws(() => sim.parseTrackDefinition({ name: 'Tiny', points: [{ x: 0, z: 0 }] }), /at least 3 control points/);
+    assert.throws(() => sim.parseTrackDefinition({ points: [] }), /missing a name/);
+    assert.throws(
+        () => sim.parseTrackDefinition({ name: 'Bad', points: [{ x: 0, z: 0 }, { x: 1, z: 'a' }, { x: 2, z: 2 }] }),
+        /control point 1 needs numeric x and z/
+    );
+});
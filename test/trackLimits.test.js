@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const track = loadTrack('classic.json');
+const waypoints = sim.buildTrackWaypoints(track);
+const queryFor = () => new sim.TrackQuery(sim.buildTrackSurface(track));
+
+// A car on waypoint i pointing along the track, left of the centre line by lateral
+function carAt(i, lateral = 0) {
+    const point = waypoints[i];
+    return sim.createCarState(
+        point.x + Math.cos(point.angle) * lateral,
+        point.z - Math.sin(point.angle) * lateral,
+        point.angle
+    );
+}
+
+// Check a car state the way the simulation does, with its contact at the car's centre
+function check(limits, state, time) {
+    const contact = limits.trackQuery.query(state.position.x, state.position.z, state.rotation);
+    return limits.update(state, contact, time);
+}
+
+// Right out past the edge, with every wheel off
+const wideOff = () => waypoints[20].width / 2 + sim.CAR_SETUP.trackWidth + 5;
+
+test('wheel positions follow the car heading, left wheels first', () => {
+    const setup = sim.CAR_SETUP;
+    const wheels = sim.carWheelPositions(sim.createCarState(0, 0, Math.PI / 2));
+    
+    // Facing +x, left is -z
+    assert.ok(Math.abs(wheels[0].x - setup.frontAxle) < 1e-9);
+    assert.ok(Math.abs(wheels[0].z + setup.trackWidth / 2) < 1e-9);
+    assert.ok(Math.abs(wheels[3].x + setup.rearAxle) < 1e-9);
+    assert.ok(Math.abs(wheels[3].z - setup.trackWidth / 2) < 1e-9);
+});
+
+test('only all four wheels off the track is an infringement', () => {
+    const limits = new sim.TrackLimits(queryFor());
+    const edge = waypoints[20].width / 2;
+    
+    assert.deepEqual(check(limits, carAt(20, edge), 1), []);
+    assert.deepEqual(check(limits, carAt(21, -edge), 2), []);
+    
+    const events = check(limits, carAt(22, wideOff()), 3);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'warning');
+    assert.equal(events[0].count, 1);
+    
+    // Staying off is the same infringement
+    assert.deepEqual(check(limits, carAt(23, wideOff()), 4), []);
+});
+
+test('warnings run out and then every infringement is a penalty', () => {
+    const rules = Object.assign({}, sim.DEFAULT_TRACK_LIMITS, { warnings: 2, penalty: 3 });
+    const limits = new sim.TrackLimits(queryFor(), rules);
+    const types = [];
+    for (let i = 0; i < 4; i++) {
+        types.push(...check(limits, carAt(20 + i, wideOff()), i * 2).map(event => event.type));
+        check(limits, carAt(20 + i), i * 2 + 1);
+    }
+    
+    assert.deepEqual(types, ['warning', 'warning', 'penalty', 'penalty']);
+    assert.equal(limits.penaltyTime, 6);
+    
+    // Switched off, nothing counts
+    limits.rules = Object.assign({}, limits.rules, { enabled: false });
+    assert.deepEqual(check(limits, carAt(30, wideOff()), 10), []);
+});
+
+test('rejoining much further round than was driven off the track is a shortcut', () => {
+    // Straight across the harbour infield from one side of the lap to the other
+    const harbour = loadTrack('harbour.json');
+    const points = sim.buildTrackWaypoints(harbour);
+    const query = new sim.TrackQuery(sim.buildTrackSurface(harbour));
+    const limits = new sim.TrackLimits(query);
+    const from = points[18];
+    const to = points[57];
+    const off = from.width / 2 + sim.CAR_SETUP.trackWidth + 5;
+    
+    const outside = sim.createCarState(from.x - Math.cos(from.angle) * off, from.z + Math.sin(from.angle) * off, from.angle);
+    check(limits, outside, 1);
+    const events = check(limits, sim.createCarState(to.x, to.z, to.angle), 2);
+    const gained = query.distanceAt(to.x, to.z) - query.distanceAt(from.x, from.z);
+    
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'shortcut');
+    assert.ok(Math.abs(events[0].gained - gained) < 1);
+    assert.ok(events[0].seconds >= sim.DEFAULT_TRACK_LIMITS.penalty);
+    assert.equal(events[0].invalidatesLap, true);
+});
+
+test('running wide alongside the track is not a shortcut', () => {
+    const limits = new sim.TrackLimits(queryFor());
+    check(limits, carAt(50, wideOff()), 1);
+    for (let i = 51; i <= 53; i++) {
+        assert.deepEqual(check(limits, carAt(i, wideOff()), i - 49), []);
+    }
+    assert.deepEqual(check(limits, carAt(54), 6), []);
+    assert.equal(limits.infringements, 1);
+});
+
+test('an infringement invalidates the player lap and is tagged with the car', () => {
+    const simulation = new sim.Simulation(track);
+    const player = simulation.player;
+    const stand = { throttle: 0, brake: 1, steer: 0 };
+    
+    // Start a timed lap by crossing the line
+    simulation.placeCar(player, carAt(waypoints.length - 3));
+    simulation.step(sim.SIMULATION_STEP, stand);
+    simulation.placeCar(player, carAt(1));
+    simulation.step(sim.SIMULATION_STEP, stand);
+    assert.equal(simulation.lapTimer.lap, 1);
+    
+    simulation.placeCar(player, carAt(5, wideOff()));
+    const events = simulation.step(sim.SIMULATION_STEP, stand);
+    const warning = events.find(event => event.type === 'warning');
+    assert.ok(warning);
+    assert.equal(warning.car, 'player');
+    assert.equal(simulation.lapTimer.invalidated, true);
+});
+
+test('race penalties are added to the finishing time', () => {
+    const entrants = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+    const race = new sim.RaceSession(waypoints, entrants, { laps: 1, holdTime: 0 });
+    const count = race.points.length;
+    
+    // Both start on the line, B takes the flag a second ahead of A
+    const at = i => ({ x: race.points[i % count].x, z: race.points[i % count].z });
+    race.update(0.1, [at(0), at(0)]);
+    while (!race.started) race.update(0.5, [at(0), at(0)]);
+    for (let i = 1; i < count; i++) race.update(0.1, [at(i), at(i)]);
+    race.update(0.1, [at(count - 1), at(count)]);
+    race.update(1, [at(count), at(count)]);
+    
+    assert.equal(race.classification()[0].id, 'b');
+    race.addPenalty('b', 5);
+    const classification = race.classification();
+    assert.equal(classification[0].id, 'a');
+    assert.equal(classification[1].penalty, 5);
+    assert.ok(Math.abs(classification[1].gap - 4) < 1e-6);
+});
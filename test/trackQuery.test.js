@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const queryFor = file => new sim.TrackQuery(sim.buildTrackSurface(loadTrack(file)));
+
+test('the grid finds the same nearest segment as checking them all', () => {
+    const random = new sim.SeededRandom(7);
+    ['classic.json', 'harbour.json', 'valley.json'].forEach(file => {
+        const query = queryFor(file);
+        for (let i = 0; i < 300; i++) {
+            const x = random.range(-1200, 1200);
+            const z = random.range(-1200, 1200);
+            let closest = Infinity;
+            for (let segment = 0; segment < query.segmentCount; segment++) {
+                closest = Math.min(closest, query.projectOnSegment(segment, x, z).distanceSquared);
+            }
+            assert.ok(Math.abs(query.nearest(x, z).distanceSquared - closest) < 1e-6, file + ' at ' + x + ', ' + z);
+        }
+    });
+});
+
+test('distance along the track grows round the lap from the start line', () => {
+    const track = loadTrack('kidney.json');
+    const query = queryFor('kidney.json');
+    const waypoints = sim.uniqueWaypoints(sim.buildTrackWaypoints(track));
+    
+    assert.ok(query.distanceAt(waypoints[0].x, waypoints[0].z) < 1);
+    waypoints.forEach((waypoint, i) => {
+        assert.equal(query.indexAt(query.distanceAt(waypoint.x, waypoint.z), waypoints.length), i);
+    });
+});
+
+test('lateral offset is signed to the left and heading error measured from the track direction', () => {
+    const track = loadTrack('classic.json');
+    const query = queryFor('classic.json');
+    const point = sim.buildTrackWaypoints(track)[30];
+    const left = 20;
+    const x = point.x + Math.cos(point.angle) * left;
+    const z = point.z - Math.sin(point.angle) * left;
+    
+    const result = query.query(x, z, point.angle + 0.3);
+    assert.ok(Math.abs(result.lateral - left) < 0.5);
+    assert.ok(Math.abs(result.headingError - 0.3) < 0.05);
+    assert.ok(Math.abs(Math.abs(query.query(x, z, point.angle + Math.PI).headingError) - Math.PI) < 0.05);
+    assert.equal(query.query(x, z).headingError, null);
+});
+
+test('the track is a ribbon: between waypoints it is as wide as at them', () => {
+    const track = loadTrack('classic.json');
+    const query = queryFor('classic.json');
+    const waypoints = sim.buildTrackWaypoints(track);
+    const a = waypoints[10];
+    const b = waypoints[11];
+    
+    // Just inside the edge halfway between two waypoints, where circles round each would leave a gap
+    const angle = (a.angle + b.angle) / 2;
+    const inside = a.width / 2 - 0.5;
+    const x = (a.x + b.x) / 2 + Math.cos(angle) * inside;
+    const z = (a.z + b.z) / 2 - Math.sin(angle) * inside;
+    assert.equal(query.query(x, z).onTrack, true);
+});
+
+test('lap timing through the track query matches the waypoint search', () => {
+    const track = loadTrack('classic.json');
+    const simulation = new sim.Simulation(track);
+    const plain = new sim.LapTimer(simulation.waypoints, {
+        lineHalfWidth: simulation.waypoints[0].width / 2,
+        sectorStarts: simulation.sectorStarts
+    });
+    const driver = new sim.AIDriver(simulation.racingLine, { skill: 0.8 });
+    
+    for (let tick = 0; tick < 70 * 60; tick++) {
+        const controls = driver.getControls(simulation.player.state, sim.SIMULATION_STEP);
+        simulation.step(sim.SIMULATION_STEP, controls);
+        const { x, z } = simulation.player.state.position;
+        plain.update(x, z, simulation.tick * sim.SIMULATION_STEP);
+    }
+    
+    assert.ok(simulation.lapTimer.laps.length > 0);
+    assert.deepEqual(simulation.lapTimer.laps, plain.laps);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+// A long straight along +z and back, wide enough for the ends to be gentle
+const straight = (extra = {}, point = {}) => sim.parseTrackDefinition(Object.assign({
+    name: 'Straight',
+    width: 100,
+    points: [-1000, -500, 0, 500, 1000].map(z => Object.assign({ x: 0, z }, point))
+        .concat([{ x: -1000, z: 1000 }, { x: -1000, z: -1000 }])
+}, extra));
+
+test('the spline passes through every control point', () => {
+    const track = loadTrack('valley.json');
+    const { dense, stepsPerSegment } = sim.sampleTrackSpline(track);
+    
+    track.points.forEach((point, i) => {
+        const sample = dense[i * stepsPerSegment];
+        assert.ok(Math.hypot(sample.x - point.x, sample.z - point.z) < 1e-6, 'point ' + i);
+        assert.ok(Math.abs(sample.y - point.y) < 1e-6, 'height of point ' + i);
+    });
+});
+
+test('height, banking and run-off are checked when they are parsed', () => {
+    assert.throws(() => straight({}, { bank: 60 }), /bank between/);
+    assert.throws(() => straight({}, { y: 'high' }), /numeric/);
+    assert.throws(() => straight({}, { runoff: 'sand' }), /unknown run-off/);
+    assert.throws(() => straight({ runoff: { surface: 'ice', width: 10 } }), /run-off needs/);
+    assert.deepEqual(straight().runoff, sim.DEFAULT_RUNOFF);
+});
+
+test('contact goes from track to run-off to grass away from the centre line', () => {
+    const surface = sim.buildTrackSurface(straight({ runoff: { surface: 'gravel', width: 30 } }));
+    const at = x => new sim.TrackQuery(surface).query(x, 0);
+    
+    // Heading along +z the left is +x
+    assert.equal(at(0).surface, 'track');
+    assert.ok(Math.abs(at(20).lateral - 20) < 1e-6);
+    assert.equal(at(60).surface, 'gravel');
+    assert.equal(at(90).surface, 'grass');
+    assert.deepEqual(at(0).normal, { x: -0, y: 1, z: -0 });
+});
+
+test('banking raises the left edge and tilts the normal to the right', () => {
+    const query = new sim.TrackQuery(sim.buildTrackSurface(straight({}, { bank: 10 })));
+    const left = query.query(40, 0);
+    const right = query.query(-40, 0);
+    
+    assert.ok(Math.abs(left.height - 40 * Math.tan(10 * Math.PI / 180)) < 1e-6);
+    assert.ok(Math.abs(right.height + left.height) < 1e-6);
+    assert.ok(left.normal.x < 0);
+    
+    // A car parked across the slope is pulled down it, to its right
+    const state = sim.createCarState(0, 0, 0);
+    state.normal = left.normal;
+    assert.ok(sim.slopeAcceleration(state).left < 0);
+});
+
+test('raised track falls away to the ground beyond the run-off', () => {
+    const query = new sim.TrackQuery(sim.buildTrackSurface(straight({ runoff: { surface: 'tarmac', width: 20 } }, { y: 10 })));
+    
+    assert.ok(Math.abs(query.query(0, 0).height - 10) < 1e-6);
+    assert.ok(Math.abs(query.query(65, 0).height - 10) < 1e-6);
+    assert.ok(Math.abs(query.query(80, 0).height - 5) < 1e-6);
+    assert.equal(query.query(200, 0).height, 0);
+    assert.ok(query.query(80, 0).normal.x > 0); // Leaning away from the track
+});
+
+test('curbs line the corners but not the straights', () => {
+    const surface = sim.buildTrackSurface(loadTrack('harbour.json'));
+    const curbed = surface.points.filter(point => point.curb).length;
+    
+    assert.ok(curbed > 0);
+    assert.ok(curbed < surface.points.length / 2);
+    assert.equal(surface.points[0].curb, false); // Start straight
+    
+    // Just inside the edge in the middle of a curbed stretch
+    const point = surface.points.find((candidate, i) => i > 0 && candidate.curb && surface.points[i - 1].curb);
+    const inside = point.width / 2 - sim.CURB_WIDTH / 2;
+    const contact = new sim.TrackQuery(surface).query(point.x + Math.cos(point.angle) * inside, point.z - Math.sin(point.angle) * inside);
+    assert.equal(contact.surface, 'curb');
+});
+
+test('cars and barriers sit on the hills', () => {
+    const simulation = new sim.Simulation(loadTrack('valley.json'));
+    const controls = { throttle: 1, brake: 0, steer: 0 };
+    for (let tick = 0; tick < 300; tick++) simulation.step(sim.SIMULATION_STEP, controls);
+    
+    const state = simulation.player.state;
+    assert.ok(state.position.y > 1);
+    assert.equal(state.position.y, simulation.contactAt(state).height);
+    simulation.barriers.forEach(barrier => {
+        assert.ok(Math.abs(barrier.position.y - barrier.height / 2 - simulation.contactAt(barrier).height) < 1e-6);
+    });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sim, loadTrack } = require('./helpers');
+
+const square = (size, extra = {}) => Object.assign({
+    name: 'Square',
+    width: 60,
+    points: [{ x: 0, z: 0 }, { x: size, z: 0 }, { x: size, z: size }, { x: 0, z: size }]
+}, extra);
+
+test('bundled layouts other than the classic oval pass the layout checks', () => {
+    ['harbour.json', 'kidney.json', 'valley.json'].forEach(file => {
+        assert.deepEqual(sim.validateTrackLayout(loadTrack(file)), [], file);
+    });
+});
+
+test('a figure of eight is reported as crossing itself', () => {
+    const track = sim.parseTrackDefinition({
+        name: 'Eight',
+        width: 40,
+        points: [{ x: 0, z: 0 }, { x: 800, z: 800 }, { x: 800, z: 0 }, { x: 0, z: 800 }]
+    });
+    const issues = sim.validateTrackLayout(track);
+    
+    assert.ok(issues.some(issue => issue.type === 'crossing'));
+});
+
+test('corners tighter than the track allows are reported once each', () => {
+    const wide = sim.validateTrackLayout(sim.parseTrackDefinition(square(1000)));
+    const tight = sim.validateTrackLayout(sim.parseTrackDefinition(square(150)));
+    
+    assert.deepEqual(wide, []);
+    assert.ok(tight.length > 0);
+    assert.ok(tight.length <= 4);
+    assert.ok(tight.every(issue => issue.type === 'radius'));
+});
+
+test('sector boundaries are checked and map to waypoints in lap order', () => {
+    assert.throws(() => sim.parseTrackDefinition(square(1000, { sectors: [0] })), /sector/);
+    assert.throws(() => sim.parseTrackDefinition(square(1000, { sectors: [7] })), /sector/);
+    assert.throws(() => sim.parseTrackDefinition(square(1000, { sectors: [2, 2] })), /sector/);
+    
+    const track = sim.parseTrackDefinition(square(1000, { sectors: [3, 1] }));
+    const starts = sim.trackSectorStarts(track);
+    
+    assert.equal(starts.length, 3);
+    assert.equal(starts[0], 0);
+    assert.ok(starts[1] < starts[2]);
+    assert.equal(sim.trackSectorStarts(sim.parseTrackDefinition(square(1000))).length, 3);
+});
+
+test('serialized tracks parse back to the same layout', () => {
+    ['classic.json', 'harbour.json', 'kidney.json', 'valley.json'].forEach(file => {
+        const track = loadTrack(file);
+        const reloaded = sim.parseTrackDefinition(JSON.parse(sim.serializeTrackDefinition(track)));
+        
+        assert.deepEqual(sim.buildTrackWaypoints(reloaded), sim.buildTrackWaypoints(track), file);
+    });
+});